@@ -0,0 +1,191 @@
+/**
+ * @module availability-checker
+ * @description Probes every configured IPFS gateway for each IPFS URL in a
+ * token's metadata and summarises the results as a CID × gateway matrix.
+ * A file that several independent gateways can serve is most likely pinned;
+ * one that only a single gateway (or only the local node) serves is at risk
+ * of disappearing. Probes never download the file: a HEAD request, falling
+ * back to a one-byte ranged GET where HEAD is not supported.
+ */
+
+import { validateURL } from '../validators/url-validator.js';
+import { logInfo, safeAsync } from '../utils/error-handler.js';
+import { getGateways, extractCID } from '../utils/ipfs-utils.js';
+import { getGatewayConfig } from '../utils/gateway-config.js';
+
+/** @type {number} Timeout for one gateway probe, HEAD and GET together (ms) */
+const PROBE_TIMEOUT_MS = 15_000;
+
+/** @type {number[]} HEAD statuses meaning "method not supported" — retried as a ranged GET */
+const HEAD_UNSUPPORTED_STATUSES = [405, 501];
+
+/** @type {number} Public gateways that must serve a file for it to count as pinned */
+const PINNED_MIN_GATEWAYS = 2;
+
+/**
+ * @typedef {Object} IPFSTarget
+ * @property {string} cidPath - "<cid>[/path]" as found after /ipfs/
+ * @property {string[]} fields - Metadata fields that reference it
+ */
+
+/**
+ * @typedef {Object} GatewayProbe
+ * @property {string} gateway - Gateway base URL
+ * @property {boolean} ok - Whether the gateway can serve the content
+ * @property {number|null} status - HTTP status (null on network error or timeout)
+ * @property {'HEAD'|'GET'} method - Request that produced the result
+ * @property {number} latencyMs - Time to response headers (ms)
+ * @property {number|null} contentLength - Reported file size, if exposed
+ * @property {string} [error] - Network error or timeout description
+ */
+
+/**
+ * @typedef {'pinned'|'at-risk'|'unavailable'} AvailabilityVerdict
+ */
+
+/**
+ * @typedef {Object} AvailabilityRow
+ * @property {IPFSTarget} target - Content that was probed
+ * @property {GatewayProbe[]} probes - One probe per gateway, in getGateways() order
+ * @property {AvailabilityVerdict} verdict - Overall availability
+ */
+
+/**
+ * Picks the IPFS URLs out of a list of metadata URLs, one entry per
+ * distinct CID path. IPNS, Arweave, HTTPS and data: URLs are skipped.
+ * @param {Array<{url: string, field: string}>} urls - Entries from extractAllUrls
+ * @returns {IPFSTarget[]} Distinct IPFS content
+ */
+export function collectIPFSTargets(urls) {
+    const byPath = new Map();
+    for (const { url, field } of urls) {
+        const validation = validateURL(url);
+        if (!validation.valid || validation.protocol !== 'ipfs') continue;
+        const cidPath = extractCID(validation.resolvedUrl);
+        if (!cidPath) continue;
+        const target = byPath.get(cidPath) ?? { cidPath, fields: [] };
+        target.fields.push(field);
+        byPath.set(cidPath, target);
+    }
+    return [...byPath.values()];
+}
+
+/**
+ * Probes every gateway for each target. Targets are checked one after
+ * another (all gateways in parallel for each), so a long list does not
+ * flood the gateways.
+ * @param {IPFSTarget[]} targets - Content to check
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.externalSignal] - Aborts the remaining probes
+ * @param {(row: AvailabilityRow, index: number) => void} [options.onResult] - Called as each target completes
+ * @returns {Promise<AvailabilityRow[]>} One row per target
+ */
+export async function checkAvailability(targets, { externalSignal = null, onResult = null } = {}) {
+    const gateways = getGateways();
+    const rows = [];
+    for (const [index, target] of targets.entries()) {
+        if (externalSignal?.aborted) break;
+        const probes = await Promise.all(gateways.map((gateway) => probeGateway(gateway, target.cidPath, externalSignal)));
+        const row = { target, probes, verdict: availabilityVerdict(probes) };
+        rows.push(row);
+        onResult?.(row, index);
+    }
+    logInfo('IPFS availability check complete', {
+        targets: rows.map((r) => ({ cidPath: r.target.cidPath, verdict: r.verdict, serving: r.probes.filter((p) => p.ok).length })),
+    });
+    return rows;
+}
+
+/**
+ * Derives the verdict from a row of probes. Only public gateways count
+ * towards "pinned": a local node can serve content nobody else provides.
+ * @param {GatewayProbe[]} probes - Probes for one target
+ * @returns {AvailabilityVerdict} Verdict
+ */
+export function availabilityVerdict(probes) {
+    const publicGateways = getGatewayConfig().gateways;
+    const publicOk = probes.filter((p) => p.ok && publicGateways.includes(p.gateway)).length;
+    const needed = Math.min(PINNED_MIN_GATEWAYS, publicGateways.length);
+    if (publicOk >= needed && publicOk * 2 >= publicGateways.length) {
+        return 'pinned';
+    }
+    return probes.some((p) => p.ok) ? 'at-risk' : 'unavailable';
+}
+
+/**
+ * Probes one gateway for one CID path. Probes are not fed into the
+ * gateway scores — a missing file says nothing about the gateway.
+ * @param {string} gateway - Gateway base URL ending in /ipfs/
+ * @param {string} cidPath - "<cid>[/path]"
+ * @param {AbortSignal|null} externalSignal - Aborts the probe
+ * @returns {Promise<GatewayProbe>} Probe result
+ */
+async function probeGateway(gateway, cidPath, externalSignal) {
+    const url = `${gateway}${cidPath}`;
+    const timeoutSignal = AbortSignal.timeout(PROBE_TIMEOUT_MS);
+    const signal = externalSignal && AbortSignal.any ? AbortSignal.any([externalSignal, timeoutSignal]) : timeoutSignal;
+    const started = Date.now();
+
+    const [head, headErr] = await safeAsync(fetch(url, { method: 'HEAD', signal }));
+    if (head && !HEAD_UNSUPPORTED_STATUSES.includes(head.status)) {
+        return {
+            gateway,
+            ok: head.ok,
+            status: head.status,
+            method: 'HEAD',
+            latencyMs: Date.now() - started,
+            contentLength: parseLength(head.headers.get('content-length')),
+        };
+    }
+    if (headErr && signal.aborted) {
+        return probeFailure(gateway, 'HEAD', started, headErr);
+    }
+
+    // HEAD unsupported or blocked — ask for the first byte only
+    const [get, getErr] = await safeAsync(fetch(url, { method: 'GET', headers: { 'Range': 'bytes=0-0' }, signal }));
+    if (getErr) {
+        return probeFailure(gateway, 'GET', started, getErr);
+    }
+    const latencyMs = Date.now() - started;
+    // A gateway that ignores Range answers 200 with the whole file — don't download it
+    get.body?.cancel().catch(() => {});
+    const total = get.headers.get('content-range')?.match(/\/(\d+)$/)?.[1];
+    return {
+        gateway,
+        ok: get.ok,
+        status: get.status,
+        method: 'GET',
+        latencyMs,
+        contentLength: get.status === 206 ? parseLength(total) : parseLength(get.headers.get('content-length')),
+    };
+}
+
+/**
+ * Builds the probe result for a request that never got a response.
+ * @param {string} gateway - Gateway base URL
+ * @param {'HEAD'|'GET'} method - Request that failed
+ * @param {number} started - Probe start timestamp
+ * @param {Error} err - Fetch error
+ * @returns {GatewayProbe} Failed probe
+ */
+function probeFailure(gateway, method, started, err) {
+    return {
+        gateway,
+        ok: false,
+        status: null,
+        method,
+        latencyMs: Date.now() - started,
+        contentLength: null,
+        error: err.name === 'TimeoutError' ? 'Timed out' : err.name === 'AbortError' ? 'Cancelled' : 'Unreachable (network or CORS error)',
+    };
+}
+
+/**
+ * Parses a length header value.
+ * @param {string|null|undefined} value - Header value
+ * @returns {number|null} Length, or null if absent or malformed
+ */
+function parseLength(value) {
+    const n = Number.parseInt(value ?? '', 10);
+    return Number.isFinite(n) && n >= 0 ? n : null;
+}
@@ -0,0 +1,165 @@
+/**
+ * @module cors-proxy
+ * @description Fetches a URL through one configured CORS proxy, using the
+ * proxy's adapter to build the request URL and to unwrap its response
+ * envelope. Used as the last fallback when a host does not send CORS
+ * headers; see proxy-config.js for the adapter registry.
+ */
+
+import { safeAsync } from '../utils/error-handler.js';
+import { getPrimaryGateway } from '../utils/ipfs-utils.js';
+import { TARGET_PLACEHOLDER } from '../utils/proxy-config.js';
+import { readBodyLimited, decodeBody } from '../utils/body-reader.js';
+
+/** @type {number} CORS proxy timeout (longer than direct fetches — the proxy fetches in turn) */
+const PROXY_TIMEOUT_MS = 15_000;
+
+/** @type {number} Default largest target body accepted through a proxy (5 MB) */
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+
+/** @type {number} Headroom for a JSON envelope, whose escaping can double the body */
+const ENVELOPE_OVERHEAD_FACTOR = 2;
+
+/** @type {string} Identity CID of an empty block, used to health-test a proxy */
+const HEALTH_CHECK_CID = 'bafkqaaa';
+
+/**
+ * @typedef {Object} ProxyFetchResult
+ * @property {boolean} success - Whether the target's body was obtained
+ * @property {string} [text] - Target response body
+ * @property {string} [contentType] - Target content type
+ * @property {number} [size] - Target body size in bytes
+ * @property {Omit<import('../utils/body-reader.js').DecodedText, 'text'>} [decoding] - How the body was decoded
+ * @property {string} [proxy] - Name of the proxy that served it
+ * @property {string} [error] - Error message on failure
+ */
+
+/**
+ * Readers for each response envelope, turning a proxy response into the
+ * target's body and content type. Bodies are read under maxBytes.
+ * @type {Object<import('../utils/proxy-config.js').ProxyEnvelope, (response: Response, maxBytes: number) => Promise<ProxyFetchResult>>}
+ */
+const ENVELOPE_READERS = {
+    'raw': async (response, maxBytes) => {
+        const read = await readBodyLimited(response, maxBytes);
+        if (!read.success) {
+            return read;
+        }
+        const contentType = response.headers.get('content-type') ?? '';
+        const { text, ...decoding } = decodeBody(read.bytes, contentType);
+        return { success: true, text, contentType, size: read.bytes.length, decoding };
+    },
+    'allorigins-json': async (response, maxBytes) => {
+        const read = await readBodyLimited(response, maxBytes * ENVELOPE_OVERHEAD_FACTOR);
+        if (!read.success) {
+            return read;
+        }
+        let proxyData;
+        try {
+            proxyData = JSON.parse(decodeBody(read.bytes).text);
+        } catch {
+            return { success: false, error: 'Failed to parse proxy response' };
+        }
+        // The original body is wrapped in { contents: "...", status: { ... } }
+        if (!proxyData || typeof proxyData.contents !== 'string') {
+            return { success: false, error: 'Unexpected proxy response format' };
+        }
+        const status = proxyData.status?.http_code;
+        if (typeof status === 'number' && (status < 200 || status >= 300)) {
+            return { success: false, error: `Target returned ${status} through the proxy` };
+        }
+        // The proxy has already decoded the body; only a BOM can be left over
+        const bomStripped = proxyData.contents.startsWith('\uFEFF');
+        const text = bomStripped ? proxyData.contents.slice(1) : proxyData.contents;
+        const size = new TextEncoder().encode(text).length;
+        if (size > maxBytes) {
+            return { success: false, error: `Response too large (over ${maxBytes} bytes)` };
+        }
+        return {
+            success: true,
+            text,
+            contentType: proxyData.status?.content_type ?? '',
+            size,
+            decoding: { charset: 'utf-8', charsetSource: 'proxy', bomStripped, malformed: text.includes('\uFFFD') },
+        };
+    },
+};
+
+/**
+ * Builds the request URL for a target on a proxy.
+ * @param {import('../utils/proxy-config.js').Proxy} proxy - Configured proxy
+ * @param {string} targetUrl - URL the proxy should fetch
+ * @returns {string} Proxy request URL
+ */
+export function buildProxyUrl(proxy, targetUrl) {
+    return proxy.url.replace(TARGET_PLACEHOLDER, encodeURIComponent(targetUrl));
+}
+
+/**
+ * Fetches a URL through a proxy. Headers are only sent through adapters
+ * that forward them, and the API key only through proxies the user has
+ * allowed to carry it.
+ * @param {import('../utils/proxy-config.js').Proxy} proxy - Configured proxy
+ * @param {string} targetUrl - URL the proxy should fetch
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.headers] - Headers for the target
+ * @param {AbortSignal} [options.externalSignal] - Optional abort signal
+ * @param {number} [options.maxBytes] - Largest target body accepted (default 5 MB)
+ * @returns {Promise<ProxyFetchResult>} Target body or error
+ */
+export async function fetchViaProxy(proxy, targetUrl, { headers = {}, externalSignal = null, maxBytes = DEFAULT_MAX_BYTES } = {}) {
+    const headerNames = Object.keys(headers).map((h) => h.toLowerCase());
+    if (headerNames.length > 0 && !proxy.forwardsHeaders) {
+        return { success: false, error: `${proxy.name} does not forward request headers` };
+    }
+    if (headerNames.includes('x-apikey') && !proxy.apiKey) {
+        return { success: false, error: `${proxy.name} is not allowed to carry the API key` };
+    }
+    if (externalSignal?.aborted) {
+        return { success: false, error: 'Proxy fetch aborted' };
+    }
+
+    const timeoutSignal = AbortSignal.timeout(PROXY_TIMEOUT_MS);
+    const [response, err] = await safeAsync(
+        fetch(buildProxyUrl(proxy, targetUrl), {
+            method: 'GET',
+            headers,
+            signal: externalSignal && AbortSignal.any ? AbortSignal.any([externalSignal, timeoutSignal]) : timeoutSignal,
+        })
+    );
+
+    if (err) {
+        if (err.name === 'TimeoutError') {
+            return {
+                success: false,
+                error: 'CORS proxy timed out. The target server may be slow or unresponsive. Try again later.'
+            };
+        }
+        return { success: false, error: `Proxy fetch failed: ${err.message}` };
+    }
+
+    if (!response.ok) {
+        if (response.status === 408) {
+            return {
+                success: false,
+                error: 'CORS proxy timed out while fetching the URL. The server may be slow to respond.'
+            };
+        }
+        return { success: false, error: `Proxy returned ${response.status}: ${response.statusText}` };
+    }
+
+    const result = await ENVELOPE_READERS[proxy.envelope](response, maxBytes);
+    return result.success ? { ...result, proxy: proxy.name } : result;
+}
+
+/**
+ * Health-tests a proxy by fetching an empty IPFS block through it.
+ * @param {import('../utils/proxy-config.js').Proxy} proxy - Configured proxy
+ * @returns {Promise<{ success: boolean, latencyMs: number, error?: string }>} Test outcome
+ */
+export async function testProxy(proxy) {
+    const started = Date.now();
+    const result = await fetchViaProxy(proxy, `${getPrimaryGateway()}${HEALTH_CHECK_CID}`);
+    const latencyMs = Date.now() - started;
+    return result.success ? { success: true, latencyMs } : { success: false, latencyMs, error: result.error };
+}
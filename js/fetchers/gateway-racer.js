@@ -0,0 +1,270 @@
+/**
+ * @module gateway-racer
+ * @description Races a request across several IPFS gateways at once.
+ * Gateways are launched in ranked order with a short stagger, the first
+ * success wins and the rest are aborted. Each outcome updates a persisted
+ * per-gateway latency/success score that ranks gateways for the next scan.
+ * Also health-tests single gateways for the settings dialog.
+ */
+
+import { logInfo, safeAsync } from '../utils/error-handler.js';
+
+/** @type {string} localStorage key for gateway scores */
+const SCORE_STORAGE_KEY = 'nft-scanner-gateway-scores';
+
+/** @type {number} Delay before launching the next-ranked gateway (ms) */
+const RACE_STAGGER_MS = 250;
+
+/** @type {number} Weight of the newest latency sample in the moving average */
+const LATENCY_EWMA_ALPHA = 0.3;
+
+/** @type {number} Assumed latency for gateways with no history (ms) */
+const UNKNOWN_LATENCY_MS = 1500;
+
+/** @type {number} Cost added per unit of failure rate when ranking (ms) */
+const FAILURE_PENALTY_MS = 10_000;
+
+/** @type {number} Counts are halved past this many samples so old outages fade */
+const MAX_SAMPLES = 20;
+
+/** @type {string} Identity CID of an empty block — any gateway can serve it without a network lookup */
+const HEALTH_CHECK_CID = 'bafkqaaa';
+
+/** @type {number} Timeout for a gateway health test (ms) */
+const HEALTH_CHECK_TIMEOUT_MS = 10_000;
+
+/**
+ * @typedef {Object} GatewayScore
+ * @property {number|null} latency - Moving average latency of successful requests (ms)
+ * @property {number} successes - Successful requests (decayed)
+ * @property {number} failures - Failed requests (decayed)
+ * @property {number} updatedAt - Timestamp of the last update
+ */
+
+/**
+ * @typedef {Object} RaceFailure
+ * @property {string} gateway - Gateway that failed
+ * @property {string} error - Its error message
+ * @property {boolean} [tampered] - The gateway's bytes did not match the CID
+ */
+
+/**
+ * Returns the key a gateway is scored under. IPFS and IPNS paths on the
+ * same host share one score.
+ * @param {string} gateway - Gateway base URL
+ * @returns {string} Gateway origin
+ */
+function scoreKey(gateway) {
+    try {
+        return new URL(gateway).origin;
+    } catch {
+        return gateway;
+    }
+}
+
+/**
+ * Reads persisted gateway scores.
+ * @returns {Object<string, GatewayScore>} Scores keyed by gateway origin
+ */
+export function getGatewayScores() {
+    try {
+        const raw = localStorage.getItem(SCORE_STORAGE_KEY);
+        const parsed = raw ? JSON.parse(raw) : {};
+        return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Returns the persisted score of one gateway.
+ * @param {string} gateway - Gateway base URL
+ * @returns {GatewayScore|null} Score, or null if the gateway has no history
+ */
+export function getGatewayScore(gateway) {
+    return getGatewayScores()[scoreKey(gateway)] ?? null;
+}
+
+/**
+ * Persists gateway scores (silently skipped where storage is unavailable).
+ * @param {Object<string, GatewayScore>} scores - Scores to save
+ */
+function saveGatewayScores(scores) {
+    try {
+        localStorage.setItem(SCORE_STORAGE_KEY, JSON.stringify(scores));
+    } catch {
+        // Private mode / storage disabled — ranking just won't persist
+    }
+}
+
+/**
+ * Records the outcome of one gateway request.
+ * @param {string} gateway - Gateway base URL
+ * @param {boolean} success - Whether the request succeeded
+ * @param {number} latencyMs - Time taken (only used on success)
+ */
+export function recordGatewayResult(gateway, success, latencyMs) {
+    const scores = getGatewayScores();
+    const key = scoreKey(gateway);
+    const entry = scores[key] ?? { latency: null, successes: 0, failures: 0, updatedAt: 0 };
+
+    if (success) {
+        entry.latency = entry.latency === null
+            ? latencyMs
+            : Math.round(LATENCY_EWMA_ALPHA * latencyMs + (1 - LATENCY_EWMA_ALPHA) * entry.latency);
+        entry.successes += 1;
+    } else {
+        entry.failures += 1;
+    }
+    if (entry.successes + entry.failures > MAX_SAMPLES) {
+        entry.successes /= 2;
+        entry.failures /= 2;
+    }
+    entry.updatedAt = Date.now();
+
+    scores[key] = entry;
+    saveGatewayScores(scores);
+}
+
+/**
+ * Expected cost of a gateway: average latency plus a penalty scaled by
+ * how often it fails.
+ * @param {GatewayScore|undefined} entry - Persisted score
+ * @returns {number} Cost in ms (lower is better)
+ */
+function gatewayCost(entry) {
+    if (!entry) return UNKNOWN_LATENCY_MS;
+    const total = entry.successes + entry.failures;
+    const failureRate = total > 0 ? entry.failures / total : 0;
+    return (entry.latency ?? UNKNOWN_LATENCY_MS) + failureRate * FAILURE_PENALTY_MS;
+}
+
+/**
+ * Orders gateways by their persisted score. Ties keep the given order.
+ * @param {string[]} gateways - Gateway base URLs in configured order
+ * @returns {string[]} Gateways, best first
+ */
+export function rankGateways(gateways) {
+    const scores = getGatewayScores();
+    return gateways
+        .map((gateway, index) => ({ gateway, index, cost: gatewayCost(scores[scoreKey(gateway)]) }))
+        .sort((a, b) => a.cost - b.cost || a.index - b.index)
+        .map((g) => g.gateway);
+}
+
+/**
+ * Races an attempt across gateways. The best-ranked gateway starts first;
+ * the next one starts after RACE_STAGGER_MS or as soon as a running one
+ * fails. The first success wins and every other attempt is aborted.
+ * Cancelled losers are not scored. An attempt that reports `rejected`
+ * (the gateway answered, but the content itself was refused) ends the
+ * race too: every gateway serves the same content.
+ * @template {{ success: boolean, error?: string, rejected?: boolean }} T
+ * @param {string[]} gateways - Gateway base URLs
+ * @param {(gateway: string, signal: AbortSignal) => Promise<T>} attempt - Performs one request
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.externalSignal] - Aborts the whole race
+ * @param {number} [options.staggerMs] - Delay between launches
+ * @returns {Promise<(T & { gateway: string, latencyMs: number, failures: RaceFailure[] })|{ success: false, error: string, rejected?: boolean, failures: RaceFailure[] }>}
+ *   Winning result tagged with its gateway, or the collected failures
+ */
+export function raceGateways(gateways, attempt, { externalSignal = null, staggerMs = RACE_STAGGER_MS } = {}) {
+    const ranked = rankGateways(gateways);
+    if (ranked.length === 0) {
+        return Promise.resolve({ success: false, error: 'No gateways configured', failures: [] });
+    }
+    if (externalSignal?.aborted) {
+        return Promise.resolve({ success: false, error: 'Fetch aborted', failures: [] });
+    }
+
+    const controllers = ranked.map(() => new AbortController());
+    const failures = [];
+    let settled = false;
+    let nextIndex = 0;
+    let staggerTimer = null;
+
+    return new Promise((resolve) => {
+        const finish = (result, winner = null) => {
+            settled = true;
+            clearTimeout(staggerTimer);
+            // The winner's controller stays live: callers may still be reading its body
+            controllers.forEach((c) => { if (c !== winner) c.abort(); });
+            if (externalSignal) externalSignal.removeEventListener('abort', onExternalAbort);
+            resolve(result);
+        };
+
+        const onExternalAbort = () => {
+            if (!settled) finish({ success: false, error: 'Fetch aborted', failures });
+        };
+        if (externalSignal) externalSignal.addEventListener('abort', onExternalAbort);
+
+        const run = async (gateway, controller) => {
+            const started = Date.now();
+            const [result, err] = await safeAsync(attempt(gateway, controller.signal));
+            const latencyMs = Date.now() - started;
+            if (settled) return; // lost the race (or the scan was cancelled)
+
+            const outcome = err ? { success: false, error: err.message } : result;
+            recordGatewayResult(gateway, outcome.success || Boolean(outcome.rejected), latencyMs);
+
+            if (outcome.success) {
+                logInfo('Gateway race won', { gateway, latencyMs, cancelled: nextIndex - failures.length - 1 });
+                finish({ ...outcome, gateway, latencyMs, failures }, controller);
+                return;
+            }
+            if (outcome.rejected) {
+                failures.push({ gateway, error: outcome.error });
+                finish({ success: false, error: outcome.error, rejected: true, failures });
+                return;
+            }
+
+            failures.push({ gateway, error: outcome.error, ...(outcome.tampered ? { tampered: true } : {}) });
+            if (failures.length === ranked.length) {
+                finish({ success: false, error: 'All gateways failed', failures });
+            } else {
+                launch(); // don't wait out the stagger when a gateway has already failed
+            }
+        };
+
+        const launch = () => {
+            if (settled || nextIndex >= ranked.length) return;
+            const index = nextIndex++;
+            clearTimeout(staggerTimer);
+            if (nextIndex < ranked.length) staggerTimer = setTimeout(launch, staggerMs);
+            run(ranked[index], controllers[index]);
+        };
+
+        launch();
+    });
+}
+
+/**
+ * Health-tests a gateway by requesting a CID it can answer without any
+ * network lookups. The outcome is scored like a race result.
+ * @param {string} gateway - Gateway base URL ending in /ipfs/
+ * @returns {Promise<{ success: boolean, latencyMs: number, error?: string }>} Test outcome
+ */
+export async function testGateway(gateway) {
+    const started = Date.now();
+    const [response, err] = await safeAsync(
+        fetch(`${gateway}${HEALTH_CHECK_CID}`, {
+            method: 'GET',
+            signal: AbortSignal.timeout(HEALTH_CHECK_TIMEOUT_MS),
+        })
+    );
+    const latencyMs = Date.now() - started;
+    const success = !err && response.ok;
+    recordGatewayResult(gateway, success, latencyMs);
+
+    if (err) {
+        return {
+            success: false,
+            latencyMs,
+            error: err.name === 'TimeoutError' ? 'Timed out' : 'Unreachable (network or CORS error)',
+        };
+    }
+    if (!response.ok) {
+        return { success: false, latencyMs, error: `Gateway returned ${response.status}` };
+    }
+    return { success: true, latencyMs };
+}
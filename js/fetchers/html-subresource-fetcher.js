@@ -0,0 +1,128 @@
+/**
+ * @module html-subresource-fetcher
+ * @description Downloads the same-origin subresources of an HTML page —
+ * scripts, stylesheets, images, frames and media — so the page can be
+ * analyzed as a whole and previewed without network access. The page is
+ * parsed with DOMParser, which neither runs its scripts nor loads
+ * anything, and its references listed by html-subresources.js. Cross-origin references are listed but never requested; each
+ * same-origin URL goes through validateURL and the redirect follower like
+ * any other download, one at a time, under per-file and total size caps.
+ */
+
+import { validateURL } from '../validators/url-validator.js';
+import { listSubresources } from '../validators/html-subresources.js';
+import { fetchFollowingRedirects } from './redirect-follower.js';
+import { readBodyLimited } from '../utils/body-reader.js';
+import { logInfo } from '../utils/error-handler.js';
+
+/** @type {number} Most subresources downloaded for one page */
+const MAX_SUBRESOURCES = 30;
+
+/** @type {number} Largest single subresource (2 MB) */
+const MAX_SUBRESOURCE_BYTES = 2 * 1024 * 1024;
+
+/** @type {number} Largest total of all subresources of a page (10 MB) */
+const MAX_TOTAL_BYTES = 10 * 1024 * 1024;
+
+/** @type {number} Fetch timeout per subresource (ms) */
+const SUBRESOURCE_TIMEOUT_MS = 10_000;
+
+/**
+ * @typedef {Object} HtmlSubresource
+ * @property {string} url - Absolute URL
+ * @property {'script'|'style'|'image'|'frame'|'media'} type - What the page loads it as
+ * @property {'fetched'|'failed'|'skipped'} status - Outcome of the download
+ * @property {string} [contentType] - Content-Type it was served with
+ * @property {Uint8Array} [bytes] - Body (fetched only)
+ * @property {number} [size] - Body size in bytes (fetched only)
+ * @property {string} [error] - Why it failed or was skipped
+ */
+
+/**
+ * @typedef {Object} HtmlSubresourceBundle
+ * @property {import('../validators/html-subresources.js').HtmlSubresourceRef[]} refs - Every subresource reference in the page
+ * @property {HtmlSubresource[]} resources - Same-origin downloads, in page order
+ * @property {boolean} truncated - True when a count or size cap left some undownloaded
+ */
+
+/**
+ * Downloads one subresource under the size cap.
+ * @param {import('../validators/html-subresources.js').HtmlSubresourceRef} ref - Reference to download
+ * @param {number} maxBytes - Largest body accepted
+ * @param {AbortSignal|null} externalSignal - Optional abort signal
+ * @returns {Promise<HtmlSubresource>} Download outcome
+ */
+async function fetchSubresource(ref, maxBytes, externalSignal) {
+    const validation = validateURL(ref.url);
+    if (!validation.valid) {
+        return { url: ref.url, type: ref.type, status: 'skipped', error: validation.reason };
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), SUBRESOURCE_TIMEOUT_MS);
+    const abortListener = () => controller.abort();
+    externalSignal?.addEventListener('abort', abortListener);
+    try {
+        const opened = await fetchFollowingRedirects(validation.resolvedUrl, { method: 'GET', signal: controller.signal });
+        if (!opened.success) {
+            return { url: ref.url, type: ref.type, status: 'failed', error: opened.error || 'Request failed' };
+        }
+        if (!opened.response.ok) {
+            opened.response.body?.cancel().catch(() => {});
+            return { url: ref.url, type: ref.type, status: 'failed', error: `Server returned ${opened.response.status}` };
+        }
+        const read = await readBodyLimited(opened.response, maxBytes);
+        if (!read.success) {
+            return { url: ref.url, type: ref.type, status: 'failed', error: read.error };
+        }
+        return {
+            url: ref.url,
+            type: ref.type,
+            status: 'fetched',
+            contentType: opened.response.headers.get('content-type')?.split(';')[0].trim() ?? '',
+            bytes: read.bytes,
+            size: read.bytes.length,
+        };
+    } finally {
+        clearTimeout(timeoutId);
+        externalSignal?.removeEventListener('abort', abortListener);
+    }
+}
+
+/**
+ * Lists an HTML page's subresources and downloads the same-origin ones.
+ * @param {string} html - Page source
+ * @param {string|null} pageUrl - URL the page was listed under (null for inline pages, which have no origin)
+ * @param {Object} [options]
+ * @param {AbortSignal|null} [options.signal] - Optional abort signal
+ * @returns {Promise<HtmlSubresourceBundle>} References and downloads
+ */
+export async function fetchSameOriginSubresources(html, pageUrl, { signal = null } = {}) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const refs = listSubresources(doc, pageUrl);
+    const resources = [];
+    let attempted = 0;
+    let total = 0;
+    let truncated = false;
+
+    for (const ref of refs.filter((r) => r.sameOrigin)) {
+        if (signal?.aborted) break;
+        if (attempted >= MAX_SUBRESOURCES || total >= MAX_TOTAL_BYTES) {
+            resources.push({ url: ref.url, type: ref.type, status: 'skipped', error: 'Subresource limit reached' });
+            truncated = true;
+            continue;
+        }
+        attempted++;
+        const resource = await fetchSubresource(ref, Math.min(MAX_SUBRESOURCE_BYTES, MAX_TOTAL_BYTES - total), signal);
+        if (resource.status === 'fetched') total += resource.size;
+        resources.push(resource);
+    }
+
+    logInfo('HTML subresources fetched', {
+        pageUrl,
+        refs: refs.length,
+        fetched: resources.filter((r) => r.status === 'fetched').length,
+        bytes: total,
+    });
+    return { refs, resources, truncated };
+}
@@ -1,12 +1,22 @@
 /**
  * @module media-fetcher
- * @description Handles fetching and validating NFT media (images).
- * Validates the media URL, checks file type, and creates a safe
- * object URL for display — all before touching the DOM.
+ * @description Handles fetching and validating NFT media (images, MP4 /
+ * WebM video, MP3 / WAV / Ogg / FLAC / AAC audio, GLB / glTF models and
+ * HTML pages for interactive animation_url content). Validates the media
+ * URL, checks file type, reads the body under the VirusTotal size limit,
+ * and creates a safe object URL for display — all before touching the DOM.
  */
 
 import { validateURL } from '../validators/url-validator.js';
-import { logError, logInfo, safeAsync } from '../utils/error-handler.js';
+import { logError, logInfo } from '../utils/error-handler.js';
+import { parseDataUri } from '../utils/data-uri.js';
+import { getGateways, getIPNSGateways, extractCID } from '../utils/ipfs-utils.js';
+import { raceGateways } from './gateway-racer.js';
+import { fetchVerified } from './trustless-fetcher.js';
+import { fetchFollowingRedirects } from './redirect-follower.js';
+import { readBodyLimited } from '../utils/body-reader.js';
+import { sniffFileType } from '../utils/file-signature.js';
+import { cacheKeyFor, getCached, putCached, revalidationHeaders, readValidators } from '../utils/http-cache.js';
 
 /** @type {number} Fetch timeout for media downloads (ms) */
 const MEDIA_TIMEOUT_MS = 15_000;
@@ -29,33 +39,290 @@ const ALLOWED_IMAGE_TYPES = [
     'image/vnd.microsoft.icon',
 ];
 
+/** @type {string[]} Allowed video MIME types */
+const ALLOWED_VIDEO_TYPES = ['video/mp4', 'video/webm', 'video/x-m4v'];
+
+/** @type {string[]} Allowed audio MIME types */
+const ALLOWED_AUDIO_TYPES = [
+    'audio/mpeg',
+    'audio/mp3',
+    'audio/wav',
+    'audio/wave',
+    'audio/x-wav',
+    'audio/ogg',
+    'audio/flac',
+    'audio/x-flac',
+    'audio/aac',
+    'audio/x-aac',
+];
+
+/** @type {string[]} Allowed 3D model MIME types */
+const ALLOWED_MODEL_TYPES = ['model/gltf-binary', 'model/gltf+json'];
+
+/** @type {string[]} Allowed HTML MIME types (interactive animation_url pages; never rendered directly) */
+const ALLOWED_HTML_TYPES = ['text/html', 'application/xhtml+xml'];
+
+/** @type {string[]} Every MIME type fetchMedia accepts */
+const ALLOWED_MEDIA_TYPES = [...ALLOWED_IMAGE_TYPES, ...ALLOWED_VIDEO_TYPES, ...ALLOWED_AUDIO_TYPES, ...ALLOWED_MODEL_TYPES, ...ALLOWED_HTML_TYPES];
+
+/** @type {string[]} Signature categories handed on for validateFileType to refuse with its own reason */
+const EXECUTABLE_CATEGORIES = ['executable', 'script'];
+
 /** @type {number} Max file size in bytes (32 MB — VT limit) */
 const MAX_FILE_SIZE = 32 * 1024 * 1024;
 
+/** @type {number} Max decoded size of an inline data: URI image (5 MB) */
+const MAX_DATA_URI_SIZE = 5 * 1024 * 1024;
+
 /**
  * @typedef {Object} MediaResult
  * @property {boolean} success - Whether the media was fetched and validated
  * @property {string} [objectUrl] - Blob URL safe for use in <img src>
  * @property {string} [mimeType] - Detected MIME type
+ * @property {'image'|'video'|'audio'|'model'|'html'} [kind] - How the file is previewed and inspected
  * @property {number} [size] - File size in bytes
+ * @property {boolean} [fromDataUri] - True when decoded from an inline data: URI
+ * @property {string} [gateway] - IPFS gateway that served the file (IPFS/IPNS media only)
+ * @property {import('./trustless-fetcher.js').CIDVerification} [verification] - Whether the bytes were checked against the CID (IPFS/IPNS media only)
+ * @property {import('./redirect-follower.js').RedirectChain} [redirects] - Redirect hops of the download
+ * @property {import('../utils/http-cache.js').CacheHit} [fromCache] - Set when the file came from the HTTP cache
  * @property {string} [error] - Error message on failure
  */
 
 /**
- * Fetches and validates an image from a media URL.
+ * Tells how a media type is handled.
+ * @param {string} mimeType - MIME type of a fetched file
+ * @returns {'image'|'video'|'audio'|'model'|'html'} Media kind
+ */
+export function getMediaKind(mimeType) {
+    if (ALLOWED_VIDEO_TYPES.includes(mimeType)) return 'video';
+    if (ALLOWED_AUDIO_TYPES.includes(mimeType)) return 'audio';
+    if (ALLOWED_HTML_TYPES.includes(mimeType)) return 'html';
+    return ALLOWED_MODEL_TYPES.includes(mimeType) ? 'model' : 'image';
+}
+
+/**
+ * Fetches and validates an image, video, audio file, 3D model or HTML page from a media URL.
+ * IPFS media is first retrieved verified (trustless formats), then raced
+ * across all gateways unverified; other URLs are fetched directly.
  * Returns a blob object URL for safe DOM rendering.
+ *
+ * Files go through the HTTP cache the same way metadata does: CID-verified
+ * IPFS files are served from it, direct HTTPS files are revalidated.
  * @param {string} imageUrl - The resolved image URL to fetch
+ * @param {AbortSignal} [externalSignal] - Optional abort signal
+ * @param {Object} [options]
+ * @param {boolean} [options.bypassCache] - Neither read nor revalidate the cache (the result is still stored)
  * @returns {Promise<MediaResult>} Media fetch result
  */
-export async function fetchMedia(imageUrl, externalSignal = null) {
+export async function fetchMedia(imageUrl, externalSignal = null, { bypassCache = false } = {}) {
     // Validate the image URL through the same security checks
     const validation = validateURL(imageUrl);
     if (!validation.valid) {
         return { success: false, error: `Invalid media URL: ${validation.reason}` };
     }
 
+    const cacheKey = cacheKeyFor(validation.resolvedUrl);
+    const cached = cacheKey && !bypassCache ? await getCached(cacheKey.key) : null;
+    if (cached?.immutable) {
+        logInfo('Media served from cache', { url: imageUrl, key: cached.key });
+        return fromCachedMedia(cached, { storedAt: cached.storedAt, immutable: true, revalidated: false });
+    }
+
+    const result = await fetchMediaUncached(validation, externalSignal, revalidationHeaders(cached));
+    if (result.notModified) {
+        logInfo('Media revalidated from cache', { url: imageUrl, key: cached.key });
+        return { ...fromCachedMedia(cached, { storedAt: cached.storedAt, immutable: false, revalidated: true }), redirects: result.redirects };
+    }
+
+    if (cacheKey && result.success) {
+        await storeMedia(cacheKey, result);
+    }
+    const { validators, ...rest } = result;
+    return rest;
+}
+
+/**
+ * Builds a media result from a cache entry (with a fresh object URL).
+ * @param {import('../utils/http-cache.js').CacheEntry} cached - Cache entry
+ * @param {import('../utils/http-cache.js').CacheHit} fromCache - How it was served
+ * @returns {MediaResult} Media result
+ */
+function fromCachedMedia(cached, fromCache) {
+    const { blob, mimeType, verification } = cached.payload;
+    return {
+        success: true,
+        objectUrl: URL.createObjectURL(blob),
+        blob,
+        mimeType,
+        kind: getMediaKind(mimeType),
+        size: blob.size,
+        verification,
+        fromCache,
+    };
+}
+
+/**
+ * Stores a downloaded file in the HTTP cache when it qualifies (see
+ * storeMetadata in metadata-fetcher.js for the rules).
+ * @param {import('../utils/http-cache.js').CacheKey} cacheKey - Key for the URL
+ * @param {MediaResult & { validators?: Object }} result - Successful media result
+ */
+async function storeMedia(cacheKey, result) {
+    const payload = { blob: result.blob, mimeType: result.mimeType, verification: result.verification };
+    if (cacheKey.immutable) {
+        if (!result.verification?.verified) return;
+        await putCached({ key: cacheKey.key, kind: 'media', immutable: true, size: result.size, payload });
+        return;
+    }
+    const validators = result.validators;
+    if (!validators || validators.noStore || (!validators.etag && !validators.lastModified)) return;
+    await putCached({
+        key: cacheKey.key,
+        kind: 'media',
+        immutable: false,
+        etag: validators.etag,
+        lastModified: validators.lastModified,
+        size: result.size,
+        payload,
+    });
+}
+
+/**
+ * Builds the media result for bytes that were verified against their CID.
+ * Trustless responses carry no content type, so it is read from the file
+ * signature. A file no signature matches is typed like an untyped HTTP
+ * response, and executable content keeps its own type, so validateFileType
+ * judges the verified bytes; any other format is refused. Downloading the
+ * same CID again unverified would not change what it is.
+ * @param {import('./trustless-fetcher.js').VerifiedFetchResult} verified - Successful trustless fetch
+ * @returns {MediaResult} Media result
+ */
+function verifiedMediaResult(verified) {
+    const sniffed = sniffFileType(verified.bytes);
+    const passThrough = !sniffed ? 'image/unknown' : EXECUTABLE_CATEGORIES.includes(sniffed.category) ? sniffed.mimeType : null;
+    const mimeType = sniffMediaType(verified.bytes) ?? passThrough;
+    if (!mimeType) {
+        logInfo('Unsupported media signature', { gateway: verified.gateway, mimeType: sniffed.mimeType });
+        return { success: false, error: `Unsupported media type: ${sniffed.mimeType}`, verification: verified.verification };
+    }
+    const blob = new Blob([verified.bytes], { type: mimeType });
+    return {
+        success: true,
+        objectUrl: URL.createObjectURL(blob),
+        blob,
+        mimeType,
+        kind: getMediaKind(mimeType),
+        size: blob.size,
+        gateway: verified.gateway,
+        verification: verified.verification,
+    };
+}
+
+/**
+ * Downloads media without consulting the cache (see fetchMedia).
+ * @param {import('../validators/url-validator.js').ValidationResult} validation - Valid result for the media URL
+ * @param {AbortSignal|null} externalSignal - Optional abort signal
+ * @param {Object<string, string>|null} conditionalHeaders - Revalidation headers for a direct download
+ * @returns {Promise<MediaResult & { notModified?: boolean, validators?: Object }>} Media fetch result
+ */
+async function fetchMediaUncached(validation, externalSignal, conditionalHeaders) {
     const resolvedUrl = validation.resolvedUrl;
 
+    const gatewayPath = validation.ipns
+        ? `${validation.ipns.name}${validation.ipns.path}`
+        : validation.protocol === 'ipfs' ? extractCID(resolvedUrl) : null;
+
+    let verification;
+    if (validation.protocol === 'ipfs' && gatewayPath) {
+        const verified = await fetchVerified(gatewayPath, { maxBytes: MAX_FILE_SIZE, externalSignal });
+        if (verified.success) return verifiedMediaResult(verified);
+        if (verified.tampered) {
+            // Altered content is an attack, not an outage: never fall back to an unverified copy
+            return { success: false, error: verified.error, verification: verified.verification };
+        }
+        verification = { verified: false, reason: `Trustless retrieval failed (${verified.error})` };
+    } else if (validation.protocol === 'ipns') {
+        verification = { verified: false, reason: 'IPNS content is resolved by the gateway and cannot be checked against a CID' };
+    }
+
+    let opened;
+    if (gatewayPath) {
+        const gateways = validation.ipns ? getIPNSGateways() : getGateways();
+        opened = await raceGateways(
+            gateways,
+            (gateway, signal) => openMediaResponse(gateway + gatewayPath, signal),
+            { externalSignal }
+        );
+        if (!opened.success && opened.failures?.length) {
+            // Surface the first real error rather than the generic race summary
+            opened = { ...opened, error: opened.failures[0].error };
+        }
+    } else {
+        opened = await openMediaResponse(resolvedUrl, externalSignal, conditionalHeaders);
+        if (conditionalHeaders && !opened.success && !opened.blocked && !externalSignal?.aborted) {
+            // Conditional headers make the request non-simple (CORS preflight), which some hosts refuse
+            opened = await openMediaResponse(resolvedUrl, externalSignal);
+        }
+    }
+    if (!opened.success) {
+        return { success: false, error: opened.error, redirects: opened.redirects };
+    }
+    if (opened.notModified) {
+        return { success: true, notModified: true, redirects: opened.redirects };
+    }
+
+    const { response, contentType, redirects } = opened;
+
+    // The read is cancelled as soon as it passes the limit, whatever Content-Length said
+    const read = await readBodyLimited(response, MAX_FILE_SIZE);
+    if (!read.success) {
+        return {
+            success: false,
+            error: read.error.startsWith('Response too large') ? 'File too large. Max: 32 MB' : 'Failed to read media data',
+            redirects,
+        };
+    }
+
+    // An untyped response is typed from its signature
+    const mimeType = contentType || sniffMediaType(read.bytes) || 'image/unknown';
+    const blob = new Blob([read.bytes], { type: mimeType });
+    const objectUrl = URL.createObjectURL(blob);
+
+    return {
+        success: true,
+        objectUrl,
+        blob,
+        mimeType,
+        kind: getMediaKind(mimeType),
+        size: blob.size,
+        gateway: opened.gateway,
+        verification,
+        redirects,
+        validators: readValidators(response),
+    };
+}
+
+/**
+ * Identifies an allowed image, video, audio, model or HTML type from its leading bytes.
+ * @param {Uint8Array} bytes - File contents
+ * @returns {string|null} MIME type, or null if no allowed signature matches
+ */
+function sniffMediaType(bytes) {
+    const sniffed = sniffFileType(bytes);
+    return sniffed && ALLOWED_MEDIA_TYPES.includes(sniffed.mimeType) ? sniffed.mimeType : null;
+}
+
+/**
+ * Requests a media URL and checks everything that can be checked before
+ * the body is read: each redirect hop, status, declared size and type.
+ * @param {string} url - URL to request
+ * @param {AbortSignal} [externalSignal] - Optional abort signal
+ * @param {Object<string, string>|null} [conditionalHeaders] - If-None-Match / If-Modified-Since for revalidation
+ * @returns {Promise<{ success: boolean, response?: Response, contentType?: string, redirects?: import('./redirect-follower.js').RedirectChain, notModified?: boolean, blocked?: boolean, error?: string }>}
+ *   Open response (body unread), a 304 for a conditional request, or error
+ */
+async function openMediaResponse(url, externalSignal = null, conditionalHeaders = null) {
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), MEDIA_TIMEOUT_MS);
     let abortListener = null;
@@ -68,65 +335,80 @@ export async function fetchMedia(imageUrl, externalSignal = null) {
         externalSignal.addEventListener('abort', abortListener);
     }
 
-    const [response, fetchErr] = await safeAsync(
-        fetch(resolvedUrl, {
-            method: 'GET',
-            signal: controller.signal,
-        })
-    );
+    const opened = await fetchFollowingRedirects(url, {
+        method: 'GET',
+        ...(conditionalHeaders ? { headers: conditionalHeaders } : {}),
+        signal: controller.signal,
+    });
 
     clearTimeout(timeoutId);
     if (externalSignal && abortListener) externalSignal.removeEventListener('abort', abortListener);
 
-    if (fetchErr) {
+    const { response, redirects } = opened;
+    if (opened.blocked) {
+        return { success: false, blocked: true, error: `Media request was redirected to a blocked URL: ${redirects.blocked.reason}`, redirects };
+    }
+    if (!opened.success) {
         logError('MediaFetchError', 'Failed to download media', {
-            url: resolvedUrl,
-            error: fetchErr.message,
+            url,
+            error: opened.error,
         });
-        return { success: false, error: 'Could not download the media file' };
+        return { success: false, error: 'Could not download the media file', redirects };
+    }
+
+    if (response.status === 304 && conditionalHeaders) {
+        return { success: true, notModified: true, redirects };
     }
 
     if (!response.ok) {
-        return { success: false, error: `Media server returned ${response.status}` };
+        return { success: false, error: `Media server returned ${response.status}`, redirects };
     }
 
     // Check Content-Length before downloading full body
     const contentLength = parseInt(response.headers.get('content-length') ?? '0', 10);
     if (contentLength > MAX_FILE_SIZE) {
-        return { success: false, error: `File too large (${formatBytes(contentLength)}). Max: 32 MB` };
+        return { success: false, error: `File too large (${formatBytes(contentLength)}). Max: 32 MB`, redirects };
     }
 
     // Check content type
     const contentType = response.headers.get('content-type')?.split(';')[0].trim() ?? '';
-    if (contentType && !ALLOWED_IMAGE_TYPES.includes(contentType)) {
-        logInfo('Non-image content type', { url: resolvedUrl, contentType });
-        return { success: false, error: `Unsupported media type: ${contentType}` };
-    }
-
-    const [blob, blobErr] = await safeAsync(response.blob());
-    if (blobErr) {
-        return { success: false, error: 'Failed to read media data' };
+    if (contentType && !ALLOWED_MEDIA_TYPES.includes(contentType)) {
+        logInfo('Unsupported media content type', { url, contentType });
+        return { success: false, error: `Unsupported media type: ${contentType}`, redirects };
     }
 
-    // Verify actual size after download
-    if (blob.size > MAX_FILE_SIZE) {
-        return { success: false, error: `File too large (${formatBytes(blob.size)}). Max: 32 MB` };
-    }
+    return { success: true, response, contentType, redirects };
+}
 
-    // Verify MIME type from blob
-    const mimeType = blob.type || contentType;
-    if (mimeType && !ALLOWED_IMAGE_TYPES.includes(mimeType)) {
-        return { success: false, error: `Unsupported media type: ${mimeType}` };
+/**
+ * Decodes an inline data: URI image, video, audio file, model or HTML page into an in-memory blob.
+ * The data URI itself is never given to the DOM; callers get the same
+ * blob/object-URL shape as fetchMedia so the rest of the pipeline
+ * (preview, file scan) does not need to know where the bytes came from.
+ * @param {string} dataUri - data:image/...;base64,... URI
+ * @returns {MediaResult} Media result
+ */
+export function decodeMediaDataUri(dataUri) {
+    const parsed = parseDataUri(dataUri, {
+        maxBytes: MAX_DATA_URI_SIZE,
+        allowedTypes: ALLOWED_MEDIA_TYPES,
+    });
+    if (!parsed.success) {
+        logInfo('Data URI media rejected', { mimeType: parsed.mimeType, error: parsed.error });
+        return { success: false, error: parsed.error };
     }
 
+    const blob = new Blob([parsed.bytes], { type: parsed.mimeType });
     const objectUrl = URL.createObjectURL(blob);
 
     return {
         success: true,
         objectUrl,
         blob,
-        mimeType: mimeType || 'image/unknown',
+        mimeType: parsed.mimeType,
+        kind: getMediaKind(parsed.mimeType),
         size: blob.size,
+        fromDataUri: true,
     };
 }
 
@@ -1,26 +1,70 @@
 /**
  * @module metadata-fetcher
  * @description Fetches NFT metadata JSON from validated URLs.
- * Handles CORS issues with proxy fallback, enforces timeouts,
- * and validates response content-type before parsing.
+ * Handles CORS issues with proxy fallback, enforces timeouts, reads
+ * bodies under a byte cap, decodes them by charset, and applies a
+ * content-type policy (accept JSON, warn on other text, reject binary
+ * types) before anything is parsed.
  */
 
-import { logError, logInfo, safeAsync } from '../utils/error-handler.js';
+import { logError, logInfo } from '../utils/error-handler.js';
 
-import { getGateways } from '../utils/ipfs-utils.js';
+import { getGateways, getIPNSGateways, parseIPNSUrl } from '../utils/ipfs-utils.js';
+import { raceGateways } from './gateway-racer.js';
+import { fetchVerified } from './trustless-fetcher.js';
+import { fetchViaProxy } from './cors-proxy.js';
+import { crossCheckProxyResult } from './proxy-crosscheck.js';
+import { fetchFollowingRedirects } from './redirect-follower.js';
+import { cacheKeyFor, getCached, putCached, revalidationHeaders, readValidators } from '../utils/http-cache.js';
+import { getProxies } from '../utils/proxy-config.js';
+import { isLocalNodeUrl } from '../utils/gateway-config.js';
+import { readBodyLimited, decodeBody, parseContentType } from '../utils/body-reader.js';
+import { parseDataUri, dataUriToText } from '../utils/data-uri.js';
+import {
+    parseArweaveUrl,
+    isValidTxId,
+    isPathManifest,
+    resolveManifestPath,
+    buildArweaveGatewayUrl,
+    getArweaveGateways,
+} from '../utils/arweave-utils.js';
 
 /** @type {number} Fetch timeout in milliseconds */
 const FETCH_TIMEOUT_MS = 10_000;
 
-/** @type {number} CORS proxy timeout (longer for proxy services) */
-const PROXY_TIMEOUT_MS = 15_000;
+/** @type {number} Default max size of a fetched metadata document (5 MB) */
+const MAX_METADATA_SIZE = 5 * 1024 * 1024;
 
-/** @type {string[]} CORS proxy URLs for fallback */
-const CORS_PROXY_URLS = [
-    'https://api.allorigins.win/get?url=',
-    'https://corsproxy.org/?',
+/** @type {string[]} Media types accepted as JSON without comment (plus any application/*+json) */
+const JSON_MEDIA_TYPES = ['application/json', 'text/json'];
+
+/** @type {string[]} Media type prefixes that cannot be a metadata document */
+const REJECTED_MEDIA_PREFIXES = ['image/', 'audio/', 'video/', 'font/', 'model/', 'multipart/'];
+
+/** @type {string[]} Binary application types that cannot be a metadata document */
+const REJECTED_MEDIA_TYPES = [
+    'application/pdf',
+    'application/zip',
+    'application/gzip',
+    'application/x-gzip',
+    'application/x-tar',
+    'application/x-7z-compressed',
+    'application/vnd.rar',
+    'application/wasm',
+    'application/java-archive',
+    'application/vnd.android.package-archive',
+    'application/x-msdownload',
+    'application/x-executable',
+    'application/x-mach-binary',
+    'application/x-elf',
 ];
 
+/** @type {number} Max decoded size of an inline data: URI metadata document (1 MB) */
+const MAX_DATA_URI_METADATA_SIZE = 1024 * 1024;
+
+/** @type {string[]} Media types accepted for inline metadata documents */
+const DATA_URI_METADATA_TYPES = ['application/json', 'text/json', 'text/plain'];
+
 /**
  * @typedef {Object} FetchResult
  * @property {boolean} success - Whether the fetch succeeded
@@ -28,15 +72,154 @@ const CORS_PROXY_URLS = [
  * @property {string} [contentType] - Response content-type header
  * @property {string} [error] - Error message if fetch failed
  * @property {boolean} [usedProxy] - Whether CORS proxy was used
+ * @property {string} [proxy] - Name of the proxy that served the document (when usedProxy)
+ * @property {string} [proxyTarget] - URL the proxy was asked for (when usedProxy)
+ * @property {import('./proxy-crosscheck.js').CrossCheck} [crossCheck] - Comparison with a second route (when usedProxy)
+ * @property {ArweaveResolution} [arweave] - How an Arweave URL was resolved
+ * @property {IPNSResolution} [ipns] - Which IPNS name was fetched and what it pointed to
+ * @property {string|null} [ipfsRoots] - X-Ipfs-Roots header from an IPFS gateway, if exposed
+ * @property {string} [gateway] - IPFS gateway that won the race (IPFS/IPNS URLs only)
+ * @property {number} [latencyMs] - How long the winning gateway took
+ * @property {import('./trustless-fetcher.js').CIDVerification} [verification] - Whether the bytes were checked against the CID (IPFS/IPNS only)
+ * @property {DataUriInfo} [dataUri] - Set when the metadata was decoded from a data: URI
+ * @property {BodyInfo} [body] - How the body was read and decoded (fetched documents only)
+ * @property {boolean} [rejected] - The server answered but the body was refused (too large or a non-JSON type)
+ * @property {import('./redirect-follower.js').RedirectChain} [redirects] - Redirect hops of a direct fetch
+ * @property {import('../utils/http-cache.js').CacheHit} [fromCache] - Set when the document came from the HTTP cache
+ * @property {boolean} [notModified] - Internal: a conditional request was answered 304
+ * @property {{ etag: string|null, lastModified: string|null, noStore: boolean }} [validators] - Internal: caching headers of a direct fetch
+ */
+
+/**
+ * @typedef {Object} BodyInfo
+ * @property {number} size - Body size in bytes (after content decoding)
+ * @property {number} maxBytes - Byte cap the body was read under
+ * @property {string} mimeType - Media type from Content-Type ('' if none was sent)
+ * @property {'accept'|'warn'|'reject'} policy - Content-type policy outcome
+ * @property {string} [policyReason] - Why the type was warned about or rejected
+ * @property {string} charset - Encoding the body was decoded with
+ * @property {'bom'|'header'|'sniffed'|'default'|'proxy'} charsetSource - Where the encoding came from
+ * @property {boolean} bomStripped - Whether a byte order mark was removed
+ * @property {boolean} malformed - Whether invalid byte sequences were replaced
+ * @property {string} [ignoredCharset] - Header charset that was unknown or overridden by a BOM
+ */
+
+/**
+ * @typedef {Object} IPNSResolution
+ * @property {string} name - IPNS name (key or DNSLink domain)
+ * @property {'key'|'dnslink'} type - Kind of IPNS name
+ * @property {string} path - Path requested under the name ('' if none)
+ * @property {string} gateway - Gateway that served the content
+ * @property {string|null} resolvedCid - Root CID the name pointed to at fetch time (when the gateway exposes it)
+ */
+
+/**
+ * @typedef {Object} DataUriInfo
+ * @property {string} mimeType - Declared media type
+ * @property {boolean} isBase64 - Whether the payload was base64-encoded
+ * @property {number} size - Decoded size in bytes
+ * @property {Uint8Array} bytes - Decoded payload (for file scanning)
+ */
+
+/**
+ * @typedef {Object} ArweaveResolution
+ * @property {boolean} success - Whether the URL could be resolved
+ * @property {string} [url] - Gateway URL pointing at the resolved content
+ * @property {string} [txId] - Transaction ID that holds the content
+ * @property {string} [path] - Path requested inside the manifest ('' if none)
+ * @property {string|null} [manifestTxId] - Manifest transaction ID when a path was resolved through it
+ * @property {string} [error] - Error message if resolution failed
  */
 
 /**
  * Fetches metadata JSON from a URL, with CORS proxy fallback.
- * For IPFS URLs, tries all available gateways first; falls back to CORS proxies on failure.
+ * For IPFS URLs, tries verified (trustless) retrieval first, then races all
+ * available gateways unverified; falls back to CORS proxies on failure.
+ * Arweave URLs are resolved (including manifest paths) and fetched the same way.
+ *
+ * Results go through the HTTP cache: CID-verified IPFS documents are
+ * served from it without a request, direct HTTPS documents are revalidated
+ * with If-None-Match / If-Modified-Since. Arweave, IPNS and proxied
+ * documents are not cached.
  * @param {string} url - The resolved HTTPS URL to fetch metadata from
+ * @param {AbortSignal} [externalSignal] - Optional abort signal
+ * @param {Object} [options]
+ * @param {number} [options.maxBytes] - Largest document accepted (default 5 MB)
+ * @param {boolean} [options.bypassCache] - Neither read nor revalidate the cache (the result is still stored)
  * @returns {Promise<FetchResult>} Fetch result with raw text or error
  */
-export async function fetchMetadataJSON(url, externalSignal = null) {
+export async function fetchMetadataJSON(url, externalSignal = null, { maxBytes = MAX_METADATA_SIZE, bypassCache = false } = {}) {
+    const cacheKey = parseArweaveUrl(url) ? null : cacheKeyFor(url);
+    const cached = cacheKey && !bypassCache ? await getCached(cacheKey.key) : null;
+    if (cached?.immutable) {
+        logInfo('Metadata served from cache', { url, key: cached.key });
+        return { success: true, ...cached.payload, fromCache: { storedAt: cached.storedAt, immutable: true, revalidated: false } };
+    }
+
+    const result = await fetchMetadataUncached(url, externalSignal, maxBytes, revalidationHeaders(cached));
+    if (result.notModified) {
+        logInfo('Metadata revalidated from cache', { url, key: cached.key });
+        return {
+            success: true,
+            ...cached.payload,
+            redirects: result.redirects,
+            fromCache: { storedAt: cached.storedAt, immutable: false, revalidated: true },
+        };
+    }
+
+    if (cacheKey && result.success) {
+        await storeMetadata(cacheKey, result);
+    }
+    const { validators, ...rest } = result;
+    return rest;
+}
+
+/**
+ * Stores a fetched document in the HTTP cache when it qualifies: IPFS
+ * documents only once verified against their CID (unverified bytes would
+ * otherwise stick under an immutable key), HTTPS documents only when
+ * fetched directly with a validator to revalidate them by.
+ * @param {import('../utils/http-cache.js').CacheKey} cacheKey - Key for the URL
+ * @param {FetchResult} result - Successful fetch result
+ */
+async function storeMetadata(cacheKey, result) {
+    const payload = { text: result.text, contentType: result.contentType, body: result.body, verification: result.verification };
+    const size = result.body?.size ?? result.text.length;
+    if (cacheKey.immutable) {
+        if (!result.verification?.verified) return;
+        await putCached({ key: cacheKey.key, kind: 'metadata', immutable: true, size, payload });
+        return;
+    }
+    const validators = result.validators;
+    if (result.usedProxy || !validators || validators.noStore || (!validators.etag && !validators.lastModified)) return;
+    await putCached({
+        key: cacheKey.key,
+        kind: 'metadata',
+        immutable: false,
+        etag: validators.etag,
+        lastModified: validators.lastModified,
+        size,
+        payload,
+    });
+}
+
+/**
+ * Fetches metadata without consulting the cache (see fetchMetadataJSON).
+ * @param {string} url - The resolved HTTPS URL to fetch metadata from
+ * @param {AbortSignal|null} externalSignal - Optional abort signal
+ * @param {number} maxBytes - Largest document accepted
+ * @param {Object<string, string>|null} conditionalHeaders - Revalidation headers for a direct fetch
+ * @returns {Promise<FetchResult>} Fetch result with raw text or error
+ */
+async function fetchMetadataUncached(url, externalSignal, maxBytes, conditionalHeaders) {
+    if (parseArweaveUrl(url)) {
+        return fetchFromArweave(url, externalSignal, maxBytes);
+    }
+
+    if (parseIPNSUrl(url)) {
+        return fetchFromIPNS(url, externalSignal, maxBytes);
+    }
+
     const gateways = getGateways();
     const isIPFSGateway = gateways.some(gateway => url.startsWith(gateway));
     
@@ -50,79 +233,325 @@ export async function fetchMetadataJSON(url, externalSignal = null) {
             };
         }
         const cidPath = url.slice(ipfsIndex + 6); // Everything after '/ipfs/'
-        
-        // Try each IPFS gateway in order
-            for (const gateway of gateways) {
-                const gatewayUrl = gateway + cidPath;
-                const result = await attemptFetch(gatewayUrl, externalSignal);
-            if (result.success) {
-                return result;
-            }
-            logInfo('IPFS gateway failed, trying next', { gateway, cidPath, error: result.error });
+
+        // Verified retrieval: the bytes are hashed against the CID
+        const verified = await fetchVerified(cidPath, { maxBytes, externalSignal });
+        if (verified.success) {
+            // Trustless responses carry no content type of the file itself
+            const decoded = decodeBody(verified.bytes);
+            return {
+                success: true,
+                text: decoded.text,
+                contentType: 'application/json',
+                body: describeBody(verified.bytes.length, maxBytes, '', decoded, {
+                    policy: 'accept',
+                    policyReason: 'Verified IPFS content has no Content-Type; parsed as JSON',
+                }),
+                gateway: verified.gateway,
+                latencyMs: verified.latencyMs,
+                verification: verified.verification,
+            };
         }
-        
+        if (verified.tampered) {
+            // Altered content is an attack, not an outage: never fall back to an unverified copy
+            return { success: false, error: verified.error, verification: verified.verification };
+        }
+        if (externalSignal?.aborted) {
+            return { success: false, error: 'Fetch aborted' };
+        }
+        const unverified = { verified: false, reason: `Trustless retrieval failed (${verified.error})` };
+
+        // Race the gateways; the fastest healthy one wins
+        const raced = await raceGateways(
+            gateways,
+            (gateway, signal) => attemptFetch(gateway + cidPath, signal, maxBytes),
+            { externalSignal }
+        );
+        if (raced.success) {
+            return { ...raced, verification: unverified };
+        }
+        if (raced.rejected) {
+            return { success: false, error: raced.error, rejected: true };
+        }
+        logInfo('IPFS gateway race failed', { cidPath, failures: raced.failures });
+        if (externalSignal?.aborted) {
+            return { success: false, error: 'Fetch aborted' };
+        }
+
         // All gateways failed - try CORS proxies with the last gateway URL
         const proxyTargetUrl = gateways[gateways.length - 1] + cidPath;
         logInfo('All IPFS gateways failed, trying CORS proxies', { proxyTargetUrl });
         
-        for (const proxyBaseUrl of CORS_PROXY_URLS) {
-            const proxyResult = await attemptFetchViaProxy(proxyTargetUrl, proxyBaseUrl, externalSignal);
-            if (proxyResult.success) {
-                return { ...proxyResult, usedProxy: true };
-            }
-            logInfo('Proxy failed, trying next one', { proxyBaseUrl, error: proxyResult.error });
+        const proxyResult = await attemptFetchViaProxies(proxyTargetUrl, externalSignal, maxBytes, alternateProxyTargets(gateways, cidPath));
+        if (proxyResult.success || proxyResult.rejected) {
+            return { ...proxyResult, verification: unverified };
         }
-        
+
         // All attempts failed
         logError('FetchError', 'All IPFS gateway and proxy attempts failed', {
             url,
             cidPath,
-            gatewayErrors: 'All gateways failed',
-            proxyErrors: 'All proxies failed',
+            gatewayErrors: raced.failures,
+            proxyErrors: proxyResult.error,
         });
-        
+
         return {
             success: false,
-            error: 'Could not fetch metadata from any IPFS gateway. The content may be unavailable, all gateways may be down, or CORS restrictions are blocking access.',
+            error: `Could not fetch metadata from any IPFS gateway. The content may be unavailable, all gateways may be down, or CORS restrictions are blocking access.${proxyHint()}`,
         };
     } else {
         // Non-IPFS URL: use existing logic
-        const directResult = await attemptFetch(url, externalSignal);
-        if (directResult.success) {
+        let directResult = await attemptFetch(url, externalSignal, maxBytes, conditionalHeaders);
+        if (conditionalHeaders && !directResult.success && !directResult.rejected && !directResult.redirects?.blocked && !externalSignal?.aborted) {
+            // Conditional headers make the request non-simple (CORS preflight), which some hosts refuse
+            directResult = await attemptFetch(url, externalSignal, maxBytes);
+        }
+        // A refused redirect hop is not retried through a proxy, which would follow it blindly
+        if (directResult.success || directResult.rejected || directResult.redirects?.blocked) {
             return directResult;
         }
 
         // Attempt 2+: CORS proxy fallbacks
         logInfo('Direct fetch failed, trying CORS proxies', { url, error: directResult.error });
 
-        for (const proxyBaseUrl of CORS_PROXY_URLS) {
-            const proxyResult = await attemptFetchViaProxy(url, proxyBaseUrl, externalSignal);
-            if (proxyResult.success) {
-                return { ...proxyResult, usedProxy: true };
-            }
-            logInfo('Proxy failed, trying next one', { proxyBaseUrl, error: proxyResult.error });
+        const proxyResult = await attemptFetchViaProxies(url, externalSignal, maxBytes);
+        if (proxyResult.success || proxyResult.rejected) {
+            return proxyResult;
         }
 
         // All attempts failed
         logError('FetchError', 'All fetch attempts failed', {
             url,
             directError: directResult.error,
-            proxyErrors: 'All proxies failed',
+            proxyErrors: proxyResult.error,
         });
 
         return {
             success: false,
-            error: 'Could not fetch metadata. The server may be unreachable, blocking requests, or all proxy services are unavailable.',
+            error: `Could not fetch metadata. The server may be unreachable, blocking requests, or all proxy services are unavailable.${proxyHint()}`,
         };
     }
 }
 
 /**
- * Attempts a direct fetch with timeout and content-type validation.
+ * Decodes on-chain metadata returned as a data: URI
+ * (e.g. data:application/json;base64,...). Nothing is fetched; the
+ * result has the same shape as fetchMetadataJSON so it can go straight
+ * to parseMetadata.
+ * @param {string} dataUri - data: URI holding the metadata document
+ * @returns {FetchResult} Decoded text or error
+ */
+export function decodeMetadataDataUri(dataUri) {
+    const parsed = parseDataUri(dataUri, {
+        maxBytes: MAX_DATA_URI_METADATA_SIZE,
+        allowedTypes: DATA_URI_METADATA_TYPES,
+    });
+    if (!parsed.success) {
+        logInfo('Data URI metadata rejected', { mimeType: parsed.mimeType, error: parsed.error });
+        return { success: false, error: parsed.error };
+    }
+
+    return {
+        success: true,
+        text: dataUriToText(parsed),
+        contentType: parsed.mimeType,
+        dataUri: {
+            mimeType: parsed.mimeType,
+            isBase64: parsed.isBase64,
+            size: parsed.size,
+            bytes: parsed.bytes,
+        },
+    };
+}
+
+/**
+ * Resolves an Arweave URL to a gateway URL for the transaction that holds
+ * the content. When the URL carries a path, the transaction is read raw
+ * from the gateways and, if it is a path manifest, the path is looked up
+ * in it. If no manifest can be read the path URL is returned unchanged so
+ * the gateway can resolve it natively.
+ * @param {string} url - ar:// or Arweave gateway URL
+ * @param {AbortSignal} [externalSignal] - Optional abort signal
+ * @returns {Promise<ArweaveResolution>} Resolution result
+ */
+export async function resolveArweaveUrl(url, externalSignal = null) {
+    const parts = parseArweaveUrl(url);
+    if (!parts || !isValidTxId(parts.txId)) {
+        return { success: false, error: 'Invalid Arweave URL: malformed transaction ID' };
+    }
+
+    const [defaultGateway] = getArweaveGateways();
+    if (!parts.path) {
+        return {
+            success: true,
+            url: buildArweaveGatewayUrl(defaultGateway, parts.txId),
+            txId: parts.txId,
+            path: '',
+            manifestTxId: null,
+        };
+    }
+
+    for (const gateway of getArweaveGateways()) {
+        const rawResult = await attemptFetch(`${gateway}raw/${parts.txId}`, externalSignal);
+        if (!rawResult.success) {
+            logInfo('Arweave manifest read failed, trying next gateway', { gateway, txId: parts.txId, error: rawResult.error });
+            continue;
+        }
+
+        let manifest = null;
+        try {
+            manifest = JSON.parse(rawResult.text);
+        } catch {
+            manifest = null;
+        }
+        if (!isPathManifest(manifest)) {
+            // Plain transaction with a trailing path — leave it to the gateway
+            break;
+        }
+
+        const resolvedTxId = resolveManifestPath(manifest, parts.path);
+        if (!resolvedTxId) {
+            return { success: false, error: `Path "${parts.path}" is not listed in the Arweave manifest` };
+        }
+
+        logInfo('Resolved Arweave manifest path', { manifestTxId: parts.txId, path: parts.path, txId: resolvedTxId });
+        return {
+            success: true,
+            url: buildArweaveGatewayUrl(gateway, resolvedTxId),
+            txId: resolvedTxId,
+            path: parts.path,
+            manifestTxId: parts.txId,
+        };
+    }
+
+    return {
+        success: true,
+        url: buildArweaveGatewayUrl(defaultGateway, parts.txId, parts.path),
+        txId: parts.txId,
+        path: parts.path,
+        manifestTxId: null,
+    };
+}
+
+/**
+ * Fetches metadata from Arweave: resolves manifest paths, tries every
+ * Arweave gateway in order, then falls back to CORS proxies.
+ * @param {string} url - ar:// or Arweave gateway URL
+ * @param {AbortSignal} [externalSignal] - Optional abort signal
+ * @param {number} [maxBytes] - Largest document accepted
+ * @returns {Promise<FetchResult>} Fetch result
+ */
+async function fetchFromArweave(url, externalSignal = null, maxBytes = MAX_METADATA_SIZE) {
+    const resolution = await resolveArweaveUrl(url, externalSignal);
+    if (!resolution.success) {
+        return { success: false, error: resolution.error };
+    }
+
+    // A manifest-resolved transaction is fetched directly; an unresolved
+    // path is left for each gateway to resolve on its own.
+    const path = resolution.manifestTxId ? '' : resolution.path;
+    const gateways = getArweaveGateways();
+
+    for (const gateway of gateways) {
+        const gatewayUrl = buildArweaveGatewayUrl(gateway, resolution.txId, path);
+        const result = await attemptFetch(gatewayUrl, externalSignal, maxBytes);
+        if (result.success) {
+            return { ...result, arweave: resolution };
+        }
+        if (result.rejected) {
+            return result;
+        }
+        logInfo('Arweave gateway failed, trying next', { gateway, txId: resolution.txId, error: result.error });
+    }
+
+    const proxyTargetUrl = buildArweaveGatewayUrl(gateways[0], resolution.txId, path);
+    logInfo('All Arweave gateways failed, trying CORS proxies', { proxyTargetUrl });
+
+    const alternates = gateways.slice(1).map((gateway) => buildArweaveGatewayUrl(gateway, resolution.txId, path));
+    const proxyResult = await attemptFetchViaProxies(proxyTargetUrl, externalSignal, maxBytes, alternates);
+    if (proxyResult.success || proxyResult.rejected) {
+        return { ...proxyResult, arweave: resolution };
+    }
+
+    logError('FetchError', 'All Arweave gateway and proxy attempts failed', { url, txId: resolution.txId, proxyErrors: proxyResult.error });
+
+    return {
+        success: false,
+        error: `Could not fetch metadata from any Arweave gateway. The transaction may not be confirmed yet, all gateways may be down, or CORS restrictions are blocking access.${proxyHint()}`,
+    };
+}
+
+/**
+ * Fetches metadata behind an IPNS name: the gateways are raced (each one
+ * resolves the name itself), then CORS proxies are tried. The root CID reported by the
+ * gateway is kept so the UI can show what the name pointed to when scanned.
+ * @param {string} url - ipns:// or gateway /ipns/ URL
+ * @param {AbortSignal} [externalSignal] - Optional abort signal
+ * @param {number} [maxBytes] - Largest document accepted
+ * @returns {Promise<FetchResult>} Fetch result
+ */
+async function fetchFromIPNS(url, externalSignal = null, maxBytes = MAX_METADATA_SIZE) {
+    const parts = parseIPNSUrl(url);
+    if (!parts || !parts.type) {
+        return { success: false, error: 'Invalid IPNS URL: malformed name' };
+    }
+
+    const gateways = getIPNSGateways();
+    // The name → CID mapping is resolved by the gateway, so there is no CID to check against
+    const verification = { verified: false, reason: 'IPNS content is resolved by the gateway and cannot be checked against a CID' };
+    const describe = (gateway, result) => ({
+        name: parts.name,
+        type: parts.type,
+        path: parts.path,
+        gateway,
+        resolvedCid: result.ipfsRoots ? result.ipfsRoots.split(',')[0].trim() : null,
+    });
+
+    const raced = await raceGateways(
+        gateways,
+        (gateway, signal) => attemptFetch(`${gateway}${parts.name}${parts.path}`, signal, maxBytes),
+        { externalSignal }
+    );
+    if (raced.success) {
+        return { ...raced, ipns: describe(raced.gateway, raced), verification };
+    }
+    if (raced.rejected) {
+        return { success: false, error: raced.error, rejected: true };
+    }
+    logInfo('IPNS gateway race failed', { name: parts.name, failures: raced.failures });
+    if (externalSignal?.aborted) {
+        return { success: false, error: 'Fetch aborted' };
+    }
+
+    // The last gateway is always a public one (a local node is listed first)
+    const proxyGateway = gateways[gateways.length - 1];
+    const proxyTargetUrl = `${proxyGateway}${parts.name}${parts.path}`;
+    logInfo('All IPNS gateways failed, trying CORS proxies', { proxyTargetUrl });
+
+    const proxyResult = await attemptFetchViaProxies(proxyTargetUrl, externalSignal, maxBytes, alternateProxyTargets(gateways, `${parts.name}${parts.path}`));
+    if (proxyResult.success || proxyResult.rejected) {
+        return { ...proxyResult, ipns: describe(proxyGateway, proxyResult), verification };
+    }
+
+    logError('FetchError', 'All IPNS gateway and proxy attempts failed', { url, name: parts.name, proxyErrors: proxyResult.error });
+
+    return {
+        success: false,
+        error: `Could not resolve the IPNS name on any gateway. The record may have expired, not be published yet, or CORS restrictions are blocking access.${proxyHint()}`,
+    };
+}
+
+/**
+ * Attempts a direct fetch of a URL. Redirects are followed hop by hop and
+ * each hop is validated; the content-type policy is applied before the
+ * body is read, and the body is read under the byte cap.
  * @param {string} url - URL to fetch
+ * @param {AbortSignal} [externalSignal] - Optional abort signal
+ * @param {number} [maxBytes] - Largest body accepted
+ * @param {Object<string, string>|null} [conditionalHeaders] - If-None-Match / If-Modified-Since for revalidation
  * @returns {Promise<FetchResult>} Fetch result
  */
-async function attemptFetch(url, externalSignal = null) {
+async function attemptFetch(url, externalSignal = null, maxBytes = MAX_METADATA_SIZE, conditionalHeaders = null) {
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
     let abortListener = null;
@@ -135,127 +564,171 @@ async function attemptFetch(url, externalSignal = null) {
         externalSignal.addEventListener('abort', abortListener);
     }
 
-    const [response, err] = await safeAsync(
-        fetch(url, {
-            method: 'GET',
-            headers: { 'Accept': 'application/json' },
-            signal: controller.signal,
-        })
-    );
+    const opened = await fetchFollowingRedirects(url, {
+        method: 'GET',
+        headers: { 'Accept': 'application/json', ...conditionalHeaders },
+        signal: controller.signal,
+    });
+    const { response, redirects } = opened;
 
-    clearTimeout(timeoutId);
-    if (externalSignal && abortListener) externalSignal.removeEventListener('abort', abortListener);
+    // The timeout keeps running until the body has been read
+    const cleanup = () => {
+        clearTimeout(timeoutId);
+        if (externalSignal && abortListener) externalSignal.removeEventListener('abort', abortListener);
+    };
 
-    if (err) {
-        return { success: false, error: err.message };
+    if (!opened.success) {
+        cleanup();
+        return { success: false, error: opened.error, redirects };
+    }
+
+    if (response.status === 304 && conditionalHeaders) {
+        cleanup();
+        return { success: true, notModified: true, redirects };
     }
 
     if (!response.ok) {
-        return { success: false, error: `HTTP ${response.status}: ${response.statusText}` };
+        cleanup();
+        response.body?.cancel().catch(() => {});
+        return { success: false, error: `HTTP ${response.status}: ${response.statusText}`, redirects };
     }
 
     const contentType = response.headers.get('content-type') ?? '';
+    const ipfsRoots = response.headers.get('x-ipfs-roots');
+    const { mimeType } = parseContentType(contentType);
+    const typeCheck = checkContentType(mimeType);
+    if (typeCheck.policy === 'reject') {
+        cleanup();
+        response.body?.cancel().catch(() => {});
+        logInfo('Metadata response rejected by content-type policy', { url, mimeType });
+        return { success: false, error: typeCheck.policyReason, rejected: true, redirects };
+    }
 
-    const [text, textErr] = await safeAsync(response.text());
-    if (textErr) {
-        return { success: false, error: 'Failed to read response body' };
+    const read = await readBodyLimited(response, maxBytes);
+    cleanup();
+    if (!read.success) {
+        // Only the size cap is a verdict on the content; read errors may be transient
+        return { success: false, error: read.error, rejected: read.error.startsWith('Response too large'), redirects };
     }
 
-    return { success: true, text, contentType };
+    const decoded = decodeBody(read.bytes, contentType);
+    return {
+        success: true,
+        text: decoded.text,
+        contentType,
+        ipfsRoots,
+        body: describeBody(read.bytes.length, maxBytes, mimeType, decoded, typeCheck),
+        redirects,
+        validators: readValidators(response),
+    };
 }
 
 /**
- * Fetches via a CORS proxy.
- * @param {string} url - Original URL to fetch through proxy
- * @param {string} proxyBaseUrl - Base URL of the CORS proxy
- * @returns {Promise<FetchResult>} Fetch result
+ * Applies the metadata content-type policy: JSON types are accepted,
+ * binary types rejected, and anything else (including no type at all)
+ * is parsed anyway with a warning.
+ * @param {string} mimeType - Lower-cased media type ('' if none)
+ * @returns {{ policy: 'accept'|'warn'|'reject', policyReason?: string }} Policy outcome
  */
-async function attemptFetchViaProxy(url, proxyBaseUrl, externalSignal = null) {
-    let proxyUrl;
-    if (proxyBaseUrl.includes('allorigins.win')) {
-        // allorigins format: https://api.allorigins.win/get?url=ENCODED_URL
-        proxyUrl = `${proxyBaseUrl}${encodeURIComponent(url)}`;
-    } else {
-        // cors-anywhere format: https://cors-anywhere.herokuapp.com/ORIGINAL_URL
-        proxyUrl = `${proxyBaseUrl}${url}`;
+function checkContentType(mimeType) {
+    if (JSON_MEDIA_TYPES.includes(mimeType) || /^application\/[\w.-]+\+json$/.test(mimeType)) {
+        return { policy: 'accept' };
     }
-
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), PROXY_TIMEOUT_MS);
-    let abortListener = null;
-    if (externalSignal) {
-        if (externalSignal.aborted) {
-            clearTimeout(timeoutId);
-            return { success: false, error: 'Proxy fetch aborted' };
-        }
-        abortListener = () => controller.abort();
-        externalSignal.addEventListener('abort', abortListener);
+    if (REJECTED_MEDIA_PREFIXES.some((prefix) => mimeType.startsWith(prefix)) || REJECTED_MEDIA_TYPES.includes(mimeType)) {
+        return { policy: 'reject', policyReason: `Response is ${mimeType}, which cannot be a JSON metadata document` };
     }
+    return {
+        policy: 'warn',
+        policyReason: mimeType
+            ? `Response is ${mimeType} rather than application/json; parsed as JSON anyway`
+            : 'Response has no Content-Type; parsed as JSON anyway',
+    };
+}
 
-    const [response, err] = await safeAsync(
-        fetch(proxyUrl, {
-            method: 'GET',
-            signal: controller.signal,
-        })
-    );
-
-    clearTimeout(timeoutId);
-    if (externalSignal && abortListener) externalSignal.removeEventListener('abort', abortListener);
+/**
+ * Assembles the BodyInfo recorded on a fetch result.
+ * @param {number} size - Body size in bytes
+ * @param {number} maxBytes - Byte cap the body was read under
+ * @param {string} mimeType - Media type ('' if none)
+ * @param {Omit<import('../utils/body-reader.js').DecodedText, 'text'>} decoded - Decoding details
+ * @param {{ policy: 'accept'|'warn'|'reject', policyReason?: string }} typeCheck - Policy outcome
+ * @returns {BodyInfo} Body details
+ */
+function describeBody(size, maxBytes, mimeType, decoded, typeCheck) {
+    const { charset, charsetSource, bomStripped, malformed, ignoredCharset } = decoded;
+    return {
+        size,
+        maxBytes,
+        mimeType,
+        ...typeCheck,
+        charset,
+        charsetSource,
+        bomStripped,
+        malformed,
+        ...(ignoredCharset ? { ignoredCharset } : {}),
+    };
+}
 
-    if (err) {
-        if (err.name === 'TimeoutError') {
-            return {
-                success: false,
-                error: 'CORS proxy timed out. The target server may be slow or unresponsive. Try again later.'
-            };
-        }
-        return { success: false, error: `Proxy fetch failed: ${err.message}` };
+/**
+ * Tries the configured CORS proxies in order. A document a proxy returns
+ * is cross-checked through a second route before it is handed back, since
+ * the proxy could have altered it.
+ * @param {string} url - Original URL to fetch through a proxy
+ * @param {AbortSignal} [externalSignal] - Optional abort signal
+ * @param {number} [maxBytes] - Largest body accepted
+ * @param {string[]} [alternateTargets] - Same content on other gateways, for the cross-check
+ * @returns {Promise<FetchResult>} First successful proxy result, or the collected errors
+ */
+async function attemptFetchViaProxies(url, externalSignal = null, maxBytes = MAX_METADATA_SIZE, alternateTargets = []) {
+    const proxies = getProxies();
+    if (proxies.length === 0) {
+        return { success: false, error: 'No CORS proxies configured' };
     }
 
-    if (!response.ok) {
-        if (response.status === 408) {
+    const errors = [];
+    for (const proxy of proxies) {
+        const proxyResult = await fetchViaProxy(proxy, url, { externalSignal, maxBytes });
+        if (proxyResult.success) {
+            const { mimeType } = parseContentType(proxyResult.contentType);
+            const typeCheck = checkContentType(mimeType);
+            if (typeCheck.policy === 'reject') {
+                // Every proxy would relay the same content type
+                return { success: false, error: typeCheck.policyReason, rejected: true };
+            }
+            const { size, decoding, ...rest } = proxyResult;
+            const crossCheck = await crossCheckProxyResult(rest.text, proxy, url, { alternateTargets, externalSignal, maxBytes });
             return {
-                success: false,
-                error: 'CORS proxy timed out while fetching the URL. The server may be slow to respond.'
+                ...rest,
+                usedProxy: true,
+                proxyTarget: url,
+                crossCheck,
+                body: describeBody(size, maxBytes, mimeType, decoding, typeCheck),
             };
         }
-        return { success: false, error: `Proxy returned ${response.status}: ${response.statusText}` };
+        errors.push(`${proxy.name}: ${proxyResult.error}`);
+        logInfo('Proxy failed, trying next one', { proxy: proxy.url, error: proxyResult.error });
     }
+    return { success: false, error: errors.join('; ') };
+}
 
-    // Handle different proxy response formats
-    if (proxyBaseUrl.includes('allorigins.win')) {
-        const [proxyData, parseErr] = await safeAsync(response.json());
-        if (parseErr) {
-            return { success: false, error: 'Failed to parse proxy response' };
-        }
-
-        // allorigins wraps the original body in a { contents: "..." } object
-        if (!proxyData || typeof proxyData.contents !== 'string') {
-            return { success: false, error: 'Unexpected proxy response format' };
-        }
-
-        return {
-            success: true,
-            text: proxyData.contents,
-            contentType: proxyData.status?.content_type ?? '',
-        };
-    } else if (proxyBaseUrl.includes('corsproxy.org')) {
-        // corsproxy.org returns the original response directly
-        const contentType = response.headers.get('content-type') ?? '';
-        const [text, textErr] = await safeAsync(response.text());
-        if (textErr) {
-            return { success: false, error: 'Failed to read response body' };
-        }
-
-        return { success: true, text, contentType };
-    } else {
-        // Fallback for other proxy formats
-        const contentType = response.headers.get('content-type') ?? '';
-        const [text, textErr] = await safeAsync(response.text());
-        if (textErr) {
-            return { success: false, error: 'Failed to read response body' };
-        }
+/**
+ * Lists the gateway URLs for a path other than the one proxies are asked
+ * for first (the last gateway). A local node is left out — a public proxy
+ * cannot reach it.
+ * @param {string[]} gateways - Configured gateways, ending in a public one
+ * @param {string} path - Path after the gateway prefix
+ * @returns {string[]} Alternate proxy targets
+ */
+function alternateProxyTargets(gateways, path) {
+    return gateways.slice(0, -1).filter((gateway) => !isLocalNodeUrl(gateway)).map((gateway) => gateway + path);
+}
 
-        return { success: true, text, contentType };
-    }
+/**
+ * Suffix for fetch errors suggesting a proxy when none is configured.
+ * @returns {string} Hint sentence, or '' when proxies are configured
+ */
+function proxyHint() {
+    return getProxies().length === 0
+        ? ' No CORS proxy is configured — adding one under Proxies may get around CORS restrictions.'
+        : '';
 }
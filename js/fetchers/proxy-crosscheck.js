@@ -0,0 +1,195 @@
+/**
+ * @module proxy-crosscheck
+ * @description Checks a document served by a CORS proxy against a second,
+ * independent route. For IPFS, IPNS and Arweave content the same document on
+ * another gateway is first requested directly; otherwise another configured
+ * proxy is asked for the same URL or for the same content on another
+ * gateway. A proxy sees (and could rewrite) everything it relays, so a
+ * second route returning the same document is the only assurance available
+ * when the original host cannot be read directly.
+ *
+ * The two copies are compared twice: by SHA-256 of the decoded text, and by
+ * their JSON with keys sorted and whitespace dropped. Equal hashes are a
+ * match; equal JSON with different hashes is a harmless difference in
+ * formatting or encoding (e.g. between envelope types); anything else is a
+ * mismatch and the document should not be trusted.
+ */
+
+import { fetchViaProxy } from './cors-proxy.js';
+import { fetchFollowingRedirects } from './redirect-follower.js';
+import { readBodyLimited, decodeBody } from '../utils/body-reader.js';
+import { getProxies } from '../utils/proxy-config.js';
+import { logInfo, logSecurity } from '../utils/error-handler.js';
+
+/** @type {number} Second-route attempts made before giving up */
+const MAX_CROSS_CHECK_ATTEMPTS = 3;
+
+/** @type {number} Largest body accepted when the caller gives no limit (5 MB, as for proxies) */
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+
+/** @type {number} Timeout for a direct gateway request (ms) */
+const DIRECT_TIMEOUT_MS = 10_000;
+
+/** @type {string} Route name of a request made without a proxy */
+const DIRECT_ROUTE = 'direct request';
+
+/**
+ * @typedef {Object} ProxyRoute
+ * @property {string} proxy - Name of the proxy, or "direct request" for a gateway fetched without one
+ * @property {string} target - URL the proxy was asked for
+ */
+
+/**
+ * @typedef {Object} CrossCheck
+ * @property {'match'|'equivalent'|'mismatch'|'unchecked'} status - Outcome of the comparison
+ * @property {ProxyRoute} route - Route that produced the document
+ * @property {ProxyRoute} [secondRoute] - Route it was checked against
+ * @property {string} hash - SHA-256 (hex) of the document's text
+ * @property {string} [secondHash] - SHA-256 (hex) of the second copy's text
+ * @property {string} [reason] - Why the check is unchecked, or how the copies differ
+ */
+
+/**
+ * Hashes text as UTF-8 with SHA-256.
+ * @param {string} text - Text to hash
+ * @returns {Promise<string>} Lower-case hex digest
+ */
+async function sha256Hex(text) {
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+    return Array.from(digest, (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Serialises parsed JSON with object keys sorted, so documents that differ
+ * only in key order or whitespace serialise identically.
+ * @param {*} value - Parsed JSON value
+ * @returns {string} Normalised JSON
+ */
+function normaliseJSON(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(normaliseJSON).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).sort();
+        return `{${keys.map((k) => `${JSON.stringify(k)}:${normaliseJSON(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Normalises a document's text, if it is JSON.
+ * @param {string} text - Document text
+ * @returns {string|null} Normalised JSON, or null if the text does not parse
+ */
+function tryNormalise(text) {
+    try {
+        return normaliseJSON(JSON.parse(text));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Compares the second copy of a document with the first.
+ * @param {string} text - Document text the proxy returned
+ * @param {string} hash - SHA-256 (hex) of that text
+ * @param {ProxyRoute} route - Route that produced it
+ * @param {string} secondText - Text of the second copy
+ * @param {ProxyRoute} secondRoute - Route that produced the second copy
+ * @returns {Promise<CrossCheck>} Comparison outcome
+ */
+async function compareCopies(text, hash, route, secondText, secondRoute) {
+    const secondHash = await sha256Hex(secondText);
+    if (secondHash === hash) {
+        return { status: 'match', route, secondRoute, hash, secondHash };
+    }
+    const normalised = tryNormalise(text);
+    if (normalised !== null && normalised === tryNormalise(secondText)) {
+        return { status: 'equivalent', route, secondRoute, hash, secondHash, reason: 'Same JSON, different formatting or encoding' };
+    }
+    logSecurity('Proxied metadata differs between routes', { route, secondRoute, hash, secondHash });
+    return {
+        status: 'mismatch',
+        route,
+        secondRoute,
+        hash,
+        secondHash,
+        reason: normalised === null ? 'The document is not JSON and its bytes differ' : 'The JSON content differs',
+    };
+}
+
+/**
+ * Fetches a gateway URL without a proxy, following validated redirects
+ * and reading the body under the byte cap.
+ * @param {string} target - Gateway URL
+ * @param {AbortSignal|null} externalSignal - Optional abort signal
+ * @param {number} [maxBytes] - Largest body accepted
+ * @returns {Promise<{ success: boolean, text?: string, error?: string }>} Decoded text or error
+ */
+async function fetchDirect(target, externalSignal, maxBytes = DEFAULT_MAX_BYTES) {
+    const timeoutSignal = AbortSignal.timeout(DIRECT_TIMEOUT_MS);
+    const opened = await fetchFollowingRedirects(target, {
+        method: 'GET',
+        headers: { 'Accept': 'application/json' },
+        signal: externalSignal && AbortSignal.any ? AbortSignal.any([externalSignal, timeoutSignal]) : timeoutSignal,
+    });
+    if (!opened.success) {
+        return { success: false, error: opened.error };
+    }
+    if (!opened.response.ok) {
+        return { success: false, error: `HTTP ${opened.response.status}` };
+    }
+    const read = await readBodyLimited(opened.response, maxBytes);
+    if (!read.success) {
+        return { success: false, error: read.error };
+    }
+    return { success: true, text: decodeBody(read.bytes, opened.response.headers.get('content-type')).text };
+}
+
+/**
+ * Fetches a proxied document again through an independent route and
+ * compares the copies. For gateway content each alternate target is first
+ * requested directly, which involves no proxy at all; after that, routes
+ * through every other proxy are tried in order, the same target first and
+ * then each alternate target, until one answers or the attempts run out.
+ * @param {string} text - Document text the proxy returned
+ * @param {import('../utils/proxy-config.js').Proxy} proxy - Proxy that returned it
+ * @param {string} target - URL the proxy was asked for
+ * @param {Object} [options]
+ * @param {string[]} [options.alternateTargets] - Same content on other gateways
+ * @param {AbortSignal|null} [options.externalSignal] - Optional abort signal
+ * @param {number} [options.maxBytes] - Largest body accepted
+ * @returns {Promise<CrossCheck>} Comparison outcome
+ */
+export async function crossCheckProxyResult(text, proxy, target, { alternateTargets = [], externalSignal = null, maxBytes } = {}) {
+    const route = { proxy: proxy.name, target };
+    const hash = await sha256Hex(text);
+
+    const routes = [
+        ...alternateTargets.map((t) => ({ proxy: null, target: t })),
+        ...getProxies()
+            .filter((p) => p.url !== proxy.url)
+            .flatMap((p) => [target, ...alternateTargets].map((t) => ({ proxy: p, target: t })))
+            .slice(0, MAX_CROSS_CHECK_ATTEMPTS),
+    ];
+
+    const errors = [];
+    for (const candidate of routes) {
+        if (externalSignal?.aborted) break;
+        const name = candidate.proxy?.name ?? DIRECT_ROUTE;
+        const second = candidate.proxy
+            ? await fetchViaProxy(candidate.proxy, candidate.target, { externalSignal, maxBytes })
+            : await fetchDirect(candidate.target, externalSignal, maxBytes);
+        if (second.success) {
+            return compareCopies(text, hash, route, second.text, { proxy: name, target: candidate.target });
+        }
+        errors.push(`${name} ${candidate.target}: ${second.error}`);
+    }
+
+    if (routes.every((r) => r.proxy === null) && !externalSignal?.aborted) {
+        const tried = errors.length > 0 ? `No direct gateway route answered (${errors.join('; ')}) and n` : 'N';
+        return { status: 'unchecked', route, hash, reason: `${tried}o second proxy is configured to check the document against` };
+    }
+    logInfo('Proxy cross-check could not reach a second route', { route, errors });
+    return { status: 'unchecked', route, hash, reason: `No second route answered (${errors.join('; ') || 'aborted'})` };
+}
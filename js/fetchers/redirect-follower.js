@@ -0,0 +1,183 @@
+/**
+ * @module redirect-follower
+ * @description Fetches a URL one redirect hop at a time so every hop can be
+ * re-checked with validateURL before it is requested. A public host that
+ * answers 302 → 169.254.169.254 (or → a phishing domain) is stopped at that
+ * hop instead of being followed silently.
+ *
+ * Browsers hide cross-origin redirect targets (`redirect: 'manual'` gives an
+ * opaque response with no Location), so there the request is repeated with
+ * `redirect: 'follow'` and only the final URL can be checked — after the
+ * browser has requested it, so a bad target is refused rather than
+ * avoided; the chain is then marked incomplete. Environments that expose Location (Node, workers
+ * with the right permissions) get the full chain.
+ */
+
+import { validateURL, checkBlockedHostname, checkReservedAddress } from '../validators/url-validator.js';
+import { isLocalNodeUrl, getGatewayConfig } from '../utils/gateway-config.js';
+import { logInfo, logSecurity, safeAsync } from '../utils/error-handler.js';
+
+/** @type {number} Redirects followed before giving up */
+const MAX_REDIRECTS = 5;
+
+/** @type {number[]} Statuses that carry a Location to follow */
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+/**
+ * @typedef {Object} RedirectHop
+ * @property {string} url - URL requested at this hop
+ * @property {number} [status] - Status it answered with (3xx for every hop but the last)
+ */
+
+/**
+ * @typedef {Object} RedirectChain
+ * @property {RedirectHop[]} hops - Every URL requested, in order; the first is the original
+ * @property {boolean} complete - False when the browser followed redirects itself and
+ *   only the final URL is known
+ * @property {{ index: number, url: string, reason: string }} [blocked] - Hop that failed validation
+ */
+
+/**
+ * @typedef {Object} RedirectFetchResult
+ * @property {boolean} success - Whether a final (non-redirect) response was obtained
+ * @property {Response} [response] - Final response, body unread
+ * @property {RedirectChain} redirects - Hops taken so far
+ * @property {boolean} [blocked] - True when a hop failed validation
+ * @property {string} [error] - Error message on failure
+ */
+
+/**
+ * Checks a redirect target. The hop must pass validateURL; gateway-shaped
+ * URLs, which validateURL accepts on any host because it re-routes them,
+ * must also be HTTPS on an allowed, public host since the hop is requested
+ * as-is.
+ * The declared local node may redirect within itself (Kubo moves path
+ * requests to its *.ipfs.localhost subdomain gateway).
+ * @param {string} hopUrl - Redirect target
+ * @param {string} fromUrl - URL that issued the redirect
+ * @returns {{ valid: boolean, reason?: string }} Validation outcome
+ */
+export function checkRedirectHop(hopUrl, fromUrl) {
+    let hop;
+    try {
+        hop = new URL(hopUrl);
+    } catch {
+        return { valid: false, reason: 'Redirect target is not a valid URL' };
+    }
+
+    if (isLocalNodeUrl(fromUrl)) {
+        const node = new URL(getGatewayConfig().localNode);
+        const subdomain = /^[^.]+\.(ipfs|ipns)\.localhost$/i.test(hop.hostname);
+        if (hop.origin === node.origin || (subdomain && hop.protocol === node.protocol && hop.port === node.port)) {
+            return { valid: true };
+        }
+    }
+
+    const validation = validateURL(hopUrl);
+    if (!validation.valid) {
+        return { valid: false, reason: validation.reason };
+    }
+    if (validation.reroutedFrom) {
+        if (hop.protocol !== 'https:') {
+            return { valid: false, reason: 'Redirects to plain-HTTP gateways are not followed' };
+        }
+        const refused = checkBlockedHostname(hop.hostname) ?? checkReservedAddress(hop.hostname);
+        if (refused) {
+            return { valid: false, reason: refused.reason };
+        }
+    }
+    return { valid: true };
+}
+
+/**
+ * Fetches a URL, validating each redirect hop before requesting it.
+ * The original URL is assumed to have been validated by the caller.
+ * @param {string} url - URL to fetch
+ * @param {RequestInit} [init] - Fetch options (redirect is overridden)
+ * @param {Object} [options]
+ * @param {number} [options.maxRedirects] - Redirects followed before giving up
+ * @returns {Promise<RedirectFetchResult>} Final response and the chain
+ */
+export async function fetchFollowingRedirects(url, init = {}, { maxRedirects = MAX_REDIRECTS } = {}) {
+    const redirects = { hops: [{ url }], complete: true };
+    let current = url;
+
+    for (let hop = 0; hop <= maxRedirects; hop++) {
+        const [response, err] = await safeAsync(fetch(current, { ...init, redirect: 'manual' }));
+        if (err) {
+            return { success: false, error: err.message, redirects };
+        }
+        const last = redirects.hops[redirects.hops.length - 1];
+
+        if (response.type === 'opaqueredirect') {
+            // The browser will not reveal the target; let it follow and check where it landed
+            return followOpaqueRedirect(current, init, redirects);
+        }
+
+        last.status = response.status;
+        const location = response.headers.get('location');
+        if (!REDIRECT_STATUSES.includes(response.status) || !location) {
+            return { success: true, response, redirects };
+        }
+
+        response.body?.cancel().catch(() => {});
+        let next;
+        try {
+            next = new URL(location, current).href;
+        } catch {
+            redirects.hops.push({ url: location });
+            return blockHop(redirects, url, 'Redirect target is not a valid URL');
+        }
+        redirects.hops.push({ url: next });
+        const check = checkRedirectHop(next, current);
+        if (!check.valid) {
+            return blockHop(redirects, url, check.reason);
+        }
+        current = next;
+    }
+
+    return { success: false, error: `More than ${maxRedirects} redirects`, redirects };
+}
+
+/**
+ * Repeats a request the browser redirected opaquely, letting it follow the
+ * redirects, and validates the URL it ended on.
+ * @param {string} url - URL that answered with an opaque redirect
+ * @param {RequestInit} init - Fetch options
+ * @param {RedirectChain} redirects - Chain so far (mutated)
+ * @returns {Promise<RedirectFetchResult>} Final response and the chain
+ */
+async function followOpaqueRedirect(url, init, redirects) {
+    redirects.complete = false;
+    const [response, err] = await safeAsync(fetch(url, { ...init, redirect: 'follow' }));
+    if (err) {
+        return { success: false, error: err.message, redirects };
+    }
+    if (!response.redirected || !response.url || response.url === url) {
+        return { success: true, response, redirects };
+    }
+
+    redirects.hops.push({ url: response.url, status: response.status });
+    const check = checkRedirectHop(response.url, url);
+    if (!check.valid) {
+        response.body?.cancel().catch(() => {});
+        return blockHop(redirects, redirects.hops[0].url, check.reason);
+    }
+    logInfo('Redirect followed by the browser; intermediate hops not visible', { url, finalUrl: response.url });
+    return { success: true, response, redirects };
+}
+
+/**
+ * Records the last hop of a chain as blocked.
+ * @param {RedirectChain} redirects - Chain whose last hop failed (mutated)
+ * @param {string} originalUrl - URL the chain started from
+ * @param {string} reason - Why the hop was refused
+ * @returns {RedirectFetchResult} Failure result
+ */
+function blockHop(redirects, originalUrl, reason) {
+    const index = redirects.hops.length - 1;
+    const hopUrl = redirects.hops[index].url;
+    redirects.blocked = { index, url: hopUrl, reason };
+    logSecurity('Redirect to a blocked URL refused', { url: originalUrl, hop: index, target: hopUrl, reason });
+    return { success: false, blocked: true, error: `Redirect blocked at hop ${index}`, redirects };
+}
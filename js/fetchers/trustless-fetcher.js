@@ -0,0 +1,153 @@
+/**
+ * @module trustless-fetcher
+ * @description Verified IPFS retrieval through the trustless gateway
+ * formats. A bare CID is requested as a single block (?format=raw); paths
+ * and multi-block files are requested as a CAR (?format=car). The bytes
+ * are hashed against the CID before anything downstream sees them.
+ */
+
+import { logInfo, logSecurity, safeAsync } from '../utils/error-handler.js';
+import { getGateways, parseCID, splitCIDPath } from '../utils/ipfs-utils.js';
+import { readCAR, extractRawBlock, extractUnixFSFile, CIDMismatchError } from '../utils/ipfs-verify.js';
+import { readBodyLimited } from '../utils/body-reader.js';
+import { raceGateways } from './gateway-racer.js';
+
+/** @type {number} Timeout for one trustless request (ms) */
+const TRUSTLESS_TIMEOUT_MS = 15_000;
+
+/** @type {number} Allowance for CAR framing and path blocks on top of the file size */
+const CAR_OVERHEAD_BYTES = 1024 * 1024;
+
+/** @type {Object<'raw'|'car', string>} Response media types of the trustless formats */
+const TRUSTLESS_MEDIA_TYPES = {
+    raw: 'application/vnd.ipld.raw',
+    car: 'application/vnd.ipld.car',
+};
+
+/**
+ * @typedef {Object} CIDVerification
+ * @property {boolean} verified - Whether the bytes were checked against the CID
+ * @property {string} [cid] - CID the content was checked against (the one in the URL)
+ * @property {'raw'|'car'} [format] - Trustless format used
+ * @property {number} [blocks] - Number of blocks hashed
+ * @property {string} [gateway] - Gateway that served the verified bytes
+ * @property {string} [reason] - Why the content is unverified (when verified === false)
+ * @property {boolean} [tampered] - A gateway served bytes that do not match the CID
+ * @property {string[]} [tamperedGateways] - Gateways that served bytes not matching the CID
+ */
+
+/**
+ * @typedef {Object} VerifiedFetchResult
+ * @property {boolean} success - Whether verified bytes were obtained
+ * @property {Uint8Array} [bytes] - Verified file contents
+ * @property {CIDVerification} [verification] - How the bytes were verified
+ * @property {string} [gateway] - Winning gateway
+ * @property {number} [latencyMs] - How long the winning gateway took
+ * @property {string} [error] - Why verified retrieval failed
+ * @property {boolean} [tampered] - A gateway's bytes did not match the CID; callers must not fall back to unverified content
+ * @property {string[]} [tamperedGateways] - Gateways whose bytes did not match the CID
+ */
+
+/**
+ * Fetches an IPFS file and verifies it against its CID, racing the
+ * configured gateways. When no gateway delivers matching bytes and any of
+ * them delivered mismatching ones, the result is marked `tampered`.
+ * @param {string} cidPath - "<cid>[/path]" as found after /ipfs/
+ * @param {Object} options
+ * @param {number} options.maxBytes - Maximum file size
+ * @param {AbortSignal} [options.externalSignal] - Aborts the retrieval
+ * @returns {Promise<VerifiedFetchResult>} Verified bytes or error
+ */
+export async function fetchVerified(cidPath, { maxBytes, externalSignal = null }) {
+    const { cid, path: rawPath } = splitCIDPath(cidPath);
+    const info = parseCID(cid);
+    if (!info.valid) {
+        return { success: false, error: info.reason };
+    }
+    // Query strings and fragments are not part of the content path
+    const path = rawPath.replace(/[?#].*$/, '').replace(/\/+$/, '');
+
+    const raced = await raceGateways(
+        getGateways(),
+        (gateway, signal) => attemptVerified(gateway, info, path, path ? 'car' : 'raw', maxBytes, signal),
+        { externalSignal }
+    );
+    const tamperedGateways = (raced.failures ?? []).filter((f) => f.tampered).map((f) => f.gateway);
+    if (tamperedGateways.length > 0) {
+        logSecurity('Gateway served content that does not match its CID', { cidPath, gateways: tamperedGateways });
+    }
+    if (!raced.success && tamperedGateways.length > 0) {
+        const hosts = tamperedGateways.map((g) => new URL(g).host).join(', ');
+        return {
+            success: false,
+            tampered: true,
+            tamperedGateways,
+            error: `Gateway ${hosts} served content that does not match its CID ${info.cid}; the file was altered in transit and no unverified copy was used`,
+            verification: { verified: false, tampered: true, cid: info.cid, tamperedGateways, reason: `Content from ${hosts} does not match the CID` },
+        };
+    }
+    if (!raced.success) {
+        const reasons = [...new Set((raced.failures ?? []).map((f) => f.error))];
+        logInfo('Trustless retrieval failed', { cidPath, failures: raced.failures });
+        return { success: false, error: reasons.length > 0 ? reasons.join('; ') : raced.error, tamperedGateways };
+    }
+    return { ...raced, verification: { ...raced.verification, gateway: raced.gateway, tamperedGateways } };
+}
+
+/**
+ * Requests one trustless format from one gateway and verifies the answer.
+ * A raw block that turns out to be part of a multi-block file is retried
+ * as a CAR on the same gateway.
+ * @param {string} gateway - Gateway base URL ending in /ipfs/
+ * @param {import('../utils/ipfs-utils.js').CIDInfo} cid - CID to verify against
+ * @param {string} path - Path under the CID ('' for none)
+ * @param {'raw'|'car'} format - Trustless format to request
+ * @param {number} maxBytes - Maximum file size
+ * @param {AbortSignal} signal - Abort signal from the racer
+ * @returns {Promise<VerifiedFetchResult>} Verified bytes or error
+ */
+async function attemptVerified(gateway, cid, path, format, maxBytes, signal) {
+    const timeoutSignal = AbortSignal.timeout(TRUSTLESS_TIMEOUT_MS);
+    const [response, fetchErr] = await safeAsync(
+        fetch(`${gateway}${cid.cid}${path}?format=${format}`, {
+            method: 'GET',
+            headers: { 'Accept': TRUSTLESS_MEDIA_TYPES[format] },
+            signal: AbortSignal.any ? AbortSignal.any([signal, timeoutSignal]) : signal,
+        })
+    );
+    if (fetchErr) {
+        return { success: false, error: fetchErr.message };
+    }
+    if (!response.ok) {
+        return { success: false, error: `HTTP ${response.status}: ${response.statusText}` };
+    }
+
+    const contentType = response.headers.get('content-type')?.split(';')[0].trim() ?? '';
+    if (contentType !== TRUSTLESS_MEDIA_TYPES[format]) {
+        return { success: false, error: `Gateway does not support ?format=${format}` };
+    }
+
+    const limit = format === 'car' ? maxBytes + CAR_OVERHEAD_BYTES : maxBytes;
+    const read = await readBodyLimited(response, limit);
+    if (!read.success) {
+        return { success: false, error: read.error.startsWith('Response too large') ? `Response too large (over ${limit} bytes)` : read.error };
+    }
+    const body = read.bytes;
+
+    try {
+        if (format === 'raw') {
+            const bytes = await extractRawBlock(cid, body);
+            if (bytes === null) {
+                return attemptVerified(gateway, cid, path, 'car', maxBytes, signal);
+            }
+            if (bytes.length > maxBytes) {
+                return { success: false, error: `File exceeds ${maxBytes} bytes` };
+            }
+            return { success: true, bytes, verification: { verified: true, cid: cid.cid, format, blocks: 1 } };
+        }
+        const file = await extractUnixFSFile(readCAR(body), cid, path, maxBytes);
+        return { success: true, bytes: file.bytes, verification: { verified: true, cid: cid.cid, format, blocks: file.blocks } };
+    } catch (err) {
+        return { success: false, error: `Verification failed: ${err.message}`, tampered: err instanceof CIDMismatchError };
+    }
+}
@@ -7,11 +7,25 @@
 import { validateURL } from './validators/url-validator.js';
 import { parseMetadata, extractAllUrls, getStandardLabel } from './validators/metadata-parser.js';
 import { scanURL, scanFile } from './validators/security-scanner.js';
-import { fetchMetadataJSON } from './fetchers/metadata-fetcher.js';
-import { fetchMedia } from './fetchers/media-fetcher.js';
+import { inspectMedia, extractModelTextures, MODEL_BUDGETS } from './validators/media-inspector.js';
+import { validateFileType } from './validators/file-type-validator.js';
+import { detectPolyglot } from './validators/polyglot-detector.js';
+import { fetchMetadataJSON, resolveArweaveUrl, decodeMetadataDataUri } from './fetchers/metadata-fetcher.js';
+import { fetchMedia, decodeMediaDataUri } from './fetchers/media-fetcher.js';
+import { fetchSameOriginSubresources } from './fetchers/html-subresource-fetcher.js';
+import { collectIPFSTargets, checkAvailability } from './fetchers/availability-checker.js';
+import { isDataUri, describeDataUri } from './utils/data-uri.js';
+import { hasIdPlaceholder, parseTokenId, expandIdTemplate } from './utils/erc1155-uri.js';
+import { toCIDv0, toCIDv1, buildSubdomainGatewayUrl, splitCIDPath, extractCID, getGateways } from './utils/ipfs-utils.js';
 import { logInfo, logError, getUserMessage } from './utils/error-handler.js';
 import { enableModalKeyboardHandling, disableModalKeyboardHandling } from './utils/modal-manager.js';
 import { on as onProcessEvent, getLogs } from './utils/process-logger.js';
+import { initGatewaySettings, renderGatewaySettings } from './ui/gateway-settings.js';
+import { initProxySettings, renderProxySettings } from './ui/proxy-settings.js';
+import { getLocalNodeGateway } from './utils/gateway-config.js';
+import { getApiKeyProxies } from './utils/proxy-config.js';
+import { fetchViaProxy } from './fetchers/cors-proxy.js';
+import { getCacheStats, clearCache } from './utils/http-cache.js';
 
 /* ------------------------------------------------------------------ */
 /*  State                                                              */
@@ -38,6 +52,12 @@ const urlInput = document.getElementById('url-input');
 const scanBtn = document.getElementById('scan-btn');
 const urlError = document.getElementById('url-error');
 const urlClearBtn = document.getElementById('url-clear-btn');
+const tokenIdGroup = document.getElementById('token-id-group');
+const tokenIdInput = document.getElementById('token-id-input');
+const tokenIdPreview = document.getElementById('token-id-preview');
+const cacheBypassInput = document.getElementById('cache-bypass-input');
+const cacheStatsEl = document.getElementById('cache-stats');
+const cacheClearBtn = document.getElementById('cache-clear-btn');
 // URL card wrapper — used to make the whole card inert when no API key
 const urlCardWrap = document.querySelector('.url-input-card-wrap');
 
@@ -47,6 +67,16 @@ const aboutModal = document.getElementById('about-modal');
 const aboutCloseBtn = document.getElementById('about-close-btn');
 const aboutOkBtn = document.getElementById('about-ok-btn');
 
+// Gateway settings modal
+const gatewaySettingsBtn = document.getElementById('gateway-settings-btn');
+const gatewaySettingsModal = document.getElementById('gateway-settings-modal');
+const gatewaySettingsCloseBtn = document.getElementById('gateway-settings-close-btn');
+
+// Proxy settings modal
+const proxySettingsBtn = document.getElementById('proxy-settings-btn');
+const proxySettingsModal = document.getElementById('proxy-settings-modal');
+const proxySettingsCloseBtn = document.getElementById('proxy-settings-close-btn');
+
 // API key elements
 const apikeyInput = document.getElementById('apikey-input');
 const apikeyClearBtn = document.getElementById('apikey-clear-btn');
@@ -83,6 +113,12 @@ const mediaPreviewModal = document.getElementById('media-preview-modal');
 const mediaPreviewCloseBtn = document.getElementById('media-preview-close-btn');
 const mediaPreviewCloseFooter = document.getElementById('media-preview-close-footer');
 const mediaPreviewImg = document.getElementById('media-preview-img');
+const mediaPreviewVideo = document.getElementById('media-preview-video');
+const mediaPreviewAudio = document.getElementById('media-preview-audio');
+const mediaPreviewFrame = document.getElementById('media-preview-frame');
+
+/** @type {string} Host page of the sandboxed HTML preview (see html-sandbox.html) */
+const HTML_SANDBOX_PAGE = 'html-sandbox.html';
 
 // Scan error modal (shown when pipeline stops due to an error)
 const scanErrorModal = document.getElementById('scan-error-modal');
@@ -157,9 +193,14 @@ function navigateToHome() {
 
 document.addEventListener('DOMContentLoaded', () => {
     loadApiKey();
+    initGatewaySettings();
+    initProxySettings();
     bindEvents();
     aboutModal?.setAttribute('hidden', '');
+    gatewaySettingsModal?.setAttribute('hidden', '');
+    proxySettingsModal?.setAttribute('hidden', '');
     apikeyQuotaModal?.setAttribute('hidden', '');
+    refreshCacheStats();
     initRouter();
     // If the user refreshed the page while on the results route, return
     // them to the home page to avoid a partially-initialized results view.
@@ -201,6 +242,7 @@ function bindEvents() {
                 urlInput.value = exampleUrl;
                 urlInput.focus();
                 toggleUrlClearBtn();
+                updateTokenIdField();
             }
         });
     });
@@ -211,6 +253,24 @@ function bindEvents() {
     aboutOkBtn?.addEventListener('click', hideAboutModal);
     aboutModal?.addEventListener('click', (e) => { if (e.target === aboutModal) hideAboutModal(); });
 
+    // Gateway settings modal
+    gatewaySettingsBtn?.addEventListener('click', showGatewaySettingsModal);
+    gatewaySettingsCloseBtn?.addEventListener('click', hideGatewaySettingsModal);
+    gatewaySettingsModal?.addEventListener('click', (e) => { if (e.target === gatewaySettingsModal) hideGatewaySettingsModal(); });
+
+    // Proxy settings modal
+    proxySettingsBtn?.addEventListener('click', showProxySettingsModal);
+    proxySettingsCloseBtn?.addEventListener('click', hideProxySettingsModal);
+    proxySettingsModal?.addEventListener('click', (e) => { if (e.target === proxySettingsModal) hideProxySettingsModal(); });
+
+    // HTTP cache
+    cacheClearBtn?.addEventListener('click', async () => {
+        cacheClearBtn.disabled = true;
+        await clearCache();
+        cacheClearBtn.disabled = false;
+        refreshCacheStats();
+    });
+
     // Global handlers for Scan Error modal buttons so they behave even if
     // the modal was manipulated in DevTools or shown in different code paths.
     if (scanErrorProceedBtn) {
@@ -333,6 +393,11 @@ function bindEvents() {
     urlInput?.addEventListener('input', () => {
         setUrlError('');
         toggleUrlClearBtn();
+        updateTokenIdField();
+    });
+    tokenIdInput?.addEventListener('input', () => {
+        setUrlError('');
+        updateTokenIdField();
     });
 
     // URL clear button
@@ -342,6 +407,7 @@ function bindEvents() {
             urlInput.focus();
             setUrlError('');
             toggleUrlClearBtn();
+            updateTokenIdField();
         }
     });
 }
@@ -355,6 +421,26 @@ function toggleUrlClearBtn() {
     urlClearBtn.hidden = !urlInput.value;
 }
 
+/**
+ * Shows the token ID field when the URL is an ERC-1155 `{id}` template
+ * and previews the expanded URL as the user types.
+ */
+function updateTokenIdField() {
+    if (!tokenIdGroup || !urlInput) return;
+    const template = urlInput.value.trim();
+    const isTemplate = !isDataUri(template) && hasIdPlaceholder(template);
+    tokenIdGroup.hidden = !isTemplate;
+    if (!tokenIdPreview) return;
+    if (!isTemplate) {
+        tokenIdPreview.textContent = '';
+        return;
+    }
+    const tokenId = parseTokenId(tokenIdInput?.value);
+    tokenIdPreview.textContent = tokenId.valid
+        ? expandIdTemplate(template, tokenId)
+        : (tokenIdInput?.value.trim() ? tokenId.reason : '');
+}
+
 function toggleApikeyClearBtn() {
     if (!apikeyClearBtn || !apikeyInput) return;
     // Hide clear when input is readOnly (saved state) or empty
@@ -381,6 +467,40 @@ function hideAboutModal() {
     aboutBtn?.focus();
 }
 
+function showGatewaySettingsModal() {
+    if (!gatewaySettingsModal || !gatewaySettingsBtn) return;
+    renderGatewaySettings();
+    gatewaySettingsModal.hidden = false;
+    gatewaySettingsBtn.setAttribute('aria-expanded', 'true');
+    enableModalKeyboardHandling(gatewaySettingsModal, hideGatewaySettingsModal, modalKeyboardHandlers, 'gatewaySettings');
+    gatewaySettingsCloseBtn?.focus();
+}
+
+function hideGatewaySettingsModal() {
+    if (!gatewaySettingsModal || !gatewaySettingsBtn) return;
+    gatewaySettingsModal.hidden = true;
+    gatewaySettingsBtn.setAttribute('aria-expanded', 'false');
+    disableModalKeyboardHandling(modalKeyboardHandlers, 'gatewaySettings');
+    gatewaySettingsBtn?.focus();
+}
+
+function showProxySettingsModal() {
+    if (!proxySettingsModal || !proxySettingsBtn) return;
+    renderProxySettings();
+    proxySettingsModal.hidden = false;
+    proxySettingsBtn.setAttribute('aria-expanded', 'true');
+    enableModalKeyboardHandling(proxySettingsModal, hideProxySettingsModal, modalKeyboardHandlers, 'proxySettings');
+    proxySettingsCloseBtn?.focus();
+}
+
+function hideProxySettingsModal() {
+    if (!proxySettingsModal || !proxySettingsBtn) return;
+    proxySettingsModal.hidden = true;
+    proxySettingsBtn.setAttribute('aria-expanded', 'false');
+    disableModalKeyboardHandling(modalKeyboardHandlers, 'proxySettings');
+    proxySettingsBtn?.focus();
+}
+
 function showApikeyRequiredModal() {
     if (!apikeyRequiredModal) return;
     apikeyRequiredModal.hidden = false;
@@ -473,10 +593,22 @@ function hideVtDetailModal() {
     disableModalKeyboardHandling(modalKeyboardHandlers, 'vtDetail');
 }
 
-function showMediaPreviewModal(src, alt) {
+function showMediaPreviewModal(src, alt, kind = 'image') {
     if (!mediaPreviewModal || !mediaPreviewImg) return;
-    mediaPreviewImg.src = src;
-    mediaPreviewImg.alt = alt || 'NFT Media Preview';
+    // Controls only — the user starts playback
+    const player = (kind === 'video' && mediaPreviewVideo) || (kind === 'audio' && mediaPreviewAudio) || (kind === 'html' && mediaPreviewFrame) || null;
+    mediaPreviewImg.hidden = Boolean(player);
+    [mediaPreviewVideo, mediaPreviewAudio, mediaPreviewFrame].forEach((el) => { if (el) el.hidden = el !== player; });
+    if (kind === 'html' && player) {
+        // src is the page itself; the sandbox host page receives it once loaded
+        player.addEventListener('load', () => player.contentWindow?.postMessage({ html: src }, '*'), { once: true });
+        player.src = HTML_SANDBOX_PAGE;
+    } else if (player) {
+        player.src = src;
+    } else {
+        mediaPreviewImg.src = src;
+        mediaPreviewImg.alt = alt || 'NFT Media Preview';
+    }
     mediaPreviewModal.hidden = false;
     enableModalKeyboardHandling(mediaPreviewModal, hideMediaPreviewModal, modalKeyboardHandlers, 'mediaPreview');
     mediaPreviewCloseBtn?.focus();
@@ -485,6 +617,13 @@ function showMediaPreviewModal(src, alt) {
 function hideMediaPreviewModal() {
     if (!mediaPreviewModal) return;
     if (mediaPreviewImg) mediaPreviewImg.src = '';
+    if (mediaPreviewFrame) mediaPreviewFrame.src = 'about:blank';
+    [mediaPreviewVideo, mediaPreviewAudio].forEach((player) => {
+        if (!player) return;
+        player.pause();
+        player.removeAttribute('src');
+        player.load();
+    });
     mediaPreviewModal.hidden = true;
     disableModalKeyboardHandling(modalKeyboardHandlers, 'mediaPreview');
 }
@@ -655,6 +794,8 @@ function handleKeyDown(event) {
         if (vtDetailModal && !vtDetailModal.hidden) hideVtDetailModal();
         else if (mediaPreviewModal && !mediaPreviewModal.hidden) hideMediaPreviewModal();
         else if (aboutModal && !aboutModal.hidden) hideAboutModal();
+        else if (gatewaySettingsModal && !gatewaySettingsModal.hidden) hideGatewaySettingsModal();
+        else if (proxySettingsModal && !proxySettingsModal.hidden) hideProxySettingsModal();
         else if (apikeyQuotaModal && !apikeyQuotaModal.hidden) hideQuotaModal();
         else if (apikeyRequiredModal && !apikeyRequiredModal.hidden) hideApikeyRequiredModal();
         else if (removeConfirmModal && !removeConfirmModal.hidden) hideRemoveConfirmModal();
@@ -893,25 +1034,44 @@ function confirmApiKeyRemove() {
     }
 }
 
+/**
+ * Fetches the account quotas for an API key. VirusTotal is asked directly
+ * first; if the browser blocks that, only proxies the user has allowed to
+ * carry the API key are tried.
+ * @param {string} apiKey - VirusTotal API key
+ * @returns {Promise<Object|null>} Quotas, or null if they could not be fetched
+ */
 async function fetchUserQuota(apiKey) {
     if (!apiKey) return null;
+    const vtEndpoint = `https://www.virustotal.com/api/v3/users/${encodeURIComponent(apiKey)}`;
+    const headers = { 'x-apikey': apiKey, 'Accept': 'application/json' };
     try {
-        const vtEndpoint = `https://www.virustotal.com/api/v3/users/${encodeURIComponent(apiKey)}`;
-        const corsProxy = 'https://corsproxy.io/?';
-        const resp = await fetch(
-            `${corsProxy}${encodeURIComponent(vtEndpoint)}`,
-            {
-                method: 'GET',
-                headers: { 'x-apikey': apiKey, 'Accept': 'application/json' },
-                signal: AbortSignal.timeout(10_000),
-            }
-        );
+        const resp = await fetch(vtEndpoint, { method: 'GET', headers, signal: AbortSignal.timeout(10_000) });
         if (!resp.ok) return null;
         const data = await resp.json();
         return data?.data?.attributes?.quotas ?? null;
     } catch {
+        // Blocked by CORS or unreachable — fall through to the allowed proxies
+    }
+
+    const proxies = getApiKeyProxies();
+    if (proxies.length === 0) {
+        logInfo('Quota fetch failed and no proxy is allowed to carry the API key');
         return null;
     }
+    for (const proxy of proxies) {
+        const result = await fetchViaProxy(proxy, vtEndpoint, { headers });
+        if (!result.success) {
+            logInfo('Quota fetch through proxy failed', { proxy: proxy.url, error: result.error });
+            continue;
+        }
+        try {
+            return JSON.parse(result.text)?.data?.attributes?.quotas ?? null;
+        } catch {
+            return null;
+        }
+    }
+    return null;
 }
 
 function renderQuotaAndShow() {
@@ -1408,6 +1568,838 @@ function addStepBadge(step, text, className) {
     step.badgeArea.appendChild(badge);
 }
 
+/**
+ * Returns the host of a gateway base URL for display.
+ * @param {string} gateway - Gateway base URL (e.g. https://ipfs.io/ipfs/)
+ * @returns {string} Gateway host
+ */
+function gatewayHost(gateway) {
+    try {
+        return new URL(gateway).host;
+    } catch {
+        return gateway;
+    }
+}
+
+/**
+ * Adds the "CID verified / unverified / mismatch" badge and a one-line
+ * explanation to a step card. Content that is not IPFS-addressed has no
+ * verification and gets nothing.
+ * @param {Object} step - Step card reference object
+ * @param {import('./fetchers/trustless-fetcher.js').CIDVerification} [verification] - Verification outcome
+ */
+function renderCidVerification(step, verification) {
+    if (!verification) return;
+    const msg = document.createElement('p');
+    if (verification.tampered) {
+        addStepBadge(step, 'CID mismatch', 'badge-danger');
+        msg.className = 'step-msg step-msg-error';
+        const hosts = verification.tamperedGateways.map(gatewayHost).join(', ');
+        msg.textContent = `✗ Gateway ${hosts} served content that does not match its CID ${verification.cid}. The content was altered in transit; no unverified copy was used.`;
+    } else if (verification.verified) {
+        addStepBadge(step, 'CID verified', 'badge-verified');
+        msg.className = 'step-msg';
+        const blocks = `${verification.blocks} block${verification.blocks === 1 ? '' : 's'}`;
+        msg.textContent = `✓ Content hashes match ${verification.cid} (${blocks} checked, ?format=${verification.format} via ${gatewayHost(verification.gateway)})`;
+    } else {
+        addStepBadge(step, 'CID unverified', 'badge-warning');
+        msg.className = 'step-msg step-msg-warning';
+        msg.textContent = `⚠ Content was not checked against its CID — the gateway or proxy could have altered it. ${verification.reason}`;
+    }
+    step.body.appendChild(msg);
+}
+
+/** @type {Object<string, string>} How each charset source is described */
+const CHARSET_SOURCE_LABELS = {
+    bom: 'from byte order mark',
+    header: 'from Content-Type',
+    sniffed: 'detected from the first bytes',
+    default: 'default',
+    proxy: 'decoded by the proxy',
+};
+
+/**
+ * Describes how a fetched body was read: its size against the byte cap,
+ * the charset it was decoded with and its content type, plus a warning
+ * line for each thing that was off (non-JSON type, bad bytes, overridden
+ * charset).
+ * @param {Object} step - Step card reference object
+ * @param {import('./fetchers/metadata-fetcher.js').BodyInfo} [body] - Body details from the fetch result
+ */
+function renderBodyInfo(step, body) {
+    if (!body) return;
+    const msg = document.createElement('p');
+    msg.className = 'step-msg';
+    msg.textContent = [
+        `Body: ${formatBytes(body.size)} of ${formatBytes(body.maxBytes)} limit`,
+        `${body.charset} (${CHARSET_SOURCE_LABELS[body.charsetSource] ?? body.charsetSource})`,
+        body.bomStripped ? 'BOM stripped' : null,
+        body.mimeType || 'no Content-Type',
+    ].filter(Boolean).join(' · ');
+    step.body.appendChild(msg);
+
+    const warnings = [];
+    if (body.policy === 'warn') warnings.push(body.policyReason);
+    if (body.malformed) warnings.push(`Body is not valid ${body.charset}; invalid bytes were replaced with U+FFFD`);
+    if (body.ignoredCharset) warnings.push(`Declared charset "${body.ignoredCharset}" was ignored`);
+    if (warnings.length > 0) addStepBadge(step, 'Body warning', 'badge-warning');
+    warnings.forEach((text) => {
+        const warn = document.createElement('p');
+        warn.className = 'step-msg step-msg-warning';
+        warn.textContent = `⚠ ${text}`;
+        step.body.appendChild(warn);
+    });
+}
+
+/**
+ * Marks a step card whose content came from the HTTP cache and says why
+ * it could be trusted without a fresh download.
+ * @param {Object} step - Step card reference object
+ * @param {import('./utils/http-cache.js').CacheHit} [fromCache] - Cache details from the fetch result
+ */
+function renderCacheStatus(step, fromCache) {
+    if (!fromCache) return;
+    addStepBadge(step, 'Cached', 'badge-ipfs');
+    const msg = document.createElement('p');
+    msg.className = 'step-msg';
+    const stored = new Date(fromCache.storedAt).toLocaleString();
+    msg.textContent = fromCache.immutable
+        ? `Served from cache (stored ${stored}) — the content is addressed by its CID, so no request was made.`
+        : `Served from cache (stored ${stored}) — the server confirmed it is unchanged (304 Not Modified).`;
+    step.body.appendChild(msg);
+}
+
+/** @type {Object<string, { badge: string, className: string, msgClass: string }>} Display of proxy cross-check outcomes */
+const CROSS_CHECK_DISPLAY = {
+    match: { badge: 'Cross-checked', className: 'badge-verified', msgClass: 'step-msg' },
+    equivalent: { badge: 'Cross-checked', className: 'badge-verified', msgClass: 'step-msg' },
+    mismatch: { badge: 'Proxy mismatch', className: 'badge-danger', msgClass: 'step-msg step-msg-error' },
+    unchecked: { badge: 'Not cross-checked', className: 'badge-warning', msgClass: 'step-msg step-msg-warning' },
+};
+
+/**
+ * States which route produced the document — direct from the host, or a
+ * CORS proxy and what it was asked for — and, for a proxy, how the copy
+ * compared with the one fetched through a second route. Gateway results
+ * already name their gateway and cached ones their cache entry.
+ * @param {Object} step - Step card reference object
+ * @param {import('./fetchers/metadata-fetcher.js').FetchResult} fetchResult - Successful fetch result
+ */
+function renderFetchRoute(step, fetchResult) {
+    if (fetchResult.fromCache || fetchResult.gateway) return;
+    const msg = document.createElement('p');
+    msg.className = 'step-msg';
+    const hops = fetchResult.redirects?.hops;
+    msg.textContent = fetchResult.usedProxy
+        ? `Route: CORS proxy ${fetchResult.proxy} → ${fetchResult.proxyTarget}`
+        : `Route: direct from ${hops ? gatewayHost(hops[hops.length - 1].url) : 'the host'}`;
+    step.body.appendChild(msg);
+
+    const check = fetchResult.crossCheck;
+    if (!check) return;
+    const display = CROSS_CHECK_DISPLAY[check.status];
+    addStepBadge(step, display.badge, display.className);
+    const checkMsg = document.createElement('p');
+    checkMsg.className = display.msgClass;
+    const second = check.secondRoute ? `${check.secondRoute.proxy} → ${check.secondRoute.target}` : '';
+    if (check.status === 'match') {
+        checkMsg.textContent = `✓ Identical copy through ${second} (SHA-256 ${check.hash.slice(0, 16)}…)`;
+    } else if (check.status === 'equivalent') {
+        checkMsg.textContent = `✓ Same JSON through ${second}; the bytes differ only in formatting or encoding`;
+    } else if (check.status === 'mismatch') {
+        setStepStatus(step, 'warning');
+        checkMsg.textContent = `✕ The copy through ${second} is different (${check.reason}). SHA-256 ${check.hash.slice(0, 16)}… vs ${check.secondHash.slice(0, 16)}…`;
+    } else {
+        checkMsg.textContent = `⚠ The proxied document could not be compared with a second route, so the proxy could have altered it. ${check.reason}`;
+    }
+    step.body.appendChild(checkMsg);
+}
+
+/**
+ * Warns on the parsing step that two proxy routes returned different
+ * documents, so the metadata being parsed may have been tampered with.
+ * @param {Object} step - Step card reference object
+ * @param {import('./fetchers/proxy-crosscheck.js').CrossCheck} crossCheck - Cross-check outcome
+ */
+function renderProxyMismatchWarning(step, crossCheck) {
+    setStepStatus(step, 'warning');
+    addStepBadge(step, 'Possible tampering', 'badge-danger');
+    const warningsDiv = document.createElement('div');
+    warningsDiv.className = 'step-warnings';
+    const p = document.createElement('p');
+    p.className = 'warning-high';
+    p.textContent = `⚠ Proxy content mismatch: ${crossCheck.route.proxy} and ${crossCheck.secondRoute.proxy} returned different documents for this metadata (${crossCheck.reason}). At least one of them altered it — do not trust the fields below without checking the source directly.`;
+    warningsDiv.appendChild(p);
+    step.body.insertBefore(warningsDiv, step.body.firstChild);
+}
+
+/**
+ * Shows how much the HTTP cache holds next to the bypass option.
+ */
+async function refreshCacheStats() {
+    if (!cacheStatsEl) return;
+    const stats = await getCacheStats();
+    if (!stats.available) {
+        cacheStatsEl.textContent = 'Cache unavailable in this browser';
+        if (cacheClearBtn) cacheClearBtn.disabled = true;
+        return;
+    }
+    cacheStatsEl.textContent = `Cache: ${stats.entries} item${stats.entries === 1 ? '' : 's'} · ${formatBytes(stats.bytes)} of ${formatBytes(stats.maxBytes)}`;
+    if (cacheClearBtn) cacheClearBtn.disabled = stats.entries === 0;
+}
+
+/**
+ * Lists the redirect hops a fetch went through on a step card. A hop that
+ * failed validation is marked and its reason shown. When the browser
+ * followed the redirects itself only the first and last URLs are known,
+ * and the list says so.
+ * @param {Object} step - Step card reference object
+ * @param {import('./fetchers/redirect-follower.js').RedirectChain} [redirects] - Redirect chain from the fetch result
+ */
+function renderRedirectChain(step, redirects) {
+    if (!redirects || redirects.hops.length < 2) return;
+    const count = redirects.hops.length - 1;
+    if (redirects.blocked) {
+        addStepBadge(step, 'Redirect blocked', 'badge-danger');
+    } else {
+        addStepBadge(step, redirects.complete ? `${count} redirect${count === 1 ? '' : 's'}` : 'Redirected', 'badge-warning');
+    }
+
+    const list = document.createElement('ol');
+    list.className = 'redirect-chain';
+    redirects.hops.forEach((hop, index) => {
+        if (index === 1 && !redirects.complete) {
+            const hidden = document.createElement('li');
+            hidden.className = 'redirect-hop redirect-hop-hidden';
+            hidden.textContent = 'Intermediate hops were followed by the browser and cannot be shown';
+            list.appendChild(hidden);
+        }
+        const blocked = redirects.blocked?.index === index;
+        const li = document.createElement('li');
+        li.className = blocked ? 'redirect-hop redirect-hop-blocked' : 'redirect-hop';
+        const status = document.createElement('span');
+        status.className = 'redirect-status';
+        status.textContent = blocked ? 'Blocked' : String(hop.status ?? '—');
+        const url = document.createElement('span');
+        url.className = 'cell-url';
+        url.textContent = hop.url;
+        li.append(status, url);
+        list.appendChild(li);
+    });
+    step.body.appendChild(list);
+
+    if (redirects.blocked) {
+        const msg = document.createElement('p');
+        msg.className = 'step-msg step-msg-error';
+        msg.textContent = `✕ Redirect hop ${redirects.blocked.index} was refused and not requested: ${redirects.blocked.reason}`;
+        step.body.appendChild(msg);
+    }
+}
+
+/** @type {Object<string, string>} How each file type claim is named on the file scan card */
+const TYPE_CLAIM_LABELS = {
+    declared: 'served type',
+    extension: 'URL extension',
+    metadata: 'metadata type',
+};
+
+/**
+ * Shows what a file's byte signature says it is, which claims agree with
+ * it, and a warning for each claim that does not (badged as a type
+ * mismatch, or as an executable when the file was refused).
+ * @param {Object} step - Step card reference object
+ * @param {import('./validators/file-type-validator.js').FileTypeCheck} check - Result of validateFileType
+ */
+function renderFileTypeCheck(step, check) {
+    const msg = document.createElement('p');
+    msg.className = 'step-msg';
+    if (check.sniffed) {
+        const matched = check.claims.filter((c) => c.verdict === 'match').map((c) => TYPE_CLAIM_LABELS[c.source]);
+        msg.textContent = `File signature: ${check.sniffed.label} (${check.sniffed.mimeType})${matched.length > 0 ? ` — matches the ${matched.join(', ')}` : ''}`;
+    } else {
+        msg.textContent = 'File signature: not recognised';
+    }
+    step.body.appendChild(msg);
+
+    if (check.warnings.length === 0) return;
+    const warningsDiv = document.createElement('div');
+    warningsDiv.className = 'step-warnings';
+    check.warnings.forEach((w) => {
+        const p = document.createElement('p');
+        p.className = `warning-${w.severity}`;
+        p.textContent = `⚠ ${w.message}`;
+        warningsDiv.appendChild(p);
+    });
+    step.body.appendChild(warningsDiv);
+    if (!check.valid) addStepBadge(step, 'Executable', 'badge-danger');
+    else if (check.claims.some((c) => c.verdict === 'mismatch')) addStepBadge(step, 'Type mismatch', 'badge-warning');
+}
+
+/**
+ * Shows where an image's structure says it ends and what, if anything,
+ * follows it, with a warning for appended data and for every second-format
+ * signature (badged as appended data or as a polyglot).
+ * @param {Object} step - Step card reference object
+ * @param {import('./validators/polyglot-detector.js').PolyglotCheck} check - Result of detectPolyglot
+ */
+function renderPolyglotCheck(step, check) {
+    if (check.format) {
+        const msg = document.createElement('p');
+        msg.className = 'step-msg';
+        const trailing = check.trailingType?.label ?? check.trailingMarkup ?? (check.trailingPadding ? 'padding' : 'unrecognised data');
+        if (check.imageEnd === null) {
+            msg.textContent = `Image structure: ${check.format.toUpperCase()} end not found`;
+        } else if (check.trailingBytes === 0) {
+            msg.textContent = `Image structure: ${check.format.toUpperCase()} ends at the end of the file — no trailing data`;
+        } else {
+            msg.textContent = `Image structure: ${check.format.toUpperCase()} ends at offset ${check.imageEnd} — ${formatBytes(check.trailingBytes)} of trailing data (${trailing})`;
+        }
+        step.body.appendChild(msg);
+    }
+
+    if (check.warnings.length === 0) return;
+    const warningsDiv = document.createElement('div');
+    warningsDiv.className = 'step-warnings';
+    check.warnings.forEach((w) => {
+        const p = document.createElement('p');
+        p.className = `warning-${w.severity}`;
+        p.textContent = `⚠ ${w.message}`;
+        warningsDiv.appendChild(p);
+    });
+    step.body.appendChild(warningsDiv);
+    const appended = check.warnings.find((w) => w.code === 'appended-file' || w.code === 'appended-data');
+    if (appended) addStepBadge(step, 'Appended data', appended.severity === 'high' ? 'badge-danger' : 'badge-warning');
+    if (check.embedded.length > 0) addStepBadge(step, 'Polyglot', 'badge-danger');
+}
+
+/**
+ * Formats a duration in seconds as h:mm:ss / m:ss.
+ * @param {number} seconds - Duration
+ * @returns {string} Formatted duration
+ */
+function formatDuration(seconds) {
+    const total = Math.round(seconds);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const sec = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${sec}` : `${m}:${sec}`;
+}
+
+/**
+ * Builds the summary line and detail rows for a video inspection.
+ * @param {import('./utils/video-container.js').VideoContainerInfo} video - Container details
+ * @returns {{ summary: string, rows: Array<[string, string]> }} Summary and table rows
+ */
+function describeVideoInspection(video) {
+    const videoTrack = video.tracks.find((t) => t.type === 'video');
+    const codecs = [...new Set(video.tracks.map((t) => t.codec).filter(Boolean))];
+    const summary = [
+        video.container ? video.container.toUpperCase() : 'Unknown container',
+        video.durationSec !== null ? formatDuration(video.durationSec) : null,
+        videoTrack?.width ? `${videoTrack.width}×${videoTrack.height}` : null,
+        codecs.length > 0 ? codecs.join(', ') : null,
+    ].filter(Boolean).join(' · ');
+    const rows = [
+        ['Container', `${video.container ?? 'unknown'}${video.brand ? ` (${video.brand})` : ''}`],
+        ['Duration', video.durationSec !== null ? `${formatDuration(video.durationSec)} (${video.durationSec.toFixed(2)} s)` : 'not declared'],
+        ...video.tracks.map((t, i) => [
+            `Track ${i + 1}`,
+            [
+                t.type,
+                t.codec || 'unknown codec',
+                t.width ? `${t.width}×${t.height}` : null,
+                t.sampleRate ? `${Math.round(t.sampleRate)} Hz` : null,
+                t.channels ? `${t.channels} ch` : null,
+            ].filter(Boolean).join(' · '),
+        ]),
+        ...video.tags.map((t) => [t.key, t.value]),
+        ...video.attachments.map((a) => ['Attachment', `${a.name || '(unnamed)'} · ${a.mimeType || 'unknown type'} · ${formatBytes(a.size)}`]),
+    ];
+    return { summary, rows };
+}
+
+/**
+ * Builds the summary line and detail rows for an audio inspection.
+ * @param {import('./utils/audio-tags.js').AudioTagInfo} audio - Tags and stream details
+ * @returns {{ summary: string, rows: Array<[string, string]> }} Summary and table rows
+ */
+function describeAudioInspection(audio) {
+    const title = audio.tags.find((t) => ['TIT2', 'TITLE', 'INAM', 'ID3v1:title'].includes(t.key))?.value;
+    const artist = audio.tags.find((t) => ['TPE1', 'ARTIST', 'IART', 'ID3v1:artist'].includes(t.key))?.value;
+    const stream = [
+        audio.codec,
+        audio.sampleRate ? `${audio.sampleRate} Hz` : null,
+        audio.channels ? `${audio.channels} ch` : null,
+    ].filter(Boolean).join(' · ');
+    const summary = [
+        audio.format ? audio.format.toUpperCase() : 'Unknown format',
+        audio.durationSec !== null ? formatDuration(audio.durationSec) : null,
+        artist && title ? `${artist} – ${title}` : title || artist || null,
+    ].filter(Boolean).join(' · ');
+    const rows = [
+        ['Format', audio.format ?? 'unknown'],
+        ['Duration', audio.durationSec !== null ? `${formatDuration(audio.durationSec)} (${audio.durationSec.toFixed(2)} s)` : 'not declared'],
+        ...(stream ? [['Stream', stream]] : []),
+        ['Tag formats', audio.tagFormats.join(', ') || 'none'],
+        ...audio.tags.map((t) => [t.key, t.value]),
+        ...audio.artwork.map((a) => [
+            'Artwork',
+            a.mimeType === '-->'
+                ? `linked: ${new TextDecoder('latin1').decode(a.bytes)}`
+                : [a.mimeType || 'unknown type', a.description || null, formatBytes(a.size)].filter(Boolean).join(' · '),
+        ]),
+        ...audio.objects.map((o) => ['Embedded object', `${o.name || '(unnamed)'} · ${o.mimeType || 'unknown type'} · ${formatBytes(o.size)}`]),
+    ];
+    return { summary, rows };
+}
+
+/**
+ * Builds the summary line and detail rows for a 3D model inspection,
+ * with the polygon and texture totals shown against their budgets.
+ * @param {import('./utils/gltf-model.js').GltfModelInfo} model - Model summary
+ * @returns {{ summary: string, rows: Array<[string, string]> }} Summary and table rows
+ */
+function describeModelInspection(model) {
+    const { totals } = model;
+    const named = (item, i, kind) => item.name || `${kind} ${i}`;
+    const summary = [
+        model.format === 'glb' ? 'GLB' : model.format === 'gltf' ? 'glTF' : 'Unknown model',
+        `${totals.triangles.toLocaleString()} triangles`,
+        `${model.meshes.length} mesh${model.meshes.length === 1 ? '' : 'es'}`,
+        `${model.images.length} texture image${model.images.length === 1 ? '' : 's'}`,
+        model.animations.length > 0 ? `${model.animations.length} animation${model.animations.length === 1 ? '' : 's'}` : null,
+    ].filter(Boolean).join(' · ');
+    const rows = [
+        ['Format', `${model.format ?? 'unknown'}${model.version ? ` (glTF ${model.version})` : ''}`],
+        ...(model.generator ? [['Generator', model.generator]] : []),
+        ...(model.copyright ? [['Copyright', model.copyright]] : []),
+        ['Scenes / nodes', `${model.scenes} / ${model.nodes}`],
+        ['Triangles', `${totals.triangles.toLocaleString()} of ${MODEL_BUDGETS.triangles.toLocaleString()} budget (${totals.vertices.toLocaleString()} vertices)`],
+        ['Texture size', `${totals.maxTextureDimension ? `${totals.maxTextureDimension} px largest side` : 'unknown'} of ${MODEL_BUDGETS.textureDimension} px budget`],
+        ['Texture data', `${formatBytes(totals.textureBytes)} of ${formatBytes(MODEL_BUDGETS.textureBytes)} budget`],
+        ...model.meshes.map((m, i) => [
+            `Mesh: ${named(m, i, 'mesh')}`,
+            `${m.triangles.toLocaleString()} triangles · ${m.vertices.toLocaleString()} vertices · ${m.primitives} primitive${m.primitives === 1 ? '' : 's'}`,
+        ]),
+        ...model.materials.map((m, i) => [
+            `Material: ${named(m, i, 'material')}`,
+            [m.alphaMode, m.textures.join(', ') || 'no textures', ...m.extensions].join(' · '),
+        ]),
+        ...model.textures.map((t, i) => [
+            `Texture: ${named(t, i, 'texture')}`,
+            [t.source !== null ? `image ${t.source}` : 'no image', ...t.extensions].join(' · '),
+        ]),
+        ...model.images.map((img) => [
+            `Image: ${named(img, img.index, 'image')}`,
+            [
+                img.storage === 'external' ? `external: ${img.uri}` : img.storage === 'bufferView' ? 'embedded (binary)' : 'embedded (data: URI)',
+                img.mimeType || null,
+                img.width ? `${img.width}×${img.height}` : null,
+                img.size !== null ? formatBytes(img.size) : null,
+            ].filter(Boolean).join(' · '),
+        ]),
+        ...model.animations.map((a, i) => [
+            `Animation: ${named(a, i, 'animation')}`,
+            [
+                `${a.channels} channel${a.channels === 1 ? '' : 's'}`,
+                a.durationSec !== null ? formatDuration(a.durationSec) : null,
+            ].filter(Boolean).join(' · '),
+        ]),
+        ['Extensions used', model.extensionsUsed.join(', ') || 'none'],
+        ...(model.extensionsRequired.length > 0 ? [['Extensions required', model.extensionsRequired.join(', ')]] : []),
+        ...model.uris.map((u) => [u.path, u.uri]),
+    ];
+    return { summary, rows };
+}
+
+/**
+ * Builds the summary line and detail rows for an SVG analysis: size,
+ * element count, what the sanitized preview dropped, and each active or
+ * external construct.
+ * @param {import('./validators/svg-analyzer.js').SvgAnalysis} svg - SVG analysis
+ * @returns {{ summary: string, rows: Array<[string, string]> }} Summary and table rows
+ */
+function describeSvgInspection(svg) {
+    const { width, height, viewBox } = svg.dimensions;
+    const active = svg.findings.filter((f) => f.severity === 'high').length;
+    const summary = [
+        'SVG',
+        `${svg.elementCount} element${svg.elementCount === 1 ? '' : 's'}`,
+        active > 0 ? `${active} active construct${active === 1 ? '' : 's'}` : null,
+        svg.externalUrls.length > 0 ? `${svg.externalUrls.length} external reference${svg.externalUrls.length === 1 ? '' : 's'}` : null,
+    ].filter(Boolean).join(' · ');
+    const rows = [
+        ['Size', [width && height ? `${width} × ${height}` : null, viewBox ? `viewBox ${viewBox}` : null].filter(Boolean).join(' · ') || 'unspecified'],
+        ['Preview', svg.sanitized ? `Sanitized copy rasterized to PNG (${svg.removed} construct${svg.removed === 1 ? '' : 's'} removed)` : 'None (file did not parse)'],
+        ...svg.findings.map((f) => [f.element, `${f.severity}: ${f.message}`]),
+    ];
+    return { summary, rows };
+}
+
+/**
+ * Builds the summary line and detail rows for a raster image's embedded
+ * metadata: which blocks it carries and their sizes, the GPS position,
+ * and every field read from them.
+ * @param {import('./utils/image-metadata.js').ImageMetadata} image - Image metadata
+ * @returns {{ summary: string, rows: Array<[string, string]> }} Summary and table rows
+ */
+function describeImageMetadata(image) {
+    const sources = [...new Set(image.blocks.map((b) => b.source))];
+    const summary = [
+        image.format ? image.format.toUpperCase() : 'Unknown image',
+        sources.length > 0 ? `${sources.join(', ')} metadata` : 'no embedded metadata',
+        image.gps ? 'GPS position' : null,
+    ].filter(Boolean).join(' · ');
+    const rows = [
+        ['Format', image.format ?? 'unknown'],
+        ...image.blocks.map((b) => [`Block: ${b.source}`, formatBytes(b.size)]),
+        ...(image.gps
+            ? [['GPS position', [
+                `${image.gps.latitude.toFixed(6)}, ${image.gps.longitude.toFixed(6)}`,
+                image.gps.altitude !== null ? `${image.gps.altitude.toFixed(1)} m` : null,
+            ].filter(Boolean).join(' · ')]]
+            : []),
+        ...image.fields.map((f) => [`${f.source}: ${f.key}`, f.value]),
+        ...(image.error ? [['Read error', image.error]] : []),
+    ];
+    return { summary, rows };
+}
+
+/** @type {Object<string, string>} Step badge class for each HTML risk level */
+const HTML_RISK_BADGES = {
+    high: 'badge-danger',
+    medium: 'badge-warning',
+};
+
+/**
+ * Builds the summary line and detail rows for an HTML page analysis: the
+ * risk summary, every script and where it comes from, and the external
+ * origins the page contacts.
+ * @param {import('./validators/html-analyzer.js').HtmlAnalysis} html - Page analysis
+ * @returns {{ summary: string, rows: Array<[string, string]> }} Summary and table rows
+ */
+function describeHtmlInspection(html) {
+    const summary = [
+        'HTML page',
+        `${html.risk.level} risk`,
+        `${html.scripts.length} script${html.scripts.length === 1 ? '' : 's'}`,
+        `${html.origins.length} external origin${html.origins.length === 1 ? '' : 's'}`,
+    ].join(' · ');
+    const rows = [
+        ...(html.title ? [['Title', html.title]] : []),
+        ['Risk', `${html.risk.level}: ${html.risk.reasons.join('; ')}`],
+        ...html.scripts.map((s) => [
+            `Script: ${s.source}`,
+            [
+                s.origin,
+                s.size !== null ? formatBytes(s.size) : null,
+                s.analyzed ? 'analyzed' : 'not analyzed',
+            ].filter(Boolean).join(' · '),
+        ]),
+        ...html.origins.map((origin) => ['External origin', origin]),
+        ['Preview', 'Opt-in only: sandboxed frame (scripts only, opaque blob origin), network blocked by CSP'],
+    ];
+    return { summary, rows };
+}
+
+/**
+ * Renders what the media inspector found inside a file: a collapsible
+ * table of container details and embedded metadata, and the findings as
+ * severity-coloured warnings (badged when any link or attachment is
+ * hidden in the file).
+ * @param {Object} step - Step card reference object
+ * @param {import('./validators/media-inspector.js').MediaInspection|null} inspection - Inspection result
+ */
+function renderMediaInspection(step, inspection) {
+    if (!inspection) return;
+    let described;
+    if (inspection.html) described = describeHtmlInspection(inspection.html);
+    else if (inspection.svg) described = describeSvgInspection(inspection.svg);
+    else if (inspection.model) described = describeModelInspection(inspection.model);
+    else if (inspection.audio) described = describeAudioInspection(inspection.audio);
+    else if (inspection.image) described = describeImageMetadata(inspection.image);
+    else described = describeVideoInspection(inspection.video);
+    const { summary, rows } = described;
+
+    const details = document.createElement('details');
+    details.className = 'cid-details media-inspection';
+    const summaryEl = document.createElement('summary');
+    summaryEl.textContent = summary;
+    details.appendChild(summaryEl);
+
+    const table = document.createElement('table');
+    table.className = 'meta-sub-table';
+    rows.forEach(([label, value]) => {
+        const tr = document.createElement('tr');
+        const key = document.createElement('td');
+        key.className = 'meta-sub-key';
+        key.textContent = label;
+        const val = document.createElement('td');
+        val.className = 'cell-url';
+        val.textContent = value;
+        tr.append(key, val);
+        table.appendChild(tr);
+    });
+    details.appendChild(table);
+    step.body.appendChild(details);
+
+    if (inspection.warnings.length === 0) return;
+    const warningsDiv = document.createElement('div');
+    warningsDiv.className = 'step-warnings';
+    inspection.warnings.forEach((w) => {
+        const p = document.createElement('p');
+        p.className = `warning-${w.severity}`;
+        p.textContent = `⚠ ${w.message}`;
+        warningsDiv.appendChild(p);
+    });
+    step.body.appendChild(warningsDiv);
+    if (inspection.urls.length > 0) {
+        addStepBadge(step, inspection.model || inspection.svg || inspection.html ? 'External resources' : 'Embedded links', hasSevereWarning(inspection.warnings) ? 'badge-danger' : 'badge-warning');
+    }
+    if (inspection.html && HTML_RISK_BADGES[inspection.html.risk.level]) {
+        addStepBadge(step, `${inspection.html.risk.level === 'high' ? 'High' : 'Medium'} risk`, HTML_RISK_BADGES[inspection.html.risk.level]);
+    }
+    if (inspection.svg && hasSevereWarning(inspection.warnings)) addStepBadge(step, 'Active content', 'badge-danger');
+    if (inspection.image?.gps) addStepBadge(step, 'Location data', 'badge-warning');
+    const attachments = inspection.video?.attachments.length ?? inspection.audio?.objects.length ?? 0;
+    if (attachments > 0) addStepBadge(step, 'Attachments', 'badge-warning');
+}
+
+/**
+ * Renders the decoded CID of an IPFS URL (version, codec, hash, v0/v1
+ * forms, subdomain gateway URL) as a collapsible table on a step card.
+ * @param {Object} step - Step card reference object
+ * @param {import('./utils/ipfs-utils.js').CIDInfo} cid - Decoded CID from validateURL
+ * @param {string} gatewayUrl - Resolved gateway URL (used for the path after the CID)
+ */
+function renderCidDetails(step, cid, gatewayUrl) {
+    const cidPath = extractCID(gatewayUrl);
+    const { path } = cidPath ? splitCIDPath(cidPath) : { path: '' };
+
+    const details = document.createElement('details');
+    details.className = 'cid-details';
+    const summary = document.createElement('summary');
+    summary.textContent = `IPFS CID v${cid.version} · ${cid.codecName} · ${cid.multihash.name}`;
+    details.appendChild(summary);
+
+    const table = document.createElement('table');
+    table.className = 'meta-sub-table';
+    const rows = [
+        ['CID', cid.cid],
+        ['Version', `CIDv${cid.version} (${cid.multibase})`],
+        ['Codec', `${cid.codecName} (0x${cid.codec.toString(16)})`],
+        ['Multihash', `${cid.multihash.name}, ${cid.multihash.length} bytes`],
+        ['Digest', cid.multihash.digest],
+        ['CIDv1', toCIDv1(cid)],
+        ['CIDv0', toCIDv0(cid) || 'n/a (only dag-pb + sha2-256 CIDs have a v0 form)'],
+        ['Subdomain gateway', buildSubdomainGatewayUrl(cid.cid, path) || 'n/a (CID too long for a DNS label)'],
+    ];
+    rows.forEach(([label, value]) => {
+        const tr = document.createElement('tr');
+        const key = document.createElement('td');
+        key.className = 'meta-sub-key';
+        key.textContent = label;
+        const val = document.createElement('td');
+        val.className = 'cell-url';
+        val.textContent = value;
+        tr.append(key, val);
+        table.appendChild(tr);
+    });
+    details.appendChild(table);
+    step.body.appendChild(details);
+}
+
+/**
+ * Notes on a step card that an IPFS gateway URL on another host was
+ * detected and its CID re-routed through the configured gateways.
+ * @param {Object} step - Step card reference object
+ * @param {import('./utils/ipfs-utils.js').GatewayReroute} [reroutedFrom] - Gateway the URL was moved off
+ * @param {string} resolvedUrl - URL the scan continues with
+ */
+function renderGatewayReroute(step, reroutedFrom, resolvedUrl) {
+    if (!reroutedFrom) return;
+    addStepBadge(step, 'Re-routed', 'badge-ipfs');
+    const p = document.createElement('p');
+    p.className = 'step-msg';
+    const style = reroutedFrom.style === 'subdomain' ? 'subdomain' : 'path';
+    p.textContent = `IPFS content detected on ${reroutedFrom.host} (${style} gateway) — fetched through the configured gateways instead: `;
+    const span = document.createElement('span');
+    span.className = 'cell-url';
+    span.textContent = resolvedUrl;
+    p.appendChild(span);
+    step.body.appendChild(p);
+}
+
+/**
+ * Warns on a step card that the metadata came from an IPNS name, whose
+ * target can be changed by its owner after the scan.
+ * @param {Object} step - Step card reference object
+ * @param {import('./fetchers/metadata-fetcher.js').IPNSResolution} ipns - IPNS fetch details
+ */
+function renderMutablePointerWarning(step, ipns) {
+    setStepStatus(step, 'warning');
+    addStepBadge(step, 'Mutable (IPNS)', 'badge-warning');
+    const warningsDiv = document.createElement('div');
+    warningsDiv.className = 'step-warnings';
+    const p = document.createElement('p');
+    p.className = 'warning-medium';
+    const pinned = ipns.resolvedCid ? ` This scan covers /ipfs/${ipns.resolvedCid}; scan that CID directly for an immutable reference.` : '';
+    p.textContent = `⚠ Mutable pointer: this metadata was loaded through ipns://${ipns.name}${ipns.type === 'dnslink' ? ' (DNSLink)' : ''}. Its owner can point it at different content after this scan, so a clean result may not hold.${pinned}`;
+    warningsDiv.appendChild(p);
+    step.body.insertBefore(warningsDiv, step.body.firstChild);
+}
+
+/**
+ * Shows how an ERC-1155 `{id}` template was expanded on a step card.
+ * @param {Object} step - Step card reference object
+ * @param {string} template - URI as entered, containing {id}
+ * @param {string} expandedUrl - URI after substitution
+ * @param {import('./utils/erc1155-uri.js').TokenIdResult} tokenId - Substituted token ID
+ */
+function renderTemplateExpansion(step, template, expandedUrl, tokenId) {
+    addStepBadge(step, 'ERC-1155 {id}', 'badge-erc1155');
+    const info = document.createElement('div');
+    info.className = 'template-expansion';
+    const rows = [
+        ['Template', template],
+        ['Token ID', `${tokenId.decimal} (0x${tokenId.hex})`],
+        ['Expanded URL', expandedUrl],
+    ];
+    rows.forEach(([label, value]) => {
+        const p = document.createElement('p');
+        p.className = 'step-msg';
+        const strong = document.createElement('strong');
+        strong.textContent = `${label}: `;
+        const span = document.createElement('span');
+        span.className = 'cell-url';
+        span.textContent = value;
+        p.append(strong, span);
+        info.appendChild(p);
+    });
+    step.body.appendChild(info);
+}
+
+/**
+ * Renders structured URL validation warnings (homograph / look-alike
+ * hostname checks) on a step card and badges the card when any is severe.
+ * @param {Object} step - Step card reference object
+ * @param {import('./validators/homograph-detector.js').HostnameWarning[]} [warnings] - Warnings from validateURL
+ */
+function renderUrlWarnings(step, warnings) {
+    if (!Array.isArray(warnings) || warnings.length === 0) return;
+    const warningsDiv = document.createElement('div');
+    warningsDiv.className = 'step-warnings';
+    warnings.forEach((w) => {
+        const p = document.createElement('p');
+        p.className = `warning-${w.severity}`;
+        p.textContent = `⚠ ${w.message}`;
+        warningsDiv.appendChild(p);
+    });
+    step.body.appendChild(warningsDiv);
+    if (hasSevereWarning(warnings)) addStepBadge(step, 'Suspicious domain', 'badge-danger');
+}
+
+/**
+ * Whether a warning list contains a high-severity entry.
+ * @param {Array<{severity: string}>} [warnings]
+ * @returns {boolean}
+ */
+function hasSevereWarning(warnings) {
+    return Array.isArray(warnings) && warnings.some((w) => w.severity === 'high');
+}
+
+/** @type {Object<string, { label: string, className: string }>} Display of availability verdicts */
+const AVAILABILITY_VERDICTS = {
+    'pinned': { label: 'Likely pinned', className: 'badge-verified' },
+    'at-risk': { label: 'At risk', className: 'badge-warning' },
+    'unavailable': { label: 'Unavailable', className: 'badge-danger' },
+};
+
+/**
+ * Adds the IPFS availability check action to a step card. Clicking it
+ * probes every gateway for every IPFS URL and fills a CID × gateway
+ * matrix row by row, ending with a per-verdict summary.
+ * @param {Object} step - Step card reference object
+ * @param {import('./fetchers/availability-checker.js').IPFSTarget[]} targets - IPFS content found in the metadata
+ * @param {AbortSignal|null} externalSignal - Scan abort signal
+ */
+function renderAvailabilityCheck(step, targets, externalSignal) {
+    const wrap = document.createElement('div');
+    wrap.className = 'availability-check';
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'btn btn-secondary btn-sm';
+    btn.textContent = `Check IPFS availability (${targets.length} CID${targets.length === 1 ? '' : 's'})`;
+    const results = document.createElement('div');
+    wrap.append(btn, results);
+    step.body.appendChild(wrap);
+
+    btn.addEventListener('click', async () => {
+        btn.disabled = true;
+        btn.textContent = 'Checking gateways…';
+        results.textContent = '';
+
+        const localGateway = getLocalNodeGateway();
+        const gateways = getGateways();
+        const headers = ['Content', ...gateways.map((g) => (g === localGateway ? `${gatewayHost(g)} (local)` : gatewayHost(g))), 'Verdict'];
+        const { wrapper, tbody } = createScanTable(headers);
+        const rows = targets.map((target) => {
+            const tr = document.createElement('tr');
+            const contentTd = document.createElement('td');
+            const fields = document.createElement('strong');
+            fields.textContent = target.fields.join(', ');
+            const path = document.createElement('span');
+            path.className = 'cell-url';
+            path.textContent = target.cidPath;
+            contentTd.append(fields, document.createElement('br'), path);
+            tr.appendChild(contentTd);
+            for (let i = 0; i <= gateways.length; i++) {
+                const td = document.createElement('td');
+                td.textContent = '…';
+                tr.appendChild(td);
+            }
+            tbody.appendChild(tr);
+            return tr;
+        });
+        results.appendChild(wrapper);
+
+        const checked = await checkAvailability(targets, {
+            externalSignal,
+            onResult: (row, index) => {
+                const cells = rows[index].children;
+                row.probes.forEach((probe, i) => {
+                    const cell = cells[i + 1];
+                    cell.className = probe.ok ? 'avail-ok' : 'avail-fail';
+                    const status = probe.status === null ? probe.error : `${probe.status}`;
+                    const size = probe.contentLength === null ? '' : ` · ${formatBytes(probe.contentLength)}`;
+                    cell.textContent = `${probe.ok ? '✓' : '✗'} ${status} · ${probe.latencyMs} ms${size}`;
+                    cell.title = `${probe.method} ${probe.gateway}${row.target.cidPath}`;
+                });
+                const verdictCell = cells[cells.length - 1];
+                verdictCell.textContent = '';
+                const badge = document.createElement('span');
+                badge.className = `step-badge ${AVAILABILITY_VERDICTS[row.verdict].className}`;
+                badge.textContent = AVAILABILITY_VERDICTS[row.verdict].label;
+                verdictCell.appendChild(badge);
+            },
+        });
+
+        const counts = Object.keys(AVAILABILITY_VERDICTS)
+            .map((verdict) => [verdict, checked.filter((r) => r.verdict === verdict).length])
+            .filter(([, n]) => n > 0)
+            .map(([verdict, n]) => `${n} ${AVAILABILITY_VERDICTS[verdict].label.toLowerCase()}`);
+        const summary = document.createElement('p');
+        summary.className = checked.some((r) => r.verdict !== 'pinned') ? 'step-msg step-msg-warning' : 'step-msg';
+        summary.textContent = checked.length < targets.length
+            ? `Availability check cancelled after ${checked.length} of ${targets.length} CIDs.`
+            : `Availability: ${counts.join(', ')}. "Likely pinned" means at least two public gateways, and at least half of them, serve the file.`;
+        results.appendChild(summary);
+
+        btn.disabled = false;
+        btn.textContent = 'Re-check IPFS availability';
+    });
+}
+
 /* ------------------------------------------------------------------ */
 /*  Table Helpers                                                      */
 /* ------------------------------------------------------------------ */
@@ -1672,7 +2664,10 @@ async function retryStep(step) {
                 step.meta.blob = blob;
                 step.meta.mimeType = fetchRes.mimeType;
                 step.meta.size = fetchRes.size;
-                step.meta.objectUrl = fetchRes.objectUrl;
+                const inspection = await inspectFetchedMedia(fetchRes, step.meta.originalUrl ?? step.meta.url);
+                step.meta.objectUrl = await previewUrlFor(fetchRes, inspection);
+                step.meta.html = inspection?.html ?? null;
+                step.meta.kind = fetchRes.kind;
             }
 
             const fileRes = await scanFile(blob, step.meta.filename || 'file', vtApiKey, null, { processId: step.meta.processId || null });
@@ -1694,13 +2689,10 @@ async function retryStep(step) {
 
                 const prevEl = document.createElement('div');
                 prevEl.className = 'cell-media';
-                if (step.meta.objectUrl) {
-                    const thumb = document.createElement('img');
-                    thumb.src = step.meta.objectUrl;
-                    thumb.alt = 'Media preview';
-                    thumb.className = 'media-thumb';
-                    thumb.addEventListener('click', () => showMediaPreviewModal(step.meta.objectUrl, 'NFT Media'));
-                    prevEl.appendChild(thumb);
+                if (step.meta.html) {
+                    prevEl.appendChild(createHtmlPreviewThumb(step.meta.html));
+                } else if (step.meta.objectUrl) {
+                    prevEl.appendChild(createMediaThumb(step.meta.objectUrl, step.meta.kind));
                 } else {
                     prevEl.textContent = '-';
                 }
@@ -1742,7 +2734,7 @@ async function retryStep(step) {
                     return;
                 }
             } else {
-                setStepStatus(step, fileRes.scanned ? 'success' : 'warning');
+                setStepStatus(step, step.meta.suspicious ? 'warning' : 'success');
             }
 
             return;
@@ -1858,7 +2850,7 @@ function renderParsedMetadata(container, result) {
 
     if (result.name) addRow('Name', result.name);
     if (result.description) addRow('Description', result.description);
-    if (result.image) addRow('Image URL', result.image);
+    if (result.image) addRow('Image URL', isDataUri(result.image) ? describeDataUri(result.image) : result.image);
 
     // Properties (Enjin) as a nested sub-table
     if (result.properties && typeof result.properties === 'object') {
@@ -1908,7 +2900,7 @@ function renderParsedMetadata(container, result) {
         }
         // Show known url fields
         if (result.raw.external_url) addRow('External URL', result.raw.external_url);
-        if (result.raw.animation_url) addRow('Animation URL', result.raw.animation_url);
+        if (result.raw.animation_url) addRow('Animation URL', isDataUri(result.raw.animation_url) ? describeDataUri(result.raw.animation_url) : String(result.raw.animation_url));
         if (result.raw.fallback_image) addRow('Fallback Image', result.raw.fallback_image);
     }
 
@@ -2244,6 +3236,154 @@ function buildMediaUrlScanRow(mediaObj, result) {
     return row;
 }
 
+/** @type {number} Longest side, in pixels, of a rasterized SVG preview */
+const SVG_RASTER_MAX = 1024;
+
+/**
+ * Rasterizes a sanitized SVG to a PNG, so the preview shows pixels rather
+ * than a live SVG document. The SVG is only ever loaded as an image (where
+ * scripts never run) and only long enough to draw it onto a canvas.
+ * @param {string} svgText - Sanitized SVG source (see svg-analyzer.js)
+ * @returns {Promise<string|null>} Blob URL of the PNG, or null if it could not be drawn
+ */
+async function rasterizeSvg(svgText) {
+    const svgUrl = URL.createObjectURL(new Blob([svgText], { type: 'image/svg+xml' }));
+    try {
+        const img = new Image();
+        img.src = svgUrl;
+        await img.decode();
+        // SVGs without width/height report no intrinsic size; use the CSS default
+        const naturalWidth = img.naturalWidth || 300;
+        const naturalHeight = img.naturalHeight || 150;
+        const scale = Math.min(1, SVG_RASTER_MAX / Math.max(naturalWidth, naturalHeight));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(naturalWidth * scale));
+        canvas.height = Math.max(1, Math.round(naturalHeight * scale));
+        canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+        const png = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+        return png ? URL.createObjectURL(png) : null;
+    } catch (err) {
+        logError('MediaError', 'Failed to rasterize SVG preview', { error: err?.message || err });
+        return null;
+    } finally {
+        URL.revokeObjectURL(svgUrl);
+    }
+}
+
+/**
+ * Gives the URL a file's preview may show. An SVG never renders itself:
+ * its blob URL is revoked and the sanitized copy rasterized in its place.
+ * An HTML page has no preview URL at all (see createHtmlPreviewThumb).
+ * @param {Object} mediaResult - Result from fetchMedia
+ * @param {import('./validators/media-inspector.js').MediaInspection|null} inspection - Inspection result
+ * @returns {Promise<string|null>} Preview URL, or null for no preview
+ */
+async function previewUrlFor(mediaResult, inspection) {
+    if (inspection?.html) {
+        if (mediaResult.objectUrl) URL.revokeObjectURL(mediaResult.objectUrl);
+        return null;
+    }
+    if (!inspection?.svg) return mediaResult.objectUrl ?? null;
+    if (mediaResult.objectUrl) URL.revokeObjectURL(mediaResult.objectUrl);
+    return inspection.svg.sanitized ? rasterizeSvg(inspection.svg.sanitized) : null;
+}
+
+/**
+ * Inspects a fetched file. HTML pages first have their same-origin
+ * subresources downloaded, so their scripts are analyzed too and the
+ * preview page is self-contained.
+ * @param {Object} mediaResult - Result from fetchMedia
+ * @param {string|null} pageUrl - URL the file was listed under (null for inline data)
+ * @param {AbortSignal} [signal] - Optional abort signal
+ * @returns {Promise<import('./validators/media-inspector.js').MediaInspection|null>} Inspection result
+ */
+async function inspectFetchedMedia(mediaResult, pageUrl, signal = null) {
+    if (mediaResult.kind !== 'html') return inspectMedia(mediaResult.blob, mediaResult);
+    const subresources = await fetchSameOriginSubresources(await mediaResult.blob.text(), pageUrl, { signal });
+    return inspectMedia(mediaResult.blob, { ...mediaResult, pageUrl, subresources });
+}
+
+/**
+ * Creates the preview cell content for an HTML page. Nothing runs until
+ * the user asks: the button opens the page in the sandboxed preview frame.
+ * @param {import('./validators/html-analyzer.js').HtmlAnalysis} html - Page analysis
+ * @returns {HTMLElement} Preview element
+ */
+function createHtmlPreviewThumb(html) {
+    const wrap = document.createElement('div');
+    wrap.className = 'media-html-preview';
+    const label = document.createElement('span');
+    label.className = 'media-thumb media-thumb-html';
+    label.textContent = 'HTML';
+    label.title = 'HTML page — not rendered; see the page report';
+    const runBtn = document.createElement('button');
+    runBtn.type = 'button';
+    runBtn.className = 'btn btn-secondary btn-sm';
+    runBtn.textContent = 'Run sandboxed';
+    runBtn.title = `Run the page in a sandboxed frame with network access blocked (${html.risk.level} risk)`;
+    runBtn.addEventListener('click', () => showMediaPreviewModal(html.preview, 'NFT Media', 'html'));
+    wrap.append(label, runBtn);
+    return wrap;
+}
+
+/**
+ * Creates the clickable preview thumbnail for a fetched file. Video gets a
+ * muted, non-autoplaying <video> that only loads its first frame; both
+ * open the preview modal on click. Audio has no picture to click, so it
+ * gets an inline player and a button that opens the modal player. 3D
+ * models are not rendered, so they get a plain label.
+ * @param {string} objectUrl - Blob URL from fetchMedia
+ * @param {'image'|'video'|'audio'|'model'} [kind] - Media kind
+ * @returns {HTMLElement} Thumbnail element
+ */
+function createMediaThumb(objectUrl, kind = 'image') {
+    if (kind === 'model') {
+        const label = document.createElement('span');
+        label.className = 'media-thumb media-thumb-model';
+        label.textContent = '3D';
+        label.title = '3D model — not rendered; see the model report';
+        return label;
+    }
+    if (kind === 'audio') {
+        const wrap = document.createElement('div');
+        wrap.className = 'media-audio-preview';
+        const player = document.createElement('audio');
+        player.controls = true;
+        player.preload = 'metadata';
+        player.src = objectUrl;
+        player.setAttribute('aria-label', 'Audio preview');
+        const openBtn = document.createElement('button');
+        openBtn.type = 'button';
+        openBtn.className = 'btn btn-ghost btn-sm btn-magnify';
+        openBtn.textContent = '🔍';
+        openBtn.title = 'Open audio preview';
+        openBtn.setAttribute('aria-label', 'Open audio preview');
+        openBtn.addEventListener('click', () => {
+            player.pause();
+            showMediaPreviewModal(objectUrl, 'NFT Media', kind);
+        });
+        wrap.append(player, openBtn);
+        return wrap;
+    }
+
+    let thumb;
+    if (kind === 'video') {
+        thumb = document.createElement('video');
+        thumb.muted = true;
+        thumb.autoplay = false;
+        thumb.preload = 'metadata';
+        thumb.playsInline = true;
+        thumb.setAttribute('aria-label', 'Video preview');
+    } else {
+        thumb = document.createElement('img');
+        thumb.alt = 'Media preview';
+    }
+    thumb.src = objectUrl;
+    thumb.className = 'media-thumb';
+    thumb.addEventListener('click', () => showMediaPreviewModal(objectUrl, 'NFT Media', kind));
+    return thumb;
+}
+
 /**
  * Builds a table row for a media file scan (upload to VT).
  * @param {Object} mediaResult - Result from fetchMedia
@@ -2266,12 +3406,7 @@ function buildFileScanRow(mediaResult, fileResult) {
     const prevCell = document.createElement('td');
     prevCell.className = 'cell-media';
     if (mediaResult.objectUrl) {
-        const thumb = document.createElement('img');
-        thumb.src = mediaResult.objectUrl;
-        thumb.alt = 'Media preview';
-        thumb.className = 'media-thumb';
-        thumb.addEventListener('click', () => showMediaPreviewModal(mediaResult.objectUrl, 'NFT Media'));
-        prevCell.appendChild(thumb);
+        prevCell.appendChild(createMediaThumb(mediaResult.objectUrl, mediaResult.kind));
     } else {
         prevCell.textContent = '-';
     }
@@ -2309,19 +3444,39 @@ async function handleScanSubmit(event) {
     event.preventDefault();
     if (isScanning) return;
 
-    const rawUrl = urlInput?.value?.trim() ?? '';
+    let rawUrl = urlInput?.value?.trim() ?? '';
     if (!rawUrl) {
         setUrlError('Please enter a URL');
         urlInput?.focus();
         return;
     }
 
-    // Validate URL format before proceeding
-    const validation = validateURL(rawUrl);
-    if (!validation.valid) {
-        setUrlError(validation.reason);
-        urlInput?.focus();
-        return;
+    // ERC-1155 URI templates: substitute {id} before any validation so the
+    // checks (and VirusTotal) see the URL that will actually be fetched.
+    let template = null;
+    let tokenId = null;
+    if (!isDataUri(rawUrl) && hasIdPlaceholder(rawUrl)) {
+        tokenId = parseTokenId(tokenIdInput?.value);
+        if (!tokenId.valid) {
+            setUrlError(tokenId.reason);
+            updateTokenIdField();
+            tokenIdInput?.focus();
+            return;
+        }
+        template = rawUrl;
+        rawUrl = expandIdTemplate(template, tokenId);
+    }
+
+    // Validate URL format before proceeding. On-chain metadata pasted as a
+    // data: URI is decoded locally rather than fetched, so it bypasses the
+    // URL checks (validateURL still rejects data: everywhere else).
+    if (!isDataUri(rawUrl)) {
+        const validation = validateURL(rawUrl);
+        if (!validation.valid) {
+            setUrlError(validation.reason);
+            urlInput?.focus();
+            return;
+        }
     }
 
     if (!vtApiKey) {
@@ -2330,6 +3485,9 @@ async function handleScanSubmit(event) {
     }
 
     setUrlError('');
+    // The cache bypass applies to this scan only
+    const bypassCache = Boolean(cacheBypassInput?.checked);
+    if (cacheBypassInput) cacheBypassInput.checked = false;
     // Prepare abort controller for this scan so it can be cancelled (Back button)
     try { if (scanAbortController) scanAbortController.abort(); } catch (e) {}
     scanAbortController = new AbortController();
@@ -2338,7 +3496,7 @@ async function handleScanSubmit(event) {
     navigateToResults();
 
     try {
-        await runPipeline(rawUrl, scanAbortController.signal);
+        await runPipeline(rawUrl, scanAbortController.signal, { template, tokenId, bypassCache });
     } catch (err) {
         // Log full error (message + stack) to aid debugging during development
         logError('PipelineError', 'Unhandled error in scan pipeline', { error: err && err.message, stack: err && err.stack });
@@ -2348,6 +3506,7 @@ async function handleScanSubmit(event) {
         setScanLoading(false);
         // cleanup controller after scan finishes
         scanAbortController = null;
+        refreshCacheStats();
     }
 }
 
@@ -2376,27 +3535,298 @@ function handleBackClick() {
 }
 
 /**
- * Runs the full sequential validation pipeline.
- * Each step renders a card; the next step only runs if the previous passed.
+ * Downloads (or decodes) a file, uploads it to the VirusTotal /files
+ * endpoint and renders the result as a step card.
+ * @param {Object} options
+ * @param {string} options.title - Step card title
+ * @param {string} options.field - Metadata field the file came from
+ * @param {string} [options.url] - Resolved remote URL (null for inline data)
+ * @param {string} [options.originalUrl] - URL as written in the metadata
+ * @param {string|null} [options.metadataType] - Type the metadata declares for the file (e.g. Enjin media[].type)
+ * @param {() => Promise<import('./fetchers/media-fetcher.js').MediaResult>} options.loadMedia - Produces the blob to scan
+ * @param {Object} options.scanStats - Running scan counters (mutated)
+ * @param {AbortSignal} [options.externalSignal] - Optional abort signal
+ * @returns {Promise<boolean>} False if the pipeline should stop
+ */
+async function runFileScanStep({ title, field, url = null, originalUrl = null, metadataType = null, loadMedia, scanStats, externalSignal = null }) {
+    const fileProcessId = `vt-ui-${Math.random().toString(36).substring(2,10)}`;
+    const fileStep = createStepCard(title, fileProcessId);
+    const fHeaders = ['Status', 'Type', 'Size', 'Media Preview', 'VirusTotal Results'];
+    const { wrapper: fWrap, tbody: fTbody } = createScanTable(fHeaders, { vertical: true });
+    const fPlaceholder = document.createElement('tr');
+    const fPhTd = document.createElement('td');
+    fPhTd.colSpan = 2;
+    fPhTd.textContent = '-';
+    fPlaceholder.appendChild(fPhTd);
+    fTbody.appendChild(fPlaceholder);
+    fileStep.body.appendChild(fWrap);
+
+    // Fetch (or decode) the file
+    const mediaFetchResult = await loadMedia();
+
+    if (!mediaFetchResult.success) {
+        fTbody.removeChild(fPlaceholder);
+        const failRow = document.createElement('tr');
+        const failCell = document.createElement('td');
+        failCell.colSpan = 6;
+        failCell.className = 'step-msg step-msg-error';
+        failCell.textContent = mediaFetchResult.error;
+        failRow.appendChild(failCell);
+        fTbody.appendChild(failRow);
+        renderCidVerification(fileStep, mediaFetchResult.verification);
+        renderRedirectChain(fileStep, mediaFetchResult.redirects);
+        setStepStatus(fileStep, 'error');
+        showScanErrorModal(mediaFetchResult.error || 'Failed to fetch media file.');
+        return false;
+    }
+
+    if (mediaFetchResult.fromDataUri) {
+        addStepBadge(fileStep, 'On-chain', 'badge-onchain');
+    }
+    if (mediaFetchResult.gateway) {
+        addStepBadge(fileStep, gatewayHost(mediaFetchResult.gateway), 'badge-ipfs');
+    }
+    renderCidVerification(fileStep, mediaFetchResult.verification);
+    renderCacheStatus(fileStep, mediaFetchResult.fromCache);
+    renderRedirectChain(fileStep, mediaFetchResult.redirects);
+
+    const fileBytes = new Uint8Array(await mediaFetchResult.blob.arrayBuffer());
+    const typeCheck = validateFileType(fileBytes, {
+        declaredType: mediaFetchResult.mimeType,
+        url: originalUrl ?? url,
+        metadataType,
+    });
+    renderFileTypeCheck(fileStep, typeCheck);
+    if (!typeCheck.valid) {
+        // Executable content stops here: no preview, no upload
+        if (mediaFetchResult.objectUrl) URL.revokeObjectURL(mediaFetchResult.objectUrl);
+        fTbody.removeChild(fPlaceholder);
+        setStepStatus(fileStep, 'error');
+        showScanErrorModal(typeCheck.reason);
+        return false;
+    }
+    // Appended or dual-format content is suspicious whatever VirusTotal says about the file
+    const polyglotCheck = detectPolyglot(fileBytes);
+    renderPolyglotCheck(fileStep, polyglotCheck);
+
+    const inspection = await inspectFetchedMedia(mediaFetchResult, originalUrl ?? url, externalSignal);
+    renderMediaInspection(fileStep, inspection);
+    const previewUrl = await previewUrlFor(mediaFetchResult, inspection);
+
+    // Preserve metadata for potential Retry, then upload blob to VirusTotal /files endpoint
+    fileStep.meta = {
+        type: 'media-file-scan',
+        url,
+        originalUrl,
+        field,
+        headers: fHeaders,
+        processId: fileProcessId,
+        blob: mediaFetchResult.blob,
+        filename: `media_${field}`,
+        mimeType: mediaFetchResult.mimeType,
+        size: mediaFetchResult.size,
+        objectUrl: previewUrl,
+        html: inspection?.html ?? null,
+        kind: mediaFetchResult.kind,
+        suspicious: hasSevereWarning([...typeCheck.warnings, ...polyglotCheck.warnings, ...(inspection?.warnings ?? [])])
+    };
+
+    const fileResult = await scanFile(mediaFetchResult.blob, `media_${field}`, vtApiKey, externalSignal, { processId: fileProcessId });
+
+    try { fTbody.removeChild(fPlaceholder); } catch (e) {}
+
+    const fInfo = getStatusInfo(fileResult);
+    const fStatusEl = document.createElement('span');
+    fStatusEl.className = `status-badge ${fInfo.cls}`;
+    fStatusEl.textContent = fInfo.text;
+
+    const typeEl = document.createElement('span');
+    typeEl.textContent = mediaFetchResult.mimeType || '-';
+
+    const sizeEl = document.createElement('span');
+    sizeEl.textContent = mediaFetchResult.size ? formatBytes(mediaFetchResult.size) : '-';
+
+    const prevEl = document.createElement('div');
+    prevEl.className = 'cell-media';
+    if (inspection?.html) {
+        prevEl.appendChild(createHtmlPreviewThumb(inspection.html));
+    } else if (previewUrl) {
+        prevEl.appendChild(createMediaThumb(previewUrl, mediaFetchResult.kind));
+    } else {
+        prevEl.textContent = '-';
+    }
+
+    const fSumEl = document.createElement('div');
+    fSumEl.innerHTML = fileResult.scanned ? formatVtSummary(fileResult) : (fileResult.error || '-');
+    if (fileResult.rawAnalysis) {
+        const btn = createMagnifyButton(fileResult.rawAnalysis);
+        btn.classList.add('vt-inline-btn');
+        const vtWrap = document.createElement('span');
+        vtWrap.className = 'vt-details';
+        vtWrap.appendChild(document.createTextNode(' '));
+        vtWrap.appendChild(btn);
+        const vtLabel = document.createElement('span');
+        vtLabel.className = 'vt-label';
+        vtLabel.textContent = 'DETAIL';
+        vtWrap.appendChild(vtLabel);
+        fSumEl.appendChild(vtWrap);
+    }
+
+    populateVerticalRow(fTbody, fHeaders, [fStatusEl, typeEl, sizeEl, prevEl, fSumEl]);
+
+    // Fail-fast: stop if file scan did not complete successfully
+    if (fileResult.scanned !== true) {
+        setStepStatus(fileStep, 'error');
+        showScanErrorModal(fileResult.error || 'Media file scan failed to complete. The scan has been stopped.');
+        return false;
+    }
+
+    if (fileResult.safe === false) {
+        // mark non-retryable because the file was flagged unsafe
+        fileStep.meta = fileStep.meta || {};
+        fileStep.meta.retryable = false;
+        setStepStatus(fileStep, 'error');
+        const fileChoice = await showScanErrorModal('A media file was flagged as potentially unsafe. The scan has been stopped.', { flagged: true });
+        if (fileChoice === 'proceed') {
+            // User chose to proceed — mark warning and continue
+            setStepStatus(fileStep, 'warning');
+            fileStep.body.insertAdjacentHTML('beforeend', '<p class="step-msg step-msg-warning">Proceed selected — continuing despite flagged result.</p>');
+        } else if (fileChoice === 'main') {
+            navigateToHome();
+            return false;
+        } else {
+            return false;
+        }
+    } else {
+        setStepStatus(fileStep, fileStep.meta.suspicious ? 'warning' : 'success');
+    }
+
+    scanStats.totalFileScans++;
+    if (fileResult.safe === false) {
+        scanStats.unsafeFileScans++;
+    } else {
+        scanStats.safeFileScans++;
+    }
+
+    const textures = extractModelTextures(inspection);
+    if (textures.length > 0) {
+        return scanModelTextures(fileStep, textures, field, scanStats, externalSignal);
+    }
+    return true;
+}
+
+/**
+ * Offers to scan the images embedded in a 3D model as files of their own
+ * and, if the user accepts, runs a file scan step for each one.
+ * @param {Object} fileStep - The model's file scan step card
+ * @param {Array<{ index: number, name: string, blob: Blob, mimeType: string }>} textures - Embedded images from extractModelTextures
+ * @param {string} field - Metadata field the model came from
+ * @param {Object} scanStats - Running scan counters (mutated)
+ * @param {AbortSignal} [externalSignal] - Optional abort signal
+ * @returns {Promise<boolean>} False if the pipeline should stop
+ */
+async function scanModelTextures(fileStep, textures, field, scanStats, externalSignal = null) {
+    const optionsDiv = document.createElement('div');
+    optionsDiv.className = 'media-scan-options';
+    const optLabel = document.createElement('p');
+    optLabel.className = 'options-label';
+    const total = textures.reduce((n, t) => n + t.blob.size, 0);
+    optLabel.textContent = `The model embeds ${textures.length} texture image${textures.length === 1 ? '' : 's'} (${formatBytes(total)}). Scan each one as a separate file?`;
+    optionsDiv.appendChild(optLabel);
+
+    const btnGroup = document.createElement('div');
+    btnGroup.className = 'btn-group';
+    const scanBtn = document.createElement('button');
+    scanBtn.type = 'button';
+    scanBtn.className = 'btn btn-secondary btn-sm';
+    scanBtn.textContent = 'Scan Textures';
+    const skipBtn = document.createElement('button');
+    skipBtn.type = 'button';
+    skipBtn.className = 'btn btn-secondary btn-sm';
+    skipBtn.textContent = 'Skip';
+    btnGroup.append(scanBtn, skipBtn);
+    optionsDiv.appendChild(btnGroup);
+    fileStep.body.appendChild(optionsDiv);
+
+    const choice = await new Promise((resolve) => {
+        scanBtn.addEventListener('click', () => resolve('scan'));
+        skipBtn.addEventListener('click', () => resolve('skip'));
+    });
+    (choice === 'scan' ? scanBtn : skipBtn).className = 'btn btn-primary btn-sm';
+    scanBtn.disabled = true;
+    skipBtn.disabled = true;
+    if (choice === 'skip') return true;
+
+    for (const texture of textures) {
+        const label = `texture ${texture.index}${texture.name ? ` (${texture.name})` : ''}`;
+        const proceed = await runFileScanStep({
+            title: `File Scan: ${field.replace('.url', '')} ${label}`,
+            field: `${field}.images[${texture.index}]`,
+            scanStats,
+            externalSignal,
+            loadMedia: async () => ({
+                success: true,
+                blob: texture.blob,
+                mimeType: texture.mimeType,
+                size: texture.blob.size,
+                kind: 'image',
+                // Only formats the browser can show get a preview (not KTX2 / Basis)
+                objectUrl: /^image\/(png|jpeg|gif|webp)$/.test(texture.mimeType) ? URL.createObjectURL(texture.blob) : undefined,
+            }),
+        });
+        if (!proceed) return false;
+    }
+    return true;
+}
+
+/**
+ * Scans a media entry whose value is an inline data: URI. There is no
+ * remote URL to submit, so the URL scan is recorded as skipped and the
+ * decoded bytes go through the file scan instead.
+ * @param {{url: string, field: string, type: string}} mediaObj - Entry from extractAllUrls
+ * @param {Object} scanStats - Running scan counters (mutated)
+ * @param {AbortSignal} [externalSignal] - Optional abort signal
+ * @returns {Promise<boolean>} False if the pipeline should stop
+ */
+async function scanInlineMedia(mediaObj, scanStats, externalSignal = null) {
+    const fieldLabel = mediaObj.field.replace('.url', '');
+    const urlStep = createStepCard(`URL Scan: ${fieldLabel}`, null, false);
+    setStepStatus(urlStep, 'skipped');
+    addStepBadge(urlStep, 'On-chain', 'badge-onchain');
+    const msg = document.createElement('p');
+    msg.className = 'step-msg';
+    msg.textContent = `"${mediaObj.field}" is an inline data: URI (${describeDataUri(mediaObj.url, 48)}). There is no remote URL to scan; the decoded bytes are scanned as a file instead.`;
+    urlStep.body.appendChild(msg);
+
+    if (mediaObj.type !== 'media') {
+        return true;
+    }
+
+    return runFileScanStep({
+        title: `File Scan: ${fieldLabel}`,
+        field: mediaObj.field,
+        originalUrl: null,
+        metadataType: mediaObj.mimeType ?? null,
+        scanStats,
+        externalSignal,
+        loadMedia: async () => decodeMediaDataUri(mediaObj.url),
+    });
+}
+
+/**
+ * Steps 1–2 for a remote metadata URL: VirusTotal URL scan, then fetch.
  * @param {string} rawUrl - User-entered URL (already validated)
+ * @param {Object} scanStats - Running scan counters (mutated)
+ * @param {AbortSignal} [externalSignal] - Optional abort signal
+ * @param {Object} [options]
+ * @param {string|null} [options.template] - ERC-1155 URI template rawUrl was expanded from
+ * @param {import('./utils/erc1155-uri.js').TokenIdResult|null} [options.tokenId] - Token ID substituted for {id}
+ * @returns {Promise<import('./fetchers/metadata-fetcher.js').FetchResult|null>} Fetch result, or null if the pipeline should stop
  */
-async function runPipeline(rawUrl, externalSignal = null) {
+async function fetchRemoteMetadata(rawUrl, scanStats, externalSignal = null, { template = null, tokenId = null, bypassCache = false } = {}) {
     const validation = validateURL(rawUrl); // Already validated, but get details
-    const protocol = validation.protocol === 'ipfs' ? 'IPFS' : 'HTTPS';
     const resolvedUrl = validation.resolvedUrl;
 
-    const scanStats = {
-        totalUrlScans: 0,
-        safeUrlScans: 0,
-        unsafeUrlScans: 0,
-        totalMediaUrlScans: 0,
-        safeMediaUrlScans: 0,
-        unsafeMediaUrlScans: 0,
-        totalFileScans: 0,
-        safeFileScans: 0,
-        unsafeFileScans: 0
-    };
-
     /* ---- Step 1: URL Security Scan (VirusTotal) ---- */
     const step1ProcessId = `vt-ui-${Math.random().toString(36).substring(2,10)}`;
     const step1 = createStepCard('URL Security Scan (VirusTotal)', step1ProcessId);
@@ -2449,6 +3879,9 @@ async function runPipeline(rawUrl, externalSignal = null) {
     detailsEl.textContent = '-';
 
     populateVerticalRow(uTbody, urlHeaders, [statusEl, urlEl, sumEl]);
+    if (template) renderTemplateExpansion(step1, template, rawUrl, tokenId);
+    renderGatewayReroute(step1, validation.reroutedFrom, validation.resolvedUrl);
+    renderUrlWarnings(step1, validation.warnings);
 
     // Fail-fast: stop if scan did not complete successfully
     if (urlScan.scanned !== true) {
@@ -2458,7 +3891,7 @@ async function runPipeline(rawUrl, externalSignal = null) {
             '<p class="step-msg step-msg-error">URL scan did not complete successfully. Scan stopped.</p>'
         );
         showScanErrorModal(urlScan.error || 'URL scan failed to complete. Please try again.');
-        return;
+        return null;
     }
 
     if (urlScan.safe === false) {
@@ -2480,13 +3913,13 @@ async function runPipeline(rawUrl, externalSignal = null) {
             /* continue to next steps */
         } else if (userChoice === 'main') {
             navigateToHome();
-            return;
+            return null;
         } else {
             // 'close' or timeout/default — stop pipeline
-            return;
+            return null;
         }
     }
-    setStepStatus(step1, urlScan.scanned ? 'success' : 'warning');
+    setStepStatus(step1, urlScan.scanned && !hasSevereWarning(validation.warnings) ? 'success' : 'warning');
 
     scanStats.totalUrlScans++;
     if (urlScan.safe === false) {
@@ -2497,18 +3930,128 @@ async function runPipeline(rawUrl, externalSignal = null) {
 
     /* ---- Step 2: Fetch Metadata JSON ---- */
     const step2 = createStepCard('Fetching Metadata...', null, false);
-    const fetchResult = await fetchMetadataJSON(resolvedUrl, externalSignal);
+    const fetchResult = await fetchMetadataJSON(resolvedUrl, externalSignal, { bypassCache });
 
     if (!fetchResult.success) {
         setStepStatus(step2, 'error');
         step2.titleEl.textContent = 'Metadata Fetch Failed';
         step2.body.innerHTML = `<p class="step-msg step-msg-error">${escapeHtml(getUserMessage(fetchResult.error))}</p>`;
+        renderCidVerification(step2, fetchResult.verification);
+        renderRedirectChain(step2, fetchResult.redirects);
         showScanErrorModal(getUserMessage(fetchResult.error) || 'Failed to fetch metadata.');
-        return;
+        return null;
     }
 
     setStepStatus(step2, 'success');
     step2.titleEl.textContent = 'Metadata Fetched Successfully';
+    if (fetchResult.arweave?.manifestTxId) {
+        const arMsg = document.createElement('p');
+        arMsg.className = 'step-msg';
+        arMsg.textContent = `Resolved "${fetchResult.arweave.path}" through Arweave manifest ${fetchResult.arweave.manifestTxId} → ${fetchResult.arweave.txId}`;
+        step2.body.appendChild(arMsg);
+    }
+    if (validation.cid) renderCidDetails(step2, validation.cid, validation.resolvedUrl);
+    if (fetchResult.ipns) {
+        const ipnsMsg = document.createElement('p');
+        ipnsMsg.className = 'step-msg';
+        ipnsMsg.textContent = fetchResult.ipns.resolvedCid
+            ? `Resolved ipns://${fetchResult.ipns.name} → /ipfs/${fetchResult.ipns.resolvedCid} via ${fetchResult.ipns.gateway}`
+            : `Resolved ipns://${fetchResult.ipns.name} via ${fetchResult.ipns.gateway} (gateway did not report the target CID)`;
+        step2.body.appendChild(ipnsMsg);
+    }
+    if (fetchResult.gateway) {
+        addStepBadge(step2, gatewayHost(fetchResult.gateway), 'badge-ipfs');
+        const gwMsg = document.createElement('p');
+        gwMsg.className = 'step-msg';
+        gwMsg.textContent = `Fastest gateway: ${gatewayHost(fetchResult.gateway)} (${fetchResult.latencyMs} ms)`;
+        step2.body.appendChild(gwMsg);
+    }
+    renderCacheStatus(step2, fetchResult.fromCache);
+    renderFetchRoute(step2, fetchResult);
+    renderRedirectChain(step2, fetchResult.redirects);
+    renderBodyInfo(step2, fetchResult.body);
+    renderCidVerification(step2, fetchResult.verification);
+
+    return fetchResult;
+}
+
+/**
+ * Steps 1–2 for on-chain metadata given as a data: URI. The document is
+ * decoded locally (there is no URL to scan) and the decoded bytes are
+ * sent to VirusTotal through the file scan path instead.
+ * @param {string} dataUri - data: URI entered by the user
+ * @param {Object} scanStats - Running scan counters (mutated)
+ * @param {AbortSignal} [externalSignal] - Optional abort signal
+ * @returns {Promise<import('./fetchers/metadata-fetcher.js').FetchResult|null>} Decoded result, or null if the pipeline should stop
+ */
+async function decodeInlineMetadata(dataUri, scanStats, externalSignal = null) {
+    /* ---- Step 1: Decode data: URI ---- */
+    const step1 = createStepCard('Decoding On-Chain Metadata...', null, false);
+    const decoded = decodeMetadataDataUri(dataUri);
+
+    if (!decoded.success) {
+        setStepStatus(step1, 'error');
+        step1.titleEl.textContent = 'On-Chain Metadata Decode Failed';
+        step1.body.innerHTML = `<p class="step-msg step-msg-error">${escapeHtml(decoded.error)}</p>`;
+        showScanErrorModal(decoded.error || 'Failed to decode on-chain metadata.');
+        return null;
+    }
+
+    setStepStatus(step1, 'success');
+    step1.titleEl.textContent = 'On-Chain Metadata Decoded';
+    addStepBadge(step1, 'On-chain', 'badge-onchain');
+    const { mimeType, isBase64, size, bytes } = decoded.dataUri;
+    const msg = document.createElement('p');
+    msg.className = 'step-msg';
+    msg.textContent = `Metadata is embedded in the token URI (${mimeType}${isBase64 ? ', base64' : ''}, ${formatBytes(size)}). Nothing was fetched from the network.`;
+    step1.body.appendChild(msg);
+
+    /* ---- Step 2: File scan of the decoded document ---- */
+    const proceed = await runFileScanStep({
+        title: 'File Scan: metadata',
+        field: 'metadata',
+        scanStats,
+        externalSignal,
+        loadMedia: async () => ({
+            success: true,
+            blob: new Blob([bytes], { type: mimeType }),
+            mimeType,
+            size,
+            fromDataUri: true,
+        }),
+    });
+
+    return proceed ? decoded : null;
+}
+
+/**
+ * Runs the full sequential validation pipeline.
+ * Each step renders a card; the next step only runs if the previous passed.
+ * @param {string} rawUrl - User-entered URL (already validated) or on-chain data: URI
+ * @param {AbortSignal} [externalSignal] - Optional abort signal
+ * @param {Object} [options]
+ * @param {string|null} [options.template] - ERC-1155 URI template rawUrl was expanded from
+ * @param {import('./utils/erc1155-uri.js').TokenIdResult|null} [options.tokenId] - Token ID substituted for {id}
+ */
+async function runPipeline(rawUrl, externalSignal = null, { template = null, tokenId = null, bypassCache = false } = {}) {
+    const displayUrl = isDataUri(rawUrl) ? describeDataUri(rawUrl) : rawUrl;
+
+    const scanStats = {
+        totalUrlScans: 0,
+        safeUrlScans: 0,
+        unsafeUrlScans: 0,
+        totalMediaUrlScans: 0,
+        safeMediaUrlScans: 0,
+        unsafeMediaUrlScans: 0,
+        totalFileScans: 0,
+        safeFileScans: 0,
+        unsafeFileScans: 0
+    };
+
+    const fetchResult = isDataUri(rawUrl)
+        ? await decodeInlineMetadata(rawUrl, scanStats, externalSignal)
+        : await fetchRemoteMetadata(rawUrl, scanStats, externalSignal, { template, tokenId, bypassCache });
+    if (!fetchResult) return;
 
     /* ---- Step 3: Metadata Parsing & Validation ---- */
     const step3 = createStepCard('Metadata Parsing & Validation', null, false);
@@ -2535,12 +4078,14 @@ async function runPipeline(rawUrl, externalSignal = null) {
         });
         step3.body.appendChild(warningsDiv);
     }
+    if (fetchResult.crossCheck?.status === 'mismatch') renderProxyMismatchWarning(step3, fetchResult.crossCheck);
 
     /* ---- Step 4: Parsed Metadata + Collapsible Raw JSON ---- */
     const step4 = createStepCard('Parsed Metadata', null, false);
     setStepStatus(step4, 'success');
 
     renderParsedMetadata(step4.body, parseResult);
+    if (fetchResult.ipns) renderMutablePointerWarning(step4, fetchResult.ipns);
 
     const globalParsedMetadata = parseResult;
 
@@ -2553,26 +4098,31 @@ async function runPipeline(rawUrl, externalSignal = null) {
     const rawPre = document.createElement('pre');
     rawPre.className = 'raw-json';
     const rawCode = document.createElement('code');
-    rawCode.textContent = JSON.stringify(parseResult.raw, null, 2);
+    // Shorten inline data: URIs so multi-megabyte payloads don't flood the page
+    rawCode.textContent = JSON.stringify(parseResult.raw, (key, value) => (isDataUri(value) ? describeDataUri(value, 120) : value), 2);
     rawPre.appendChild(rawCode);
     rawDetails.appendChild(rawPre);
     step4.body.appendChild(rawDetails);
 
     /* ---- Step 5: Media Scan Options ---- */
-    const allUrls = extractAllUrls(parseResult.raw, parseResult.standard);
+    // EIP-1155 also allows {id} inside metadata values; expand it with the same token ID
+    const expandTokenId = (url) => (
+        tokenId && typeof url === 'string' && !isDataUri(url) && hasIdPlaceholder(url) ? expandIdTemplate(url, tokenId) : url
+    );
+    const allUrls = extractAllUrls(parseResult.raw, parseResult.standard).map((u) => ({ ...u, url: expandTokenId(u.url) }));
 
     if (allUrls.length === 0) {
         const stepEmpty = createStepCard('Media Security Scan', null, false);
         setStepStatus(stepEmpty, 'skipped');
         stepEmpty.body.innerHTML = '<p class="step-msg">No media URLs found in metadata.</p>';
-        logInfo('Pipeline complete (no media)', { url: rawUrl });
+        logInfo('Pipeline complete (no media)', { url: displayUrl });
         return;
     }
 
-    const mainMediaUrl = parseResult.image;
+    const mainMediaUrl = expandTokenId(parseResult.image);
     const fallbackUrl =
-        (parseResult.raw.fallback_image && parseResult.raw.fallback_image !== mainMediaUrl)
-            ? parseResult.raw.fallback_image
+        (parseResult.raw.fallback_image && expandTokenId(parseResult.raw.fallback_image) !== mainMediaUrl)
+            ? expandTokenId(parseResult.raw.fallback_image)
             : null;
 
     const step5 = createStepCard('Media Security Scan', null, false);
@@ -2614,6 +4164,9 @@ async function runPipeline(rawUrl, externalSignal = null) {
     optionsDiv.appendChild(btnGroup);
     step5.body.appendChild(optionsDiv);
 
+    const ipfsTargets = collectIPFSTargets(allUrls);
+    if (ipfsTargets.length > 0) renderAvailabilityCheck(step5, ipfsTargets, externalSignal);
+
     // Attach buttons to DOM first, then wait for user click
     const scanChoice = await new Promise((resolve) => {
         btnGroup.querySelectorAll('button').forEach((btn) => {
@@ -2658,9 +4211,27 @@ async function runPipeline(rawUrl, externalSignal = null) {
 
     /* ---- Steps 7+8: Scan media URLs one-by-one, then upload files ---- */
     for (const mediaObj of urlsToScan) {
+        // On-chain media (data: URIs) is decoded in memory, never fetched or put in the DOM
+        if (isDataUri(mediaObj.url)) {
+            const proceed = await scanInlineMedia(mediaObj, scanStats, externalSignal);
+            if (!proceed) return;
+            continue;
+        }
+
         // Validate/normalize the media URL (convert ipfs:// -> HTTP gateway) before scanning
         const mediaValidation = validateURL(mediaObj.url);
-        const resolvedMediaUrl = mediaValidation.valid ? mediaValidation.resolvedUrl : mediaObj.url;
+        let resolvedMediaUrl = mediaValidation.valid ? mediaValidation.resolvedUrl : mediaObj.url;
+
+        // Arweave media goes through the same manifest resolver as metadata
+        if (mediaValidation.valid && mediaValidation.protocol === 'arweave') {
+            const arResolution = await resolveArweaveUrl(mediaObj.url, externalSignal);
+            if (arResolution.success) {
+                resolvedMediaUrl = arResolution.url;
+            } else {
+                mediaValidation.valid = false;
+                mediaValidation.reason = arResolution.error;
+            }
+        }
 
         // 7a: URL Scan for this media
         const mediaProcessId = `vt-ui-${Math.random().toString(36).substring(2,10)}`;
@@ -2730,6 +4301,9 @@ async function runPipeline(rawUrl, externalSignal = null) {
         mDetailsEl.textContent = '-';
 
         populateVerticalRow(mTbody, mHeaders, [mStatusEl, fEl, mUrlEl, mSumEl]);
+        renderGatewayReroute(mediaStep, mediaValidation.reroutedFrom, resolvedMediaUrl);
+        if (mediaValidation.cid) renderCidDetails(mediaStep, mediaValidation.cid, resolvedMediaUrl);
+        renderUrlWarnings(mediaStep, mediaValidation.warnings);
 
         // Fail-fast: stop if scan did not complete successfully
         if (mResult.scanned !== true) {
@@ -2756,7 +4330,7 @@ async function runPipeline(rawUrl, externalSignal = null) {
                 return;
             }
         }
-        setStepStatus(mediaStep, mResult.scanned ? 'success' : 'warning');
+        setStepStatus(mediaStep, mResult.scanned && !hasSevereWarning(mediaValidation.warnings) ? 'success' : 'warning');
 
         scanStats.totalMediaUrlScans++;
         if (mResult.safe === false) {
@@ -2767,134 +4341,17 @@ async function runPipeline(rawUrl, externalSignal = null) {
 
         // 7b: File Scan — download media and upload to VT /files endpoint
         if (mediaObj.type === 'media' && mResult.safe !== false) {
-            const fileProcessId = `vt-ui-${Math.random().toString(36).substring(2,10)}`;
-            const fileStep = createStepCard(`File Scan: ${mediaObj.field.replace('.url', '')}`, fileProcessId);
-            const fHeaders = ['Status', 'Type', 'Size', 'Media Preview', 'VirusTotal Results'];
-            const { wrapper: fWrap, tbody: fTbody, vertical: fVertical } = createScanTable(fHeaders, { vertical: true });
-            const fPlaceholder = document.createElement('tr');
-            const fPhTd = document.createElement('td');
-            fPhTd.colSpan = 2;
-            fPhTd.textContent = '-';
-            fPlaceholder.appendChild(fPhTd);
-            fTbody.appendChild(fPlaceholder);
-            fileStep.body.appendChild(fWrap);
-
-            // Fetch the media file
-            const mediaFetchResult = await fetchMedia(mediaObj.url, externalSignal);
-
-            if (!mediaFetchResult.success) {
-                fTbody.removeChild(fPlaceholder);
-                const failRow = document.createElement('tr');
-                const failCell = document.createElement('td');
-                failCell.colSpan = 6;
-                failCell.className = 'step-msg step-msg-error';
-                failCell.textContent = mediaFetchResult.error;
-                failRow.appendChild(failCell);
-                fTbody.appendChild(failRow);
-                setStepStatus(fileStep, 'error');
-                showScanErrorModal(mediaFetchResult.error || 'Failed to fetch media file.');
-                return;
-            }
-
-            // Preserve metadata for potential Retry, then upload blob to VirusTotal /files endpoint
-            fileStep.meta = {
-                type: 'media-file-scan',
+            const proceed = await runFileScanStep({
+                title: `File Scan: ${mediaObj.field.replace('.url', '')}`,
+                field: mediaObj.field,
                 url: resolvedMediaUrl,
                 originalUrl: mediaObj.url,
-                field: mediaObj.field,
-                headers: fHeaders,
-                processId: fileProcessId,
-                blob: mediaFetchResult.blob,
-                filename: `media_${mediaObj.field}`,
-                mimeType: mediaFetchResult.mimeType,
-                size: mediaFetchResult.size,
-                objectUrl: mediaFetchResult.objectUrl
-            };
-
-            const fileResult = await scanFile(mediaFetchResult.blob, `media_${mediaObj.field}`, vtApiKey, externalSignal, { processId: fileProcessId });
-
-            try { fTbody.removeChild(fPlaceholder); } catch (e) {}
-
-            const fInfo = getStatusInfo(fileResult);
-            const fStatusEl = document.createElement('span');
-            fStatusEl.className = `status-badge ${fInfo.cls}`;
-            fStatusEl.textContent = fInfo.text;
-
-            const typeEl = document.createElement('span');
-            typeEl.textContent = mediaFetchResult.mimeType || '-';
-
-            const sizeEl = document.createElement('span');
-            sizeEl.textContent = mediaFetchResult.size ? formatBytes(mediaFetchResult.size) : '-';
-
-            const prevEl = document.createElement('div');
-            prevEl.className = 'cell-media';
-            if (mediaFetchResult.objectUrl) {
-                const thumb = document.createElement('img');
-                thumb.src = mediaFetchResult.objectUrl;
-                thumb.alt = 'Media preview';
-                thumb.className = 'media-thumb';
-                thumb.addEventListener('click', () => showMediaPreviewModal(mediaFetchResult.objectUrl, 'NFT Media'));
-                prevEl.appendChild(thumb);
-            } else {
-                prevEl.textContent = '-';
-            }
-
-            const fSumEl = document.createElement('div');
-            fSumEl.innerHTML = fileResult.scanned ? formatVtSummary(fileResult) : (fileResult.error || '-');
-            if (fileResult.rawAnalysis) {
-                const btn = createMagnifyButton(fileResult.rawAnalysis);
-                btn.classList.add('vt-inline-btn');
-                const vtWrap = document.createElement('span');
-                vtWrap.className = 'vt-details';
-                vtWrap.appendChild(document.createTextNode(' '));
-                vtWrap.appendChild(btn);
-                const vtLabel = document.createElement('span');
-                vtLabel.className = 'vt-label';
-                vtLabel.textContent = 'DETAIL';
-                vtWrap.appendChild(vtLabel);
-                fSumEl.appendChild(vtWrap);
-            }
-
-            const fDetailsEl = document.createElement('span');
-            fDetailsEl.textContent = '-';
-
-            populateVerticalRow(fTbody, fHeaders, [fStatusEl, typeEl, sizeEl, prevEl, fSumEl]);
-
-            // Fail-fast: stop if file scan did not complete successfully
-            if (fileResult.scanned !== true) {
-                setStepStatus(fileStep, 'error');
-                showScanErrorModal(fileResult.error || 'Media file scan failed to complete. The scan has been stopped.');
-                return;
-            }
-
-            if (fileResult.safe === false) {
-                // mark non-retryable because the file was flagged unsafe
-                fileStep.meta = fileStep.meta || {};
-                fileStep.meta.retryable = false;
-                setStepStatus(fileStep, 'error');
-                const fileChoice = await showScanErrorModal('A media file was flagged as potentially unsafe. The scan has been stopped.', { flagged: true });
-                if (fileChoice === 'proceed') {
-                    // User chose to proceed — mark warning and continue
-                    setStepStatus(fileStep, 'warning');
-                    fileStep.body.insertAdjacentHTML('beforeend', '<p class="step-msg step-msg-warning">Proceed selected — continuing despite flagged result.</p>');
-                } else if (fileChoice === 'main') {
-                    navigateToHome();
-                    return;
-                } else {
-                    return;
-                }
-            } else if (fileResult.scanned) {
-                setStepStatus(fileStep, 'success');
-            } else {
-                setStepStatus(fileStep, 'warning');
-            }
-
-            scanStats.totalFileScans++;
-            if (fileResult.safe === false) {
-                scanStats.unsafeFileScans++;
-            } else {
-                scanStats.safeFileScans++;
-            }
+                metadataType: mediaObj.mimeType ?? null,
+                scanStats,
+                externalSignal,
+                loadMedia: () => fetchMedia(resolvedMediaUrl, externalSignal, { bypassCache }),
+            });
+            if (!proceed) return;
         }
     }
 
@@ -2919,7 +4376,7 @@ async function runPipeline(rawUrl, externalSignal = null) {
 
     addRow('Metadata URL', scanStats.totalUrlScans, scanStats.safeUrlScans, scanStats.unsafeUrlScans);
     addRow('Media URLs', scanStats.totalMediaUrlScans, scanStats.safeMediaUrlScans, scanStats.unsafeMediaUrlScans);
-    addRow('Media Files', scanStats.totalFileScans, scanStats.safeFileScans, scanStats.unsafeFileScans);
+    addRow('Files', scanStats.totalFileScans, scanStats.safeFileScans, scanStats.unsafeFileScans);
 
     summaryTable.appendChild(tbody);
     summaryCard.body.appendChild(summaryTable);
@@ -2936,5 +4393,5 @@ async function runPipeline(rawUrl, externalSignal = null) {
         siteMain.appendChild(summaryCard.card);
     }
 
-    logInfo('Pipeline complete', { url: rawUrl, standard: parseResult.standard });
+    logInfo('Pipeline complete', { url: displayUrl, standard: parseResult.standard });
 }
@@ -0,0 +1,262 @@
+/**
+ * @module gateway-settings
+ * @description Renders the IPFS gateway settings dialog — the gateway list
+ * with reorder / remove / health-test controls, the add form, and the
+ * local node opt-in. Showing and hiding the dialog is left to main.js.
+ */
+
+import {
+    getGatewayConfig,
+    addGateway,
+    removeGateway,
+    moveGateway,
+    setLocalNode,
+    resetGatewayConfig,
+    getLocalNodeGateway,
+} from '../utils/gateway-config.js';
+import { getGatewayScore, testGateway } from '../fetchers/gateway-racer.js';
+import { logInfo } from '../utils/error-handler.js';
+
+/** @type {Object<string, HTMLElement|null>} Cached dialog elements */
+const els = {};
+
+/** @type {Object<string, { success: boolean, latencyMs: number, error?: string }|'testing'>} Latest test per gateway */
+const testResults = {};
+
+/**
+ * Caches the dialog elements and binds its controls.
+ * Call once during app initialization.
+ */
+export function initGatewaySettings() {
+    els.list = document.getElementById('gateway-list');
+    els.addInput = document.getElementById('gateway-add-input');
+    els.addBtn = document.getElementById('gateway-add-btn');
+    els.addError = document.getElementById('gateway-add-error');
+    els.localInput = document.getElementById('local-node-input');
+    els.localBtn = document.getElementById('local-node-btn');
+    els.localError = document.getElementById('local-node-error');
+    els.resetBtn = document.getElementById('gateway-reset-btn');
+    els.testAllBtn = document.getElementById('gateway-test-all-btn');
+
+    els.list?.addEventListener('click', handleListClick);
+    els.addBtn?.addEventListener('click', handleAdd);
+    els.addInput?.addEventListener('keydown', (e) => { if (e.key === 'Enter') { e.preventDefault(); handleAdd(); } });
+    els.localBtn?.addEventListener('click', handleLocalNode);
+    els.localInput?.addEventListener('keydown', (e) => { if (e.key === 'Enter') { e.preventDefault(); handleLocalNode(); } });
+    els.resetBtn?.addEventListener('click', () => {
+        resetGatewayConfig();
+        logInfo('Gateway settings reset to defaults');
+        renderGatewaySettings();
+    });
+    els.testAllBtn?.addEventListener('click', () => {
+        const local = getLocalNodeGateway();
+        const { gateways } = getGatewayConfig();
+        (local ? [local, ...gateways] : gateways).forEach(runTest);
+    });
+}
+
+/**
+ * Re-renders the dialog from the persisted configuration.
+ */
+export function renderGatewaySettings() {
+    if (!els.list) return;
+    const config = getGatewayConfig();
+    const local = getLocalNodeGateway();
+
+    els.list.textContent = '';
+    if (local) {
+        els.list.appendChild(createGatewayRow(local, { isLocal: true }));
+    }
+    config.gateways.forEach((gateway, index) => {
+        els.list.appendChild(createGatewayRow(gateway, {
+            isFirst: index === 0,
+            isLast: index === config.gateways.length - 1,
+            isOnly: config.gateways.length === 1,
+        }));
+    });
+
+    if (els.localInput) els.localInput.value = config.localNode ?? '';
+    if (els.localInput) els.localInput.readOnly = Boolean(config.localNode);
+    if (els.localBtn) {
+        els.localBtn.textContent = config.localNode ? 'Remove' : 'Allow';
+        els.localBtn.className = `btn btn-sm ${config.localNode ? 'btn-danger' : 'btn-secondary'}`;
+    }
+}
+
+/**
+ * Builds one list row for a gateway.
+ * @param {string} gateway - Gateway base URL
+ * @param {Object} flags
+ * @param {boolean} [flags.isLocal] - Row is the local node
+ * @param {boolean} [flags.isFirst] - First public gateway (cannot move up)
+ * @param {boolean} [flags.isLast] - Last public gateway (cannot move down)
+ * @param {boolean} [flags.isOnly] - Only public gateway (cannot be removed)
+ * @returns {HTMLLIElement} Row element
+ */
+function createGatewayRow(gateway, { isLocal = false, isFirst = false, isLast = false, isOnly = false }) {
+    const li = document.createElement('li');
+    li.className = 'gateway-row';
+
+    const info = document.createElement('div');
+    info.className = 'gateway-info';
+    const url = document.createElement('span');
+    url.className = 'gateway-url';
+    url.textContent = gateway;
+    info.appendChild(url);
+    if (isLocal) {
+        const tag = document.createElement('span');
+        tag.className = 'step-badge badge-warning';
+        tag.textContent = 'Local node';
+        info.appendChild(tag);
+    } else if (isFirst) {
+        const tag = document.createElement('span');
+        tag.className = 'step-badge badge-ipfs';
+        tag.textContent = 'Primary';
+        info.appendChild(tag);
+    }
+    const status = document.createElement('span');
+    status.className = 'gateway-status';
+    describeStatus(status, gateway);
+    info.appendChild(status);
+    li.appendChild(info);
+
+    const actions = document.createElement('div');
+    actions.className = 'gateway-actions';
+    if (!isLocal) {
+        actions.appendChild(createActionButton('up', gateway, '↑', `Move ${gateway} up`, isFirst));
+        actions.appendChild(createActionButton('down', gateway, '↓', `Move ${gateway} down`, isLast));
+    }
+    actions.appendChild(createActionButton('test', gateway, 'Test', `Test ${gateway}`, testResults[gateway] === 'testing'));
+    actions.appendChild(createActionButton(isLocal ? 'remove-local' : 'remove', gateway, 'Remove', `Remove ${gateway}`, isOnly));
+    li.appendChild(actions);
+
+    return li;
+}
+
+/**
+ * Creates a small row action button.
+ * @param {string} action - Value for data-action
+ * @param {string} gateway - Gateway the button acts on
+ * @param {string} text - Button label
+ * @param {string} label - Accessible label
+ * @param {boolean} disabled - Whether the action is unavailable
+ * @returns {HTMLButtonElement} Button
+ */
+function createActionButton(action, gateway, text, label, disabled) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'btn btn-ghost btn-sm gateway-action';
+    btn.dataset.action = action;
+    btn.dataset.gateway = gateway;
+    btn.textContent = text;
+    btn.setAttribute('aria-label', label);
+    btn.disabled = disabled;
+    return btn;
+}
+
+/**
+ * Fills a status element with the latest test result, or the remembered
+ * score when the gateway has not been tested in this session.
+ * @param {HTMLElement} el - Status element
+ * @param {string} gateway - Gateway base URL
+ */
+function describeStatus(el, gateway) {
+    const result = testResults[gateway];
+    el.classList.remove('gateway-status-ok', 'gateway-status-error');
+    if (result === 'testing') {
+        el.textContent = 'Testing…';
+        return;
+    }
+    if (result) {
+        el.textContent = result.success ? `Healthy · ${result.latencyMs} ms` : `Failed · ${result.error}`;
+        el.classList.add(result.success ? 'gateway-status-ok' : 'gateway-status-error');
+        return;
+    }
+    const score = getGatewayScore(gateway);
+    if (!score) {
+        el.textContent = 'Not used yet';
+        return;
+    }
+    const total = score.successes + score.failures;
+    const rate = total > 0 ? Math.round((score.successes / total) * 100) : 0;
+    el.textContent = score.latency === null
+        ? `${rate}% success`
+        : `~${score.latency} ms · ${rate}% success`;
+}
+
+/**
+ * Health-tests one gateway and refreshes its row.
+ * @param {string} gateway - Gateway base URL
+ */
+async function runTest(gateway) {
+    if (testResults[gateway] === 'testing') return;
+    testResults[gateway] = 'testing';
+    renderGatewaySettings();
+    testResults[gateway] = await testGateway(gateway);
+    logInfo('Gateway health test', { gateway, ...testResults[gateway] });
+    renderGatewaySettings();
+}
+
+/**
+ * Handles clicks on the row action buttons.
+ * @param {MouseEvent} event - Click event
+ */
+function handleListClick(event) {
+    const btn = event.target.closest('button[data-action]');
+    if (!btn || btn.disabled) return;
+    const { action, gateway } = btn.dataset;
+
+    if (action === 'test') {
+        runTest(gateway);
+        return;
+    }
+
+    let result;
+    if (action === 'up') result = moveGateway(gateway, -1);
+    else if (action === 'down') result = moveGateway(gateway, 1);
+    else if (action === 'remove') result = removeGateway(gateway);
+    else if (action === 'remove-local') result = setLocalNode(null);
+    if (!result) return;
+
+    showError(els.addError, result.success ? '' : result.error);
+    renderGatewaySettings();
+}
+
+/**
+ * Adds the gateway typed into the add field.
+ */
+function handleAdd() {
+    if (!els.addInput) return;
+    const result = addGateway(els.addInput.value);
+    showError(els.addError, result.success ? '' : result.error);
+    if (result.success) {
+        logInfo('Gateway added', { gateways: result.config.gateways });
+        els.addInput.value = '';
+        renderGatewaySettings();
+    }
+}
+
+/**
+ * Declares the local node typed into its field, or removes the declared one.
+ */
+function handleLocalNode() {
+    if (!els.localInput) return;
+    const declared = getGatewayConfig().localNode;
+    const result = setLocalNode(declared ? null : els.localInput.value);
+    showError(els.localError, result.success ? '' : result.error);
+    if (result.success) {
+        logInfo(declared ? 'Local IPFS node removed' : 'Local IPFS node allowed', { localNode: result.config.localNode });
+        renderGatewaySettings();
+    }
+}
+
+/**
+ * Shows or clears an inline error message.
+ * @param {HTMLElement|null} el - Error element
+ * @param {string} message - Message, or '' to clear
+ */
+function showError(el, message) {
+    if (!el) return;
+    el.textContent = message;
+    el.classList.toggle('hidden', !message);
+}
@@ -0,0 +1,252 @@
+/**
+ * @module proxy-settings
+ * @description Renders the CORS proxy settings dialog — the enabled proxies
+ * with reorder / remove / health-test controls and the add form with its
+ * adapter picker and API key opt-in. Showing and hiding the dialog is left
+ * to main.js.
+ */
+
+import {
+    PROXY_ADAPTERS,
+    getProxies,
+    addProxy,
+    removeProxy,
+    moveProxy,
+    resetProxyConfig,
+} from '../utils/proxy-config.js';
+import { testProxy } from '../fetchers/cors-proxy.js';
+import { logInfo } from '../utils/error-handler.js';
+
+/** @type {Object<string, HTMLElement|null>} Cached dialog elements */
+const els = {};
+
+/** @type {Object<string, { success: boolean, latencyMs: number, error?: string }|'testing'>} Latest test per proxy template */
+const testResults = {};
+
+/**
+ * Caches the dialog elements and binds its controls.
+ * Call once during app initialization.
+ */
+export function initProxySettings() {
+    els.list = document.getElementById('proxy-list');
+    els.adapterSelect = document.getElementById('proxy-adapter-select');
+    els.urlInput = document.getElementById('proxy-url-input');
+    els.apiKeyInput = document.getElementById('proxy-apikey-input');
+    els.addBtn = document.getElementById('proxy-add-btn');
+    els.addError = document.getElementById('proxy-add-error');
+    els.resetBtn = document.getElementById('proxy-reset-btn');
+    els.testAllBtn = document.getElementById('proxy-test-all-btn');
+
+    if (els.adapterSelect) {
+        Object.entries(PROXY_ADAPTERS).forEach(([id, adapter]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = adapter.name;
+            els.adapterSelect.appendChild(option);
+        });
+        els.adapterSelect.addEventListener('change', syncAddForm);
+    }
+    syncAddForm();
+
+    els.list?.addEventListener('click', handleListClick);
+    els.addBtn?.addEventListener('click', handleAdd);
+    els.urlInput?.addEventListener('keydown', (e) => { if (e.key === 'Enter') { e.preventDefault(); handleAdd(); } });
+    els.resetBtn?.addEventListener('click', () => {
+        resetProxyConfig();
+        logInfo('All CORS proxies removed');
+        renderProxySettings();
+    });
+    els.testAllBtn?.addEventListener('click', () => {
+        getProxies().forEach(runTest);
+    });
+}
+
+/**
+ * Re-renders the dialog from the persisted configuration.
+ */
+export function renderProxySettings() {
+    if (!els.list) return;
+    const proxies = getProxies();
+
+    els.list.textContent = '';
+    if (proxies.length === 0) {
+        const li = document.createElement('li');
+        li.className = 'gateway-row';
+        li.textContent = 'No proxies — hosts that block cross-origin requests cannot be fetched.';
+        els.list.appendChild(li);
+    }
+    proxies.forEach((proxy, index) => {
+        els.list.appendChild(createProxyRow(proxy, index === 0, index === proxies.length - 1));
+    });
+    if (els.testAllBtn) els.testAllBtn.disabled = proxies.length === 0;
+}
+
+/**
+ * Fills the URL field with the chosen adapter's template and enables the
+ * fields that apply to it.
+ */
+function syncAddForm() {
+    const adapter = PROXY_ADAPTERS[els.adapterSelect?.value];
+    if (!adapter || !els.urlInput) return;
+    els.urlInput.value = adapter.template;
+    els.urlInput.readOnly = !adapter.editable;
+    if (els.apiKeyInput) {
+        els.apiKeyInput.disabled = !adapter.forwardsHeaders;
+        if (!adapter.forwardsHeaders) els.apiKeyInput.checked = false;
+    }
+}
+
+/**
+ * Builds one list row for a proxy.
+ * @param {import('../utils/proxy-config.js').Proxy} proxy - Configured proxy
+ * @param {boolean} isFirst - First proxy (cannot move up)
+ * @param {boolean} isLast - Last proxy (cannot move down)
+ * @returns {HTMLLIElement} Row element
+ */
+function createProxyRow(proxy, isFirst, isLast) {
+    const li = document.createElement('li');
+    li.className = 'gateway-row';
+
+    const info = document.createElement('div');
+    info.className = 'gateway-info';
+    const name = document.createElement('strong');
+    name.textContent = proxy.name;
+    const url = document.createElement('span');
+    url.className = 'gateway-url';
+    url.textContent = proxy.url;
+    info.append(name, url);
+    const tag = document.createElement('span');
+    tag.className = `step-badge ${proxy.selfHosted ? 'badge-verified' : 'badge-warning'}`;
+    tag.textContent = proxy.selfHosted ? 'Self-hosted' : 'Third-party';
+    info.appendChild(tag);
+    if (proxy.apiKey) {
+        const keyTag = document.createElement('span');
+        keyTag.className = 'step-badge badge-danger';
+        keyTag.textContent = 'Carries API key';
+        info.appendChild(keyTag);
+    }
+    const status = document.createElement('span');
+    status.className = 'gateway-status';
+    describeStatus(status, proxy.url);
+    info.appendChild(status);
+    li.appendChild(info);
+
+    const actions = document.createElement('div');
+    actions.className = 'gateway-actions';
+    actions.appendChild(createActionButton('up', proxy.url, '↑', `Move ${proxy.name} up`, isFirst));
+    actions.appendChild(createActionButton('down', proxy.url, '↓', `Move ${proxy.name} down`, isLast));
+    actions.appendChild(createActionButton('test', proxy.url, 'Test', `Test ${proxy.name}`, testResults[proxy.url] === 'testing'));
+    actions.appendChild(createActionButton('remove', proxy.url, 'Remove', `Remove ${proxy.name}`, false));
+    li.appendChild(actions);
+
+    return li;
+}
+
+/**
+ * Creates a small row action button.
+ * @param {string} action - Value for data-action
+ * @param {string} proxyUrl - Template of the proxy the button acts on
+ * @param {string} text - Button label
+ * @param {string} label - Accessible label
+ * @param {boolean} disabled - Whether the action is unavailable
+ * @returns {HTMLButtonElement} Button
+ */
+function createActionButton(action, proxyUrl, text, label, disabled) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'btn btn-ghost btn-sm gateway-action';
+    btn.dataset.action = action;
+    btn.dataset.proxy = proxyUrl;
+    btn.textContent = text;
+    btn.setAttribute('aria-label', label);
+    btn.disabled = disabled;
+    return btn;
+}
+
+/**
+ * Fills a status element with the latest test result.
+ * @param {HTMLElement} el - Status element
+ * @param {string} proxyUrl - Proxy template
+ */
+function describeStatus(el, proxyUrl) {
+    const result = testResults[proxyUrl];
+    el.classList.remove('gateway-status-ok', 'gateway-status-error');
+    if (result === 'testing') {
+        el.textContent = 'Testing…';
+        return;
+    }
+    if (!result) {
+        el.textContent = 'Not tested';
+        return;
+    }
+    el.textContent = result.success ? `Working · ${result.latencyMs} ms` : `Failed · ${result.error}`;
+    el.classList.add(result.success ? 'gateway-status-ok' : 'gateway-status-error');
+}
+
+/**
+ * Health-tests one proxy and refreshes its row.
+ * @param {import('../utils/proxy-config.js').Proxy} proxy - Configured proxy
+ */
+async function runTest(proxy) {
+    if (testResults[proxy.url] === 'testing') return;
+    testResults[proxy.url] = 'testing';
+    renderProxySettings();
+    testResults[proxy.url] = await testProxy(proxy);
+    logInfo('Proxy health test', { proxy: proxy.url, ...testResults[proxy.url] });
+    renderProxySettings();
+}
+
+/**
+ * Handles clicks on the row action buttons.
+ * @param {MouseEvent} event - Click event
+ */
+function handleListClick(event) {
+    const btn = event.target.closest('button[data-action]');
+    if (!btn || btn.disabled) return;
+    const { action, proxy: proxyUrl } = btn.dataset;
+
+    if (action === 'test') {
+        const proxy = getProxies().find((p) => p.url === proxyUrl);
+        if (proxy) runTest(proxy);
+        return;
+    }
+
+    let result;
+    if (action === 'up') result = moveProxy(proxyUrl, -1);
+    else if (action === 'down') result = moveProxy(proxyUrl, 1);
+    else if (action === 'remove') result = removeProxy(proxyUrl);
+    if (!result) return;
+
+    showError(els.addError, result.success ? '' : result.error);
+    renderProxySettings();
+}
+
+/**
+ * Adds the proxy described by the add form.
+ */
+function handleAdd() {
+    if (!els.adapterSelect || !els.urlInput) return;
+    const result = addProxy({
+        adapter: els.adapterSelect.value,
+        url: els.urlInput.value,
+        apiKey: Boolean(els.apiKeyInput?.checked),
+    });
+    showError(els.addError, result.success ? '' : result.error);
+    if (result.success) {
+        logInfo('CORS proxy added', { proxies: result.config.proxies.map((p) => p.url) });
+        if (els.apiKeyInput) els.apiKeyInput.checked = false;
+        syncAddForm();
+        renderProxySettings();
+    }
+}
+
+/**
+ * Shows or clears an inline error message.
+ * @param {HTMLElement|null} el - Error element
+ * @param {string} message - Message, or '' to clear
+ */
+function showError(el, message) {
+    if (!el) return;
+    el.textContent = message;
+    el.classList.toggle('hidden', !message);
+}
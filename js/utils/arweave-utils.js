@@ -0,0 +1,157 @@
+/**
+ * @module arweave-utils
+ * @description Utilities for converting and validating Arweave URLs.
+ * Handles the ar:// protocol, HTTP gateway URLs, transaction ID validation,
+ * and path lookups inside Arweave path manifests.
+ */
+
+/** @type {string[]} Ordered list of Arweave gateways to try */
+const ARWEAVE_GATEWAYS = [
+    'https://arweave.net/',
+    'https://ar-io.net/',
+    'https://arweave.dev/',
+];
+
+/** Default gateway used for conversions */
+const DEFAULT_ARWEAVE_GATEWAY = ARWEAVE_GATEWAYS[0];
+
+/** Regex for an Arweave transaction ID (32 bytes, base64url, 43 chars) */
+const TXID_REGEX = /^[A-Za-z0-9_-]{43}$/;
+
+/** Content-type / manifest marker used by Arweave path manifests */
+const MANIFEST_TYPE = 'arweave/paths';
+
+/**
+ * Checks if a string is a well-formed Arweave transaction ID.
+ * @param {string} txId - The transaction ID to validate
+ * @returns {boolean} True if the ID is 43 base64url characters
+ */
+export function isValidTxId(txId) {
+    return typeof txId === 'string' && TXID_REGEX.test(txId);
+}
+
+/**
+ * Splits an Arweave URL into its transaction ID and optional manifest path.
+ * Supports ar://<txid>[/path] and <gateway>/<txid>[/path] formats.
+ * The txid of an ar:// URL is returned unvalidated so callers can report it.
+ * @param {string} url - Arweave URL
+ * @returns {{ txId: string, path: string }|null} Parts, or null if not an Arweave URL
+ */
+export function parseArweaveUrl(url) {
+    if (typeof url !== 'string') {
+        return null;
+    }
+
+    const lower = url.toLowerCase();
+    const isProtocol = lower.startsWith('ar://');
+    const gateway = isProtocol ? null : ARWEAVE_GATEWAYS.find((gw) => lower.startsWith(gw));
+    if (!isProtocol && !gateway) {
+        return null;
+    }
+
+    // Drop query/fragment before splitting off the manifest path
+    const rest = url.slice(isProtocol ? 'ar://'.length : gateway.length).split(/[?#]/)[0];
+    const slash = rest.indexOf('/');
+    const txId = slash === -1 ? rest : rest.slice(0, slash);
+    const path = slash === -1 ? '' : rest.slice(slash + 1);
+
+    // Gateway hosts also serve non-transaction routes (/info, /graphql, ...);
+    // only treat the URL as Arweave content when it names a transaction.
+    if (gateway && !isValidTxId(txId)) {
+        return null;
+    }
+    return { txId, path };
+}
+
+/**
+ * Checks whether a URL is an Arweave URL (protocol or known gateway).
+ * @param {string} url - URL to check
+ * @returns {boolean} True if the URL is Arweave-related
+ */
+export function isArweaveUrl(url) {
+    return parseArweaveUrl(url) !== null;
+}
+
+/**
+ * Builds a gateway URL for a transaction ID and optional path.
+ * @param {string} gateway - Gateway base URL (with trailing slash)
+ * @param {string} txId - Transaction ID
+ * @param {string} [path=''] - Path inside a manifest
+ * @returns {string} Gateway URL
+ */
+export function buildArweaveGatewayUrl(gateway, txId, path = '') {
+    return path ? `${gateway}${txId}/${path}` : `${gateway}${txId}`;
+}
+
+/**
+ * Converts an Arweave URL to an HTTP gateway URL.
+ * Validates the transaction ID before building the URL.
+ * @param {string} arUrl - Arweave URL to convert
+ * @returns {{ url: string, gateway: string, txId: string, path: string }} Converted URL and parts
+ * @throws {Error} If the URL is not Arweave or the transaction ID is malformed
+ */
+export function convertArweaveToHTTPGateway(arUrl) {
+    const parts = parseArweaveUrl(arUrl);
+    if (!parts) {
+        throw new Error('URL is not a recognized Arweave format');
+    }
+    if (!parts.txId) {
+        throw new Error('Arweave URL is missing a transaction ID');
+    }
+    if (!isValidTxId(parts.txId)) {
+        throw new Error('Arweave transaction ID is malformed (expected 43 base64url characters)');
+    }
+
+    return {
+        url: buildArweaveGatewayUrl(DEFAULT_ARWEAVE_GATEWAY, parts.txId, parts.path),
+        gateway: DEFAULT_ARWEAVE_GATEWAY,
+        txId: parts.txId,
+        path: parts.path,
+    };
+}
+
+/**
+ * Checks whether a parsed JSON document is an Arweave path manifest.
+ * @param {Object} doc - Parsed JSON
+ * @returns {boolean} True if the document declares the arweave/paths manifest type
+ */
+export function isPathManifest(doc) {
+    return !!doc && typeof doc === 'object'
+        && doc.manifest === MANIFEST_TYPE
+        && !!doc.paths && typeof doc.paths === 'object';
+}
+
+/**
+ * Resolves a path inside an Arweave path manifest to the transaction ID
+ * that holds its content. An empty path resolves to the manifest index.
+ * @param {Object} manifest - Parsed path manifest
+ * @param {string} path - Path relative to the manifest root
+ * @returns {string|null} Resolved transaction ID, or null if the path is not listed
+ */
+export function resolveManifestPath(manifest, path) {
+    if (!isPathManifest(manifest)) {
+        return null;
+    }
+
+    let key;
+    try {
+        key = decodeURIComponent(path || '').replace(/^\/+/, '');
+    } catch {
+        return null;
+    }
+    if (!key && manifest.index && typeof manifest.index.path === 'string') {
+        key = manifest.index.path;
+    }
+
+    const entry = manifest.paths[key] ?? manifest.paths[`${key.replace(/\/+$/, '')}/index.html`];
+    const id = entry && typeof entry === 'object' ? entry.id : null;
+    return isValidTxId(id) ? id : null;
+}
+
+/**
+ * Returns the list of available Arweave gateways.
+ * @returns {string[]} Array of gateway base URLs
+ */
+export function getArweaveGateways() {
+    return [...ARWEAVE_GATEWAYS];
+}
@@ -0,0 +1,125 @@
+/**
+ * @module audio-tags
+ * @description Reads the tags embedded in audio files: ID3v2 (2.2–2.4) and
+ * ID3v1 in MP3 / AAC / WAV, Vorbis comments in Ogg Vorbis, Ogg Opus and
+ * FLAC, and RIFF INFO in WAV. Text, comment and URL frames become tags,
+ * pictures (ID3 APIC, FLAC PICTURE, METADATA_BLOCK_PICTURE) become artwork
+ * entries with their bytes kept so they can be shown or scanned, and ID3
+ * GEOB objects are listed as embedded files. Audio frames are never
+ * decoded; where the headers give it cheaply, sample rate, channels and
+ * duration are reported too.
+ *
+ * The readers live in id3-tags.js (ID3v2 and ID3v1), vorbis-comments.js
+ * (FLAC and Ogg) and riff-wave.js (WAV). Reads are bounds-checked; a
+ * damaged tag stops that tag's parse and is recorded in `error` with
+ * everything read before it.
+ */
+
+import { id3v2Length, parseID3v2, parseID3v1 } from './id3-tags.js';
+import { parseFlac, parseOgg } from './vorbis-comments.js';
+import { parseWav } from './riff-wave.js';
+
+/**
+ * @typedef {Object} AudioTag
+ * @property {string} key - Frame / field name as stored (e.g. "TIT2", "COMM", "ARTIST", "INAM")
+ * @property {string} value - Tag text
+ */
+
+/**
+ * @typedef {Object} AudioArtwork
+ * @property {string} mimeType - Declared picture type (ID3 "-->" means the picture is a URL)
+ * @property {string} description - Picture description
+ * @property {number} pictureType - ID3 / FLAC picture type (3 = front cover)
+ * @property {number} size - Picture size in bytes
+ * @property {Uint8Array} bytes - Picture data (or the URL, for "-->")
+ */
+
+/**
+ * @typedef {Object} AudioTagInfo
+ * @property {'mp3'|'aac'|'wav'|'ogg'|'flac'|null} format - Audio format, null if unrecognised
+ * @property {string} [codec] - Codec inside an Ogg or RIFF container (e.g. "vorbis", "opus", "pcm")
+ * @property {string[]} tagFormats - Tag formats found (e.g. "ID3v2.3", "Vorbis comment")
+ * @property {AudioTag[]} tags - Text metadata, in file order
+ * @property {AudioArtwork[]} artwork - Embedded pictures
+ * @property {Array<{ name: string, mimeType: string, description: string, size: number }>} objects - ID3 GEOB embedded files
+ * @property {number|null} durationSec - Duration in seconds, when the headers give it
+ * @property {number} [sampleRate] - Sampling rate in Hz
+ * @property {number} [channels] - Channel count
+ * @property {string} [error] - Why a tag could only be read in part
+ */
+
+/**
+ * Reads four bytes as a latin-1 code.
+ * @param {Uint8Array} bytes - Bytes
+ * @param {number} offset - Start
+ * @returns {string} Four-character code
+ */
+function fourcc(bytes, offset) {
+    return String.fromCharCode(...bytes.subarray(offset, offset + 4));
+}
+
+/**
+ * Records a partial-read error without overwriting the first one.
+ * @param {AudioTagInfo} info - Result (mutated)
+ * @param {string} message - Error message
+ */
+function noteError(info, message) {
+    info.error ??= message;
+}
+
+/* ---- Detection ---- */
+
+/**
+ * Whether the bytes at an offset are an MPEG audio frame header, and which kind.
+ * @param {Uint8Array} bytes - File contents
+ * @param {number} offset - Candidate frame start
+ * @returns {'mp3'|'aac'|null} MP3 (layers I–III) or ADTS AAC (layer bits 00)
+ */
+function mpegFrameAt(bytes, offset) {
+    if (bytes[offset] !== 0xff || (bytes[offset + 1] & 0xe0) !== 0xe0) return null;
+    const layer = (bytes[offset + 1] >> 1) & 0x03;
+    if (layer === 0) return (bytes[offset + 1] & 0xf0) === 0xf0 ? 'aac' : null;
+    return 'mp3';
+}
+
+/**
+ * Identifies the audio format from the first bytes (an ID3v2 tag is skipped).
+ * @param {Uint8Array} bytes - File contents
+ * @returns {AudioTagInfo['format']} Format, or null if not recognised
+ */
+export function detectAudioFormat(bytes) {
+    if (bytes.length >= 12 && fourcc(bytes, 0) === 'RIFF' && fourcc(bytes, 8) === 'WAVE') return 'wav';
+    if (bytes.length >= 4 && fourcc(bytes, 0) === 'OggS') return 'ogg';
+    const start = id3v2Length(bytes);
+    if (fourcc(bytes, start) === 'fLaC') return 'flac';
+    const frame = mpegFrameAt(bytes, start);
+    if (frame) return frame;
+    // A tag with no recognisable frame after it is still most likely MP3
+    return start > 0 ? 'mp3' : null;
+}
+
+/**
+ * Reads the tags of an audio file.
+ * @param {Uint8Array} bytes - File contents
+ * @returns {AudioTagInfo} Tags, artwork and stream details
+ */
+export function parseAudioTags(bytes) {
+    const info = { format: detectAudioFormat(bytes), tagFormats: [], tags: [], artwork: [], objects: [], durationSec: null };
+    try {
+        if (info.format === 'wav') {
+            parseWav(bytes, info);
+        } else if (info.format === 'ogg') {
+            parseOgg(bytes, info);
+        } else if (info.format) {
+            const tagLength = id3v2Length(bytes);
+            if (tagLength) parseID3v2(bytes, 0, info);
+            if (info.format === 'flac') parseFlac(bytes, tagLength, info);
+            else parseID3v1(bytes, info);
+        } else {
+            info.error = 'Not an MP3, AAC, WAV, Ogg or FLAC file';
+        }
+    } catch (err) {
+        noteError(info, err.message);
+    }
+    return info;
+}
@@ -0,0 +1,139 @@
+/**
+ * @module body-reader
+ * @description Size-capped response body reading and text decoding.
+ * Bodies are read chunk by chunk and the read is cancelled as soon as the
+ * cap is passed, so an oversized or decompression-bomb response never
+ * reaches memory in full (the cap applies to the decoded bytes). Text is
+ * decoded by BOM, then the Content-Type charset, then the JSON encoding
+ * sniff from RFC 4627, falling back to UTF-8; the BOM is stripped.
+ */
+
+import { safeAsync } from './error-handler.js';
+
+/**
+ * @typedef {Object} DecodedText
+ * @property {string} text - Decoded text without BOM
+ * @property {string} charset - Encoding used (TextDecoder name, e.g. "utf-8")
+ * @property {'bom'|'header'|'sniffed'|'default'} charsetSource - Where the encoding came from
+ * @property {boolean} bomStripped - Whether a byte order mark was removed
+ * @property {boolean} malformed - Whether invalid byte sequences were replaced with U+FFFD
+ * @property {string} [ignoredCharset] - Charset label from the header that was unknown or overridden
+ */
+
+/** @type {Array<{ bytes: number[], charset: string }>} Byte order marks, longest first */
+const BOMS = [
+    { bytes: [0xef, 0xbb, 0xbf], charset: 'utf-8' },
+    { bytes: [0xfe, 0xff], charset: 'utf-16be' },
+    { bytes: [0xff, 0xfe], charset: 'utf-16le' },
+];
+
+/**
+ * Splits a Content-Type header into its media type and charset.
+ * @param {string|null} header - Content-Type header value
+ * @returns {{ mimeType: string, charset: string|null }} Lower-cased media type ('' if absent) and charset label
+ */
+export function parseContentType(header) {
+    const [type, ...params] = String(header ?? '').split(';');
+    const charsetParam = params.map((p) => p.trim()).find((p) => /^charset=/i.test(p));
+    const charset = charsetParam ? charsetParam.slice('charset='.length).trim().replace(/^"|"$/g, '').toLowerCase() : null;
+    return { mimeType: type.trim().toLowerCase(), charset: charset || null };
+}
+
+/**
+ * Reads a response body, cancelling the read once it passes maxBytes.
+ * @param {Response} response - Fetch response
+ * @param {number} maxBytes - Largest body accepted
+ * @returns {Promise<{ success: boolean, bytes?: Uint8Array, error?: string }>} Body bytes or error
+ */
+export async function readBodyLimited(response, maxBytes) {
+    const declared = Number.parseInt(response.headers.get('content-length') ?? '', 10);
+    if (declared > maxBytes) {
+        response.body?.cancel().catch(() => {});
+        return { success: false, error: `Response too large (${declared} bytes, limit ${maxBytes})` };
+    }
+
+    if (!response.body) {
+        const [buffer, err] = await safeAsync(response.arrayBuffer());
+        if (err) return { success: false, error: 'Failed to read response body' };
+        return buffer.byteLength > maxBytes
+            ? { success: false, error: `Response too large (over ${maxBytes} bytes)` }
+            : { success: true, bytes: new Uint8Array(buffer) };
+    }
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let total = 0;
+    for (;;) {
+        const [chunk, err] = await safeAsync(reader.read());
+        if (err) {
+            return { success: false, error: err.name === 'AbortError' ? 'Fetch aborted' : 'Failed to read response body' };
+        }
+        if (chunk.done) break;
+        total += chunk.value.length;
+        if (total > maxBytes) {
+            reader.cancel().catch(() => {});
+            return { success: false, error: `Response too large (over ${maxBytes} bytes)` };
+        }
+        chunks.push(chunk.value);
+    }
+
+    const bytes = new Uint8Array(total);
+    let offset = 0;
+    for (const c of chunks) {
+        bytes.set(c, offset);
+        offset += c.length;
+    }
+    return { success: true, bytes };
+}
+
+/**
+ * Picks the encoding of a body. A BOM wins over the header (as in browsers);
+ * without either, JSON's first two bytes reveal UTF-16 (one of them is 0).
+ * @param {Uint8Array} bytes - Body bytes
+ * @param {string|null} headerCharset - Charset label from Content-Type
+ * @returns {{ charset: string, charsetSource: DecodedText['charsetSource'], bomLength: number, ignoredCharset?: string }}
+ */
+function detectCharset(bytes, headerCharset) {
+    const bom = BOMS.find((b) => b.bytes.every((v, i) => bytes[i] === v));
+    let ignoredCharset;
+    if (headerCharset) {
+        try {
+            const charset = new TextDecoder(headerCharset).encoding;
+            if (!bom) return { charset, charsetSource: 'header', bomLength: 0 };
+            if (charset !== bom.charset) ignoredCharset = headerCharset;
+        } catch {
+            ignoredCharset = headerCharset;
+        }
+    }
+    if (bom) {
+        return { charset: bom.charset, charsetSource: 'bom', bomLength: bom.bytes.length, ignoredCharset };
+    }
+    if (bytes.length >= 2 && bytes[0] === 0 && bytes[1] !== 0) {
+        return { charset: 'utf-16be', charsetSource: 'sniffed', bomLength: 0, ignoredCharset };
+    }
+    if (bytes.length >= 2 && bytes[0] !== 0 && bytes[1] === 0) {
+        return { charset: 'utf-16le', charsetSource: 'sniffed', bomLength: 0, ignoredCharset };
+    }
+    return { charset: 'utf-8', charsetSource: 'default', bomLength: 0, ignoredCharset };
+}
+
+/**
+ * Decodes a body to text.
+ * @param {Uint8Array} bytes - Body bytes
+ * @param {string|null} [contentType] - Content-Type header value
+ * @returns {DecodedText} Decoded text and how it was decoded
+ */
+export function decodeBody(bytes, contentType = null) {
+    const { charset, charsetSource, bomLength, ignoredCharset } = detectCharset(bytes, parseContentType(contentType).charset);
+    const content = bytes.subarray(bomLength);
+
+    let text;
+    let malformed = false;
+    try {
+        text = new TextDecoder(charset, { fatal: true, ignoreBOM: true }).decode(content);
+    } catch {
+        text = new TextDecoder(charset, { ignoreBOM: true }).decode(content);
+        malformed = true;
+    }
+    return { text, charset, charsetSource, bomStripped: bomLength > 0, malformed, ...(ignoredCharset ? { ignoredCharset } : {}) };
+}
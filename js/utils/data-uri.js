@@ -0,0 +1,184 @@
+/**
+ * @module data-uri
+ * @description Size-limited parsing and decoding of RFC 2397 data: URIs.
+ * Fully on-chain NFTs return tokenURI / image as data: URIs; these are
+ * decoded to bytes here so nothing downstream ever hands the URI itself
+ * to the DOM or to fetch().
+ */
+
+/** @type {RegExp} data:[<mediatype>][;base64],<data> */
+const DATA_URI_REGEX = /^data:([^,]*?),(.*)$/is;
+
+/** @type {number} Upper bound on the encoded URI length we will even look at (64 MB) */
+const MAX_ENCODED_LENGTH = 64 * 1024 * 1024;
+
+/**
+ * @typedef {Object} DataUriResult
+ * @property {boolean} success - Whether the URI was decoded
+ * @property {string} [mimeType] - Declared media type (lowercase, defaults to text/plain)
+ * @property {Object<string, string>} [params] - Media type parameters (e.g. charset)
+ * @property {boolean} [isBase64] - Whether the payload was base64-encoded
+ * @property {Uint8Array} [bytes] - Decoded payload
+ * @property {number} [size] - Decoded size in bytes
+ * @property {string} [error] - Error message on failure
+ */
+
+/**
+ * Checks whether a string is a data: URI.
+ * @param {string} value - Candidate string
+ * @returns {boolean} True if the string starts with the data: scheme
+ */
+export function isDataUri(value) {
+    return typeof value === 'string' && /^\s*data:/i.test(value);
+}
+
+/**
+ * Estimates the decoded size of a data: URI payload without decoding it.
+ * @param {string} payload - Encoded payload (after the comma)
+ * @param {boolean} isBase64 - Whether the payload is base64
+ * @returns {number} Approximate decoded byte count
+ */
+function estimateDecodedSize(payload, isBase64) {
+    if (isBase64) {
+        return Math.floor((payload.replace(/[^A-Za-z0-9+/_-]/g, '').length * 3) / 4);
+    }
+    // Each %XX escape is one byte; everything else is at most 3 bytes of UTF-8
+    const escapes = (payload.match(/%[0-9a-f]{2}/gi) || []).length;
+    return escapes + (payload.length - escapes * 3) * 3;
+}
+
+/**
+ * Decodes a base64 (or base64url) string to bytes.
+ * @param {string} payload - Base64 text
+ * @returns {Uint8Array} Decoded bytes
+ * @throws {Error} If the payload is not valid base64
+ */
+function decodeBase64(payload) {
+    const normalized = payload.replace(/\s+/g, '').replace(/-/g, '+').replace(/_/g, '/');
+    if (!/^[A-Za-z0-9+/]*={0,2}$/.test(normalized)) {
+        throw new Error('Invalid base64 payload');
+    }
+    const padded = normalized.padEnd(Math.ceil(normalized.length / 4) * 4, '=');
+    const binary = atob(padded);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Decodes a percent-encoded payload to bytes (raw characters are UTF-8).
+ * @param {string} payload - Percent-encoded text
+ * @returns {Uint8Array} Decoded bytes
+ */
+function decodePercent(payload) {
+    const out = [];
+    const encoder = new TextEncoder();
+    for (let i = 0; i < payload.length; i++) {
+        if (payload[i] === '%' && /^[0-9a-f]{2}$/i.test(payload.slice(i + 1, i + 3))) {
+            out.push(parseInt(payload.slice(i + 1, i + 3), 16));
+            i += 2;
+        } else {
+            const cp = payload.codePointAt(i);
+            const ch = String.fromCodePoint(cp);
+            out.push(...encoder.encode(ch));
+            i += ch.length - 1;
+        }
+    }
+    return Uint8Array.from(out);
+}
+
+/**
+ * Parses and decodes a data: URI, refusing payloads above a byte limit
+ * before any decoding work is done.
+ * @param {string} uri - data: URI
+ * @param {Object} [options]
+ * @param {number} [options.maxBytes=1048576] - Maximum decoded size in bytes
+ * @param {string[]} [options.allowedTypes] - Accepted media types (any if omitted)
+ * @returns {DataUriResult} Decoded payload or error
+ */
+export function parseDataUri(uri, options = {}) {
+    const { maxBytes = 1024 * 1024, allowedTypes = null } = options;
+
+    if (!isDataUri(uri)) {
+        return { success: false, error: 'Not a data: URI' };
+    }
+    const trimmed = uri.trim();
+    if (trimmed.length > MAX_ENCODED_LENGTH) {
+        return { success: false, error: 'Data URI is too large to decode' };
+    }
+
+    const match = DATA_URI_REGEX.exec(trimmed);
+    if (!match) {
+        return { success: false, error: 'Malformed data: URI (missing comma separator)' };
+    }
+
+    const metaParts = match[1].split(';').map((p) => p.trim()).filter(Boolean);
+    const isBase64 = metaParts.length > 0 && metaParts[metaParts.length - 1].toLowerCase() === 'base64';
+    if (isBase64) metaParts.pop();
+
+    let mimeType = 'text/plain';
+    if (metaParts.length > 0 && metaParts[0].includes('/')) {
+        mimeType = metaParts.shift().toLowerCase();
+    }
+    const params = {};
+    for (const part of metaParts) {
+        const eq = part.indexOf('=');
+        if (eq > 0) params[part.slice(0, eq).toLowerCase()] = part.slice(eq + 1);
+        else params[part.toLowerCase()] = '';
+    }
+    if (!params.charset && mimeType === 'text/plain' && match[1] === '') {
+        params.charset = 'US-ASCII';
+    }
+
+    if (allowedTypes && !allowedTypes.includes(mimeType)) {
+        return { success: false, mimeType, error: `Unsupported data URI type: ${mimeType}` };
+    }
+
+    const payload = match[2];
+    const estimated = estimateDecodedSize(payload, isBase64);
+    if (estimated > maxBytes) {
+        return { success: false, mimeType, error: `Data URI payload too large (~${estimated} bytes, max ${maxBytes})` };
+    }
+
+    let bytes;
+    try {
+        bytes = isBase64 ? decodeBase64(payload) : decodePercent(payload);
+    } catch (err) {
+        return { success: false, mimeType, error: `Could not decode data URI: ${err.message}` };
+    }
+    if (bytes.length > maxBytes) {
+        return { success: false, mimeType, error: `Data URI payload too large (${bytes.length} bytes, max ${maxBytes})` };
+    }
+
+    return { success: true, mimeType, params, isBase64, bytes, size: bytes.length };
+}
+
+/**
+ * Decodes a parsed data URI payload to text using its declared charset.
+ * @param {DataUriResult} parsed - Successful result from parseDataUri
+ * @returns {string} Decoded text
+ */
+export function dataUriToText(parsed) {
+    const charset = parsed.params?.charset || 'utf-8';
+    let decoder;
+    try {
+        decoder = new TextDecoder(charset);
+    } catch {
+        decoder = new TextDecoder('utf-8');
+    }
+    return decoder.decode(parsed.bytes);
+}
+
+/**
+ * Summarises a data URI for display without echoing the whole payload.
+ * @param {string} uri - data: URI
+ * @param {number} [maxLength=64] - Maximum characters to keep
+ * @returns {string} Shortened representation
+ */
+export function describeDataUri(uri, maxLength = 64) {
+    const text = String(uri || '').trim();
+    if (text.length <= maxLength) return text;
+    return `${text.slice(0, maxLength)}… (${text.length.toLocaleString()} chars)`;
+}
@@ -0,0 +1,79 @@
+/**
+ * @module erc1155-uri
+ * @description ERC-1155 `{id}` URI template handling.
+ * Per EIP-1155, clients replace every `{id}` in a token URI with the token
+ * ID as 64 lowercase hex characters, zero-padded and without a 0x prefix.
+ */
+
+/** @type {string} Placeholder defined by EIP-1155 */
+const ID_PLACEHOLDER = '{id}';
+
+/** @type {bigint} Largest uint256 token ID */
+const MAX_TOKEN_ID = (1n << 256n) - 1n;
+
+/** @type {number} Hex length of a substituted token ID */
+const TOKEN_ID_HEX_LENGTH = 64;
+
+/**
+ * @typedef {Object} TokenIdResult
+ * @property {boolean} valid - Whether the input is a usable token ID
+ * @property {bigint} [value] - Parsed token ID
+ * @property {string} [hex] - 64-char zero-padded lowercase hex form
+ * @property {string} [decimal] - Decimal form (for display)
+ * @property {string} [reason] - Why parsing failed (when valid === false)
+ */
+
+/**
+ * Checks whether a URI contains the ERC-1155 `{id}` placeholder.
+ * @param {string} uri - Token URI
+ * @returns {boolean} True if the URI is an ERC-1155 template
+ */
+export function hasIdPlaceholder(uri) {
+    return typeof uri === 'string' && uri.includes(ID_PLACEHOLDER);
+}
+
+/**
+ * Parses a token ID typed by the user. Accepts decimal ("4110"),
+ * 0x-prefixed hex ("0x100e"), bare hex containing a-f ("100e"), and the
+ * already-substituted 64-character hex form.
+ * @param {string} input - Token ID as entered
+ * @returns {TokenIdResult} Parsed token ID or reason
+ */
+export function parseTokenId(input) {
+    const text = String(input ?? '').trim().replace(/[_\s]/g, '');
+    if (!text) {
+        return { valid: false, reason: 'Enter a token ID to expand the {id} placeholder' };
+    }
+
+    let value;
+    if (/^0x[0-9a-f]+$/i.test(text)) {
+        value = BigInt(text);
+    } else if (/^[0-9]+$/.test(text) && text.length !== TOKEN_ID_HEX_LENGTH) {
+        value = BigInt(text);
+    } else if (/^[0-9a-f]+$/i.test(text)) {
+        value = BigInt(`0x${text}`);
+    } else {
+        return { valid: false, reason: 'Token ID must be a decimal number or a hex value (e.g. 4110 or 0x100e)' };
+    }
+
+    if (value > MAX_TOKEN_ID) {
+        return { valid: false, reason: 'Token ID is larger than uint256' };
+    }
+
+    return {
+        valid: true,
+        value,
+        hex: value.toString(16).padStart(TOKEN_ID_HEX_LENGTH, '0'),
+        decimal: value.toString(10),
+    };
+}
+
+/**
+ * Expands every `{id}` placeholder in an ERC-1155 URI.
+ * @param {string} uri - Token URI template
+ * @param {TokenIdResult} tokenId - Valid result from parseTokenId
+ * @returns {string} URI with the token ID substituted
+ */
+export function expandIdTemplate(uri, tokenId) {
+    return uri.split(ID_PLACEHOLDER).join(tokenId.hex);
+}
@@ -67,8 +67,8 @@ export function getUserMessage(error) {
         'NetworkError': 'Network connection failed. Please verify your internet connection and try again.',
         'AbortError': 'The request took too long to complete. Please check your internet speed and try again.',
         'TypeError': 'The server response was not in the expected format. The URL may not be a valid NFT metadata endpoint.',
-        'Invalid URL format': 'Please enter a complete URL starting with https:// (for HTTPS) or ipfs:// (for IPFS).',
-        'Only HTTPS':  'Only HTTPS URLs are allowed for security. IPFS URLs (ipfs://) are also supported.',
+        'Invalid URL format': 'Please enter a complete URL starting with https:// (for HTTPS), ipfs:// or ipns:// (for IPFS) or ar:// (for Arweave).',
+        'Only HTTPS':  'Only HTTPS URLs are allowed for security. IPFS (ipfs://, ipns://) and Arweave (ar://) URLs are also supported.',
         'exceeded maximum':  'The URL is too long. Please use a shorter URL.',
         'blocked protocol': 'This URL type is not supported for security reasons. Use HTTPS or IPFS URLs only.',
         'private': 'URLs pointing to local/private networks cannot be accessed. Please use a public URL.',
@@ -76,6 +76,10 @@ export function getUserMessage(error) {
         'SyntaxError': 'The response contained invalid data. The URL may not point to valid NFT metadata.',
         'quota': 'The API quota has been reached. Please try again later or register for more scans.',
         'unauthorized': 'The VirusTotal API key is invalid or expired. Please check your key and try again.',
+        'Response too large': 'The response is larger than the metadata size limit, so it was not downloaded. The URL may point to a media file instead of NFT metadata.',
+        'Redirect blocked': 'The server redirected to an address that is not allowed (private network, non-HTTPS or blocked host), so the redirect was not followed. The redirect chain is shown on the step.',
+        'does not match its CID': 'A gateway returned content that does not match the CID in the URL, so it was altered in transit. No unverified copy was used; the gateway is named on the step.',
+        'cannot be a JSON metadata document': 'The URL returned a binary file (image, media, archive or executable) instead of a JSON metadata document. Check that it points to the token metadata.',
     };
 
     // Check for matching error patterns (case-insensitive substring match)
@@ -0,0 +1,215 @@
+/**
+ * @module exif-reader
+ * @description Reads the TIFF structure inside an EXIF block for
+ * image-metadata.js: the camera, software, date, owner and serial-number
+ * tags of IFD0 and the Exif sub-IFD, the GPS sub-IFD (also converted to a
+ * decimal position) and the size of the IFD1 thumbnail. IFD offsets are
+ * followed once each and every value is bounds-checked against the block.
+ */
+
+/** @type {Object<number, string>} EXIF IFD0 and Exif sub-IFD tags kept */
+const EXIF_TAGS = {
+    0x010e: 'ImageDescription',
+    0x010f: 'Make',
+    0x0110: 'Model',
+    0x0131: 'Software',
+    0x0132: 'DateTime',
+    0x013b: 'Artist',
+    0x8298: 'Copyright',
+    0x829a: 'ExposureTime',
+    0x829d: 'FNumber',
+    0x8827: 'ISOSpeedRatings',
+    0x9003: 'DateTimeOriginal',
+    0x9004: 'DateTimeDigitized',
+    0x920a: 'FocalLength',
+    0x927c: 'MakerNote',
+    0x9286: 'UserComment',
+    0x9c9b: 'XPTitle',
+    0x9c9c: 'XPComment',
+    0x9c9d: 'XPAuthor',
+    0x9c9e: 'XPKeywords',
+    0x9c9f: 'XPSubject',
+    0xa420: 'ImageUniqueID',
+    0xa430: 'CameraOwnerName',
+    0xa431: 'BodySerialNumber',
+    0xa433: 'LensMake',
+    0xa434: 'LensModel',
+    0xa435: 'LensSerialNumber',
+};
+
+/** @type {Object<number, string>} EXIF GPS tags kept */
+const GPS_TAGS = {
+    0x0001: 'GPSLatitudeRef',
+    0x0002: 'GPSLatitude',
+    0x0003: 'GPSLongitudeRef',
+    0x0004: 'GPSLongitude',
+    0x0005: 'GPSAltitudeRef',
+    0x0006: 'GPSAltitude',
+    0x0007: 'GPSTimeStamp',
+    0x0012: 'GPSMapDatum',
+    0x001d: 'GPSDateStamp',
+};
+
+/** @type {Object<number, number>} Bytes per value of each TIFF field type */
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+/** @type {number} Longest field value kept (characters) */
+const MAX_VALUE_LENGTH = 4096;
+
+/** @type {number} Most fields read from one block */
+const MAX_FIELDS_PER_BLOCK = 200;
+
+/** @type {TextDecoder} UTF-8 decoder (non-fatal) */
+const utf8 = new TextDecoder('utf-8');
+
+/** @type {TextDecoder} Latin-1 decoder (EXIF ASCII) */
+const latin1 = new TextDecoder('latin1');
+
+/**
+ * Trims a value to printable text of bounded length.
+ * @param {string} text - Raw text
+ * @returns {string} Cleaned text
+ */
+function clean(text) {
+    const value = text.replace(/\0+$/, '').replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '').trim();
+    return value.length > MAX_VALUE_LENGTH ? `${value.slice(0, MAX_VALUE_LENGTH)}…` : value;
+}
+
+/**
+ * Turns an EXIF value into display text.
+ * @param {string} name - Tag name
+ * @param {string|number[]|Uint8Array} value - Decoded value
+ * @param {number} size - Size of the value in bytes
+ * @returns {string} Display text
+ */
+function describeExifValue(name, value, size) {
+    if (typeof value === 'string') return value;
+    if (name === 'MakerNote') return `(${size} bytes of vendor data)`;
+    if (name.startsWith('XP') && value instanceof Uint8Array) {
+        return clean(new TextDecoder('utf-16le').decode(value));
+    }
+    if (name === 'UserComment' && value instanceof Uint8Array) {
+        // An 8-byte character-code prefix, then the comment
+        const code = latin1.decode(value.subarray(0, 8));
+        const body = value.subarray(8);
+        return clean(code.startsWith('UNICODE') ? new TextDecoder('utf-16le').decode(body) : utf8.decode(body));
+    }
+    if (value instanceof Uint8Array) return clean(utf8.decode(value));
+    return value.map((v) => (Number.isInteger(v) ? String(v) : v.toFixed(4).replace(/\.?0+$/, ''))).join(', ');
+}
+
+/**
+ * Converts EXIF GPS tags to a decimal position.
+ * @param {Object<string, *>} gps - GPS tags by name
+ * @returns {import('./image-metadata.js').GpsPosition|null} Position, null without latitude and longitude
+ */
+function gpsPosition(gps) {
+    const degrees = (dms) => (Array.isArray(dms) && dms.length >= 1 ? dms[0] + (dms[1] ?? 0) / 60 + (dms[2] ?? 0) / 3600 : null);
+    const lat = degrees(gps.GPSLatitude);
+    const lon = degrees(gps.GPSLongitude);
+    if (lat === null || lon === null || !Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+    const altitude = Array.isArray(gps.GPSAltitude) ? gps.GPSAltitude[0] : null;
+    const belowSea = Array.isArray(gps.GPSAltitudeRef) ? gps.GPSAltitudeRef[0] === 1 : gps.GPSAltitudeRef?.[0] === 1;
+    return {
+        latitude: String(gps.GPSLatitudeRef).toUpperCase().startsWith('S') ? -lat : lat,
+        longitude: String(gps.GPSLongitudeRef).toUpperCase().startsWith('W') ? -lon : lon,
+        altitude: altitude === null ? null : belowSea ? -altitude : altitude,
+    };
+}
+
+/**
+ * @typedef {Object} ExifWalk
+ * @property {Uint8Array} tiff - TIFF bytes
+ * @property {DataView} view - View of the TIFF bytes
+ * @property {boolean} le - Whether the TIFF is little-endian ("II")
+ * @property {Set<number>} visited - IFD offsets already read (IFD chains can loop)
+ * @property {Object<string, *>} gps - GPS tags by name, collected for gpsPosition
+ * @property {import('./image-metadata.js').ImageMetadata} out - Result being filled
+ */
+
+/**
+ * Decodes the value of a TIFF field; numeric fields are capped at 64 values.
+ * @param {ExifWalk} walk - Walk state
+ * @param {number} type - TIFF field type
+ * @param {number} count - Value count
+ * @param {number} valueOffset - Where the value starts
+ * @returns {string|number[]|Uint8Array} Text, numbers or raw bytes
+ */
+function readValue({ tiff, view, le }, type, count, valueOffset) {
+    const at = (i) => valueOffset + i * TIFF_TYPE_SIZES[type];
+    const u32 = (o) => view.getUint32(o, le);
+    const n = Math.min(count, 64);
+    switch (type) {
+        case 2: return clean(latin1.decode(tiff.subarray(valueOffset, valueOffset + count)));
+        case 3: return Array.from({ length: n }, (_, i) => view.getUint16(at(i), le));
+        case 4: return Array.from({ length: n }, (_, i) => u32(at(i)));
+        case 9: return Array.from({ length: n }, (_, i) => view.getInt32(at(i), le));
+        case 5: return Array.from({ length: n }, (_, i) => u32(at(i)) / (u32(at(i) + 4) || 1));
+        case 10: return Array.from({ length: n }, (_, i) => view.getInt32(at(i), le) / (view.getInt32(at(i) + 4, le) || 1));
+        default: return tiff.subarray(valueOffset, valueOffset + count);
+    }
+}
+
+/**
+ * Reads one IFD, adding the named tags it holds to the result.
+ * @param {ExifWalk} walk - Walk state (mutated)
+ * @param {number} offset - IFD offset
+ * @param {Object<number, string>} tags - Tags to report, by number
+ * @param {string} source - Field source ("EXIF" or "GPS")
+ * @returns {{ found: Object<number, { type: number, count: number, valueOffset: number, size: number }>, next: number }|null}
+ *     Every readable entry by tag and the next IFD's offset, or null if the IFD is out of range or already read
+ */
+function readIfd(walk, offset, tags, source) {
+    const { tiff, view, le, visited } = walk;
+    const u16 = (o) => view.getUint16(o, le);
+    const u32 = (o) => view.getUint32(o, le);
+    if (offset < 8 || offset + 2 > tiff.length || visited.has(offset)) return null;
+    visited.add(offset);
+    const entries = Math.min(u16(offset), MAX_FIELDS_PER_BLOCK);
+    const found = {};
+    for (let i = 0; i < entries; i++) {
+        const entry = offset + 2 + i * 12;
+        if (entry + 12 > tiff.length) break;
+        const tag = u16(entry);
+        const type = u16(entry + 2);
+        const count = u32(entry + 4);
+        const size = (TIFF_TYPE_SIZES[type] ?? 0) * count;
+        if (!size) continue;
+        const valueOffset = size <= 4 ? entry + 8 : u32(entry + 8);
+        if (valueOffset + size > tiff.length) continue;
+        found[tag] = { type, count, valueOffset, size };
+        const name = tags[tag];
+        if (!name) continue;
+        const value = readValue(walk, type, count, valueOffset);
+        if (source === 'GPS') walk.gps[name] = value;
+        walk.out.fields.push({ source, key: name, value: describeExifValue(name, value, size) });
+    }
+    const nextOffset = offset + 2 + entries * 12;
+    return { found, next: nextOffset + 4 <= tiff.length ? u32(nextOffset) : 0 };
+}
+
+/**
+ * Reads a TIFF (EXIF) structure: IFD0, the Exif and GPS sub-IFDs and the
+ * IFD1 thumbnail pointer.
+ * @param {Uint8Array} tiff - TIFF bytes (starting at the byte-order mark)
+ * @param {import('./image-metadata.js').ImageMetadata} out - Result (mutated)
+ * @throws {Error} When the block is too short or has no byte-order mark
+ */
+export function readExif(tiff, out) {
+    if (tiff.length < 8) throw new Error('EXIF block is too short');
+    const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+    const order = String.fromCharCode(tiff[0], tiff[1]);
+    if (order !== 'II' && order !== 'MM') throw new Error('EXIF block has no TIFF byte-order mark');
+    const le = order === 'II';
+    const u32 = (o) => view.getUint32(o, le);
+    const walk = { tiff, view, le, visited: new Set(), gps: {}, out };
+
+    const ifd0 = readIfd(walk, u32(4), EXIF_TAGS, 'EXIF');
+    if (!ifd0) return;
+    if (ifd0.found[0x8769]) readIfd(walk, u32(ifd0.found[0x8769].valueOffset), EXIF_TAGS, 'EXIF');
+    if (ifd0.found[0x8825]) readIfd(walk, u32(ifd0.found[0x8825].valueOffset), GPS_TAGS, 'GPS');
+    const ifd1 = ifd0.next ? readIfd(walk, ifd0.next, {}, 'EXIF') : null;
+    if (ifd1?.found[0x0202]) out.thumbnailSize = u32(ifd1.found[0x0202].valueOffset);
+
+    out.gps = gpsPosition(walk.gps) ?? out.gps;
+}
@@ -0,0 +1,313 @@
+/**
+ * @module file-signature
+ * @description Identifies a file from its leading bytes ("magic numbers")
+ * rather than from anything the server or the metadata claims: images,
+ * video, audio, 3D models, archives, documents, HTML / XML / SVG markup,
+ * and executables (PE, ELF, Mach-O, Java, WebAssembly, DEX) and scripts.
+ * Also maps URL file extensions to the MIME type they imply.
+ */
+
+import { detectVideoContainer } from './video-container.js';
+import { detectAudioFormat } from './audio-tags.js';
+import { detectGltfFormat } from './gltf-model.js';
+
+/**
+ * @typedef {'image'|'video'|'audio'|'model'|'archive'|'document'|'markup'|'executable'|'script'} FileCategory
+ */
+
+/**
+ * @typedef {Object} FileSignature
+ * @property {string} mimeType - MIME type the signature identifies
+ * @property {FileCategory} category - Broad kind of file
+ * @property {string} label - Human-readable name (e.g. "Windows PE executable")
+ */
+
+/** @type {Object<string, string>} Audio formats from detectAudioFormat and their MIME types */
+const AUDIO_FORMAT_TYPES = {
+    mp3: 'audio/mpeg',
+    aac: 'audio/aac',
+    wav: 'audio/wav',
+    ogg: 'audio/ogg',
+    flac: 'audio/flac',
+};
+
+/** @type {Object<string, string>} Non-canonical MIME types and the type they mean */
+const MIME_ALIASES = {
+    'image/jpg': 'image/jpeg',
+    'image/pjpeg': 'image/jpeg',
+    'image/vnd.microsoft.icon': 'image/x-icon',
+    'image/x-ms-bmp': 'image/bmp',
+    'audio/mp3': 'audio/mpeg',
+    'audio/wave': 'audio/wav',
+    'audio/x-wav': 'audio/wav',
+    'audio/vnd.wave': 'audio/wav',
+    'audio/x-flac': 'audio/flac',
+    'audio/x-aac': 'audio/aac',
+    'video/x-m4v': 'video/mp4',
+    'video/x-matroska': 'video/webm',
+    'application/x-zip-compressed': 'application/zip',
+    'application/x-gzip': 'application/gzip',
+    'application/x-msdos-program': 'application/vnd.microsoft.portable-executable',
+    'application/x-msdownload': 'application/vnd.microsoft.portable-executable',
+    'application/x-dosexec': 'application/vnd.microsoft.portable-executable',
+    'application/xhtml+xml': 'text/html',
+    'text/xml': 'application/xml',
+};
+
+/** @type {Object<string, string>} URL file extensions and the MIME type they imply */
+const EXTENSION_TYPES = {
+    png: 'image/png',
+    apng: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    jfif: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    bmp: 'image/bmp',
+    tif: 'image/tiff',
+    tiff: 'image/tiff',
+    ico: 'image/x-icon',
+    avif: 'image/avif',
+    heic: 'image/heic',
+    heif: 'image/heif',
+    jp2: 'image/jp2',
+    svg: 'image/svg+xml',
+    mp4: 'video/mp4',
+    m4v: 'video/mp4',
+    mov: 'video/quicktime',
+    webm: 'video/webm',
+    mkv: 'video/webm',
+    avi: 'video/x-msvideo',
+    mp3: 'audio/mpeg',
+    wav: 'audio/wav',
+    ogg: 'audio/ogg',
+    oga: 'audio/ogg',
+    opus: 'audio/ogg',
+    flac: 'audio/flac',
+    aac: 'audio/aac',
+    glb: 'model/gltf-binary',
+    gltf: 'model/gltf+json',
+    zip: 'application/zip',
+    gz: 'application/gzip',
+    '7z': 'application/x-7z-compressed',
+    rar: 'application/vnd.rar',
+    tar: 'application/x-tar',
+    pdf: 'application/pdf',
+    html: 'text/html',
+    htm: 'text/html',
+    json: 'application/json',
+    exe: 'application/vnd.microsoft.portable-executable',
+    dll: 'application/vnd.microsoft.portable-executable',
+    scr: 'application/vnd.microsoft.portable-executable',
+    msi: 'application/x-ole-storage',
+    sh: 'text/x-shellscript',
+    js: 'text/javascript',
+    wasm: 'application/wasm',
+    jar: 'application/zip',
+    apk: 'application/zip',
+};
+
+/** @type {Object<string, FileCategory>} Category of MIME types not covered by their top-level type */
+const TYPE_CATEGORIES = {
+    'image/svg+xml': 'image',
+    'application/zip': 'archive',
+    'application/gzip': 'archive',
+    'application/x-7z-compressed': 'archive',
+    'application/vnd.rar': 'archive',
+    'application/x-tar': 'archive',
+    'application/x-bzip2': 'archive',
+    'application/x-xz': 'archive',
+    'application/zstd': 'archive',
+    'application/vnd.ms-cab-compressed': 'archive',
+    'application/pdf': 'document',
+    'application/rtf': 'document',
+    'application/x-ole-storage': 'document',
+    'application/json': 'document',
+    'text/html': 'markup',
+    'application/xml': 'markup',
+    'application/vnd.microsoft.portable-executable': 'executable',
+    'application/x-elf': 'executable',
+    'application/x-mach-binary': 'executable',
+    'application/java-vm': 'executable',
+    'application/wasm': 'executable',
+    'application/vnd.android.dex': 'executable',
+    'text/x-shellscript': 'script',
+    'text/javascript': 'script',
+    'application/x-bat': 'script',
+};
+
+/** @type {RegExp} Start of an HTML document (after whitespace / BOM) */
+const HTML_PATTERN = /^(?:<!--[\s\S]*?-->\s*)*<(?:!doctype\s+html|html|head|body|script|iframe|meta|title|div)[\s>/]/i;
+
+/**
+ * Normalises a MIME type: lower case, parameters dropped, aliases resolved.
+ * @param {string} mimeType - MIME type (may include parameters)
+ * @returns {string} Canonical type ('' if empty)
+ */
+export function normaliseMimeType(mimeType) {
+    const base = String(mimeType ?? '').split(';')[0].trim().toLowerCase();
+    return MIME_ALIASES[base] ?? base;
+}
+
+/**
+ * Tells which broad category a MIME type belongs to.
+ * @param {string} mimeType - MIME type
+ * @returns {FileCategory|null} Category, or null for unknown / generic types
+ */
+export function mimeCategory(mimeType) {
+    const type = normaliseMimeType(mimeType);
+    if (TYPE_CATEGORIES[type]) return TYPE_CATEGORIES[type];
+    const top = type.split('/')[0];
+    if (['image', 'video', 'audio', 'model'].includes(top)) return top;
+    if (type === 'text/plain' || type === 'application/octet-stream' || type === 'binary/octet-stream') return null;
+    return top === 'text' ? 'document' : null;
+}
+
+/**
+ * Reads the MIME type implied by a URL's file extension.
+ * @param {string} url - URL (any scheme)
+ * @returns {{ extension: string, mimeType: string }|null} Extension and type, or null if none is recognised
+ */
+export function typeFromExtension(url) {
+    let path;
+    try {
+        path = new URL(url).pathname;
+    } catch {
+        path = String(url ?? '').split(/[?#]/)[0];
+    }
+    const match = /\.([a-z0-9]{1,5})$/i.exec(path);
+    if (!match) return null;
+    const extension = match[1].toLowerCase();
+    return EXTENSION_TYPES[extension] ? { extension, mimeType: EXTENSION_TYPES[extension] } : null;
+}
+
+/**
+ * Builds a signature result, with the category derived from the type.
+ * @param {string} mimeType - MIME type
+ * @param {string} label - Human-readable name
+ * @returns {FileSignature} Signature
+ */
+function signature(mimeType, label) {
+    return { mimeType, category: mimeCategory(mimeType), label };
+}
+
+/**
+ * Identifies executables: PE, ELF, Mach-O (thin and fat), Java class,
+ * WebAssembly and Android DEX.
+ * @param {Uint8Array} bytes - File contents
+ * @param {DataView} view - View over the same bytes
+ * @returns {FileSignature|null} Signature, or null
+ */
+function sniffExecutable(bytes, view) {
+    const ascii = (start, end) => String.fromCharCode(...bytes.subarray(start, end));
+    if (ascii(0, 2) === 'MZ') {
+        // e_lfanew points at the "PE\0\0" header of a Windows executable
+        const peOffset = bytes.length >= 64 ? view.getUint32(60, true) : 0;
+        const isPE = peOffset > 0 && peOffset + 4 <= bytes.length && ascii(peOffset, peOffset + 4) === 'PE\0\0';
+        return signature('application/vnd.microsoft.portable-executable', isPE ? 'Windows PE executable' : 'DOS MZ executable');
+    }
+    if (bytes[0] === 0x7f && ascii(1, 4) === 'ELF') return signature('application/x-elf', 'ELF executable');
+    if (bytes.length >= 8) {
+        const magic = view.getUint32(0);
+        if ([0xfeedface, 0xfeedfacf, 0xcefaedfe, 0xcffaedfe].includes(magic)) return signature('application/x-mach-binary', 'Mach-O executable');
+        if (magic === 0xcafebabe) {
+            // Fat Mach-O and Java class files share a magic; a fat header holds a small architecture count
+            return view.getUint32(4) < 20
+                ? signature('application/x-mach-binary', 'Mach-O universal binary')
+                : signature('application/java-vm', 'Java class file');
+        }
+    }
+    if (ascii(0, 4) === '\0asm') return signature('application/wasm', 'WebAssembly module');
+    if (ascii(0, 4) === 'dex\n') return signature('application/vnd.android.dex', 'Android DEX bytecode');
+    return null;
+}
+
+/**
+ * Identifies archives and binary documents.
+ * @param {Uint8Array} bytes - File contents
+ * @returns {FileSignature|null} Signature, or null
+ */
+function sniffContainer(bytes) {
+    const ascii = (start, end) => String.fromCharCode(...bytes.subarray(start, end));
+    const startsWith = (...sig) => sig.every((b, i) => bytes[i] === b);
+    if (ascii(0, 2) === 'PK' && [0x0304, 0x0506, 0x0708].includes((bytes[2] << 8) | bytes[3])) return signature('application/zip', 'ZIP archive');
+    if (startsWith(0x1f, 0x8b)) return signature('application/gzip', 'gzip archive');
+    if (startsWith(0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c)) return signature('application/x-7z-compressed', '7-Zip archive');
+    if (ascii(0, 6) === 'Rar!\x1a\x07') return signature('application/vnd.rar', 'RAR archive');
+    if (ascii(0, 3) === 'BZh') return signature('application/x-bzip2', 'bzip2 archive');
+    if (startsWith(0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00)) return signature('application/x-xz', 'xz archive');
+    if (startsWith(0x28, 0xb5, 0x2f, 0xfd)) return signature('application/zstd', 'Zstandard archive');
+    if (ascii(0, 4) === 'MSCF') return signature('application/vnd.ms-cab-compressed', 'Cabinet archive');
+    if (bytes.length >= 262 && ascii(257, 262) === 'ustar') return signature('application/x-tar', 'tar archive');
+    if (ascii(0, 5) === '%PDF-') return signature('application/pdf', 'PDF document');
+    if (ascii(0, 5) === '{\\rtf') return signature('application/rtf', 'RTF document');
+    if (startsWith(0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1)) return signature('application/x-ole-storage', 'OLE compound file (Office document or MSI installer)');
+    return null;
+}
+
+/**
+ * Identifies images, video, audio and 3D models.
+ * @param {Uint8Array} bytes - File contents
+ * @returns {FileSignature|null} Signature, or null
+ */
+function sniffMedia(bytes) {
+    const ascii = (start, end) => String.fromCharCode(...bytes.subarray(start, end));
+    const startsWith = (...sig) => sig.every((b, i) => bytes[i] === b);
+
+    if (startsWith(0x89, 0x50, 0x4e, 0x47)) return signature('image/png', 'PNG image');
+    if (startsWith(0xff, 0xd8, 0xff)) return signature('image/jpeg', 'JPEG image');
+    if (ascii(0, 4) === 'GIF8') return signature('image/gif', 'GIF image');
+    if (ascii(0, 4) === 'RIFF') {
+        const form = ascii(8, 12);
+        if (form === 'WEBP') return signature('image/webp', 'WebP image');
+        if (form === 'AVI ') return signature('video/x-msvideo', 'AVI video');
+    }
+    if (ascii(0, 2) === 'BM') return signature('image/bmp', 'BMP image');
+    if (startsWith(0x49, 0x49, 0x2a, 0x00) || startsWith(0x4d, 0x4d, 0x00, 0x2a)) return signature('image/tiff', 'TIFF image');
+    if (startsWith(0x00, 0x00, 0x01, 0x00)) return signature('image/x-icon', 'ICO image');
+    if (startsWith(0x00, 0x00, 0x00, 0x0c, 0x6a, 0x50, 0x20, 0x20)) return signature('image/jp2', 'JPEG 2000 image');
+    if (ascii(4, 8) === 'ftyp') {
+        const brand = ascii(8, 12);
+        if (brand === 'avif' || brand === 'avis') return signature('image/avif', 'AVIF image');
+        if (['heic', 'heix', 'hevc', 'heim', 'heis'].includes(brand)) return signature('image/heic', 'HEIC image');
+        if (brand === 'mif1' || brand === 'msf1') return signature('image/heif', 'HEIF image');
+        if (brand === 'qt  ') return signature('video/quicktime', 'QuickTime video');
+        return signature('video/mp4', `MP4 video (${brand.trim()})`);
+    }
+    if (detectVideoContainer(bytes) === 'ebml') return signature('video/webm', 'WebM / Matroska video');
+    const audioFormat = detectAudioFormat(bytes);
+    if (audioFormat) return signature(AUDIO_FORMAT_TYPES[audioFormat], `${audioFormat.toUpperCase()} audio`);
+    const modelFormat = detectGltfFormat(bytes);
+    if (modelFormat === 'glb') return signature('model/gltf-binary', 'GLB 3D model');
+    if (modelFormat === 'gltf') return signature('model/gltf+json', 'glTF 3D model');
+    return null;
+}
+
+/**
+ * Identifies text formats: scripts, HTML, SVG, XML and JSON.
+ * @param {Uint8Array} bytes - File contents
+ * @returns {FileSignature|null} Signature, or null
+ */
+function sniffText(bytes) {
+    const head = new TextDecoder().decode(bytes.subarray(0, 1024)).replace(/^\uFEFF/, '');
+    const trimmed = head.trimStart();
+    if (head.startsWith('#!')) return signature('text/x-shellscript', `${head.slice(2).split('\n')[0].trim().slice(0, 40) || 'shebang'} script`);
+    if (/^@echo\s+off/i.test(trimmed)) return signature('application/x-bat', 'Windows batch script');
+    if (trimmed.startsWith('<') && /<svg[\s>]/i.test(trimmed)) return signature('image/svg+xml', 'SVG image');
+    if (HTML_PATTERN.test(trimmed)) return signature('text/html', 'HTML document');
+    if (trimmed.startsWith('<?xml')) return signature('application/xml', 'XML document');
+    if (/^\{\s*(?:"|\})|^\[\s*(?:[{["\d\]-]|true|false|null)/.test(trimmed)) return signature('application/json', 'JSON document');
+    return null;
+}
+
+/**
+ * Identifies a file from its leading bytes. Executables are checked first
+ * so no other signature can mask them.
+ * @param {Uint8Array} bytes - File contents
+ * @returns {FileSignature|null} Signature, or null if nothing matches
+ */
+export function sniffFileType(bytes) {
+    if (!bytes || bytes.length < 2) return null;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    return sniffExecutable(bytes, view) ?? sniffContainer(bytes) ?? sniffMedia(bytes) ?? sniffText(bytes);
+}
@@ -0,0 +1,279 @@
+/**
+ * @module gateway-config
+ * @description Persisted, user-editable IPFS gateway list.
+ * Public gateways must be HTTPS path gateways (…/ipfs/). A local IPFS node
+ * (e.g. Kubo on http://127.0.0.1:8080) is declared separately: declaring it
+ * is the explicit opt-in that lets its /ipfs/ and /ipns/ paths through the
+ * private-address block in validateURL. Only loopback hosts qualify, and
+ * nothing else on that host becomes reachable.
+ */
+
+import { classifyIPAddress } from './ip-classifier.js';
+
+/** @type {string} localStorage key for the gateway configuration */
+const GATEWAY_CONFIG_KEY = 'nft-scanner-gateway-config';
+
+/** @type {string[]} Public gateways used until the user edits the list */
+export const DEFAULT_GATEWAYS = [
+    'https://ipfs.io/ipfs/',
+    'https://dweb.link/ipfs/',
+    'https://gateway.pinata.cloud/ipfs/',
+];
+
+/** @type {string[]} Gateway hosts that have shut down (cloudflare-ipfs.com was retired in 2024) */
+export const RETIRED_GATEWAY_HOSTS = ['cloudflare-ipfs.com', 'cf-ipfs.com'];
+
+/** @type {number} Upper bound on configured public gateways (each one is raced) */
+const MAX_GATEWAYS = 10;
+
+/**
+ * @type {string[]} Hostnames accepted for a local node. Kept to the loopback
+ * names the page's CSP connect-src allows.
+ */
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '[::1]'];
+
+/**
+ * @typedef {Object} GatewayConfig
+ * @property {string[]} gateways - Public gateway base URLs (ending in /ipfs/), in preference order
+ * @property {string|null} localNode - Origin of the user-declared local node, or null
+ */
+
+/**
+ * @typedef {Object} GatewayConfigResult
+ * @property {boolean} success - Whether the change was applied
+ * @property {string} [error] - Why it was refused (when success === false)
+ * @property {GatewayConfig} config - Configuration after the call
+ */
+
+/** @type {GatewayConfig|null} Parsed config, cached until the next save */
+let cachedConfig = null;
+
+/**
+ * Validates a public gateway URL and normalises it to its /ipfs/ base.
+ * Bare origins get /ipfs/ appended.
+ * @param {string} input - Gateway URL as entered
+ * @returns {{ valid: boolean, url?: string, reason?: string }} Normalised URL or reason
+ */
+export function normalizeGatewayUrl(input) {
+    let urlObj;
+    try {
+        urlObj = new URL(String(input ?? '').trim());
+    } catch {
+        return { valid: false, reason: 'Enter a full gateway URL, e.g. https://gateway.example.com/ipfs/' };
+    }
+
+    if (urlObj.protocol !== 'https:') {
+        return { valid: false, reason: 'Public gateways must use HTTPS (declare a local node separately)' };
+    }
+    if (urlObj.username || urlObj.password) {
+        return { valid: false, reason: 'Gateway URLs must not contain credentials' };
+    }
+    if (urlObj.search || urlObj.hash) {
+        return { valid: false, reason: 'Gateway URLs must not contain a query string or fragment' };
+    }
+
+    const host = urlObj.hostname.toLowerCase().replace(/\.$/, '');
+    if (host === 'localhost' || host.endsWith('.localhost') || classifyIPAddress(host).reserved) {
+        return { valid: false, reason: 'Private and local addresses can only be used as the local node' };
+    }
+    if (RETIRED_GATEWAY_HOSTS.includes(host)) {
+        return { valid: false, reason: `${host} has been retired and no longer serves IPFS content` };
+    }
+
+    const path = urlObj.pathname.replace(/\/+$/, '');
+    if (path !== '' && !path.endsWith('/ipfs')) {
+        return { valid: false, reason: 'Gateway URL must point at the gateway\'s /ipfs/ path' };
+    }
+
+    return { valid: true, url: `${urlObj.origin}${path || '/ipfs'}/` };
+}
+
+/**
+ * Checks whether a URL hostname names this machine.
+ * @param {string} hostname - Hostname from a parsed URL
+ * @returns {boolean} True for 127.0.0.1, localhost and [::1]
+ */
+export function isLoopbackHost(hostname) {
+    return LOOPBACK_HOSTS.includes(String(hostname).toLowerCase());
+}
+
+/**
+ * Validates a local node URL and reduces it to its origin.
+ * @param {string} input - Local node URL as entered (e.g. http://127.0.0.1:8080)
+ * @returns {{ valid: boolean, origin?: string, reason?: string }} Origin or reason
+ */
+export function normalizeLocalNodeUrl(input) {
+    let urlObj;
+    try {
+        urlObj = new URL(String(input ?? '').trim());
+    } catch {
+        return { valid: false, reason: 'Enter the node\'s gateway address, e.g. http://127.0.0.1:8080' };
+    }
+
+    if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') {
+        return { valid: false, reason: 'Local node must use http:// or https://' };
+    }
+    if (!isLoopbackHost(urlObj.hostname)) {
+        return { valid: false, reason: 'Local node must run on this machine (127.0.0.1, localhost or [::1])' };
+    }
+    if (urlObj.username || urlObj.password || urlObj.search || urlObj.hash) {
+        return { valid: false, reason: 'Local node address must not contain credentials, a query string or a fragment' };
+    }
+
+    return { valid: true, origin: urlObj.origin };
+}
+
+/**
+ * Reads the gateway configuration, falling back to the defaults for
+ * missing, corrupt or empty stored values.
+ * @returns {GatewayConfig} Current configuration
+ */
+export function getGatewayConfig() {
+    if (cachedConfig) {
+        return { ...cachedConfig, gateways: [...cachedConfig.gateways] };
+    }
+
+    let stored = null;
+    try {
+        const raw = localStorage.getItem(GATEWAY_CONFIG_KEY);
+        stored = raw ? JSON.parse(raw) : null;
+    } catch {
+        stored = null;
+    }
+
+    const gateways = Array.isArray(stored?.gateways)
+        ? [...new Set(stored.gateways.map(normalizeGatewayUrl).filter((r) => r.valid).map((r) => r.url))].slice(0, MAX_GATEWAYS)
+        : [];
+    const local = stored?.localNode ? normalizeLocalNodeUrl(stored.localNode) : null;
+
+    cachedConfig = {
+        gateways: gateways.length > 0 ? gateways : [...DEFAULT_GATEWAYS],
+        localNode: local?.valid ? local.origin : null,
+    };
+    return { ...cachedConfig, gateways: [...cachedConfig.gateways] };
+}
+
+/**
+ * Persists a configuration.
+ * @param {GatewayConfig} config - Configuration to save
+ * @returns {GatewayConfigResult} Outcome
+ */
+function saveGatewayConfig(config) {
+    try {
+        localStorage.setItem(GATEWAY_CONFIG_KEY, JSON.stringify(config));
+    } catch {
+        return { success: false, error: 'Could not save gateway settings (browser storage unavailable)', config: getGatewayConfig() };
+    }
+    cachedConfig = { ...config, gateways: [...config.gateways] };
+    return { success: true, config: getGatewayConfig() };
+}
+
+/**
+ * Appends a public gateway to the list.
+ * @param {string} input - Gateway URL as entered
+ * @returns {GatewayConfigResult} Outcome
+ */
+export function addGateway(input) {
+    const config = getGatewayConfig();
+    const check = normalizeGatewayUrl(input);
+    if (!check.valid) {
+        return { success: false, error: check.reason, config };
+    }
+    if (config.gateways.includes(check.url)) {
+        return { success: false, error: 'That gateway is already in the list', config };
+    }
+    if (config.gateways.length >= MAX_GATEWAYS) {
+        return { success: false, error: `At most ${MAX_GATEWAYS} gateways can be configured`, config };
+    }
+    return saveGatewayConfig({ ...config, gateways: [...config.gateways, check.url] });
+}
+
+/**
+ * Removes a public gateway. The last one cannot be removed, since
+ * VirusTotal needs a publicly reachable URL to scan.
+ * @param {string} gateway - Gateway base URL
+ * @returns {GatewayConfigResult} Outcome
+ */
+export function removeGateway(gateway) {
+    const config = getGatewayConfig();
+    if (!config.gateways.includes(gateway)) {
+        return { success: false, error: 'Gateway not found', config };
+    }
+    if (config.gateways.length === 1) {
+        return { success: false, error: 'Keep at least one public gateway — VirusTotal scans URLs on it', config };
+    }
+    return saveGatewayConfig({ ...config, gateways: config.gateways.filter((g) => g !== gateway) });
+}
+
+/**
+ * Moves a public gateway up or down the list.
+ * @param {string} gateway - Gateway base URL
+ * @param {number} offset - -1 to move up, 1 to move down
+ * @returns {GatewayConfigResult} Outcome
+ */
+export function moveGateway(gateway, offset) {
+    const config = getGatewayConfig();
+    const from = config.gateways.indexOf(gateway);
+    const to = from + offset;
+    if (from === -1 || to < 0 || to >= config.gateways.length) {
+        return { success: false, error: 'Gateway cannot be moved further', config };
+    }
+    const gateways = [...config.gateways];
+    gateways.splice(to, 0, gateways.splice(from, 1)[0]);
+    return saveGatewayConfig({ ...config, gateways });
+}
+
+/**
+ * Declares (or, with null, removes) the local IPFS node.
+ * @param {string|null} input - Local node URL, or null to remove it
+ * @returns {GatewayConfigResult} Outcome
+ */
+export function setLocalNode(input) {
+    const config = getGatewayConfig();
+    if (input === null) {
+        return saveGatewayConfig({ ...config, localNode: null });
+    }
+    const check = normalizeLocalNodeUrl(input);
+    if (!check.valid) {
+        return { success: false, error: check.reason, config };
+    }
+    return saveGatewayConfig({ ...config, localNode: check.origin });
+}
+
+/**
+ * Restores the default gateways and forgets the local node.
+ * @returns {GatewayConfigResult} Outcome
+ */
+export function resetGatewayConfig() {
+    try {
+        localStorage.removeItem(GATEWAY_CONFIG_KEY);
+    } catch {
+        // Nothing persisted to remove
+    }
+    cachedConfig = null;
+    return { success: true, config: getGatewayConfig() };
+}
+
+/**
+ * Returns the /ipfs/ base of the declared local node.
+ * @returns {string|null} Local node gateway base URL, or null if none is declared
+ */
+export function getLocalNodeGateway() {
+    const { localNode } = getGatewayConfig();
+    return localNode ? `${localNode}/ipfs/` : null;
+}
+
+/**
+ * Checks whether a URL is served by the declared local node.
+ * @param {string} url - URL to check
+ * @returns {boolean} True if the URL's origin is the local node's
+ */
+export function isLocalNodeUrl(url) {
+    const { localNode } = getGatewayConfig();
+    if (!localNode) return false;
+    try {
+        return new URL(url).origin === localNode;
+    } catch {
+        return false;
+    }
+}
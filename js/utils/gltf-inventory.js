@@ -0,0 +1,238 @@
+/**
+ * @module gltf-inventory
+ * @description Lists what a glTF 2.0 document holds — meshes with their
+ * triangle and vertex counts, materials and the texture slots they use,
+ * textures, images with their storage and pixel size, and animations —
+ * for the model summary built by gltf-model.js. Images stored inside the
+ * file are measured from their headers; nothing is decoded or rendered.
+ */
+
+import { parseDataUri, isDataUri } from './data-uri.js';
+
+/** @type {number} Largest embedded buffer or image decoded from a data: URI (32 MB) */
+export const MAX_EMBEDDED_BYTES = 32 * 1024 * 1024;
+
+/** @type {Object<string, string|null>} Material texture slots and the member each sits in (null: the material itself) */
+const MATERIAL_TEXTURE_SLOTS = {
+    baseColorTexture: 'pbrMetallicRoughness',
+    metallicRoughnessTexture: 'pbrMetallicRoughness',
+    normalTexture: null,
+    occlusionTexture: null,
+    emissiveTexture: null,
+};
+
+/**
+ * @typedef {Object} GltfImage
+ * @property {number} index - Index in the images array
+ * @property {string} name - Image name ('' if none)
+ * @property {string} mimeType - Declared or data: URI type ('' if neither)
+ * @property {'bufferView'|'data-uri'|'external'} storage - Where the bytes are
+ * @property {string} [uri] - External URI (storage "external")
+ * @property {number|null} size - Size in bytes, when known
+ * @property {number|null} width - Pixel width, when the bytes are available and readable
+ * @property {number|null} height - Pixel height
+ */
+
+/**
+ * Reads the pixel size of a PNG, JPEG, GIF or WebP image.
+ * @param {Uint8Array} bytes - Image bytes
+ * @returns {{ width: number, height: number }|null} Size, or null if not readable
+ */
+function readImageSize(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const ascii = (start, end) => String.fromCharCode(...bytes.subarray(start, end));
+    if (bytes.length >= 24 && bytes[0] === 0x89 && ascii(1, 4) === 'PNG') {
+        return { width: view.getUint32(16), height: view.getUint32(20) };
+    }
+    if (bytes.length >= 10 && ascii(0, 4) === 'GIF8') {
+        return { width: view.getUint16(6, true), height: view.getUint16(8, true) };
+    }
+    if (bytes.length >= 30 && ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') {
+        const chunk = ascii(12, 16);
+        if (chunk === 'VP8 ') return { width: view.getUint16(26, true) & 0x3fff, height: view.getUint16(28, true) & 0x3fff };
+        if (chunk === 'VP8L') {
+            const bits = view.getUint32(21, true);
+            return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+        }
+        if (chunk === 'VP8X') {
+            return { width: (bytes[24] | (bytes[25] << 8) | (bytes[26] << 16)) + 1, height: (bytes[27] | (bytes[28] << 8) | (bytes[29] << 16)) + 1 };
+        }
+        return null;
+    }
+    if (bytes.length >= 4 && bytes[0] === 0xff && bytes[1] === 0xd8) {
+        let pos = 2;
+        while (pos + 9 < bytes.length && bytes[pos] === 0xff) {
+            const marker = bytes[pos + 1];
+            const length = view.getUint16(pos + 2);
+            // SOF0–SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+            if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+                return { width: view.getUint16(pos + 7), height: view.getUint16(pos + 5) };
+            }
+            pos += 2 + length;
+        }
+    }
+    return null;
+}
+
+/**
+ * Lists the keys of an object's `extensions` member.
+ * @param {Object} [obj] - glTF object
+ * @returns {string[]} Extension names
+ */
+function extensionNames(obj) {
+    return obj?.extensions && typeof obj.extensions === 'object' ? Object.keys(obj.extensions) : [];
+}
+
+/**
+ * Counts the triangles a primitive draws.
+ * @param {Object} primitive - Mesh primitive
+ * @param {Object[]} accessors - Document accessors
+ * @returns {{ triangles: number, vertices: number }} Counts
+ */
+function countPrimitive(primitive, accessors) {
+    const vertices = accessors[primitive.attributes?.POSITION]?.count ?? 0;
+    const elements = primitive.indices !== undefined ? (accessors[primitive.indices]?.count ?? 0) : vertices;
+    const mode = primitive.mode ?? 4;
+    let triangles = 0;
+    if (mode === 4) triangles = Math.floor(elements / 3);
+    else if (mode === 5 || mode === 6) triangles = Math.max(0, elements - 2);
+    return { triangles, vertices };
+}
+
+/**
+ * Returns the bytes of a buffer view, when its buffer is inside the file.
+ * @param {Object} json - glTF document
+ * @param {Uint8Array|null} bin - GLB binary chunk
+ * @param {number} index - Buffer view index
+ * @returns {Uint8Array|null} View bytes, or null if the buffer is external or missing
+ */
+export function bufferViewBytes(json, bin, index) {
+    const view = json.bufferViews?.[index];
+    const buffer = json.buffers?.[view?.buffer];
+    if (!view || !buffer) return null;
+    let data = null;
+    if (buffer.uri === undefined) {
+        data = bin;
+    } else if (isDataUri(buffer.uri)) {
+        const parsed = parseDataUri(buffer.uri, { maxBytes: MAX_EMBEDDED_BYTES });
+        data = parsed.success ? parsed.bytes : null;
+    }
+    if (!data) return null;
+    const start = view.byteOffset ?? 0;
+    if (start + view.byteLength > data.length) return null;
+    return data.subarray(start, start + view.byteLength);
+}
+
+/**
+ * Lists the meshes and the triangles and vertices each defines.
+ * @param {function(string): Array} list - Reads a top-level array of the document
+ * @returns {Array<{ name: string, primitives: number, triangles: number, vertices: number }>} Meshes
+ */
+function listMeshes(list) {
+    const accessors = list('accessors');
+    return list('meshes').map((mesh) => {
+        const primitives = Array.isArray(mesh?.primitives) ? mesh.primitives : [];
+        const counts = primitives.map((p) => countPrimitive(p ?? {}, accessors));
+        return {
+            name: String(mesh?.name ?? ''),
+            primitives: primitives.length,
+            triangles: counts.reduce((n, c) => n + c.triangles, 0),
+            vertices: counts.reduce((n, c) => n + c.vertices, 0),
+        };
+    });
+}
+
+/**
+ * Lists the materials and textures.
+ * @param {function(string): Array} list - Reads a top-level array of the document
+ * @returns {{ materials: Array<Object>, textures: Array<Object> }} Materials and textures
+ */
+function listMaterials(list) {
+    const materials = list('materials').map((material) => ({
+        name: String(material?.name ?? ''),
+        alphaMode: String(material?.alphaMode ?? 'OPAQUE'),
+        textures: Object.entries(MATERIAL_TEXTURE_SLOTS)
+            .filter(([slot, parent]) => (parent ? material?.[parent]?.[slot] : material?.[slot]) !== undefined)
+            .map(([slot]) => slot),
+        extensions: extensionNames(material),
+    }));
+    const textures = list('textures').map((texture) => {
+        // Image formats added by extensions (KTX2, WebP, ...) name their image there
+        const extSource = Object.values(texture?.extensions ?? {}).find((ext) => Number.isInteger(ext?.source))?.source;
+        const source = Number.isInteger(texture?.source) ? texture.source : (extSource ?? null);
+        return { name: String(texture?.name ?? ''), source, extensions: extensionNames(texture) };
+    });
+    return { materials, textures };
+}
+
+/**
+ * Describes one image: where its bytes are, how large it is and, when
+ * the bytes are inside the file, its pixel size.
+ * @param {Object} json - glTF document
+ * @param {Uint8Array|null} bin - GLB binary chunk
+ * @param {Object} image - Image object
+ * @param {number} index - Index in the images array
+ * @returns {GltfImage} Image entry
+ */
+function describeImage(json, bin, image, index) {
+    const entry = { index, name: String(image?.name ?? ''), mimeType: String(image?.mimeType ?? ''), storage: 'external', size: null, width: null, height: null };
+    let data = null;
+    if (Number.isInteger(image?.bufferView)) {
+        entry.storage = 'bufferView';
+        entry.size = json.bufferViews?.[image.bufferView]?.byteLength ?? null;
+        data = bufferViewBytes(json, bin, image.bufferView);
+    } else if (isDataUri(image?.uri)) {
+        entry.storage = 'data-uri';
+        const parsed = parseDataUri(image.uri, { maxBytes: MAX_EMBEDDED_BYTES });
+        if (parsed.success) {
+            data = parsed.bytes;
+            entry.size = parsed.size;
+            entry.mimeType ||= parsed.mimeType;
+        }
+    } else if (typeof image?.uri === 'string') {
+        entry.uri = image.uri;
+    }
+    const size = data ? readImageSize(data) : null;
+    if (size) {
+        entry.width = size.width;
+        entry.height = size.height;
+    }
+    return entry;
+}
+
+/**
+ * Lists the animations and how long each runs.
+ * @param {function(string): Array} list - Reads a top-level array of the document
+ * @returns {Array<{ name: string, channels: number, samplers: number, durationSec: number|null }>} Animations
+ */
+function listAnimations(list) {
+    const accessors = list('accessors');
+    return list('animations').map((animation) => {
+        const samplers = Array.isArray(animation?.samplers) ? animation.samplers : [];
+        const ends = samplers.map((s) => accessors[s?.input]?.max?.[0]).filter((v) => typeof v === 'number');
+        return {
+            name: String(animation?.name ?? ''),
+            channels: Array.isArray(animation?.channels) ? animation.channels.length : 0,
+            samplers: samplers.length,
+            durationSec: ends.length > 0 ? Math.max(...ends) : null,
+        };
+    });
+}
+
+/**
+ * Lists the contents of a glTF document.
+ * @param {Object} json - glTF document
+ * @param {Uint8Array|null} bin - GLB binary chunk
+ * @returns {Pick<import('./gltf-model.js').GltfModelInfo, 'scenes'|'nodes'|'meshes'|'materials'|'textures'|'images'|'animations'>} Inventory
+ */
+export function inventoryGltf(json, bin) {
+    const list = (key) => (Array.isArray(json[key]) ? json[key] : []);
+    return {
+        scenes: list('scenes').length,
+        nodes: list('nodes').length,
+        meshes: listMeshes(list),
+        ...listMaterials(list),
+        images: list('images').map((image, index) => describeImage(json, bin, image, index)),
+        animations: listAnimations(list),
+    };
+}
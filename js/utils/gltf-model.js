@@ -0,0 +1,246 @@
+/**
+ * @module gltf-model
+ * @description Reads glTF 2.0 models, binary (.glb) or JSON (.gltf), without
+ * rendering them. The GLB header and chunks are checked, the JSON document
+ * is summarised (its meshes, materials, textures, images and animations
+ * are listed by gltf-inventory.js), every `uri` in it is listed, and
+ * triangle and texture totals are added up so they can be compared with
+ * a budget. Images stored inside
+ * the file — in the GLB binary chunk or as data: URIs — can be extracted
+ * with {@link extractGltfImage}.
+ */
+
+import { parseDataUri, isDataUri } from './data-uri.js';
+import { inventoryGltf, bufferViewBytes, MAX_EMBEDDED_BYTES } from './gltf-inventory.js';
+
+/** @type {number} GLB magic "glTF", little-endian */
+const GLB_MAGIC = 0x46546c67;
+
+/** @type {number} GLB chunk type "JSON" */
+const CHUNK_JSON = 0x4e4f534a;
+
+/** @type {number} GLB chunk type "BIN\0" */
+const CHUNK_BIN = 0x004e4942;
+
+/**
+ * @typedef {Object} GltfModelInfo
+ * @property {'glb'|'gltf'|null} format - File format, null if unrecognised
+ * @property {string|null} version - asset.version
+ * @property {string} generator - asset.generator ('' if none)
+ * @property {string} copyright - asset.copyright ('' if none)
+ * @property {number} scenes - Scene count
+ * @property {number} nodes - Node count
+ * @property {Array<{ name: string, primitives: number, triangles: number, vertices: number }>} meshes - Meshes (triangles per definition, not per instance)
+ * @property {Array<{ name: string, alphaMode: string, textures: string[], extensions: string[] }>} materials - Materials and the texture slots they use
+ * @property {Array<{ name: string, source: number|null, extensions: string[] }>} textures - Textures and their image
+ * @property {import('./gltf-inventory.js').GltfImage[]} images - Images
+ * @property {Array<{ name: string, channels: number, samplers: number, durationSec: number|null }>} animations - Animations
+ * @property {string[]} extensionsUsed - asset extensionsUsed
+ * @property {string[]} extensionsRequired - asset extensionsRequired
+ * @property {Array<{ path: string, uri: string }>} uris - Every non-data: `uri` in the document, with its JSON path
+ * @property {{ triangles: number, vertices: number, textureBytes: number, maxTextureDimension: number }} totals - Budget totals
+ * @property {Object} [json] - Parsed JSON document (for extraction)
+ * @property {Uint8Array|null} [bin] - GLB binary chunk (for extraction)
+ * @property {string} [error] - Why the model could only be read in part
+ */
+
+/**
+ * Reads a little-endian 32-bit unsigned integer.
+ * @param {Uint8Array} bytes - Bytes
+ * @param {number} offset - Start
+ * @returns {number} Value
+ */
+function readUint32LE(bytes, offset) {
+    return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+}
+
+/**
+ * Collects every `uri` string in the document that is not a data: URI,
+ * including those inside extensions.
+ * @param {*} value - JSON value
+ * @param {string} path - JSON path of the value
+ * @param {Array<{ path: string, uri: string }>} out - Found URIs (mutated)
+ */
+function collectUris(value, path, out) {
+    if (Array.isArray(value)) {
+        value.forEach((item, i) => collectUris(item, `${path}[${i}]`, out));
+    } else if (value && typeof value === 'object') {
+        for (const [key, child] of Object.entries(value)) {
+            const childPath = path ? `${path}.${key}` : key;
+            if (key === 'uri' && typeof child === 'string') {
+                if (!isDataUri(child)) out.push({ path: childPath, uri: child });
+            } else {
+                collectUris(child, childPath, out);
+            }
+        }
+    }
+}
+
+/**
+ * Splits a GLB file into its JSON text and binary chunk.
+ * @param {Uint8Array} bytes - File contents
+ * @returns {{ jsonText: string, bin: Uint8Array|null, error?: string }} Chunks
+ * @throws {Error} If the header or JSON chunk is unreadable
+ */
+function readGlbChunks(bytes) {
+    const version = readUint32LE(bytes, 4);
+    if (version !== 2) throw new Error(`Unsupported GLB version ${version}`);
+    const declaredLength = readUint32LE(bytes, 8);
+    let error;
+    if (declaredLength !== bytes.length) error = `GLB header declares ${declaredLength} bytes but the file has ${bytes.length}`;
+
+    let jsonText = null;
+    let bin = null;
+    let pos = 12;
+    while (pos + 8 <= bytes.length) {
+        const length = readUint32LE(bytes, pos);
+        const type = readUint32LE(bytes, pos + 4);
+        const data = bytes.subarray(pos + 8, pos + 8 + length);
+        if (data.length < length) error ??= 'GLB chunk runs past the end of the file';
+        if (type === CHUNK_JSON && jsonText === null) jsonText = new TextDecoder().decode(data);
+        else if (type === CHUNK_BIN && bin === null) bin = data;
+        pos += 8 + length;
+    }
+    if (jsonText === null) throw new Error('GLB has no JSON chunk');
+    return { jsonText, bin, error };
+}
+
+/**
+ * Identifies a glTF file from its first bytes.
+ * @param {Uint8Array} bytes - File contents
+ * @returns {'glb'|'gltf'|null} Format, or null if not recognised
+ */
+export function detectGltfFormat(bytes) {
+    if (bytes.length >= 12 && readUint32LE(bytes, 0) === GLB_MAGIC) return 'glb';
+    const head = new TextDecoder().decode(bytes.subarray(0, 1024)).trimStart();
+    return head.startsWith('{') && /"asset"\s*:/.test(head) ? 'gltf' : null;
+}
+
+/**
+ * Reads the JSON document of a GLB or glTF file, noting in the summary
+ * why it could not be read.
+ * @param {Uint8Array} bytes - File contents
+ * @param {GltfModelInfo} info - Model summary (mutated: bin, error)
+ * @returns {Object|null} Parsed document, or null
+ */
+function readModelJson(bytes, info) {
+    let json;
+    try {
+        let jsonText;
+        if (info.format === 'glb') {
+            const chunks = readGlbChunks(bytes);
+            jsonText = chunks.jsonText;
+            info.bin = chunks.bin;
+            if (chunks.error) info.error = chunks.error;
+        } else if (info.format === 'gltf') {
+            jsonText = new TextDecoder().decode(bytes);
+        } else {
+            info.error = 'Not a GLB or glTF file';
+            return null;
+        }
+        json = JSON.parse(jsonText);
+    } catch (err) {
+        info.error = `Model could not be read: ${err.message}`;
+        return null;
+    }
+    if (!json || typeof json !== 'object' || Array.isArray(json)) {
+        info.error = 'Model JSON is not an object';
+        return null;
+    }
+    return json;
+}
+
+/**
+ * Reads the asset description and the extensions the document declares.
+ * @param {Object} json - glTF document
+ * @param {GltfModelInfo} info - Model summary (mutated)
+ */
+function readAsset(json, info) {
+    info.version = typeof json.asset?.version === 'string' ? json.asset.version : null;
+    if (info.version && !info.version.startsWith('2.')) {
+        info.error ??= `glTF ${info.version} is not supported; only 2.x models are summarised`;
+    }
+    info.generator = typeof json.asset?.generator === 'string' ? json.asset.generator : '';
+    info.copyright = typeof json.asset?.copyright === 'string' ? json.asset.copyright : '';
+    info.extensionsUsed = Array.isArray(json.extensionsUsed) ? json.extensionsUsed.map(String) : [];
+    info.extensionsRequired = Array.isArray(json.extensionsRequired) ? json.extensionsRequired.map(String) : [];
+}
+
+/**
+ * Adds up the budget totals from the meshes and images.
+ * @param {GltfModelInfo} info - Model summary (mutated: totals)
+ */
+function addTotals(info) {
+    for (const mesh of info.meshes) {
+        info.totals.triangles += mesh.triangles;
+        info.totals.vertices += mesh.vertices;
+    }
+    for (const image of info.images) {
+        info.totals.textureBytes += image.size ?? 0;
+        if (image.width !== null) {
+            info.totals.maxTextureDimension = Math.max(info.totals.maxTextureDimension, image.width, image.height);
+        }
+    }
+}
+
+/**
+ * Parses a GLB or glTF file.
+ * @param {Uint8Array} bytes - File contents
+ * @returns {GltfModelInfo} Model summary
+ */
+export function parseGltfModel(bytes) {
+    const info = {
+        format: detectGltfFormat(bytes),
+        version: null,
+        generator: '',
+        copyright: '',
+        scenes: 0,
+        nodes: 0,
+        meshes: [],
+        materials: [],
+        textures: [],
+        images: [],
+        animations: [],
+        extensionsUsed: [],
+        extensionsRequired: [],
+        uris: [],
+        totals: { triangles: 0, vertices: 0, textureBytes: 0, maxTextureDimension: 0 },
+        bin: null,
+    };
+    const json = readModelJson(bytes, info);
+    if (!json) return info;
+
+    info.json = json;
+    readAsset(json, info);
+    collectUris(json, '', info.uris);
+    Object.assign(info, inventoryGltf(json, info.bin));
+    addTotals(info);
+    return info;
+}
+
+/**
+ * Extracts the bytes of an image stored inside a model (GLB binary chunk
+ * or data: URI). External images are not fetched.
+ * @param {GltfModelInfo} model - Result of parseGltfModel
+ * @param {number} index - Image index
+ * @returns {{ success: boolean, bytes?: Uint8Array, mimeType?: string, error?: string }} Image bytes or error
+ */
+export function extractGltfImage(model, index) {
+    const image = model.json?.images?.[index];
+    if (!image) {
+        return { success: false, error: `Model has no image ${index}` };
+    }
+    if (Number.isInteger(image.bufferView)) {
+        const bytes = bufferViewBytes(model.json, model.bin, image.bufferView);
+        return bytes
+            ? { success: true, bytes, mimeType: String(image.mimeType ?? '') }
+            : { success: false, error: 'Image buffer is not inside the file' };
+    }
+    if (isDataUri(image.uri)) {
+        const parsed = parseDataUri(image.uri, { maxBytes: MAX_EMBEDDED_BYTES });
+        return parsed.success
+            ? { success: true, bytes: parsed.bytes, mimeType: String(image.mimeType ?? parsed.mimeType) }
+            : { success: false, error: parsed.error };
+    }
+    return { success: false, error: 'Image is an external file' };
+}
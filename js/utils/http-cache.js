@@ -0,0 +1,318 @@
+/**
+ * @module http-cache
+ * @description Persistent IndexedDB cache for fetched metadata and media.
+ * Entries are keyed by a normalised URL, or by ipfs://<CIDv1><path> for
+ * IPFS content so every gateway and CID spelling shares one entry. IPFS
+ * entries are immutable and served without a request; HTTPS entries keep
+ * their ETag / Last-Modified so the fetchers can revalidate them. The
+ * cache is bounded in bytes and evicts least-recently-used entries.
+ *
+ * Entry details and payloads live in separate object stores so eviction
+ * can walk the (small) details without loading stored bodies. Every
+ * operation degrades to a cache miss when IndexedDB is unavailable or
+ * fails — the cache never stops a scan.
+ */
+
+import { logError, logInfo, safeAsync } from './error-handler.js';
+import { extractCID, splitCIDPath, parseCID, toCIDv1, parseIPNSUrl } from './ipfs-utils.js';
+
+/** @type {string} IndexedDB database name */
+const DB_NAME = 'nft-scanner-cache';
+
+/** @type {number} IndexedDB schema version */
+const DB_VERSION = 1;
+
+/** @type {string} Object store holding entry details (no bodies) */
+const ENTRY_STORE = 'entries';
+
+/** @type {string} Object store holding the cached bodies */
+const PAYLOAD_STORE = 'payloads';
+
+/** @type {number} Total size the cache is kept under (200 MB) */
+const MAX_CACHE_BYTES = 200 * 1024 * 1024;
+
+/** @type {number} Largest single entry stored (32 MB — the media limit) */
+const MAX_ENTRY_BYTES = 32 * 1024 * 1024;
+
+/**
+ * @typedef {Object} CacheKey
+ * @property {string} key - Normalised cache key
+ * @property {boolean} immutable - True for content-addressed (IPFS) keys
+ */
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {string} key - Cache key
+ * @property {'metadata'|'media'} kind - What the payload holds
+ * @property {boolean} immutable - Served without revalidation
+ * @property {string|null} etag - ETag to revalidate with
+ * @property {string|null} lastModified - Last-Modified to revalidate with
+ * @property {number} size - Payload size in bytes
+ * @property {number} storedAt - When the entry was written (ms epoch)
+ * @property {number} lastAccess - When the entry was last read or written (ms epoch)
+ * @property {Object} [payload] - Stored body and details (present on reads)
+ */
+
+/**
+ * @typedef {Object} CacheHit
+ * @property {number} storedAt - When the entry was written (ms epoch)
+ * @property {boolean} immutable - Served without a request (content-addressed)
+ * @property {boolean} revalidated - The server confirmed it unchanged (304)
+ */
+
+/** @type {Promise<IDBDatabase|null>|null} Open database, shared by all calls */
+let dbPromise = null;
+
+/**
+ * Wraps an IDBRequest in a promise.
+ * @param {IDBRequest} req - Request to wait on
+ * @returns {Promise<*>} Request result
+ */
+function promisify(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+/**
+ * Resolves when a transaction has committed.
+ * @param {IDBTransaction} tx - Transaction
+ * @returns {Promise<void>}
+ */
+function committed(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error ?? new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Opens (and on first use creates) the cache database.
+ * @returns {Promise<IDBDatabase|null>} Database, or null if IndexedDB is unavailable
+ */
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+    if (typeof indexedDB === 'undefined') {
+        dbPromise = Promise.resolve(null);
+        return dbPromise;
+    }
+
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+        const db = req.result;
+        const entries = db.createObjectStore(ENTRY_STORE, { keyPath: 'key' });
+        entries.createIndex('lastAccess', 'lastAccess');
+        db.createObjectStore(PAYLOAD_STORE);
+    };
+    dbPromise = promisify(req).catch((err) => {
+        logError('CacheError', 'Could not open the HTTP cache', { error: err?.message });
+        return null;
+    });
+    return dbPromise;
+}
+
+/**
+ * Derives the cache key for a URL. IPFS URLs (ipfs:// or any gateway) are
+ * keyed by their CIDv1 and path; HTTPS URLs by the URL without fragment.
+ * @param {string} url - Resolved URL
+ * @returns {CacheKey|null} Key, or null for URLs that are not cached
+ */
+export function cacheKeyFor(url) {
+    if (typeof url !== 'string' || parseIPNSUrl(url)) {
+        return null;
+    }
+
+    const cidPath = extractCID(url);
+    if (cidPath) {
+        const { cid, path } = splitCIDPath(cidPath);
+        const info = parseCID(cid);
+        if (!info.valid) return null;
+        return { key: `ipfs://${toCIDv1(info)}${path.replace(/#.*$/, '')}`, immutable: true };
+    }
+
+    let urlObj;
+    try {
+        urlObj = new URL(url);
+    } catch {
+        return null;
+    }
+    if (urlObj.protocol !== 'https:') {
+        return null;
+    }
+    urlObj.hash = '';
+    return { key: urlObj.href, immutable: false };
+}
+
+/**
+ * Reads an entry and marks it as recently used.
+ * @param {string} key - Cache key
+ * @returns {Promise<CacheEntry|null>} Entry with its payload, or null on a miss
+ */
+export async function getCached(key) {
+    const db = await openDatabase();
+    if (!db) return null;
+
+    const [entry, err] = await safeAsync((async () => {
+        const tx = db.transaction([ENTRY_STORE, PAYLOAD_STORE], 'readwrite');
+        const done = committed(tx);
+        const details = await promisify(tx.objectStore(ENTRY_STORE).get(key));
+        if (!details) {
+            await done;
+            return null;
+        }
+        const payload = await promisify(tx.objectStore(PAYLOAD_STORE).get(key));
+        if (payload === undefined) {
+            // Details without a body are useless; drop them
+            tx.objectStore(ENTRY_STORE).delete(key);
+            await done;
+            return null;
+        }
+        details.lastAccess = Date.now();
+        tx.objectStore(ENTRY_STORE).put(details);
+        await done;
+        return { ...details, payload };
+    })());
+    if (err) {
+        logError('CacheError', 'Cache read failed', { key, error: err.message });
+        return null;
+    }
+    return entry;
+}
+
+/**
+ * Stores an entry, then evicts least-recently-used entries until the
+ * cache is back under its byte limit.
+ * @param {{ key: string, kind: 'metadata'|'media', immutable: boolean, etag?: string|null, lastModified?: string|null, size: number, payload: Object }} entry - Entry to store
+ * @returns {Promise<{ success: boolean, error?: string }>} Outcome
+ */
+export async function putCached({ key, kind, immutable, etag = null, lastModified = null, size, payload }) {
+    if (size > MAX_ENTRY_BYTES) {
+        return { success: false, error: 'Entry too large to cache' };
+    }
+    const db = await openDatabase();
+    if (!db) return { success: false, error: 'Cache unavailable' };
+
+    const now = Date.now();
+    const [, err] = await safeAsync((async () => {
+        const tx = db.transaction([ENTRY_STORE, PAYLOAD_STORE], 'readwrite');
+        const done = committed(tx);
+        tx.objectStore(ENTRY_STORE).put({ key, kind, immutable, etag, lastModified, size, storedAt: now, lastAccess: now });
+        tx.objectStore(PAYLOAD_STORE).put(payload, key);
+        await done;
+    })());
+    if (err) {
+        logError('CacheError', 'Cache write failed', { key, error: err.message });
+        return { success: false, error: err.message };
+    }
+
+    await evictToLimit(db);
+    return { success: true };
+}
+
+/**
+ * Removes entries, oldest access first, until the total size fits.
+ * @param {IDBDatabase} db - Open database
+ */
+async function evictToLimit(db) {
+    const [, err] = await safeAsync((async () => {
+        const tx = db.transaction([ENTRY_STORE, PAYLOAD_STORE], 'readwrite');
+        const done = committed(tx);
+        const entries = await promisify(tx.objectStore(ENTRY_STORE).index('lastAccess').getAll());
+        let total = entries.reduce((sum, e) => sum + e.size, 0);
+        const evicted = [];
+        for (const entry of entries) {
+            if (total <= MAX_CACHE_BYTES) break;
+            tx.objectStore(ENTRY_STORE).delete(entry.key);
+            tx.objectStore(PAYLOAD_STORE).delete(entry.key);
+            total -= entry.size;
+            evicted.push(entry.key);
+        }
+        await done;
+        if (evicted.length > 0) logInfo('HTTP cache evicted entries', { count: evicted.length, totalBytes: total });
+    })());
+    if (err) {
+        logError('CacheError', 'Cache eviction failed', { error: err.message });
+    }
+}
+
+/**
+ * Removes one entry.
+ * @param {string} key - Cache key
+ */
+export async function deleteCached(key) {
+    const db = await openDatabase();
+    if (!db) return;
+    const [, err] = await safeAsync((async () => {
+        const tx = db.transaction([ENTRY_STORE, PAYLOAD_STORE], 'readwrite');
+        const done = committed(tx);
+        tx.objectStore(ENTRY_STORE).delete(key);
+        tx.objectStore(PAYLOAD_STORE).delete(key);
+        await done;
+    })());
+    if (err) logError('CacheError', 'Cache delete failed', { key, error: err.message });
+}
+
+/**
+ * Empties the cache.
+ * @returns {Promise<{ success: boolean, error?: string }>} Outcome
+ */
+export async function clearCache() {
+    const db = await openDatabase();
+    if (!db) return { success: false, error: 'Cache unavailable' };
+    const [, err] = await safeAsync((async () => {
+        const tx = db.transaction([ENTRY_STORE, PAYLOAD_STORE], 'readwrite');
+        const done = committed(tx);
+        tx.objectStore(ENTRY_STORE).clear();
+        tx.objectStore(PAYLOAD_STORE).clear();
+        await done;
+    })());
+    if (err) {
+        logError('CacheError', 'Cache clear failed', { error: err.message });
+        return { success: false, error: err.message };
+    }
+    logInfo('HTTP cache cleared');
+    return { success: true };
+}
+
+/**
+ * Summarises the cache contents.
+ * @returns {Promise<{ available: boolean, entries: number, bytes: number, maxBytes: number }>} Cache totals
+ */
+export async function getCacheStats() {
+    const db = await openDatabase();
+    const empty = { available: Boolean(db), entries: 0, bytes: 0, maxBytes: MAX_CACHE_BYTES };
+    if (!db) return empty;
+    const [entries, err] = await safeAsync(promisify(db.transaction(ENTRY_STORE).objectStore(ENTRY_STORE).getAll()));
+    if (err) return empty;
+    return { ...empty, entries: entries.length, bytes: entries.reduce((sum, e) => sum + e.size, 0) };
+}
+
+/**
+ * Builds the conditional request headers for a stored entry.
+ * @param {CacheEntry|null} entry - Stored entry
+ * @returns {Object<string, string>|null} If-None-Match / If-Modified-Since headers, or null if it has no validators
+ */
+export function revalidationHeaders(entry) {
+    if (!entry || entry.immutable) return null;
+    const headers = {};
+    if (entry.etag) headers['If-None-Match'] = entry.etag;
+    if (entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+    return Object.keys(headers).length > 0 ? headers : null;
+}
+
+/**
+ * Reads the validators a response can later be revalidated with. ETag is
+ * only visible cross-origin when the server exposes it; Last-Modified and
+ * Cache-Control always are.
+ * @param {Response} response - Fetch response
+ * @returns {{ etag: string|null, lastModified: string|null, noStore: boolean }} Validators
+ */
+export function readValidators(response) {
+    return {
+        etag: response.headers.get('etag'),
+        lastModified: response.headers.get('last-modified'),
+        noStore: /(^|,)\s*no-store\s*(,|$)/i.test(response.headers.get('cache-control') ?? ''),
+    };
+}
@@ -0,0 +1,299 @@
+/**
+ * @module id3-tags
+ * @description Reads ID3 tags for audio-tags.js: ID3v2 (2.2–2.4) at the
+ * start of MP3 / AAC files or inside a WAV id3 chunk, and ID3v1 in the
+ * last 128 bytes. Text, comment and URL frames become tags, APIC pictures
+ * become artwork with their bytes kept, and GEOB objects are listed as
+ * embedded files. Compressed and encrypted frames are noted, not read.
+ */
+
+/** @type {number} Longest tag value kept (characters) */
+const MAX_TAG_LENGTH = 4096;
+
+/** @type {Object<string, string>} ID3v2.2 three-character frame IDs and their v2.3 names */
+const ID3V22_FRAMES = {
+    TT2: 'TIT2', TP1: 'TPE1', TP2: 'TPE2', TAL: 'TALB', TYE: 'TYER', TCO: 'TCON', TRK: 'TRCK',
+    TEN: 'TENC', TSS: 'TSSE', TCR: 'TCOP', TXX: 'TXXX', COM: 'COMM', ULT: 'USLT', PIC: 'APIC',
+    WXX: 'WXXX', WAR: 'WOAR', WAS: 'WOAS', WAF: 'WOAF', WCM: 'WCOM', WCP: 'WCOP', WPB: 'WPUB', GEO: 'GEOB',
+};
+
+/** @type {string[]} Text encodings of ID3v2 strings, by encoding byte */
+const ID3_ENCODINGS = ['latin1', 'utf-16', 'utf-16be', 'utf-8'];
+
+/** @type {Array<[string, number, number]>} ID3v1 fields: name, offset, length */
+const ID3V1_FIELDS = [['title', 3, 30], ['artist', 33, 30], ['album', 63, 30], ['year', 93, 4], ['comment', 97, 30]];
+
+/**
+ * Decodes bytes in an ID3 encoding, dropping NUL padding.
+ * @param {Uint8Array} bytes - Bytes
+ * @param {string} encoding - TextDecoder label
+ * @returns {string} Text, cut to MAX_TAG_LENGTH
+ */
+function decodeText(bytes, encoding = 'utf-8') {
+    return new TextDecoder(encoding).decode(bytes).replace(/\0+$/, '').slice(0, MAX_TAG_LENGTH);
+}
+
+/**
+ * Reads a string terminated by NUL (or NUL NUL, aligned, for UTF-16).
+ * @param {Uint8Array} bytes - Bytes
+ * @param {number} offset - Start
+ * @param {number} encodingByte - ID3 encoding byte
+ * @returns {{ text: string, next: number }} Text and the offset after the terminator
+ */
+function readTerminated(bytes, offset, encodingByte) {
+    const wide = encodingByte === 1 || encodingByte === 2;
+    let end = offset;
+    if (wide) {
+        while (end + 1 < bytes.length && (bytes[end] !== 0 || bytes[end + 1] !== 0)) end += 2;
+    } else {
+        while (end < bytes.length && bytes[end] !== 0) end++;
+    }
+    const text = decodeText(bytes.subarray(offset, end), ID3_ENCODINGS[encodingByte] ?? 'latin1');
+    return { text, next: Math.min(end + (wide ? 2 : 1), bytes.length) };
+}
+
+/**
+ * Reads a 28-bit "synchsafe" integer (7 bits per byte).
+ * @param {Uint8Array} bytes - Bytes
+ * @param {number} offset - Start
+ * @returns {number} Value
+ */
+function synchsafe(bytes, offset) {
+    return ((bytes[offset] & 0x7f) << 21) | ((bytes[offset + 1] & 0x7f) << 14) | ((bytes[offset + 2] & 0x7f) << 7) | (bytes[offset + 3] & 0x7f);
+}
+
+/**
+ * Reverses ID3 unsynchronisation (0xFF 0x00 → 0xFF).
+ * @param {Uint8Array} bytes - Unsynchronised bytes
+ * @returns {Uint8Array} Original bytes
+ */
+function resync(bytes) {
+    const out = [];
+    for (let i = 0; i < bytes.length; i++) {
+        out.push(bytes[i]);
+        if (bytes[i] === 0xff && bytes[i + 1] === 0x00) i++;
+    }
+    return new Uint8Array(out);
+}
+
+/**
+ * Reads a big-endian unsigned integer.
+ * @param {Uint8Array} bytes - Bytes
+ * @param {number} offset - Start
+ * @param {number} length - Byte count (up to 4)
+ * @returns {number} Value
+ */
+function readUintBE(bytes, offset, length) {
+    let value = 0;
+    for (let i = 0; i < length; i++) value = value * 256 + (bytes[offset + i] ?? 0);
+    return value;
+}
+
+/**
+ * Reads four bytes as a latin-1 code.
+ * @param {Uint8Array} bytes - Bytes
+ * @param {number} offset - Start
+ * @returns {string} Four-character code
+ */
+function fourcc(bytes, offset) {
+    return String.fromCharCode(...bytes.subarray(offset, offset + 4));
+}
+
+/**
+ * Records a partial-read error without overwriting the first one.
+ * @param {import('./audio-tags.js').AudioTagInfo} info - Result (mutated)
+ * @param {string} message - Error message
+ */
+function noteError(info, message) {
+    info.error ??= message;
+}
+
+/**
+ * Length of an ID3v2 tag at the offset (header, body and footer), or 0.
+ * @param {Uint8Array} bytes - File contents
+ * @param {number} [offset] - Where the tag would start
+ * @returns {number} Tag length in bytes
+ */
+export function id3v2Length(bytes, offset = 0) {
+    if (bytes.length < offset + 10 || fourcc(bytes, offset).slice(0, 3) !== 'ID3') return 0;
+    const footer = bytes[offset + 3] === 4 && (bytes[offset + 5] & 0x10) ? 10 : 0;
+    return 10 + synchsafe(bytes, offset + 6) + footer;
+}
+
+/**
+ * Reads the header of the ID3v2 frame at a position in the tag body.
+ * @param {Uint8Array} body - Tag body
+ * @param {number} pos - Frame start
+ * @param {number} major - ID3v2 major version
+ * @returns {{ id: string, frameSize: number, frameFlags: number }} Frame ID (v2.3 naming), payload size and flags
+ */
+function readFrameHeader(body, pos, major) {
+    if (major === 2) {
+        const shortId = String.fromCharCode(...body.subarray(pos, pos + 3));
+        return { id: ID3V22_FRAMES[shortId] ?? shortId, frameSize: readUintBE(body, pos + 3, 3), frameFlags: 0 };
+    }
+    return {
+        id: fourcc(body, pos),
+        frameSize: major === 4 ? synchsafe(body, pos + 4) : readUintBE(body, pos + 4, 4),
+        frameFlags: readUintBE(body, pos + 8, 2),
+    };
+}
+
+/**
+ * Strips the per-frame additions the flags announce (grouping ID, data
+ * length indicator) and undoes v2.4 per-frame unsynchronisation.
+ * @param {Uint8Array} data - Frame payload as stored
+ * @param {number} major - ID3v2 major version
+ * @param {number} frameFlags - Frame flags
+ * @returns {Uint8Array} Payload
+ */
+function unwrapFrame(data, major, frameFlags) {
+    if (major === 3 && frameFlags & 0x0020) return data.subarray(1);
+    if (major === 4) {
+        if (frameFlags & 0x0040) data = data.subarray(1);
+        if (frameFlags & 0x0001) data = data.subarray(4);
+        if (frameFlags & 0x0002) data = resync(data);
+    }
+    return data;
+}
+
+/**
+ * Reads the frames of an ID3v2 tag body.
+ * @param {Uint8Array} body - Tag body (resynchronised)
+ * @param {number} pos - First frame offset (after any extended header)
+ * @param {number} major - ID3v2 major version
+ * @param {number} offset - Tag start in the file, for error messages
+ * @param {import('./audio-tags.js').AudioTagInfo} info - Result (mutated)
+ */
+function readFrames(body, pos, major, offset, info) {
+    const headerLength = major === 2 ? 6 : 10;
+    while (pos + headerLength <= body.length) {
+        if (body[pos] === 0) break; // padding
+        const { id, frameSize, frameFlags } = readFrameHeader(body, pos, major);
+        if (!/^[A-Z0-9]{3,4}$/.test(id)) {
+            noteError(info, `Invalid ID3 frame ID at ${offset + 10 + pos}`);
+            return;
+        }
+        const start = pos + headerLength;
+        if (start + frameSize > body.length) {
+            noteError(info, `ID3 frame ${id} runs past the tag`);
+            return;
+        }
+        const data = body.subarray(start, start + frameSize);
+        pos = start + frameSize;
+
+        const compressed = major === 3 ? frameFlags & 0x0080 : frameFlags & 0x0008;
+        const encrypted = major === 3 ? frameFlags & 0x0040 : frameFlags & 0x0004;
+        if (compressed || encrypted) {
+            info.tags.push({ key: id, value: `(${compressed ? 'compressed' : 'encrypted'} frame, ${frameSize} bytes, not read)` });
+            continue;
+        }
+        readID3Frame(id, unwrapFrame(data, major, frameFlags), major, info);
+    }
+}
+
+/**
+ * Parses an ID3v2 tag.
+ * @param {Uint8Array} bytes - File contents
+ * @param {number} offset - Tag start
+ * @param {import('./audio-tags.js').AudioTagInfo} info - Result (mutated)
+ */
+export function parseID3v2(bytes, offset, info) {
+    const major = bytes[offset + 3];
+    const flags = bytes[offset + 5];
+    const size = synchsafe(bytes, offset + 6);
+    if (major < 2 || major > 4) {
+        noteError(info, `Unsupported ID3v2.${major} tag`);
+        return;
+    }
+    info.tagFormats.push(`ID3v2.${major}`);
+
+    let body = bytes.subarray(offset + 10, Math.min(offset + 10 + size, bytes.length));
+    if (offset + 10 + size > bytes.length) noteError(info, 'ID3v2 tag runs past the end of the file');
+    if (major < 4 && (flags & 0x80)) body = resync(body);
+
+    let pos = 0;
+    if (flags & 0x40 && major > 2) {
+        // Extended header: v2.3 size excludes its own length field, v2.4 includes it
+        pos = major === 3 ? readUintBE(body, 0, 4) + 4 : synchsafe(body, 0);
+    }
+    readFrames(body, pos, major, offset, info);
+}
+
+/**
+ * Reads an APIC (v2.2 PIC) picture frame.
+ * @param {Uint8Array} data - Frame payload
+ * @param {number} major - ID3v2 major version (v2.2 stores a three-letter image format, not a MIME type)
+ * @returns {import('./audio-tags.js').AudioArtwork} Picture
+ */
+function readPicture(data, major) {
+    let mimeType;
+    let pos;
+    if (major === 2) {
+        mimeType = String.fromCharCode(...data.subarray(1, 4));
+        pos = 4;
+    } else {
+        const mime = readTerminated(data, 1, 0);
+        mimeType = mime.text;
+        pos = mime.next;
+    }
+    const pictureType = data[pos] ?? 0;
+    const desc = readTerminated(data, pos + 1, data[0]);
+    const bytes = data.subarray(desc.next);
+    return { mimeType, description: desc.text, pictureType, size: bytes.length, bytes };
+}
+
+/**
+ * Turns one ID3v2 frame into tags, artwork or an embedded object.
+ * @param {string} id - Frame ID (v2.3 naming)
+ * @param {Uint8Array} data - Frame payload
+ * @param {number} major - ID3v2 major version
+ * @param {import('./audio-tags.js').AudioTagInfo} info - Result (mutated)
+ */
+function readID3Frame(id, data, major, info) {
+    if (data.length === 0) return;
+    const enc = data[0];
+    const encoding = ID3_ENCODINGS[enc] ?? 'latin1';
+
+    if (id === 'TXXX' || id === 'WXXX') {
+        const desc = readTerminated(data, 1, enc);
+        const value = id === 'WXXX'
+            ? decodeText(data.subarray(desc.next), 'latin1')
+            : decodeText(data.subarray(desc.next), encoding);
+        info.tags.push({ key: desc.text ? `${id}:${desc.text}` : id, value });
+    } else if (id.startsWith('T')) {
+        // v2.4 separates multiple values with NUL
+        const text = decodeText(data.subarray(1), encoding).split('\0').filter(Boolean).join(' / ');
+        info.tags.push({ key: id, value: text });
+    } else if (id.startsWith('W')) {
+        info.tags.push({ key: id, value: decodeText(data, 'latin1') });
+    } else if (id === 'COMM' || id === 'USLT') {
+        const desc = readTerminated(data, 4, enc);
+        info.tags.push({ key: desc.text ? `${id}:${desc.text}` : id, value: decodeText(data.subarray(desc.next), encoding) });
+    } else if (id === 'APIC') {
+        info.artwork.push(readPicture(data, major));
+    } else if (id === 'GEOB') {
+        const mime = readTerminated(data, 1, 0);
+        const name = readTerminated(data, mime.next, enc);
+        const desc = readTerminated(data, name.next, enc);
+        info.objects.push({ name: name.text, mimeType: mime.text, description: desc.text, size: data.length - desc.next });
+    } else if (id === 'PRIV') {
+        const owner = readTerminated(data, 0, 0);
+        info.tags.push({ key: 'PRIV', value: `${owner.text} (${data.length - owner.next} bytes)` });
+    }
+}
+
+/**
+ * Parses an ID3v1 tag in the last 128 bytes, if there is one.
+ * @param {Uint8Array} bytes - File contents
+ * @param {import('./audio-tags.js').AudioTagInfo} info - Result (mutated)
+ */
+export function parseID3v1(bytes, info) {
+    const start = bytes.length - 128;
+    if (start < 0 || String.fromCharCode(bytes[start], bytes[start + 1], bytes[start + 2]) !== 'TAG') return;
+    info.tagFormats.push('ID3v1');
+    for (const [name, offset, length] of ID3V1_FIELDS) {
+        const value = decodeText(bytes.subarray(start + offset, start + offset + length), 'latin1').trim();
+        if (value) info.tags.push({ key: `ID3v1:${name}`, value });
+    }
+}
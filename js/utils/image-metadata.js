@@ -0,0 +1,347 @@
+/**
+ * @module image-metadata
+ * @description Reads the metadata images carry alongside their pixels:
+ * EXIF (camera, software, dates, owner and serial numbers, GPS position),
+ * XMP packets, IPTC records, JPEG and GIF comments, PNG tEXt / iTXt /
+ * zTXt chunks (where image generators keep prompts and links) and the
+ * EXIF / XMP chunks of WebP. Segments are found with image-structure.js
+ * and EXIF blocks are read by exif-reader.js; compressed text is reported
+ * by size, not inflated.
+ *
+ * Every read is bounds-checked against the buffer; an unreadable block is
+ * skipped with the error recorded and the rest of the file still read.
+ */
+
+import { walkImageStructure, readGifSubBlocks } from './image-structure.js';
+import { readExif } from './exif-reader.js';
+
+/**
+ * @typedef {Object} ImageMetadataField
+ * @property {string} source - Block it came from ("EXIF", "GPS", "XMP", "IPTC", "PNG tEXt", "Comment", ...)
+ * @property {string} key - Field name
+ * @property {string} value - Field text
+ */
+
+/**
+ * @typedef {Object} ImageMetadataBlock
+ * @property {string} source - Kind of block ("EXIF", "XMP", "IPTC", "ICC profile", "PNG tEXt", ...)
+ * @property {number} size - Payload size in bytes
+ */
+
+/**
+ * @typedef {Object} GpsPosition
+ * @property {number} latitude - Decimal degrees, south negative
+ * @property {number} longitude - Decimal degrees, west negative
+ * @property {number|null} altitude - Metres, below sea level negative
+ */
+
+/**
+ * @typedef {Object} ImageMetadata
+ * @property {'png'|'jpeg'|'gif'|'webp'|null} format - Image format, null if unrecognised
+ * @property {ImageMetadataField[]} fields - Every readable field, in file order
+ * @property {ImageMetadataBlock[]} blocks - Every metadata block and its size
+ * @property {GpsPosition|null} gps - Position from the EXIF GPS block
+ * @property {number|null} thumbnailSize - Size of the EXIF thumbnail, if any
+ * @property {string} [error] - First read error
+ */
+
+/** @type {Object<number, string>} IPTC IIM record 2 datasets kept */
+const IPTC_DATASETS = {
+    5: 'ObjectName',
+    25: 'Keywords',
+    40: 'SpecialInstructions',
+    55: 'DateCreated',
+    80: 'By-line',
+    85: 'By-lineTitle',
+    90: 'City',
+    92: 'Sublocation',
+    95: 'Province-State',
+    101: 'Country',
+    105: 'Headline',
+    110: 'Credit',
+    115: 'Source',
+    116: 'CopyrightNotice',
+    118: 'Contact',
+    120: 'Caption-Abstract',
+    122: 'Writer-Editor',
+};
+
+/** @type {string} JPEG APP1 identifier of an XMP packet */
+const XMP_APP1_ID = 'http://ns.adobe.com/xap/1.0/\0';
+
+/** @type {string} JPEG APP1 identifier of an extended XMP part */
+const XMP_EXTENSION_ID = 'http://ns.adobe.com/xmp/extension/\0';
+
+/** @type {number} Longest field value kept (characters) */
+const MAX_VALUE_LENGTH = 4096;
+
+/** @type {number} Most fields read from one block */
+const MAX_FIELDS_PER_BLOCK = 200;
+
+/** @type {TextDecoder} UTF-8 decoder (non-fatal) */
+const utf8 = new TextDecoder('utf-8');
+
+/** @type {TextDecoder} Latin-1 decoder (PNG tEXt, EXIF ASCII) */
+const latin1 = new TextDecoder('latin1');
+
+/**
+ * Trims a value to printable text of bounded length.
+ * @param {string} text - Raw text
+ * @returns {string} Cleaned text
+ */
+function clean(text) {
+    const value = text.replace(/\0+$/, '').replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '').trim();
+    return value.length > MAX_VALUE_LENGTH ? `${value.slice(0, MAX_VALUE_LENGTH)}…` : value;
+}
+
+/**
+ * Tests whether bytes start with an ASCII identifier.
+ * @param {Uint8Array} bytes - Buffer
+ * @param {string} id - Identifier
+ * @returns {boolean} Whether it matches
+ */
+function startsWith(bytes, id) {
+    if (bytes.length < id.length) return false;
+    for (let i = 0; i < id.length; i++) {
+        if (bytes[i] !== id.charCodeAt(i)) return false;
+    }
+    return true;
+}
+
+/**
+ * Decodes the five predefined XML entities and numeric references.
+ * @param {string} text - XML text
+ * @returns {string} Decoded text
+ */
+function decodeXmlEntities(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+    return text.replace(/&(?:#x([0-9a-f]+)|#(\d+)|(amp|lt|gt|quot|apos));/gi, (whole, hex, dec, name) => {
+        if (name) return named[name.toLowerCase()];
+        const code = hex ? parseInt(hex, 16) : parseInt(dec, 10);
+        return code <= 0x10ffff ? String.fromCodePoint(code) : whole;
+    });
+}
+
+/**
+ * Reads the simple properties of an XMP packet: attribute-form and
+ * text-only element-form properties, and rdf:Alt / Seq / Bag lists with
+ * their items joined.
+ * Namespace declarations are not properties and are skipped.
+ * @param {string} xml - XMP packet
+ * @param {ImageMetadata} out - Result (mutated)
+ */
+function readXmp(xml, out) {
+    const fields = [];
+    const add = (key, value) => {
+        const text = clean(decodeXmlEntities(value.replace(/\s+/g, ' ')));
+        if (text && fields.length < MAX_FIELDS_PER_BLOCK) fields.push({ source: 'XMP', key, value: text });
+    };
+    for (const [, attrs] of xml.matchAll(/<rdf:Description\b([^>]*)>/g)) {
+        for (const [, key, value] of attrs.matchAll(/([\w-]+:[\w-]+)\s*=\s*"([^"]*)"/g)) {
+            if (!key.startsWith('xmlns:') && key !== 'rdf:about') add(key, value);
+        }
+    }
+    for (const [, key, body] of xml.matchAll(/<([\w-]+:[\w-]+)(?:\s[^>]*)?>([^<]*)<\/\1>/g)) {
+        if (!key.startsWith('rdf:')) add(key, body);
+    }
+    const containers = /<([\w-]+:[\w-]+)(?:\s[^>]*)?>\s*<rdf:(Alt|Seq|Bag)\b[^>]*>([\s\S]*?)<\/rdf:\2>\s*<\/\1>/g;
+    for (const [, key, , body] of xml.matchAll(containers)) {
+        const items = [...body.matchAll(/<rdf:li\b[^>]*>([^<]*)<\/rdf:li>/g)].map((m) => m[1].trim()).filter(Boolean);
+        if (items.length > 0) add(key, items.join('; '));
+    }
+    out.fields.push(...fields);
+}
+
+/**
+ * Reads IPTC IIM records from a Photoshop APP13 segment (image resource 0x0404).
+ * @param {Uint8Array} data - APP13 payload
+ * @param {ImageMetadata} out - Result (mutated)
+ * @returns {number} Size of the IPTC data, 0 if there was none
+ */
+function readPhotoshopIptc(data, out) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    let pos = 'Photoshop 3.0\0'.length;
+    let iptcSize = 0;
+    while (pos + 12 <= data.length && startsWith(data.subarray(pos), '8BIM')) {
+        const id = view.getUint16(pos + 4);
+        const nameLength = data[pos + 6];
+        const namePadded = (nameLength + 1) + ((nameLength + 1) & 1);
+        const sizeAt = pos + 6 + namePadded;
+        if (sizeAt + 4 > data.length) break;
+        const size = view.getUint32(sizeAt);
+        const start = sizeAt + 4;
+        if (start + size > data.length) break;
+        if (id === 0x0404) {
+            iptcSize += size;
+            readIptc(data.subarray(start, start + size), out);
+        }
+        pos = start + size + (size & 1);
+    }
+    return iptcSize;
+}
+
+/**
+ * Reads IPTC IIM datasets (record 2, application records).
+ * @param {Uint8Array} iim - IIM bytes
+ * @param {ImageMetadata} out - Result (mutated)
+ */
+function readIptc(iim, out) {
+    const view = new DataView(iim.buffer, iim.byteOffset, iim.byteLength);
+    let pos = 0;
+    let count = 0;
+    while (pos + 5 <= iim.length && iim[pos] === 0x1c && count < MAX_FIELDS_PER_BLOCK) {
+        const record = iim[pos + 1];
+        const dataset = iim[pos + 2];
+        const size = view.getUint16(pos + 3);
+        // Sizes over 32 KB use the extended form, which metadata never needs
+        if (size & 0x8000 || pos + 5 + size > iim.length) break;
+        const name = record === 2 ? IPTC_DATASETS[dataset] : null;
+        if (name) {
+            out.fields.push({ source: 'IPTC', key: name, value: clean(utf8.decode(iim.subarray(pos + 5, pos + 5 + size))) });
+            count++;
+        }
+        pos += 5 + size;
+    }
+}
+
+/**
+ * Reads a PNG text chunk.
+ * @param {string} type - "tEXt", "zTXt" or "iTXt"
+ * @param {Uint8Array} data - Chunk data
+ * @param {ImageMetadata} out - Result (mutated)
+ */
+function readPngText(type, data, out) {
+    const nul = data.indexOf(0);
+    if (nul < 1) throw new Error(`${type} chunk has no keyword`);
+    const keyword = latin1.decode(data.subarray(0, nul));
+    const source = `PNG ${type}`;
+    if (type === 'tEXt') {
+        out.fields.push({ source, key: keyword, value: clean(latin1.decode(data.subarray(nul + 1))) });
+    } else if (type === 'zTXt') {
+        out.fields.push({ source, key: keyword, value: `(compressed, ${data.length - nul - 2} bytes)` });
+    } else {
+        const compressed = data[nul + 1] === 1;
+        const langEnd = data.indexOf(0, nul + 3);
+        const transEnd = langEnd < 0 ? -1 : data.indexOf(0, langEnd + 1);
+        if (transEnd < 0) throw new Error('iTXt chunk is malformed');
+        const text = data.subarray(transEnd + 1);
+        if (keyword === 'XML:com.adobe.xmp' && !compressed) {
+            out.blocks.push({ source: 'XMP', size: text.length });
+            readXmp(utf8.decode(text), out);
+            return;
+        }
+        out.fields.push({ source, key: keyword, value: compressed ? `(compressed, ${text.length} bytes)` : clean(utf8.decode(text)) });
+    }
+    out.blocks.push({ source, size: data.length });
+}
+
+/**
+ * Runs one block reader, recording its error instead of throwing.
+ * @param {ImageMetadata} out - Result (mutated)
+ * @param {function(): void} read - Reader
+ */
+function tryRead(out, read) {
+    try {
+        read();
+    } catch (err) {
+        out.error ??= err.message;
+    }
+}
+
+/**
+ * Reads the metadata in a PNG chunk.
+ * @param {string} id - Chunk type
+ * @param {Uint8Array} data - Chunk data
+ * @param {ImageMetadata} out - Result (mutated)
+ */
+function readPngChunk(id, data, out) {
+    if (id === 'tEXt' || id === 'zTXt' || id === 'iTXt') tryRead(out, () => readPngText(id, data, out));
+    else if (id === 'eXIf') {
+        out.blocks.push({ source: 'EXIF', size: data.length });
+        tryRead(out, () => readExif(data, out));
+    } else if (id === 'iCCP') out.blocks.push({ source: 'ICC profile', size: data.length });
+}
+
+/**
+ * Reads the metadata in a JPEG marker segment.
+ * @param {string} id - Marker name
+ * @param {Uint8Array} data - Segment data
+ * @param {ImageMetadata} out - Result (mutated)
+ */
+function readJpegSegment(id, data, out) {
+    if (id === 'APP1' && startsWith(data, 'Exif\0\0')) {
+        out.blocks.push({ source: 'EXIF', size: data.length });
+        tryRead(out, () => readExif(data.subarray(6), out));
+    } else if (id === 'APP1' && startsWith(data, XMP_APP1_ID)) {
+        out.blocks.push({ source: 'XMP', size: data.length });
+        tryRead(out, () => readXmp(utf8.decode(data.subarray(XMP_APP1_ID.length)), out));
+    } else if (id === 'APP1' && startsWith(data, XMP_EXTENSION_ID)) {
+        out.blocks.push({ source: 'Extended XMP', size: data.length });
+    } else if (id === 'APP13' && startsWith(data, 'Photoshop 3.0\0')) {
+        out.blocks.push({ source: 'Photoshop / IPTC', size: data.length });
+        tryRead(out, () => readPhotoshopIptc(data, out));
+    } else if (id === 'APP2' && startsWith(data, 'ICC_PROFILE\0')) {
+        out.blocks.push({ source: 'ICC profile', size: data.length });
+    } else if (id === 'COM') {
+        out.blocks.push({ source: 'Comment', size: data.length });
+        out.fields.push({ source: 'Comment', key: 'COM', value: clean(utf8.decode(data)) });
+    }
+}
+
+/**
+ * Reads the metadata in a GIF extension block.
+ * @param {Uint8Array} bytes - File contents (comments are read as sub-blocks from here)
+ * @param {import('./image-structure.js').ImageSegment} seg - Extension block
+ * @param {Uint8Array} data - Block data
+ * @param {ImageMetadata} out - Result (mutated)
+ */
+function readGifExtension(bytes, seg, data, out) {
+    if (seg.id === 'comment') {
+        const text = readGifSubBlocks(bytes, seg.dataOffset);
+        out.blocks.push({ source: 'Comment', size: text.length });
+        out.fields.push({ source: 'Comment', key: 'Comment Extension', value: clean(latin1.decode(text)) });
+    } else if (seg.id === 'application' && startsWith(data, '\x0bXMP DataXMP')) {
+        // XMP is stored raw, not as sub-blocks, followed by a 258-byte "magic trailer"
+        const raw = utf8.decode(data.subarray(12));
+        const packet = raw.slice(0, raw.lastIndexOf('>') + 1);
+        out.blocks.push({ source: 'XMP', size: packet.length });
+        tryRead(out, () => readXmp(packet, out));
+    }
+}
+
+/**
+ * Reads the metadata in a WebP RIFF chunk.
+ * @param {string} id - Chunk fourcc
+ * @param {Uint8Array} data - Chunk data
+ * @param {ImageMetadata} out - Result (mutated)
+ */
+function readWebpChunk(id, data, out) {
+    if (id === 'EXIF') {
+        out.blocks.push({ source: 'EXIF', size: data.length });
+        tryRead(out, () => readExif(startsWith(data, 'Exif\0\0') ? data.subarray(6) : data, out));
+    } else if (id === 'XMP ') {
+        out.blocks.push({ source: 'XMP', size: data.length });
+        tryRead(out, () => readXmp(utf8.decode(data), out));
+    } else if (id === 'ICCP') out.blocks.push({ source: 'ICC profile', size: data.length });
+}
+
+/**
+ * Reads every metadata block of a PNG, JPEG, GIF or WebP image.
+ * @param {Uint8Array} bytes - File contents
+ * @returns {ImageMetadata} Metadata
+ */
+export function parseImageMetadata(bytes) {
+    const structure = walkImageStructure(bytes);
+    const out = { format: structure.format, fields: [], blocks: [], gps: null, thumbnailSize: null };
+    if (structure.error) out.error = structure.error;
+
+    for (const seg of structure.segments) {
+        const data = bytes.subarray(seg.dataOffset, seg.dataOffset + seg.dataSize);
+        if (structure.format === 'png') readPngChunk(seg.id, data, out);
+        else if (structure.format === 'jpeg') readJpegSegment(seg.id, data, out);
+        else if (structure.format === 'gif') readGifExtension(bytes, seg, data, out);
+        else if (structure.format === 'webp') readWebpChunk(seg.id, data, out);
+    }
+    if (out.thumbnailSize) out.blocks.push({ source: 'EXIF thumbnail', size: out.thumbnailSize });
+    return out;
+}
@@ -0,0 +1,283 @@
+/**
+ * @module image-structure
+ * @description Walks the structure of PNG, JPEG, GIF and WebP files: PNG
+ * chunks up to IEND, JPEG marker segments (and the entropy-coded data
+ * after each SOS) up to EOI, GIF blocks and extensions up to the trailer,
+ * and the chunks of a WebP RIFF container. Pixel data is skipped, never
+ * decoded. The walk gives every segment's position and the offset where
+ * the image format says the file ends.
+ *
+ * Every read is bounds-checked against the buffer. A segment that runs
+ * past the end of the data (a truncated file) stops the walk with the
+ * error recorded and whatever was read so far.
+ */
+
+/**
+ * @typedef {Object} ImageSegment
+ * @property {string} id - PNG chunk type, JPEG marker name ("APP1", "SOS", "scan-data"), GIF block name or RIFF chunk fourcc
+ * @property {number} offset - Offset of the segment, header included
+ * @property {number} size - Bytes the segment occupies, header included
+ * @property {number} dataOffset - Offset of the payload
+ * @property {number} dataSize - Payload size in bytes
+ */
+
+/**
+ * @typedef {Object} ImageStructure
+ * @property {'png'|'jpeg'|'gif'|'webp'|null} format - Image format, null if unrecognised
+ * @property {ImageSegment[]} segments - Segments in file order
+ * @property {number|null} end - Offset just past the image's final marker (IEND, EOI, trailer, RIFF size); null if not reached
+ * @property {string} [error] - Why the walk stopped early
+ */
+
+/** @type {number[]} PNG file signature */
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+/** @type {Object<number, string>} GIF extension labels */
+const GIF_EXTENSIONS = {
+    0x01: 'plain-text',
+    0xf9: 'graphic-control',
+    0xfe: 'comment',
+    0xff: 'application',
+};
+
+/**
+ * Reads a four-character code.
+ * @param {Uint8Array} bytes - Buffer
+ * @param {number} offset - Start of the code
+ * @returns {string} Code
+ */
+function fourcc(bytes, offset) {
+    return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+}
+
+/**
+ * Names a JPEG marker.
+ * @param {number} marker - Marker byte (after 0xFF)
+ * @returns {string} Marker name
+ */
+function jpegMarkerName(marker) {
+    if (marker >= 0xe0 && marker <= 0xef) return `APP${marker - 0xe0}`;
+    if (marker >= 0xd0 && marker <= 0xd7) return `RST${marker - 0xd0}`;
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) return `SOF${marker - 0xc0}`;
+    const names = { 0xc4: 'DHT', 0xcc: 'DAC', 0xd8: 'SOI', 0xd9: 'EOI', 0xda: 'SOS', 0xdb: 'DQT', 0xdd: 'DRI', 0xfe: 'COM' };
+    return names[marker] ?? `0x${marker.toString(16).toUpperCase()}`;
+}
+
+/**
+ * Walks PNG chunks up to IEND.
+ * @param {Uint8Array} bytes - File contents
+ * @param {DataView} view - View over the same bytes
+ * @returns {ImageStructure} Structure
+ */
+function walkPng(bytes, view) {
+    const result = { format: 'png', segments: [{ id: 'signature', offset: 0, size: 8, dataOffset: 8, dataSize: 0 }], end: null };
+    let pos = 8;
+    while (pos + 8 <= bytes.length) {
+        const length = view.getUint32(pos);
+        const type = fourcc(bytes, pos + 4);
+        if (!/^[A-Za-z]{4}$/.test(type)) {
+            result.error = `Invalid chunk type at offset ${pos}`;
+            return result;
+        }
+        if (pos + 12 + length > bytes.length) {
+            result.error = `${type} chunk at offset ${pos} runs past the end of the file`;
+            return result;
+        }
+        result.segments.push({ id: type, offset: pos, size: 12 + length, dataOffset: pos + 8, dataSize: length });
+        pos += 12 + length;
+        if (type === 'IEND') {
+            result.end = pos;
+            return result;
+        }
+    }
+    result.error = 'File ends before the IEND chunk';
+    return result;
+}
+
+/**
+ * Walks JPEG marker segments up to EOI, stepping over the entropy-coded
+ * data after each SOS (where 0xFF is followed by 0x00 or a restart marker).
+ * @param {Uint8Array} bytes - File contents
+ * @param {DataView} view - View over the same bytes
+ * @returns {ImageStructure} Structure
+ */
+function walkJpeg(bytes, view) {
+    const result = { format: 'jpeg', segments: [{ id: 'SOI', offset: 0, size: 2, dataOffset: 2, dataSize: 0 }], end: null };
+    let pos = 2;
+    while (pos + 1 < bytes.length) {
+        if (bytes[pos] !== 0xff) {
+            result.error = `Expected a marker at offset ${pos}`;
+            return result;
+        }
+        // Any number of 0xFF fill bytes may precede a marker
+        while (pos + 1 < bytes.length && bytes[pos + 1] === 0xff) pos++;
+        if (pos + 1 >= bytes.length) break;
+        const marker = bytes[pos + 1];
+        const id = jpegMarkerName(marker);
+        if (marker === 0xd9) {
+            result.segments.push({ id, offset: pos, size: 2, dataOffset: pos + 2, dataSize: 0 });
+            result.end = pos + 2;
+            return result;
+        }
+        if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+            result.segments.push({ id, offset: pos, size: 2, dataOffset: pos + 2, dataSize: 0 });
+            pos += 2;
+            continue;
+        }
+        if (pos + 4 > bytes.length) break;
+        const length = view.getUint16(pos + 2);
+        if (length < 2 || pos + 2 + length > bytes.length) {
+            result.error = `${id} segment at offset ${pos} runs past the end of the file`;
+            return result;
+        }
+        result.segments.push({ id, offset: pos, size: 2 + length, dataOffset: pos + 4, dataSize: length - 2 });
+        pos += 2 + length;
+
+        if (marker === 0xda) {
+            let scanEnd = pos;
+            while (scanEnd + 1 < bytes.length) {
+                const next = bytes[scanEnd + 1];
+                if (bytes[scanEnd] === 0xff && next !== 0x00 && !(next >= 0xd0 && next <= 0xd7)) break;
+                scanEnd++;
+            }
+            if (scanEnd + 1 >= bytes.length) {
+                result.error = 'Scan data runs to the end of the file without an EOI marker';
+                return result;
+            }
+            result.segments.push({ id: 'scan-data', offset: pos, size: scanEnd - pos, dataOffset: pos, dataSize: scanEnd - pos });
+            pos = scanEnd;
+        }
+    }
+    result.error = 'File ends before the EOI marker';
+    return result;
+}
+
+/**
+ * Finds the end of a GIF data sub-block sequence.
+ * @param {Uint8Array} bytes - File contents
+ * @param {number} offset - Offset of the first sub-block's size byte
+ * @returns {number|null} Offset just past the block terminator, null if truncated
+ */
+function gifSubBlocksEnd(bytes, offset) {
+    let pos = offset;
+    while (pos < bytes.length) {
+        const size = bytes[pos];
+        if (size === 0) return pos + 1;
+        pos += 1 + size;
+    }
+    return null;
+}
+
+/**
+ * Concatenates the data of a GIF sub-block sequence (an extension's payload).
+ * @param {Uint8Array} bytes - File contents
+ * @param {number} offset - Offset of the first sub-block's size byte
+ * @returns {Uint8Array} Joined sub-block data
+ */
+export function readGifSubBlocks(bytes, offset) {
+    const parts = [];
+    let pos = offset;
+    while (pos < bytes.length && bytes[pos] !== 0) {
+        const size = bytes[pos];
+        parts.push(bytes.subarray(pos + 1, Math.min(pos + 1 + size, bytes.length)));
+        pos += 1 + size;
+    }
+    const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+    let at = 0;
+    parts.forEach((p) => {
+        out.set(p, at);
+        at += p.length;
+    });
+    return out;
+}
+
+/**
+ * Walks GIF blocks up to the trailer.
+ * @param {Uint8Array} bytes - File contents
+ * @returns {ImageStructure} Structure
+ */
+function walkGif(bytes) {
+    const result = { format: 'gif', segments: [], end: null };
+    if (bytes.length < 13) {
+        result.error = 'File ends inside the GIF header';
+        return result;
+    }
+    const colorTable = (flags) => (flags & 0x80 ? 3 * (1 << ((flags & 0x07) + 1)) : 0);
+    let pos = 13 + colorTable(bytes[10]);
+    result.segments.push({ id: 'header', offset: 0, size: pos, dataOffset: 6, dataSize: pos - 6 });
+    while (pos < bytes.length) {
+        const introducer = bytes[pos];
+        if (introducer === 0x3b) {
+            result.segments.push({ id: 'trailer', offset: pos, size: 1, dataOffset: pos + 1, dataSize: 0 });
+            result.end = pos + 1;
+            return result;
+        }
+        let id;
+        let dataOffset;
+        if (introducer === 0x21) {
+            const label = bytes[pos + 1];
+            id = GIF_EXTENSIONS[label] ?? `extension-0x${(label ?? 0).toString(16)}`;
+            dataOffset = pos + 2;
+        } else if (introducer === 0x2c) {
+            id = 'image';
+            // Image descriptor, local colour table, then the LZW minimum code size
+            dataOffset = pos + 10 + colorTable(bytes[pos + 9] ?? 0) + 1;
+        } else {
+            result.error = `Unexpected block 0x${introducer.toString(16)} at offset ${pos}`;
+            return result;
+        }
+        const end = dataOffset <= bytes.length ? gifSubBlocksEnd(bytes, dataOffset) : null;
+        if (end === null || end > bytes.length) {
+            result.error = `${id} block at offset ${pos} runs past the end of the file`;
+            return result;
+        }
+        result.segments.push({ id, offset: pos, size: end - pos, dataOffset, dataSize: end - dataOffset });
+        pos = end;
+    }
+    result.error = 'File ends before the GIF trailer';
+    return result;
+}
+
+/**
+ * Walks the chunks of a WebP RIFF container. The RIFF header's size
+ * field says where the file ends.
+ * @param {Uint8Array} bytes - File contents
+ * @param {DataView} view - View over the same bytes
+ * @returns {ImageStructure} Structure
+ */
+function walkWebp(bytes, view) {
+    const result = { format: 'webp', segments: [{ id: 'RIFF', offset: 0, size: 12, dataOffset: 12, dataSize: 0 }], end: null };
+    const riffEnd = 8 + view.getUint32(4, true);
+    const limit = Math.min(riffEnd, bytes.length);
+    let pos = 12;
+    while (pos + 8 <= limit) {
+        const id = fourcc(bytes, pos);
+        const size = view.getUint32(pos + 4, true);
+        if (pos + 8 + size > bytes.length) {
+            result.error = `${id.trim()} chunk at offset ${pos} runs past the end of the file`;
+            return result;
+        }
+        result.segments.push({ id, offset: pos, size: 8 + size + (size & 1), dataOffset: pos + 8, dataSize: size });
+        pos += 8 + size + (size & 1);
+    }
+    if (riffEnd > bytes.length) {
+        result.error = `RIFF header declares ${riffEnd} bytes but the file has ${bytes.length}`;
+        return result;
+    }
+    result.end = riffEnd;
+    return result;
+}
+
+/**
+ * Walks an image file's structure.
+ * @param {Uint8Array} bytes - File contents
+ * @returns {ImageStructure} Structure (format null and no segments for other files)
+ */
+export function walkImageStructure(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (bytes.length >= 8 && PNG_SIGNATURE.every((b, i) => bytes[i] === b)) return walkPng(bytes, view);
+    if (bytes.length >= 3 && bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return walkJpeg(bytes, view);
+    if (bytes.length >= 6 && /^GIF8[79]a$/.test(String.fromCharCode(...bytes.subarray(0, 6)))) return walkGif(bytes);
+    if (bytes.length >= 12 && fourcc(bytes, 0) === 'RIFF' && fourcc(bytes, 8) === 'WEBP') return walkWebp(bytes, view);
+    return { format: null, segments: [], end: null };
+}
@@ -0,0 +1,329 @@
+/**
+ * @module ip-classifier
+ * @description Parses every legal IPv4/IPv6 spelling and classifies the
+ * address against the IANA special-purpose registries (SSRF prevention).
+ * IPv4 accepts the inet_aton forms browsers and resolvers honour:
+ * 1–4 parts, each decimal, octal (leading 0) or hex (0x).
+ */
+
+/**
+ * @typedef {Object} ParsedIP
+ * @property {4|6} version - Address family
+ * @property {bigint} value - Address as an unsigned integer (32 or 128 bits)
+ * @property {string} normalized - Canonical text form (dotted quad / compressed IPv6)
+ */
+
+/**
+ * @typedef {Object} ReservedRange
+ * @property {string} cidr - Range in CIDR notation
+ * @property {string} name - IANA registry name for the range
+ */
+
+/**
+ * @typedef {Object} IPClassification
+ * @property {boolean} isIP - Whether the host is an IP literal at all
+ * @property {4|6} [version] - Address family
+ * @property {string} [normalized] - Canonical text form
+ * @property {boolean} reserved - Whether the address is in a non-public range
+ * @property {ReservedRange|null} range - The reserved range that matched
+ * @property {string} [embedded] - Embedded IPv4 (mapped, 6to4, NAT64) that decided the verdict
+ */
+
+/** @type {Array<[string, string]>} IPv4 special-purpose ranges (RFC 6890 + updates) */
+const IPV4_RESERVED = [
+    ['0.0.0.0/8', '"This network"'],
+    ['10.0.0.0/8', 'Private-Use'],
+    ['100.64.0.0/10', 'Shared Address Space (CGNAT)'],
+    ['127.0.0.0/8', 'Loopback'],
+    ['169.254.0.0/16', 'Link-Local'],
+    ['172.16.0.0/12', 'Private-Use'],
+    ['192.0.0.0/24', 'IETF Protocol Assignments'],
+    ['192.0.2.0/24', 'Documentation (TEST-NET-1)'],
+    ['192.31.196.0/24', 'AS112-v4'],
+    ['192.52.193.0/24', 'AMT'],
+    ['192.88.99.0/24', 'Deprecated 6to4 Relay Anycast'],
+    ['192.168.0.0/16', 'Private-Use'],
+    ['192.175.48.0/24', 'Direct Delegation AS112 Service'],
+    ['198.18.0.0/15', 'Benchmarking'],
+    ['198.51.100.0/24', 'Documentation (TEST-NET-2)'],
+    ['203.0.113.0/24', 'Documentation (TEST-NET-3)'],
+    ['224.0.0.0/4', 'Multicast'],
+    ['240.0.0.0/4', 'Reserved for Future Use'],
+    ['255.255.255.255/32', 'Limited Broadcast'],
+];
+
+/** @type {Array<[string, string]>} IPv6 special-purpose ranges (RFC 6890 + updates) */
+const IPV6_RESERVED = [
+    ['::/128', 'Unspecified Address'],
+    ['::1/128', 'Loopback'],
+    ['64:ff9b:1::/48', 'IPv4-IPv6 Translation (local-use)'],
+    ['100::/64', 'Discard-Only Address Block'],
+    ['2001::/32', 'TEREDO'],
+    ['2001:2::/48', 'Benchmarking'],
+    ['2001:10::/28', 'ORCHID (deprecated)'],
+    ['2001:20::/28', 'ORCHIDv2'],
+    ['2001:db8::/32', 'Documentation'],
+    ['3fff::/20', 'Documentation'],
+    ['5f00::/16', 'Segment Routing (SRv6) SIDs'],
+    ['fc00::/7', 'Unique-Local'],
+    ['fe80::/10', 'Link-Local Unicast'],
+    ['fec0::/10', 'Site-Local (deprecated)'],
+    ['ff00::/8', 'Multicast'],
+];
+
+/**
+ * IPv6 ranges that carry an IPv4 address in their low bits; the verdict
+ * is that of the embedded address, since that is where packets end up.
+ * @type {Array<{ cidr: string, name: string, shift: bigint }>}
+ */
+const IPV6_EMBEDDING = [
+    { cidr: '::ffff:0:0/96', name: 'IPv4-mapped', shift: 0n },
+    { cidr: '::/96', name: 'IPv4-compatible (deprecated)', shift: 0n },
+    { cidr: '64:ff9b::/96', name: 'IPv4-IPv6 Translation (NAT64)', shift: 0n },
+    { cidr: '2002::/16', name: '6to4', shift: 80n },
+];
+
+const IPV4_MAX = 0xffffffffn;
+const IPV6_MAX = (1n << 128n) - 1n;
+
+/**
+ * Parses a single inet_aton number part (decimal, octal or hex).
+ * @param {string} part - Text of one part
+ * @returns {bigint|null} Parsed value, or null if not a valid number
+ */
+function parseIPv4Part(part) {
+    if (/^0x[0-9a-f]*$/i.test(part)) {
+        return part.length === 2 ? 0n : BigInt(part);
+    }
+    if (/^0[0-7]+$/.test(part)) {
+        return BigInt(`0o${part.slice(1)}`);
+    }
+    if (/^(0|[1-9]\d*)$/.test(part)) {
+        return BigInt(part);
+    }
+    return null;
+}
+
+/**
+ * Parses an IPv4 address in any inet_aton spelling
+ * (e.g. 127.0.0.1, 2130706433, 0x7f.1, 017700000001).
+ * @param {string} text - Candidate address
+ * @returns {bigint|null} 32-bit value, or null if not IPv4
+ */
+export function parseIPv4(text) {
+    if (typeof text !== 'string' || text.length === 0) {
+        return null;
+    }
+    // A single trailing dot is legal in hostnames ("127.0.0.1.")
+    const parts = text.replace(/\.$/, '').split('.');
+    if (parts.length > 4 || parts.some((p) => p.length === 0)) {
+        return null;
+    }
+
+    const values = parts.map(parseIPv4Part);
+    if (values.some((v) => v === null)) {
+        return null;
+    }
+
+    // Leading parts are single bytes; the last part fills the remaining bytes
+    const last = values[values.length - 1];
+    const lastBits = BigInt(8 * (5 - values.length));
+    if (last >= (1n << lastBits)) {
+        return null;
+    }
+    let value = 0n;
+    for (let i = 0; i < values.length - 1; i++) {
+        if (values[i] > 255n) {
+            return null;
+        }
+        value |= values[i] << BigInt(24 - 8 * i);
+    }
+    return (value | last) & IPV4_MAX;
+}
+
+/**
+ * Parses an IPv6 address, with or without brackets, zone ID or an
+ * embedded dotted IPv4 tail (e.g. [::ffff:127.0.0.1], fe80::1%eth0).
+ * @param {string} text - Candidate address
+ * @returns {bigint|null} 128-bit value, or null if not IPv6
+ */
+export function parseIPv6(text) {
+    if (typeof text !== 'string') {
+        return null;
+    }
+    let addr = text.trim();
+    if (addr.startsWith('[') && addr.endsWith(']')) {
+        addr = addr.slice(1, -1);
+    }
+    addr = addr.replace(/%.*$/, '');
+    if (!addr.includes(':') || !/^[0-9a-f:.]+$/i.test(addr)) {
+        return null;
+    }
+
+    // Expand a dotted IPv4 tail into two hextets
+    const lastColon = addr.lastIndexOf(':');
+    const tail = addr.slice(lastColon + 1);
+    if (tail.includes('.')) {
+        if (!/^\d{1,3}(\.\d{1,3}){3}$/.test(tail)) {
+            return null;
+        }
+        const octets = tail.split('.').map(Number);
+        if (octets.some((o) => o > 255)) {
+            return null;
+        }
+        const hi = ((octets[0] << 8) | octets[1]).toString(16);
+        const lo = ((octets[2] << 8) | octets[3]).toString(16);
+        addr = `${addr.slice(0, lastColon + 1)}${hi}:${lo}`;
+    }
+
+    const halves = addr.split('::');
+    if (halves.length > 2) {
+        return null;
+    }
+    const head = halves[0] ? halves[0].split(':') : [];
+    const rest = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+    const missing = 8 - head.length - rest.length;
+    if ((halves.length === 1 && missing !== 0) || (halves.length === 2 && missing < 1)) {
+        return null;
+    }
+
+    const hextets = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...rest];
+    let value = 0n;
+    for (const h of hextets) {
+        if (!/^[0-9a-f]{1,4}$/i.test(h)) {
+            return null;
+        }
+        value = (value << 16n) | BigInt(`0x${h}`);
+    }
+    return value;
+}
+
+/**
+ * Formats a 32-bit value as a dotted quad.
+ * @param {bigint} value - IPv4 value
+ * @returns {string} Dotted-quad text
+ */
+function formatIPv4(value) {
+    return [24n, 16n, 8n, 0n].map((s) => String((value >> s) & 0xffn)).join('.');
+}
+
+/**
+ * Formats a 128-bit value as compressed IPv6 text (RFC 5952).
+ * @param {bigint} value - IPv6 value
+ * @returns {string} Compressed IPv6 text
+ */
+function formatIPv6(value) {
+    const hextets = [];
+    for (let s = 112n; s >= 0n; s -= 16n) {
+        hextets.push(Number((value >> s) & 0xffffn));
+    }
+
+    // Find the longest run (length >= 2) of zero hextets to compress
+    let bestStart = -1;
+    let bestLen = 0;
+    for (let i = 0; i < 8;) {
+        if (hextets[i] !== 0) { i++; continue; }
+        let j = i;
+        while (j < 8 && hextets[j] === 0) j++;
+        if (j - i > bestLen && j - i >= 2) {
+            bestStart = i;
+            bestLen = j - i;
+        }
+        i = j;
+    }
+
+    const text = hextets.map((h) => h.toString(16));
+    if (bestStart === -1) {
+        return text.join(':');
+    }
+    const left = text.slice(0, bestStart).join(':');
+    const right = text.slice(bestStart + bestLen).join(':');
+    return `${left}::${right}`;
+}
+
+/**
+ * Parses any IPv4 or IPv6 spelling into a normalised address.
+ * @param {string} host - Hostname or IP literal
+ * @returns {ParsedIP|null} Parsed address, or null if the host is not an IP literal
+ */
+export function parseIPAddress(host) {
+    const v4 = parseIPv4(host);
+    if (v4 !== null) {
+        return { version: 4, value: v4, normalized: formatIPv4(v4) };
+    }
+    const v6 = parseIPv6(host);
+    if (v6 !== null) {
+        return { version: 6, value: v6, normalized: formatIPv6(v6) };
+    }
+    return null;
+}
+
+/**
+ * Parses a CIDR string into a base value and mask.
+ * @param {string} cidr - Range in CIDR notation
+ * @returns {{ version: 4|6, base: bigint, mask: bigint }} Parsed range
+ */
+function parseCIDR(cidr) {
+    const [addr, bitsText] = cidr.split('/');
+    const parsed = parseIPAddress(addr);
+    const width = parsed.version === 4 ? 32n : 128n;
+    const max = parsed.version === 4 ? IPV4_MAX : IPV6_MAX;
+    const hostBits = width - BigInt(bitsText);
+    const mask = (max >> hostBits) << hostBits;
+    return { version: parsed.version, base: parsed.value & mask, mask };
+}
+
+const IPV4_RANGES = IPV4_RESERVED.map(([cidr, name]) => ({ cidr, name, ...parseCIDR(cidr) }));
+const IPV6_RANGES = IPV6_RESERVED.map(([cidr, name]) => ({ cidr, name, ...parseCIDR(cidr) }));
+const IPV6_EMBEDDED_RANGES = IPV6_EMBEDDING.map((e) => ({ ...e, ...parseCIDR(e.cidr) }));
+
+/**
+ * Checks whether an address value falls inside a set of ranges.
+ * @param {bigint} value - Address value
+ * @param {Array<{ cidr: string, name: string, base: bigint, mask: bigint }>} ranges - Candidate ranges
+ * @returns {ReservedRange|null} First matching range
+ */
+function findRange(value, ranges) {
+    const match = ranges.find((r) => (value & r.mask) === r.base);
+    return match ? { cidr: match.cidr, name: match.name } : null;
+}
+
+/**
+ * Classifies a host against the IANA special-purpose address registries.
+ * Non-IP hostnames come back with `isIP: false` and `reserved: false`.
+ * @param {string} host - Hostname or IP literal (brackets allowed)
+ * @returns {IPClassification} Classification result
+ */
+export function classifyIPAddress(host) {
+    const parsed = parseIPAddress(host);
+    if (!parsed) {
+        return { isIP: false, reserved: false, range: null };
+    }
+
+    const base = { isIP: true, version: parsed.version, normalized: parsed.normalized };
+
+    if (parsed.version === 4) {
+        const range = findRange(parsed.value, IPV4_RANGES);
+        return { ...base, reserved: range !== null, range };
+    }
+
+    // Exact IPv6 ranges first, so ::/128 and ::1/128 win over ::/96
+    const direct = findRange(parsed.value, IPV6_RANGES);
+    if (direct) {
+        return { ...base, reserved: true, range: direct };
+    }
+
+    const embedding = IPV6_EMBEDDED_RANGES.find((r) => (parsed.value & r.mask) === r.base);
+    if (embedding) {
+        const v4 = (parsed.value >> embedding.shift) & IPV4_MAX;
+        const inner = findRange(v4, IPV4_RANGES);
+        return {
+            ...base,
+            reserved: inner !== null,
+            range: inner ? { cidr: inner.cidr, name: `${inner.name} via ${embedding.name}` } : null,
+            embedded: formatIPv4(v4),
+        };
+    }
+
+    return { ...base, reserved: false, range: null };
+}
@@ -1,40 +1,403 @@
 /**
  * @module ipfs-utils
  * @description Utilities for converting and validating IPFS URLs.
- * Handles ipfs:// protocol, HTTP gateway URLs, and CID validation.
+ * Handles ipfs:// and ipns:// protocols, path and subdomain gateway URLs,
+ * CID decoding (multibase / multicodec / multihash, v0 ↔ v1), and IPNS
+ * name (key or DNSLink domain) validation. The gateway list itself is
+ * user-configurable (see gateway-config.js).
  */
 
-/** @type {string[]} Ordered list of IPFS gateways to try */
-const IPFS_GATEWAYS = [
-    'https://ipfs.io/ipfs/',
-    'https://cloudflare-ipfs.com/ipfs/',
-    'https://gateway.pinata.cloud/ipfs/',
+import {
+    decodeMultibase,
+    encodeMultibase,
+    decodeBase58btc,
+    encodeBase58btc,
+    readVarint,
+    encodeVarint,
+} from './multibase.js';
+import {
+    DEFAULT_GATEWAYS,
+    RETIRED_GATEWAY_HOSTS,
+    getGatewayConfig,
+    getLocalNodeGateway,
+} from './gateway-config.js';
+
+/**
+ * @type {string[]} Gateways recognised in pasted URLs even when they are not
+ * configured. Retired ones are included so old links get re-routed.
+ */
+const KNOWN_GATEWAYS = [
+    ...DEFAULT_GATEWAYS,
+    ...RETIRED_GATEWAY_HOSTS.map((host) => `https://${host}/ipfs/`),
 ];
 
-/** Default gateway used for conversions */
-const DEFAULT_GATEWAY = IPFS_GATEWAYS[0];
+/** Default host for subdomain-style (<cid>.ipfs.<host>) gateway URLs */
+const DEFAULT_SUBDOMAIN_GATEWAY = 'dweb.link';
+
+/** Max length of a DNS label (limits which CIDs fit in a subdomain) */
+const MAX_DNS_LABEL_LENGTH = 63;
+
+/** Largest identity multihash accepted in a CID (matches Kubo's limit) */
+const MAX_IDENTITY_DIGEST_LENGTH = 128;
+
+/** @type {Object<number, string>} Multicodec content types seen in CIDs */
+const CID_CODECS = {
+    0x51: 'cbor',
+    0x55: 'raw',
+    0x70: 'dag-pb',
+    0x71: 'dag-cbor',
+    0x72: 'libp2p-key',
+    0x78: 'git-raw',
+    0x85: 'dag-jose',
+    0x0129: 'dag-json',
+    0x0200: 'json',
+};
 
-/** Regex for CIDv0 (Qm-prefixed, base58, 46 chars) */
-const CID_V0_REGEX = /^Qm[1-9A-HJ-NP-Za-km-z]{44}$/;
+/** @type {Object<number, { name: string, length: number|null }>} Multihash functions and digest sizes */
+const MULTIHASHES = {
+    0x00: { name: 'identity', length: null },
+    0x11: { name: 'sha1', length: 20 },
+    0x12: { name: 'sha2-256', length: 32 },
+    0x13: { name: 'sha2-512', length: 64 },
+    0x14: { name: 'sha3-512', length: 64 },
+    0x16: { name: 'sha3-256', length: 32 },
+    0x1b: { name: 'keccak-256', length: 32 },
+    0x1e: { name: 'blake3', length: null },
+    0xb220: { name: 'blake2b-256', length: 32 },
+    0xb260: { name: 'blake2s-256', length: 32 },
+};
 
-/** Regex for CIDv1 (base32-encoded, starts with b) */
-const CID_V1_REGEX = /^b[a-z2-7]{58,}$/i;
+/** Multicodec code for dag-pb (the only codec a CIDv0 can carry) */
+const CODEC_DAG_PB = 0x70;
+
+/** Multicodec code for libp2p-key (IPNS keys) */
+const CODEC_LIBP2P_KEY = 0x72;
+
+/** Multihash code for sha2-256 */
+const HASH_SHA2_256 = 0x12;
+
+/** Regex for a DNSLink name: a fully qualified domain (e.g. docs.ipfs.tech, example.eth) */
+const DNSLINK_NAME_REGEX = /^(?=.{1,253}$)(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z][a-z0-9-]{0,61}[a-z0-9]$/i;
+
+/**
+ * @typedef {Object} CIDInfo
+ * @property {boolean} valid - Whether the string decoded as a CID
+ * @property {string} [reason] - Why decoding failed (when valid === false)
+ * @property {string} [cid] - The CID string as given
+ * @property {0|1} [version] - CID version
+ * @property {string} [multibase] - Multibase of the string form (base58btc for v0)
+ * @property {number} [codec] - Multicodec code of the content
+ * @property {string} [codecName] - Multicodec name (e.g. dag-pb, raw)
+ * @property {{ code: number, name: string, length: number, digest: string }} [multihash] - Hash function, digest length and hex digest
+ * @property {Uint8Array} [multihashBytes] - Raw multihash bytes
+ */
+
+/**
+ * @typedef {Object} IPNSName
+ * @property {string} name - IPNS name as written (key or domain)
+ * @property {'key'|'dnslink'} type - Whether the name is a public key or a DNSLink domain
+ * @property {string} path - Path after the name ('' if none)
+ */
+
+/**
+ * @typedef {Object} GatewayUrlMatch
+ * @property {'path'|'subdomain'} style - /ipfs/<cid> path or <cid>.ipfs.<host> subdomain
+ * @property {string} host - Host the URL pointed at
+ * @property {CIDInfo} cid - Decoded CID embedded in the URL
+ * @property {string} cidPath - "<cid>[/path][?query]" as it would follow /ipfs/
+ */
+
+/**
+ * @typedef {Object} GatewayReroute
+ * @property {'path'|'subdomain'} style - Gateway URL style that was detected
+ * @property {string} host - Host the URL originally pointed at
+ */
 
 /**
- * Checks if a string looks like a valid IPFS CID.
- * Supports both CIDv0 (Qm...) and CIDv1 (bafy...) formats.
- * @param {string} hash - The hash to validate
- * @returns {boolean} True if the hash matches a known CID pattern
+ * Decodes a multihash and checks its digest length.
+ * @param {Uint8Array} bytes - Bytes starting with a multihash
+ * @param {number} offset - Position of the multihash
+ * @returns {{ code: number, name: string, length: number, digest: string }} Decoded multihash
+ * @throws {Error} If the multihash is truncated or has the wrong length
+ */
+function decodeMultihash(bytes, offset) {
+    const code = readVarint(bytes, offset);
+    const length = readVarint(bytes, offset + code.length);
+    const start = offset + code.length + length.length;
+    const digest = bytes.slice(start);
+    if (digest.length !== length.value) {
+        throw new Error(`multihash digest is ${digest.length} bytes but declares ${length.value}`);
+    }
+
+    const known = MULTIHASHES[code.value];
+    if (known?.length && known.length !== length.value) {
+        throw new Error(`${known.name} digest must be ${known.length} bytes, got ${length.value}`);
+    }
+    if (code.value === 0x00 && length.value > MAX_IDENTITY_DIGEST_LENGTH) {
+        throw new Error(`identity multihash exceeds ${MAX_IDENTITY_DIGEST_LENGTH} bytes`);
+    }
+
+    return {
+        code: code.value,
+        name: known?.name ?? `unknown (0x${code.value.toString(16)})`,
+        length: length.value,
+        digest: Array.from(digest, (b) => b.toString(16).padStart(2, '0')).join(''),
+    };
+}
+
+/**
+ * Decodes a CID string into its version, multicodec and multihash.
+ * CIDv0 is a bare base58btc sha2-256 multihash ("Qm..."); CIDv1 is any
+ * multibase-encoded <version><codec><multihash> (bafy..., k51..., z...).
+ * @param {string} text - CID string
+ * @returns {CIDInfo} Decoded CID, or { valid: false, reason }
+ */
+export function parseCID(text) {
+    if (typeof text !== 'string' || text.length === 0) {
+        return { valid: false, reason: 'CID is empty' };
+    }
+
+    try {
+        if (text.length === 46 && text.startsWith('Qm')) {
+            const bytes = decodeBase58btc(text);
+            if (bytes.length !== 34 || bytes[0] !== HASH_SHA2_256 || bytes[1] !== 32) {
+                throw new Error('CIDv0 must be a 32-byte sha2-256 multihash');
+            }
+            return {
+                valid: true,
+                cid: text,
+                version: 0,
+                multibase: 'base58btc',
+                codec: CODEC_DAG_PB,
+                codecName: CID_CODECS[CODEC_DAG_PB],
+                multihash: decodeMultihash(bytes, 0),
+                multihashBytes: bytes,
+            };
+        }
+
+        const { name: multibase, bytes } = decodeMultibase(text);
+        const version = readVarint(bytes, 0);
+        if (version.value !== 1) {
+            throw new Error(`unsupported CID version ${version.value}`);
+        }
+        const codec = readVarint(bytes, version.length);
+        const mhOffset = version.length + codec.length;
+        return {
+            valid: true,
+            cid: text,
+            version: 1,
+            multibase,
+            codec: codec.value,
+            codecName: CID_CODECS[codec.value] ?? `unknown (0x${codec.value.toString(16)})`,
+            multihash: decodeMultihash(bytes, mhOffset),
+            multihashBytes: bytes.slice(mhOffset),
+        };
+    } catch (err) {
+        return { valid: false, reason: `Not a valid CID: ${err.message}` };
+    }
+}
+
+/**
+ * Reads a binary CID, as embedded in CAR files and dag-pb links.
+ * The returned `cid` string is always the canonical base32 CIDv1, so
+ * v0 and v1 references to the same block compare equal.
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} [offset=0] - Position of the CID
+ * @returns {{ info: CIDInfo, length: number }} Decoded CID and bytes consumed
+ * @throws {Error} If the CID is malformed or truncated
+ */
+export function readCIDBytes(bytes, offset = 0) {
+    let version = 0;
+    let codec = CODEC_DAG_PB;
+    let mhOffset = offset;
+    if (!(bytes[offset] === HASH_SHA2_256 && bytes[offset + 1] === 32)) {
+        const v = readVarint(bytes, offset);
+        if (v.value !== 1) {
+            throw new Error(`unsupported CID version ${v.value}`);
+        }
+        const c = readVarint(bytes, offset + v.length);
+        version = 1;
+        codec = c.value;
+        mhOffset = offset + v.length + c.length;
+    }
+
+    const code = readVarint(bytes, mhOffset);
+    const length = readVarint(bytes, mhOffset + code.length);
+    const end = mhOffset + code.length + length.length + length.value;
+    if (end > bytes.length) {
+        throw new Error('truncated CID');
+    }
+    const multihashBytes = bytes.slice(mhOffset, end);
+
+    const info = {
+        valid: true,
+        version,
+        multibase: 'base32',
+        codec,
+        codecName: CID_CODECS[codec] ?? `unknown (0x${codec.toString(16)})`,
+        multihash: decodeMultihash(multihashBytes, 0),
+        multihashBytes,
+    };
+    info.cid = toCIDv1(info);
+    return { info, length: end - offset };
+}
+
+/**
+ * Checks if a string is a valid IPFS CID (any version and multibase).
+ * @param {string} hash - The CID to validate
+ * @returns {boolean} True if the string decodes as a CID
  */
 export function isValidCID(hash) {
-    if (typeof hash !== 'string' || hash.length === 0) {
+    return parseCID(hash).valid;
+}
+
+/**
+ * Encodes a decoded CID as CIDv1.
+ * @param {CIDInfo} info - Valid result from parseCID
+ * @param {'b'|'k'|'z'} [base='b'] - Multibase prefix (base32 by default, as gateways expect)
+ * @returns {string} CIDv1 string
+ */
+export function toCIDv1(info, base = 'b') {
+    const bytes = Uint8Array.from([...encodeVarint(1), ...encodeVarint(info.codec), ...info.multihashBytes]);
+    return encodeMultibase(bytes, base);
+}
+
+/**
+ * Encodes a decoded CID as CIDv0, when representable.
+ * @param {CIDInfo} info - Valid result from parseCID
+ * @returns {string|null} CIDv0 string, or null for non dag-pb / non sha2-256 CIDs
+ */
+export function toCIDv0(info) {
+    if (info.codec !== CODEC_DAG_PB || info.multihash.code !== HASH_SHA2_256 || info.multihash.length !== 32) {
+        return null;
+    }
+    return encodeBase58btc(info.multihashBytes);
+}
+
+/**
+ * Builds a path-style gateway URL (<gateway>/ipfs/<cid>/<path>).
+ * @param {string} cid - CID string
+ * @param {string} [path=''] - Path after the CID, starting with "/" (or query)
+ * @param {string} [gateway] - Gateway base URL ending in /ipfs/
+ * @returns {string} Gateway URL
+ */
+export function buildPathGatewayUrl(cid, path = '', gateway = getPrimaryGateway()) {
+    return `${gateway}${cid}${path}`;
+}
+
+/**
+ * Builds a subdomain-style gateway URL (https://<cidv1>.ipfs.<host>/<path>).
+ * Subdomains need a case-insensitive CIDv1 that fits in a DNS label, so
+ * base32 is used, then base36 for longer CIDs.
+ * @param {string} cid - CID string (any version)
+ * @param {string} [path=''] - Path after the CID, starting with "/" (or query)
+ * @param {string} [host] - Subdomain gateway host
+ * @returns {string|null} Gateway URL, or null if the CID is invalid or too long for a label
+ */
+export function buildSubdomainGatewayUrl(cid, path = '', host = DEFAULT_SUBDOMAIN_GATEWAY) {
+    const info = parseCID(cid);
+    if (!info.valid) {
+        return null;
+    }
+    let label = toCIDv1(info, 'b');
+    if (label.length > MAX_DNS_LABEL_LENGTH) label = toCIDv1(info, 'k');
+    if (label.length > MAX_DNS_LABEL_LENGTH) return null;
+    return `https://${label}.ipfs.${host}${path}`;
+}
+
+/**
+ * Splits "<cid>/<path>?<query>" into the CID and the remainder.
+ * @param {string} cidPath - Text after /ipfs/ or ipfs://
+ * @returns {{ cid: string, path: string }} CID and remainder ('' if none)
+ */
+export function splitCIDPath(cidPath) {
+    const cut = cidPath.search(/[/?#]/);
+    return cut === -1
+        ? { cid: cidPath, path: '' }
+        : { cid: cidPath.slice(0, cut), path: cidPath.slice(cut) };
+}
+
+/**
+ * Checks whether a string is a legacy base58btc PeerID: a bare multihash
+ * (identity for Ed25519 "12D3KooW...", sha2-256 for RSA "Qm...").
+ * @param {string} name - Candidate PeerID
+ * @returns {boolean} True if the string decodes as a PeerID multihash
+ */
+function isLegacyPeerId(name) {
+    if (!/^(?:12D3KooW|Qm)/.test(name)) {
+        return false;
+    }
+    try {
+        const bytes = decodeBase58btc(name);
+        const mh = decodeMultihash(bytes, 0);
+        return mh.code === 0x00 || mh.code === HASH_SHA2_256;
+    } catch {
         return false;
     }
-    return CID_V0_REGEX.test(hash) || CID_V1_REGEX.test(hash);
+}
+
+/**
+ * Classifies an IPNS name as a public key or a DNSLink domain.
+ * Keys are libp2p-key CIDs (k51..., bafzaa...) or legacy PeerIDs.
+ * @param {string} name - IPNS name (without the ipns:// prefix)
+ * @returns {'key'|'dnslink'|null} Name type, or null if the name is malformed
+ */
+export function getIPNSNameType(name) {
+    if (typeof name !== 'string' || name.length === 0) {
+        return null;
+    }
+    const cid = parseCID(name);
+    if ((cid.valid && cid.version === 1 && cid.codec === CODEC_LIBP2P_KEY) || isLegacyPeerId(name)) {
+        return 'key';
+    }
+    if (DNSLINK_NAME_REGEX.test(name)) {
+        return 'dnslink';
+    }
+    return null;
+}
+
+/**
+ * Splits an IPNS URL into its name and path.
+ * Supports ipns://<name>[/path] and <gateway>/ipns/<name>[/path].
+ * The name is returned unvalidated (type null) so callers can report it.
+ * @param {string} url - IPNS URL
+ * @returns {{ name: string, type: 'key'|'dnslink'|null, path: string }|null} Parts, or null if not an IPNS URL
+ */
+export function parseIPNSUrl(url) {
+    if (typeof url !== 'string') {
+        return null;
+    }
+
+    const lower = url.toLowerCase();
+    let rest = null;
+    if (lower.startsWith('ipns://')) {
+        rest = url.slice('ipns://'.length);
+    } else {
+        const gateway = getRecognizedGateways().map(toIPNSGateway).find((gw) => lower.startsWith(gw.toLowerCase()));
+        if (gateway) rest = url.slice(gateway.length);
+    }
+    if (rest === null) {
+        return null;
+    }
+
+    const slash = rest.search(/[/?#]/);
+    const name = slash === -1 ? rest : rest.slice(0, slash);
+    const path = slash === -1 ? '' : rest.slice(slash);
+    return { name, type: getIPNSNameType(name), path };
+}
+
+/**
+ * Checks whether a URL is an IPNS URL (ipns:// or a gateway /ipns/ path).
+ * @param {string} url - URL to check
+ * @returns {boolean} True if the URL names IPNS content
+ */
+export function isIPNSUrl(url) {
+    return parseIPNSUrl(url) !== null;
 }
 
 /**
  * Checks whether a URL is an IPFS URL (protocol or gateway).
+ * IPNS URLs count as IPFS URLs since they resolve through the same gateways.
  * @param {string} url - URL to check
  * @returns {boolean} True if the URL is IPFS-related
  */
@@ -46,7 +409,55 @@ export function isIPFSUrl(url) {
     if (lower.startsWith('ipfs://')) {
         return true;
     }
-    return IPFS_GATEWAYS.some((gw) => lower.startsWith(gw.toLowerCase()));
+    if (isIPNSUrl(url)) {
+        return true;
+    }
+    return getRecognizedGateways().some((gw) => lower.startsWith(gw.toLowerCase()))
+        || parseGatewayUrl(url) !== null;
+}
+
+/**
+ * Detects IPFS content on any gateway, known or not: a /ipfs/<cid> path or
+ * a <cid>.ipfs.<host> subdomain. The embedded CID must decode — a host that
+ * merely has an "ipfs" path segment or label is not treated as a gateway.
+ * The host itself is never contacted (the CID is fetched through our own
+ * gateways), so plain http:// gateway links are accepted too.
+ * @param {string} url - URL to check
+ * @returns {GatewayUrlMatch|null} Detected gateway URL parts, or null
+ */
+export function parseGatewayUrl(url) {
+    let urlObj;
+    try {
+        urlObj = new URL(url);
+    } catch {
+        return null;
+    }
+    if (urlObj.protocol !== 'https:' && urlObj.protocol !== 'http:') {
+        return null;
+    }
+
+    const labels = urlObj.hostname.split('.');
+    const pathMatch = urlObj.pathname.match(/^\/ipfs\/([^/]+)(.*)$/i);
+    let match = null;
+    if (labels.length > 2 && labels[1] === 'ipfs') {
+        match = { style: 'subdomain', cid: labels[0], path: urlObj.pathname === '/' ? '' : urlObj.pathname };
+    } else if (pathMatch) {
+        match = { style: 'path', cid: pathMatch[1], path: pathMatch[2] };
+    }
+    if (!match) {
+        return null;
+    }
+
+    const cid = parseCID(match.cid);
+    if (!cid.valid) {
+        return null;
+    }
+    return {
+        style: match.style,
+        host: match.style === 'subdomain' ? labels.slice(2).join('.') + (urlObj.port ? `:${urlObj.port}` : '') : urlObj.host,
+        cid,
+        cidPath: `${match.cid}${match.path}${urlObj.search}${urlObj.hash}`,
+    };
 }
 
 /**
@@ -67,21 +478,45 @@ export function extractCID(url) {
     }
 
     // Handle HTTP gateway URLs
-    for (const gateway of IPFS_GATEWAYS) {
+    for (const gateway of getRecognizedGateways()) {
         if (url.startsWith(gateway)) {
             const cidPath = url.slice(gateway.length);
             return cidPath || null;
         }
     }
 
-    return null;
+    // Any other path or subdomain gateway
+    return parseGatewayUrl(url)?.cidPath ?? null;
+}
+
+/**
+ * Decodes the CID at the start of a CID path, throwing a user-facing error.
+ * @param {string} cidPath - "<cid>[/path]"
+ * @returns {CIDInfo} Decoded CID
+ * @throws {Error} If the CID is missing or invalid
+ */
+function requireCID(cidPath) {
+    const { cid } = splitCIDPath(cidPath);
+    if (!cid) {
+        throw new Error('IPFS URL is missing a CID');
+    }
+    const info = parseCID(cid);
+    if (!info.valid) {
+        throw new Error(`IPFS URL has an invalid CID (${info.reason})`);
+    }
+    return info;
 }
 
 /**
  * Converts an IPFS URL to an HTTP gateway URL.
  * If already an HTTP gateway URL, returns as-is.
+ * IPNS URLs are validated and mapped to the gateway's /ipns/ path; IPFS
+ * URLs must carry a CID that decodes. Gateway URLs on any host other than
+ * a configured gateway are re-routed to the primary gateway, and the
+ * original host is reported in `reroutedFrom`.
  * @param {string} ipfsUrl - IPFS URL to convert
- * @returns {{ url: string, gateway: string }} Converted URL and gateway used
+ * @returns {{ url: string, gateway: string, cid?: CIDInfo, ipns?: IPNSName, reroutedFrom?: GatewayReroute }}
+ *   Converted URL, gateway used, decoded CID or IPNS name, and the gateway it was moved off
  * @throws {Error} If the URL format is not a recognized IPFS URL
  */
 export function convertToHTTPGateway(ipfsUrl) {
@@ -89,22 +524,70 @@ export function convertToHTTPGateway(ipfsUrl) {
         throw new Error('Invalid IPFS URL format');
     }
 
-    // Already an HTTP gateway URL — return as-is
-    for (const gateway of IPFS_GATEWAYS) {
+    const ipns = parseIPNSUrl(ipfsUrl);
+    if (ipns) {
+        if (!ipns.name) {
+            throw new Error('IPNS URL is missing a name');
+        }
+        if (!ipns.type) {
+            throw new Error('IPNS name is malformed (expected a k51.../12D3KooW... key or a DNSLink domain)');
+        }
+        const gateway = getGatewayConfig().gateways.map(toIPNSGateway).find((gw) => ipfsUrl.startsWith(gw));
+        if (gateway) {
+            return { url: ipfsUrl, gateway, ipns };
+        }
+        const primary = toIPNSGateway(getPrimaryGateway());
+        return {
+            url: `${primary}${ipns.name}${ipns.path}`,
+            gateway: primary,
+            ipns,
+        };
+    }
+
+    // Already an HTTP gateway URL — return as-is once the CID checks out.
+    // URLs on a retired, unconfigured or local gateway are moved to the
+    // primary public gateway so the scanned URL is one VirusTotal can reach.
+    for (const gateway of getRecognizedGateways()) {
         if (ipfsUrl.startsWith(gateway)) {
-            return { url: ipfsUrl, gateway };
+            const cidPath = ipfsUrl.slice(gateway.length);
+            const cid = requireCID(cidPath);
+            if (getGatewayConfig().gateways.includes(gateway)) {
+                return { url: ipfsUrl, gateway, cid };
+            }
+            const primary = getPrimaryGateway();
+            return {
+                url: `${primary}${cidPath}`,
+                gateway: primary,
+                cid,
+                reroutedFrom: { style: 'path', host: new URL(gateway).host },
+            };
         }
     }
 
-    // Convert ipfs:// protocol
+    // Path or subdomain gateway on some other host
+    const detected = parseGatewayUrl(ipfsUrl);
+    if (detected) {
+        const primary = getPrimaryGateway();
+        return {
+            url: `${primary}${detected.cidPath}`,
+            gateway: primary,
+            cid: detected.cid,
+            reroutedFrom: { style: detected.style, host: detected.host },
+        };
+    }
+
+    // Convert ipfs:// protocol (tolerating the legacy ipfs://ipfs/<cid> form)
     if (ipfsUrl.startsWith('ipfs://')) {
-        const cidPath = ipfsUrl.slice('ipfs://'.length);
+        const cidPath = ipfsUrl.slice('ipfs://'.length).replace(/^ipfs\//, '');
         if (!cidPath) {
             throw new Error('IPFS URL is missing a CID');
         }
+        const cid = requireCID(cidPath);
+        const primary = getPrimaryGateway();
         return {
-            url: `${DEFAULT_GATEWAY}${cidPath}`,
-            gateway: DEFAULT_GATEWAY,
+            url: `${primary}${cidPath}`,
+            gateway: primary,
+            cid,
         };
     }
 
@@ -112,9 +595,47 @@ export function convertToHTTPGateway(ipfsUrl) {
 }
 
 /**
- * Returns the list of available IPFS gateways.
+ * Returns the gateways to fetch from: the local node (if declared) first,
+ * then the configured public gateways.
  * @returns {string[]} Array of gateway base URLs
  */
 export function getGateways() {
-    return [...IPFS_GATEWAYS];
+    const local = getLocalNodeGateway();
+    const { gateways } = getGatewayConfig();
+    return local ? [local, ...gateways] : gateways;
+}
+
+/**
+ * Returns the IPNS path form (/ipns/) of each IPFS gateway.
+ * @returns {string[]} Array of IPNS gateway base URLs
+ */
+export function getIPNSGateways() {
+    return getGateways().map(toIPNSGateway);
+}
+
+/**
+ * Returns the first configured public gateway, used when converting
+ * ipfs:// URLs (never the local node, which VirusTotal cannot reach).
+ * @returns {string} Gateway base URL ending in /ipfs/
+ */
+export function getPrimaryGateway() {
+    return getGatewayConfig().gateways[0];
+}
+
+/**
+ * Returns every gateway whose URLs are recognised as IPFS links:
+ * configured, local and well-known (including retired) gateways.
+ * @returns {string[]} Array of gateway base URLs
+ */
+function getRecognizedGateways() {
+    return [...new Set([...getGateways(), ...KNOWN_GATEWAYS])];
+}
+
+/**
+ * Maps an /ipfs/ gateway base to its /ipns/ form.
+ * @param {string} gateway - Gateway base URL ending in /ipfs/
+ * @returns {string} Gateway base URL ending in /ipns/
+ */
+function toIPNSGateway(gateway) {
+    return gateway.replace(/\/ipfs\/$/, '/ipns/');
 }
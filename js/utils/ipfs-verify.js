@@ -0,0 +1,443 @@
+/**
+ * @module ipfs-verify
+ * @description Verifies IPFS content against its CID.
+ * Blocks are hashed with the CID's multihash function. CAR responses from
+ * trustless gateways (?format=car) are parsed and the UnixFS DAG is walked
+ * from the requested CID, so every byte handed back has been checked
+ * against it — whatever gateway or proxy delivered it.
+ */
+
+import { readVarint } from './multibase.js';
+import { readCIDBytes, toCIDv1 } from './ipfs-utils.js';
+
+/** @type {Object<number, string>} Multihash codes → WebCrypto digest names */
+const DIGEST_ALGORITHMS = {
+    0x11: 'SHA-1',
+    0x12: 'SHA-256',
+    0x13: 'SHA-512',
+};
+
+/** Multihash code for identity (the "digest" is the content itself) */
+const HASH_IDENTITY = 0x00;
+
+/** Multicodec code for raw blocks */
+const CODEC_RAW = 0x55;
+
+/** Multicodec code for dag-pb (UnixFS) blocks */
+const CODEC_DAG_PB = 0x70;
+
+/** @type {number[]} CARv2 pragma: a fixed CBOR header announcing version 2 */
+const CARV2_PRAGMA = [0x0a, 0xa1, 0x67, 0x76, 0x65, 0x72, 0x73, 0x69, 0x6f, 0x6e, 0x02];
+
+/** CBOR tag for IPLD links inside a CAR header */
+const CBOR_TAG_CID = 42;
+
+/** @type {string[]} UnixFS node types, indexed by their protobuf enum value */
+const UNIXFS_TYPES = ['raw', 'directory', 'file', 'metadata', 'symlink', 'hamt-shard'];
+
+/**
+ * Thrown when a block's hash does not match the CID that names it: the
+ * bytes were altered on the way, not merely unavailable.
+ */
+export class CIDMismatchError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CIDMismatchError';
+    }
+}
+
+/** @type {number} Deepest file DAG walked */
+const MAX_DAG_DEPTH = 64;
+
+/**
+ * @type {number} Most nodes visited while reading one file. Blocks may be
+ * linked many times (repeated chunks), so this bounds visits rather than
+ * blocks: a few dozen blocks linking twice to the next level would
+ * otherwise be walked 2^depth times without ever adding data.
+ */
+const MAX_DAG_VISITS = 100_000;
+
+/**
+ * @typedef {Object} CARBlock
+ * @property {import('./ipfs-utils.js').CIDInfo} cid - Block CID as written in the CAR
+ * @property {Uint8Array} bytes - Block data (not yet verified)
+ */
+
+/**
+ * @typedef {Object} CARFile
+ * @property {import('./ipfs-utils.js').CIDInfo[]} roots - Root CIDs from the header
+ * @property {Map<string, CARBlock>} blocks - Blocks keyed by canonical CIDv1 string
+ */
+
+/**
+ * @typedef {Object} VerifiedFile
+ * @property {Uint8Array} bytes - File contents
+ * @property {number} blocks - Number of blocks hashed
+ * @property {import('./ipfs-utils.js').CIDInfo} cid - CID of the file itself (after path resolution)
+ */
+
+/**
+ * Hex-encodes bytes.
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Lowercase hex
+ */
+function toHex(bytes) {
+    return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Decodes lowercase hex.
+ * @param {string} hex - Hex text
+ * @returns {Uint8Array} Bytes
+ */
+function fromHex(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+    }
+    return bytes;
+}
+
+/**
+ * Checks a block against the multihash in its CID.
+ * @param {import('./ipfs-utils.js').CIDInfo} cid - Expected CID
+ * @param {Uint8Array} bytes - Block data
+ * @returns {Promise<boolean>} True if the hash matches
+ * @throws {Error} If the CID uses a hash function the browser cannot compute
+ */
+export async function verifyBlock(cid, bytes) {
+    const { code, name, digest } = cid.multihash;
+    if (code === HASH_IDENTITY) {
+        return toHex(bytes) === digest;
+    }
+    const algorithm = DIGEST_ALGORITHMS[code];
+    if (!algorithm) {
+        throw new Error(`${name} hashes cannot be verified in the browser`);
+    }
+    const hash = new Uint8Array(await crypto.subtle.digest(algorithm, bytes));
+    return toHex(hash) === digest;
+}
+
+/**
+ * Reads one CBOR item (the subset used by CAR headers).
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} offset - Position of the item
+ * @returns {{ value: *, end: number }} Decoded value and position after it
+ * @throws {Error} On truncated or unsupported input
+ */
+function readCBOR(bytes, offset) {
+    if (offset >= bytes.length) {
+        throw new Error('truncated CBOR');
+    }
+    const major = bytes[offset] >> 5;
+    const info = bytes[offset] & 0x1f;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let pos = offset + 1;
+    let arg = info;
+    if (info === 24) {
+        arg = view.getUint8(pos);
+        pos += 1;
+    } else if (info === 25) {
+        arg = view.getUint16(pos);
+        pos += 2;
+    } else if (info === 26) {
+        arg = view.getUint32(pos);
+        pos += 4;
+    } else if (info === 27) {
+        arg = Number(view.getBigUint64(pos));
+        pos += 8;
+    } else if (info > 27) {
+        throw new Error('unsupported CBOR length encoding');
+    }
+
+    switch (major) {
+        case 0:
+            return { value: arg, end: pos };
+        case 1:
+            return { value: -1 - arg, end: pos };
+        case 2:
+        case 3: {
+            const end = pos + arg;
+            if (end > bytes.length) throw new Error('truncated CBOR string');
+            const raw = bytes.subarray(pos, end);
+            return { value: major === 2 ? raw : new TextDecoder().decode(raw), end };
+        }
+        case 4: {
+            const items = [];
+            for (let i = 0; i < arg; i++) {
+                const item = readCBOR(bytes, pos);
+                items.push(item.value);
+                pos = item.end;
+            }
+            return { value: items, end: pos };
+        }
+        case 5: {
+            const map = {};
+            for (let i = 0; i < arg; i++) {
+                const key = readCBOR(bytes, pos);
+                const entry = readCBOR(bytes, key.end);
+                map[key.value] = entry.value;
+                pos = entry.end;
+            }
+            return { value: map, end: pos };
+        }
+        case 6: {
+            const inner = readCBOR(bytes, pos);
+            if (arg === CBOR_TAG_CID) {
+                // Links are byte strings with a leading 0x00 (identity multibase)
+                if (!(inner.value instanceof Uint8Array) || inner.value[0] !== 0) {
+                    throw new Error('malformed CBOR link');
+                }
+                return { value: readCIDBytes(inner.value, 1).info, end: inner.end };
+            }
+            return inner;
+        }
+        default: {
+            const simple = { 20: false, 21: true, 22: null, 23: undefined };
+            if (!(info in simple)) throw new Error('unsupported CBOR value');
+            return { value: simple[info], end: pos };
+        }
+    }
+}
+
+/**
+ * Parses a CAR (v1, or v2 wrapping v1) into its roots and blocks.
+ * Blocks are not verified here — extractUnixFSFile hashes each one it uses.
+ * @param {Uint8Array} bytes - CAR file
+ * @returns {CARFile} Roots and blocks
+ * @throws {Error} If the file is not a well-formed CAR
+ */
+export function readCAR(bytes) {
+    let car = bytes;
+    if (CARV2_PRAGMA.every((b, i) => bytes[i] === b)) {
+        // CARv2: pragma, then a 40-byte header (characteristics, data offset, data size, index offset)
+        const view = new DataView(bytes.buffer, bytes.byteOffset + CARV2_PRAGMA.length, 40);
+        const dataOffset = Number(view.getBigUint64(16, true));
+        const dataSize = Number(view.getBigUint64(24, true));
+        car = bytes.subarray(dataOffset, dataOffset + dataSize);
+    }
+
+    const headerLength = readVarint(car, 0);
+    const headerEnd = headerLength.length + headerLength.value;
+    const { value: header } = readCBOR(car.subarray(headerLength.length, headerEnd), 0);
+    if (header?.version !== 1 || !Array.isArray(header.roots)) {
+        throw new Error('not a CARv1 file');
+    }
+
+    const blocks = new Map();
+    let pos = headerEnd;
+    while (pos < car.length) {
+        const sectionLength = readVarint(car, pos);
+        const start = pos + sectionLength.length;
+        const end = start + sectionLength.value;
+        if (sectionLength.value === 0 || end > car.length) {
+            throw new Error('truncated CAR block');
+        }
+        const { info, length } = readCIDBytes(car.subarray(start, end));
+        blocks.set(info.cid, { cid: info, bytes: car.subarray(start + length, end) });
+        pos = end;
+    }
+
+    return { roots: header.roots, blocks };
+}
+
+/**
+ * Splits a protobuf message into its fields (varint and length-delimited only).
+ * @param {Uint8Array} bytes - Encoded message
+ * @returns {{ field: number, value: number|Uint8Array }[]} Fields in wire order
+ * @throws {Error} On truncated input or unsupported wire types
+ */
+function readProtobuf(bytes) {
+    const fields = [];
+    let pos = 0;
+    while (pos < bytes.length) {
+        const key = readVarint(bytes, pos);
+        pos += key.length;
+        const field = Math.floor(key.value / 8);
+        const wireType = key.value % 8;
+        if (wireType === 0) {
+            const value = readVarint(bytes, pos);
+            pos += value.length;
+            fields.push({ field, value: value.value });
+        } else if (wireType === 2) {
+            const length = readVarint(bytes, pos);
+            pos += length.length;
+            if (pos + length.value > bytes.length) throw new Error('truncated protobuf field');
+            fields.push({ field, value: bytes.subarray(pos, pos + length.value) });
+            pos += length.value;
+        } else {
+            throw new Error(`unsupported protobuf wire type ${wireType}`);
+        }
+    }
+    return fields;
+}
+
+/**
+ * Decodes a dag-pb node (PBNode: Data = 1, Links = 2; PBLink: Hash = 1, Name = 2, Tsize = 3).
+ * @param {Uint8Array} bytes - Block data
+ * @returns {{ data: Uint8Array|null, links: { cid: import('./ipfs-utils.js').CIDInfo, name: string, size: number }[] }} Node
+ */
+function decodeDagPB(bytes) {
+    let data = null;
+    const links = [];
+    for (const { field, value } of readProtobuf(bytes)) {
+        if (field === 1) {
+            data = value;
+        } else if (field === 2) {
+            const link = { cid: null, name: '', size: 0 };
+            for (const part of readProtobuf(value)) {
+                if (part.field === 1) link.cid = readCIDBytes(part.value).info;
+                else if (part.field === 2) link.name = new TextDecoder().decode(part.value);
+                else if (part.field === 3) link.size = part.value;
+            }
+            if (!link.cid) throw new Error('dag-pb link without a hash');
+            links.push(link);
+        }
+    }
+    return { data, links };
+}
+
+/**
+ * Decodes the UnixFS Data message carried in a dag-pb node (Type = 1, Data = 2).
+ * @param {Uint8Array|null} bytes - PBNode Data field
+ * @returns {{ type: string, data: Uint8Array }} UnixFS node type and inline data
+ */
+function decodeUnixFS(bytes) {
+    if (!bytes) {
+        throw new Error('dag-pb node has no UnixFS data');
+    }
+    let type = null;
+    let data = new Uint8Array(0);
+    for (const { field, value } of readProtobuf(bytes)) {
+        if (field === 1) type = UNIXFS_TYPES[value] ?? `unknown (${value})`;
+        else if (field === 2) data = value;
+    }
+    if (!type) {
+        throw new Error('UnixFS node has no type');
+    }
+    return { type, data };
+}
+
+/**
+ * Verifies a single block (trustless ?format=raw) and returns its file bytes.
+ * @param {import('./ipfs-utils.js').CIDInfo} cid - Expected CID
+ * @param {Uint8Array} bytes - Block data
+ * @returns {Promise<Uint8Array|null>} File bytes, or null when the file spans several blocks (a CAR is needed)
+ * @throws {Error} On a hash mismatch or when the block is not a file
+ */
+export async function extractRawBlock(cid, bytes) {
+    if (!(await verifyBlock(cid, bytes))) {
+        throw new CIDMismatchError('Block does not match its CID');
+    }
+    if (cid.codec === CODEC_RAW) {
+        return bytes;
+    }
+    if (cid.codec !== CODEC_DAG_PB) {
+        throw new Error(`Unsupported codec ${cid.codecName}`);
+    }
+    const node = decodeDagPB(bytes);
+    const unixfs = decodeUnixFS(node.data);
+    if (unixfs.type !== 'file' && unixfs.type !== 'raw') {
+        throw new Error(`CID is a UnixFS ${unixfs.type}, not a file`);
+    }
+    return node.links.length === 0 ? unixfs.data : null;
+}
+
+/**
+ * Reads a UnixFS file out of a CAR, starting at the trusted CID and
+ * following an optional path through directories. Every block used is
+ * hashed against the CID that links to it.
+ * @param {CARFile} car - Result of readCAR
+ * @param {import('./ipfs-utils.js').CIDInfo} root - CID the content must match
+ * @param {string} [path=''] - Path under the root (e.g. "/4129-1.json")
+ * @param {number} [maxBytes=Infinity] - Upper bound on the file size
+ * @returns {Promise<VerifiedFile>} Verified file
+ * @throws {Error} On missing blocks, hash mismatches or unsupported DAG shapes
+ */
+export async function extractUnixFSFile(car, root, path = '', maxBytes = Infinity) {
+    const verified = new Set();
+    const loadBlock = async (cid) => {
+        if (cid.multihash.code === HASH_IDENTITY) {
+            return fromHex(cid.multihash.digest);
+        }
+        const key = toCIDv1(cid);
+        const entry = car.blocks.get(key);
+        if (!entry) {
+            throw new Error(`CAR is missing block ${key}`);
+        }
+        if (!verified.has(key)) {
+            if (!(await verifyBlock(cid, entry.bytes))) {
+                throw new CIDMismatchError(`Block ${key} does not match its CID`);
+            }
+            verified.add(key);
+        }
+        return entry.bytes;
+    };
+
+    let current = root;
+    for (const segment of path.split('/').filter(Boolean).map(decodeURIComponent)) {
+        if (current.codec !== CODEC_DAG_PB) {
+            throw new Error(`Cannot resolve "${segment}": not a UnixFS directory`);
+        }
+        const node = decodeDagPB(await loadBlock(current));
+        const unixfs = decodeUnixFS(node.data);
+        if (unixfs.type === 'hamt-shard') {
+            throw new Error('HAMT-sharded directories are not supported');
+        }
+        if (unixfs.type !== 'directory') {
+            throw new Error(`Cannot resolve "${segment}": not a directory`);
+        }
+        const link = node.links.find((l) => l.name === segment);
+        if (!link) {
+            throw new Error(`"${segment}" not found in directory`);
+        }
+        current = link.cid;
+    }
+
+    const chunks = [];
+    let total = 0;
+    const append = (chunk) => {
+        total += chunk.length;
+        if (total > maxBytes) {
+            throw new Error(`File exceeds ${maxBytes} bytes`);
+        }
+        chunks.push(chunk);
+    };
+
+    // UnixFS file data is the node's own data followed by its children in link order
+    let visits = 0;
+    const readNode = async (cid, depth) => {
+        if (depth > MAX_DAG_DEPTH) {
+            throw new Error('UnixFS DAG is too deep');
+        }
+        if (++visits > MAX_DAG_VISITS) {
+            throw new Error(`UnixFS DAG links more than ${MAX_DAG_VISITS} nodes`);
+        }
+        const block = await loadBlock(cid);
+        if (cid.codec === CODEC_RAW) {
+            append(block);
+            return;
+        }
+        if (cid.codec !== CODEC_DAG_PB) {
+            throw new Error(`Unsupported codec ${cid.codecName}`);
+        }
+        const node = decodeDagPB(block);
+        const unixfs = decodeUnixFS(node.data);
+        if (unixfs.type !== 'file' && unixfs.type !== 'raw') {
+            throw new Error(`Path is a UnixFS ${unixfs.type}, not a file`);
+        }
+        append(unixfs.data);
+        for (const link of node.links) {
+            await readNode(link.cid, depth + 1);
+        }
+    };
+    await readNode(current, 0);
+
+    const bytes = new Uint8Array(total);
+    let offset = 0;
+    for (const chunk of chunks) {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return { bytes, blocks: verified.size, cid: current };
+}
@@ -0,0 +1,285 @@
+/**
+ * @module matroska-ebml
+ * @description Walks the EBML header and Segment of a WebM / Matroska file
+ * for video-container.js: the DocType, duration, each TrackEntry's type,
+ * codec and size, titles and muxing apps, SimpleTags and attached files.
+ * Clusters (media data) are skipped, never decoded.
+ */
+
+/** @type {number} Deepest element nesting followed */
+const MAX_DEPTH = 16;
+
+/** @type {number} Longest tag value kept (characters) */
+const MAX_TAG_LENGTH = 4096;
+
+/** @type {Object<string, number>} Matroska element IDs used here */
+const EBML = {
+    HEADER: 0x1a45dfa3,
+    DOC_TYPE: 0x4282,
+    SEGMENT: 0x18538067,
+    INFO: 0x1549a966,
+    TIMECODE_SCALE: 0x2ad7b1,
+    DURATION: 0x4489,
+    TITLE: 0x7ba9,
+    MUXING_APP: 0x4d80,
+    WRITING_APP: 0x5741,
+    TRACKS: 0x1654ae6b,
+    TRACK_ENTRY: 0xae,
+    TRACK_TYPE: 0x83,
+    CODEC_ID: 0x86,
+    TRACK_NAME: 0x536e,
+    VIDEO: 0xe0,
+    PIXEL_WIDTH: 0xb0,
+    PIXEL_HEIGHT: 0xba,
+    AUDIO: 0xe1,
+    SAMPLING_FREQUENCY: 0xb5,
+    CHANNELS: 0x9f,
+    TAGS: 0x1254c367,
+    TAG: 0x7373,
+    SIMPLE_TAG: 0x67c8,
+    TAG_NAME: 0x45a3,
+    TAG_STRING: 0x4487,
+    ATTACHMENTS: 0x1941a469,
+    ATTACHED_FILE: 0x61a7,
+    FILE_NAME: 0x466e,
+    FILE_MIME_TYPE: 0x4660,
+    FILE_DATA: 0x465c,
+    FILE_DESCRIPTION: 0x467e,
+    CLUSTER: 0x1f43b675,
+};
+
+/** @type {Object<number, import('./video-container.js').VideoTrack['type']>} Matroska TrackType values */
+const MATROSKA_TRACK_TYPES = { 1: 'video', 2: 'audio', 17: 'subtitle' };
+
+/** @type {Set<number>} Master elements walked for their children without further handling */
+const MASTER_ELEMENTS = new Set([EBML.HEADER, EBML.SEGMENT, EBML.INFO, EBML.TRACKS, EBML.VIDEO, EBML.AUDIO, EBML.TAGS, EBML.TAG, EBML.ATTACHMENTS]);
+
+/** @type {Object<number, string>} Text elements reported as tags, and the key each is reported under */
+const TEXT_TAG_ELEMENTS = {
+    [EBML.TITLE]: 'Title',
+    [EBML.MUXING_APP]: 'MuxingApp',
+    [EBML.WRITING_APP]: 'WritingApp',
+    [EBML.TRACK_NAME]: 'TrackName',
+    [EBML.FILE_DESCRIPTION]: 'AttachmentDescription',
+};
+
+/**
+ * Decodes bytes as UTF-8 (invalid sequences replaced), dropping trailing NULs.
+ * @param {Uint8Array} bytes - Bytes to decode
+ * @returns {string} Text, cut to MAX_TAG_LENGTH
+ */
+function utf8(bytes) {
+    return new TextDecoder().decode(bytes).replace(/\0+$/, '').slice(0, MAX_TAG_LENGTH);
+}
+
+/**
+ * Reads an EBML variable-length integer.
+ * @param {Uint8Array} bytes - File contents
+ * @param {number} offset - Start offset
+ * @param {boolean} keepMarker - Keep the length marker bit (element IDs do)
+ * @returns {{ value: number, length: number, unknown: boolean }} Value, encoded length, and whether it is the reserved "unknown size"
+ */
+function readVint(bytes, offset, keepMarker) {
+    const first = bytes[offset];
+    if (first === undefined || first === 0) throw new Error(`Invalid EBML number at ${offset}`);
+    const length = Math.clz32(first) - 23;
+    if (offset + length > bytes.length) throw new Error(`Truncated EBML number at ${offset}`);
+    let value = keepMarker ? first : first & (0xff >> length);
+    let allOnes = value === (0xff >> length);
+    for (let i = 1; i < length; i++) {
+        value = value * 256 + bytes[offset + i];
+        if (bytes[offset + i] !== 0xff) allOnes = false;
+    }
+    return { value, length, unknown: !keepMarker && allOnes };
+}
+
+/**
+ * Reads an unsigned integer element payload.
+ * @param {Uint8Array} bytes - File contents
+ * @param {number} start - Payload start
+ * @param {number} end - Payload end
+ * @returns {number} Value
+ */
+function readUint(bytes, start, end) {
+    let value = 0;
+    for (let i = start; i < end; i++) value = value * 256 + bytes[i];
+    return value;
+}
+
+/**
+ * Reads a float element payload (4 or 8 bytes).
+ * @param {Uint8Array} bytes - File contents
+ * @param {number} start - Payload start
+ * @param {number} end - Payload end
+ * @returns {number|null} Value, or null for other sizes
+ */
+function readFloat(bytes, start, end) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset + start, end - start);
+    if (end - start === 4) return view.getFloat32(0);
+    if (end - start === 8) return view.getFloat64(0);
+    return null;
+}
+
+/**
+ * @typedef {Object} EbmlWalk
+ * @property {Uint8Array} bytes - File contents
+ * @property {import('./video-container.js').VideoContainerInfo} info - Result being filled
+ * @property {number} timecodeScale - Nanoseconds per timecode tick
+ * @property {number|null} rawDuration - Segment duration in ticks
+ * @property {import('./video-container.js').VideoTrack|null} track - TrackEntry being read
+ * @property {{ name: string, mimeType: string, size: number }|null} attachment - AttachedFile being read
+ * @property {string|null} tagName - TagName of the SimpleTag being read
+ */
+
+/**
+ * @typedef {Object} EbmlElement
+ * @property {number} id - Element ID
+ * @property {number} body - Payload start
+ * @property {number} end - Payload end (clamped to the parent)
+ * @property {boolean} unknownSize - Whether the size is the reserved "unknown size"
+ */
+
+/**
+ * Reads an element field belonging to the TrackEntry or AttachedFile
+ * being read.
+ * @param {EbmlWalk} walk - Walk state (mutated)
+ * @param {EbmlElement} el - Element
+ * @returns {boolean} Whether the element was one of those fields
+ */
+function readEntryField(walk, { id, body, end }) {
+    const { bytes, track, attachment } = walk;
+    const text = () => utf8(bytes.subarray(body, end));
+    switch (id) {
+    case EBML.TRACK_TYPE:
+        if (track) track.type = MATROSKA_TRACK_TYPES[readUint(bytes, body, end)] ?? 'other';
+        return true;
+    case EBML.CODEC_ID:
+        if (track) track.codec = text();
+        return true;
+    case EBML.PIXEL_WIDTH:
+        if (track) track.width = readUint(bytes, body, end);
+        return true;
+    case EBML.PIXEL_HEIGHT:
+        if (track) track.height = readUint(bytes, body, end);
+        return true;
+    case EBML.SAMPLING_FREQUENCY:
+        if (track) track.sampleRate = readFloat(bytes, body, end);
+        return true;
+    case EBML.CHANNELS:
+        if (track) track.channels = readUint(bytes, body, end);
+        return true;
+    case EBML.FILE_NAME:
+        if (attachment) attachment.name = text();
+        return true;
+    case EBML.FILE_MIME_TYPE:
+        if (attachment) attachment.mimeType = text();
+        return true;
+    case EBML.FILE_DATA:
+        if (attachment) attachment.size = end - body;
+        return true;
+    default:
+        return false;
+    }
+}
+
+/**
+ * Reads a TrackEntry, SimpleTag or AttachedFile, whose children fill in
+ * the entry the walk state points at while it is read.
+ * @param {EbmlWalk} walk - Walk state (mutated)
+ * @param {EbmlElement} el - Element
+ * @param {number} depth - Nesting depth of the element
+ * @returns {boolean} Whether the element was one of those entries
+ */
+function readEntry(walk, el, depth) {
+    const descend = () => { if (depth < MAX_DEPTH) walkElements(walk, el.body, el.end, depth + 1); };
+    if (el.id === EBML.TRACK_ENTRY) {
+        walk.track = { type: 'other', codec: '' };
+        descend();
+        walk.info.tracks.push(walk.track);
+        walk.track = null;
+    } else if (el.id === EBML.ATTACHED_FILE) {
+        walk.attachment = { name: '', mimeType: '', size: 0 };
+        descend();
+        walk.info.attachments.push(walk.attachment);
+        walk.attachment = null;
+    } else if (el.id === EBML.SIMPLE_TAG) {
+        // SimpleTags nest; each one restores its parent's name when done
+        const outer = walk.tagName;
+        walk.tagName = null;
+        descend();
+        walk.tagName = outer;
+    } else {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Reads one element.
+ * @param {EbmlWalk} walk - Walk state (mutated)
+ * @param {EbmlElement} el - Element
+ * @param {number} depth - Nesting depth of the element
+ * @returns {boolean} False when the rest of the parent is media data and the walk of it should stop
+ */
+function readElement(walk, el, depth) {
+    const { bytes, info } = walk;
+    const text = () => utf8(bytes.subarray(el.body, el.end));
+    if (MASTER_ELEMENTS.has(el.id)) {
+        if (depth < MAX_DEPTH) walkElements(walk, el.body, el.end, depth + 1);
+    } else if (el.id in TEXT_TAG_ELEMENTS) {
+        info.tags.push({ key: TEXT_TAG_ELEMENTS[el.id], value: text() });
+    } else if (el.id === EBML.DOC_TYPE) {
+        info.brand = text();
+        info.container = info.brand === 'webm' ? 'webm' : 'matroska';
+    } else if (el.id === EBML.TIMECODE_SCALE) {
+        walk.timecodeScale = readUint(bytes, el.body, el.end);
+    } else if (el.id === EBML.DURATION) {
+        walk.rawDuration = readFloat(bytes, el.body, el.end);
+    } else if (el.id === EBML.TAG_NAME) {
+        walk.tagName = text();
+    } else if (el.id === EBML.TAG_STRING) {
+        info.tags.push({ key: walk.tagName ?? 'Tag', value: text() });
+    } else if (el.id === EBML.CLUSTER) {
+        // Media data; an unknown-sized Cluster runs to the end of the Segment
+        return !el.unknownSize;
+    } else if (!readEntry(walk, el, depth)) {
+        readEntryField(walk, el);
+    }
+    return true;
+}
+
+/**
+ * Reads the elements between two offsets.
+ * @param {EbmlWalk} walk - Walk state (mutated)
+ * @param {number} start - First element offset
+ * @param {number} end - Parent end
+ * @param {number} depth - Nesting depth
+ */
+function walkElements(walk, start, end, depth) {
+    let offset = start;
+    while (offset < end) {
+        const id = readVint(walk.bytes, offset, true);
+        const size = readVint(walk.bytes, offset + id.length, false);
+        const body = offset + id.length + size.length;
+        let elementEnd = size.unknown ? end : body + size.value;
+        if (elementEnd > end) {
+            walk.info.error ??= `Element 0x${id.value.toString(16)} at ${offset} runs past its parent (file truncated?)`;
+            elementEnd = end;
+        }
+        if (!readElement(walk, { id: id.value, body, end: elementEnd, unknownSize: size.unknown }, depth)) return;
+        offset = elementEnd;
+    }
+}
+
+/**
+ * Walks the EBML header and Segment of a WebM / Matroska file.
+ * @param {Uint8Array} bytes - File contents
+ * @param {import('./video-container.js').VideoContainerInfo} info - Result being filled (mutated)
+ */
+export function parseEBML(bytes, info) {
+    const walk = { bytes, info, timecodeScale: 1_000_000, rawDuration: null, track: null, attachment: null, tagName: null };
+    walkElements(walk, 0, bytes.length, 0);
+
+    if (!info.container) info.container = 'matroska';
+    if (walk.rawDuration !== null) info.durationSec = (walk.rawDuration * walk.timecodeScale) / 1e9;
+}
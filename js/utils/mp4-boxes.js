@@ -0,0 +1,237 @@
+/**
+ * @module mp4-boxes
+ * @description Walks the boxes of an MP4 (ISO BMFF / QuickTime) file for
+ * video-container.js: the major brand, movie duration, each track's
+ * handler, codec and size, iTunes-style ilst items and QuickTime ©xyz
+ * user data. Media data (mdat) is skipped, never decoded.
+ */
+
+/** @type {Set<string>} MP4 boxes whose payload is a list of boxes */
+const MP4_CONTAINER_BOXES = new Set(['moov', 'trak', 'mdia', 'minf', 'stbl', 'udta', 'edts', 'dinf', 'ilst']);
+
+/** @type {Object<string, import('./video-container.js').VideoTrack['type']>} MP4 handler types */
+const MP4_HANDLERS = { vide: 'video', soun: 'audio', text: 'subtitle', sbtl: 'subtitle', subt: 'subtitle' };
+
+/** @type {number} Deepest box nesting followed */
+const MAX_DEPTH = 16;
+
+/** @type {number} Longest tag value kept (characters) */
+const MAX_TAG_LENGTH = 4096;
+
+/**
+ * Decodes bytes as UTF-8 (invalid sequences replaced), dropping trailing NULs.
+ * @param {Uint8Array} bytes - Bytes to decode
+ * @returns {string} Text, cut to MAX_TAG_LENGTH
+ */
+function utf8(bytes) {
+    return new TextDecoder().decode(bytes).replace(/\0+$/, '').slice(0, MAX_TAG_LENGTH);
+}
+
+/**
+ * Reads four bytes as a latin-1 fourcc.
+ * @param {Uint8Array} bytes - Buffer
+ * @param {number} offset - Start offset
+ * @returns {string} Four-character code
+ */
+function fourcc(bytes, offset) {
+    return String.fromCharCode(...bytes.subarray(offset, offset + 4));
+}
+
+/**
+ * Reads a box header, clamping a box that runs past its parent to the
+ * parent's end (and recording that on the result).
+ * @param {DataView} view - File view
+ * @param {Uint8Array} bytes - File contents
+ * @param {number} offset - Box start
+ * @param {number} end - Parent end
+ * @param {import('./video-container.js').VideoContainerInfo} info - Result (mutated: error)
+ * @returns {{ type: string, body: number, boxEnd: number }} Box type, payload offset and end
+ * @throws {Error} On a truncated large-size header or an invalid size
+ */
+function readBoxHeader(view, bytes, offset, end, info) {
+    let size = view.getUint32(offset);
+    const type = fourcc(bytes, offset + 4);
+    let header = 8;
+    if (size === 1) {
+        if (offset + 16 > end) throw new Error(`Truncated ${type} box`);
+        size = Number(view.getBigUint64(offset + 8));
+        header = 16;
+    } else if (size === 0) {
+        size = end - offset;
+    }
+    if (size < header) {
+        throw new Error(`Box ${type} at ${offset} has an invalid size`);
+    }
+    if (offset + size > end) {
+        info.error ??= `Box ${type} at ${offset} runs past its parent (file truncated?)`;
+        size = end - offset;
+    }
+    return { type, body: offset + header, boxEnd: offset + size };
+}
+
+/**
+ * @typedef {Object} Mp4Walk
+ * @property {Uint8Array} bytes - File contents
+ * @property {DataView} view - File view
+ * @property {import('./video-container.js').VideoContainerInfo} info - Result being filled
+ * @property {import('./video-container.js').VideoTrack|null} track - Track whose trak box is being read
+ */
+
+/**
+ * Reads one box, descending into the boxes that hold others.
+ * @param {Mp4Walk} walk - Walk state (mutated)
+ * @param {{ type: string, body: number, boxEnd: number }} box - Box header
+ * @param {number} depth - Nesting depth of the box
+ * @param {string|null} parent - Type of the enclosing box
+ */
+function readBox(walk, { type, body, boxEnd }, depth, parent) {
+    const { bytes, view, info } = walk;
+    if (type === 'ftyp') {
+        info.brand = fourcc(bytes, body).trim();
+    } else if (type === 'trak') {
+        walk.track = { type: 'other', codec: '' };
+        walkBoxes(walk, body, boxEnd, depth + 1, type);
+        if (walk.track.codec || walk.track.type !== 'other') info.tracks.push(walk.track);
+        walk.track = null;
+    } else if (type === 'mvhd') {
+        readMvhd(view, body, info);
+    } else if (type === 'tkhd' && walk.track) {
+        readTkhd(view, body, boxEnd, walk.track);
+    } else if (type === 'hdlr' && walk.track && parent === 'mdia') {
+        walk.track.type = MP4_HANDLERS[fourcc(bytes, body + 8)] ?? 'other';
+    } else if (type === 'stsd' && walk.track) {
+        readStsd(view, bytes, body, boxEnd, walk.track);
+    } else if (type === 'meta') {
+        // Full box: version and flags precede the children (QuickTime omits them)
+        const skip = fourcc(bytes, body + 4) === 'hdlr' ? 0 : 4;
+        if (depth < MAX_DEPTH) walkBoxes(walk, body + skip, boxEnd, depth + 1, type);
+    } else if (parent === 'ilst') {
+        readIlstItem(view, bytes, type, body, boxEnd, info);
+    } else if (parent === 'udta' && type.charCodeAt(0) === 0xa9) {
+        readQuickTimeText(view, bytes, type, body, boxEnd, info);
+    } else if (MP4_CONTAINER_BOXES.has(type) && depth < MAX_DEPTH) {
+        walkBoxes(walk, body, boxEnd, depth + 1, type);
+    }
+}
+
+/**
+ * Reads the boxes between two offsets.
+ * @param {Mp4Walk} walk - Walk state (mutated)
+ * @param {number} start - First box offset
+ * @param {number} end - Parent end
+ * @param {number} depth - Nesting depth
+ * @param {string|null} parent - Type of the enclosing box
+ */
+function walkBoxes(walk, start, end, depth, parent) {
+    let offset = start;
+    while (offset + 8 <= end) {
+        const box = readBoxHeader(walk.view, walk.bytes, offset, end, walk.info);
+        readBox(walk, box, depth, parent);
+        offset = box.boxEnd;
+    }
+}
+
+/**
+ * Walks the boxes of an MP4 file.
+ * @param {Uint8Array} bytes - File contents
+ * @param {import('./video-container.js').VideoContainerInfo} info - Result being filled (mutated)
+ */
+export function parseMP4(bytes, info) {
+    info.container = 'mp4';
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    walkBoxes({ bytes, view, info, track: null }, 0, bytes.length, 0, null);
+}
+
+/**
+ * Reads the movie duration from mvhd.
+ * @param {DataView} view - File view
+ * @param {number} body - Box payload offset
+ * @param {import('./video-container.js').VideoContainerInfo} info - Result (mutated)
+ */
+function readMvhd(view, body, info) {
+    const version = view.getUint8(body);
+    const timescale = view.getUint32(body + (version === 1 ? 20 : 12));
+    const duration = version === 1 ? Number(view.getBigUint64(body + 24)) : view.getUint32(body + 16);
+    if (timescale > 0) info.durationSec = duration / timescale;
+}
+
+/**
+ * Reads a track's presentation size from tkhd (16.16 fixed point).
+ * @param {DataView} view - File view
+ * @param {number} body - Box payload offset
+ * @param {number} end - Box end offset
+ * @param {import('./video-container.js').VideoTrack} track - Track (mutated)
+ */
+function readTkhd(view, body, end, track) {
+    const at = body + (view.getUint8(body) === 1 ? 88 : 76);
+    if (at + 8 > end) return;
+    const width = view.getUint32(at) >>> 16;
+    const height = view.getUint32(at + 4) >>> 16;
+    if (width && height) {
+        track.width = width;
+        track.height = height;
+    }
+}
+
+/**
+ * Reads the first sample entry of stsd: the codec fourcc and, for
+ * visual / audio entries, the coded size or sampling details.
+ * @param {DataView} view - File view
+ * @param {Uint8Array} bytes - File contents
+ * @param {number} body - Box payload offset
+ * @param {number} end - Box end offset
+ * @param {import('./video-container.js').VideoTrack} track - Track (mutated)
+ */
+function readStsd(view, bytes, body, end, track) {
+    const entry = body + 8;
+    if (entry + 8 > end) return;
+    track.codec = fourcc(bytes, entry + 4).trim();
+    if (track.type === 'video' && !track.width && entry + 36 <= end) {
+        track.width = view.getUint16(entry + 32);
+        track.height = view.getUint16(entry + 34);
+    } else if (track.type === 'audio' && entry + 36 <= end) {
+        track.channels = view.getUint16(entry + 24);
+        track.sampleRate = view.getUint32(entry + 32) >>> 16;
+    }
+}
+
+/**
+ * Reads an iTunes-style metadata item (a child of ilst holding a data box).
+ * Only text values (type 1, UTF-8) are kept; binary ones are noted by size.
+ * @param {DataView} view - File view
+ * @param {Uint8Array} bytes - File contents
+ * @param {string} key - Item box type (e.g. "©nam")
+ * @param {number} body - Item payload offset
+ * @param {number} end - Item end offset
+ * @param {import('./video-container.js').VideoContainerInfo} info - Result (mutated)
+ */
+function readIlstItem(view, bytes, key, body, end, info) {
+    let offset = body;
+    while (offset + 16 <= end) {
+        const size = view.getUint32(offset);
+        if (size < 16 || offset + size > end) return;
+        if (fourcc(bytes, offset + 4) === 'data') {
+            const dataType = view.getUint32(offset + 8) & 0xffffff;
+            const value = bytes.subarray(offset + 16, offset + size);
+            info.tags.push({ key, value: dataType === 1 ? utf8(value) : `(${value.length} bytes of binary data)` });
+        }
+        offset += size;
+    }
+}
+
+/**
+ * Reads a QuickTime user-data text item (©xyz, ©day, …): one or more
+ * length-prefixed strings with a language code.
+ * @param {DataView} view - File view
+ * @param {Uint8Array} bytes - File contents
+ * @param {string} key - Item box type
+ * @param {number} body - Item payload offset
+ * @param {number} end - Item end offset
+ * @param {import('./video-container.js').VideoContainerInfo} info - Result (mutated)
+ */
+function readQuickTimeText(view, bytes, key, body, end, info) {
+    if (body + 4 > end) return;
+    const length = view.getUint16(body);
+    const text = bytes.subarray(body + 4, Math.min(body + 4 + length, end));
+    info.tags.push({ key, value: utf8(text) });
+}
@@ -0,0 +1,247 @@
+/**
+ * @module multibase
+ * @description Multibase and unsigned-varint codecs used by IPFS CIDs.
+ * Decodes/encodes the base58btc, base36, base32, base16 and base64
+ * families identified by a one-character multibase prefix.
+ */
+
+/** @type {string} Bitcoin base58 alphabet */
+const BASE58_BTC = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+/** @type {string} Lowercase base36 alphabet */
+const BASE36 = '0123456789abcdefghijklmnopqrstuvwxyz';
+
+/** @type {string} RFC 4648 base32 alphabet (lowercase) */
+const BASE32 = 'abcdefghijklmnopqrstuvwxyz234567';
+
+/** @type {string} RFC 4648 base64 alphabet */
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/** @type {string} RFC 4648 base64url alphabet */
+const BASE64URL = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+/**
+ * Multibase prefixes we understand.
+ * `caseInsensitive` codecs are lowercased before decoding.
+ * @type {Object<string, { name: string, kind: 'basex'|'rfc4648', alphabet: string, bits?: number, caseInsensitive?: boolean }>}
+ */
+const MULTIBASES = {
+    z: { name: 'base58btc', kind: 'basex', alphabet: BASE58_BTC },
+    k: { name: 'base36', kind: 'basex', alphabet: BASE36, caseInsensitive: true },
+    K: { name: 'base36upper', kind: 'basex', alphabet: BASE36, caseInsensitive: true },
+    b: { name: 'base32', kind: 'rfc4648', alphabet: BASE32, bits: 5, caseInsensitive: true },
+    B: { name: 'base32upper', kind: 'rfc4648', alphabet: BASE32, bits: 5, caseInsensitive: true },
+    c: { name: 'base32pad', kind: 'rfc4648', alphabet: BASE32, bits: 5, caseInsensitive: true },
+    C: { name: 'base32padupper', kind: 'rfc4648', alphabet: BASE32, bits: 5, caseInsensitive: true },
+    f: { name: 'base16', kind: 'rfc4648', alphabet: '0123456789abcdef', bits: 4, caseInsensitive: true },
+    F: { name: 'base16upper', kind: 'rfc4648', alphabet: '0123456789abcdef', bits: 4, caseInsensitive: true },
+    m: { name: 'base64', kind: 'rfc4648', alphabet: BASE64, bits: 6 },
+    M: { name: 'base64pad', kind: 'rfc4648', alphabet: BASE64, bits: 6 },
+    u: { name: 'base64url', kind: 'rfc4648', alphabet: BASE64URL, bits: 6 },
+    U: { name: 'base64urlpad', kind: 'rfc4648', alphabet: BASE64URL, bits: 6 },
+};
+
+/**
+ * Decodes a base-x (leading-zero preserving) string such as base58btc.
+ * @param {string} text - Encoded text
+ * @param {string} alphabet - Codec alphabet
+ * @returns {Uint8Array} Decoded bytes
+ * @throws {Error} On characters outside the alphabet
+ */
+function decodeBaseX(text, alphabet) {
+    const base = alphabet.length;
+    let zeros = 0;
+    while (zeros < text.length && text[zeros] === alphabet[0]) zeros++;
+
+    const bytes = []; // little-endian while accumulating
+    for (let i = zeros; i < text.length; i++) {
+        let carry = alphabet.indexOf(text[i]);
+        if (carry < 0) throw new Error(`Invalid character "${text[i]}"`);
+        for (let j = 0; j < bytes.length; j++) {
+            carry += bytes[j] * base;
+            bytes[j] = carry & 0xff;
+            carry >>= 8;
+        }
+        while (carry > 0) {
+            bytes.push(carry & 0xff);
+            carry >>= 8;
+        }
+    }
+    // Each leading "zero" character encodes one leading zero byte
+    return Uint8Array.from([...new Array(zeros).fill(0), ...bytes.reverse()]);
+}
+
+/**
+ * Encodes bytes with a base-x alphabet such as base58btc.
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @param {string} alphabet - Codec alphabet
+ * @returns {string} Encoded text
+ */
+function encodeBaseX(bytes, alphabet) {
+    const base = alphabet.length;
+    let zeros = 0;
+    while (zeros < bytes.length && bytes[zeros] === 0) zeros++;
+
+    const digits = []; // little-endian while accumulating
+    for (let i = zeros; i < bytes.length; i++) {
+        let carry = bytes[i];
+        for (let j = 0; j < digits.length; j++) {
+            carry += digits[j] * 256;
+            digits[j] = carry % base;
+            carry = Math.floor(carry / base);
+        }
+        while (carry > 0) {
+            digits.push(carry % base);
+            carry = Math.floor(carry / base);
+        }
+    }
+    return alphabet[0].repeat(zeros) + digits.reverse().map((d) => alphabet[d]).join('');
+}
+
+/**
+ * Decodes an RFC 4648 string (base16/32/64 families), ignoring padding.
+ * @param {string} text - Encoded text
+ * @param {string} alphabet - Codec alphabet
+ * @param {number} bits - Bits per character
+ * @returns {Uint8Array} Decoded bytes
+ * @throws {Error} On characters outside the alphabet or non-zero trailing bits
+ */
+function decodeRfc4648(text, alphabet, bits) {
+    const clean = text.replace(/=+$/, '');
+    const out = [];
+    let buffer = 0;
+    let count = 0;
+    for (const ch of clean) {
+        const value = alphabet.indexOf(ch);
+        if (value < 0) throw new Error(`Invalid character "${ch}"`);
+        buffer = (buffer << bits) | value;
+        count += bits;
+        if (count >= 8) {
+            count -= 8;
+            out.push((buffer >> count) & 0xff);
+        }
+    }
+    if (count >= bits || (buffer & ((1 << count) - 1)) !== 0) {
+        throw new Error('Invalid trailing bits');
+    }
+    return Uint8Array.from(out);
+}
+
+/**
+ * Encodes bytes with an RFC 4648 alphabet, without padding.
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @param {string} alphabet - Codec alphabet
+ * @param {number} bits - Bits per character
+ * @returns {string} Encoded text
+ */
+function encodeRfc4648(bytes, alphabet, bits) {
+    let out = '';
+    let buffer = 0;
+    let count = 0;
+    const mask = (1 << bits) - 1;
+    for (const byte of bytes) {
+        buffer = (buffer << 8) | byte;
+        count += 8;
+        while (count >= bits) {
+            count -= bits;
+            out += alphabet[(buffer >> count) & mask];
+        }
+    }
+    if (count > 0) out += alphabet[(buffer << (bits - count)) & mask];
+    return out;
+}
+
+/**
+ * Decodes a multibase string using its prefix character.
+ * @param {string} text - Multibase-prefixed text
+ * @returns {{ name: string, prefix: string, bytes: Uint8Array }} Codec used and decoded bytes
+ * @throws {Error} If the prefix is unknown or the payload is invalid for the codec
+ */
+export function decodeMultibase(text) {
+    if (typeof text !== 'string' || text.length < 2) {
+        throw new Error('Multibase string is too short');
+    }
+    const prefix = text[0];
+    const codec = MULTIBASES[prefix];
+    if (!codec) {
+        throw new Error(`Unsupported multibase prefix "${prefix}"`);
+    }
+    let body = text.slice(1);
+    if (codec.caseInsensitive) body = body.toLowerCase();
+    const bytes = codec.kind === 'basex'
+        ? decodeBaseX(body, codec.alphabet)
+        : decodeRfc4648(body, codec.alphabet, codec.bits);
+    return { name: codec.name, prefix, bytes };
+}
+
+/**
+ * Encodes bytes as a multibase string.
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @param {'z'|'k'|'b'|'f'|'m'|'u'} [prefix='b'] - Multibase prefix (lowercase codecs only)
+ * @returns {string} Multibase-prefixed text
+ */
+export function encodeMultibase(bytes, prefix = 'b') {
+    const codec = MULTIBASES[prefix];
+    if (!codec) {
+        throw new Error(`Unsupported multibase prefix "${prefix}"`);
+    }
+    const body = codec.kind === 'basex'
+        ? encodeBaseX(bytes, codec.alphabet)
+        : encodeRfc4648(bytes, codec.alphabet, codec.bits);
+    return prefix + body;
+}
+
+/**
+ * Decodes base58btc text without a multibase prefix (CIDv0 form).
+ * @param {string} text - base58btc text
+ * @returns {Uint8Array} Decoded bytes
+ */
+export function decodeBase58btc(text) {
+    return decodeBaseX(text, BASE58_BTC);
+}
+
+/**
+ * Encodes bytes as base58btc text without a multibase prefix.
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} base58btc text
+ */
+export function encodeBase58btc(bytes) {
+    return encodeBaseX(bytes, BASE58_BTC);
+}
+
+/**
+ * Reads an unsigned LEB128 varint (as used by multiformats).
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} [offset=0] - Position to start reading
+ * @returns {{ value: number, length: number }} Decoded value and bytes consumed
+ * @throws {Error} If the varint is truncated or longer than 9 bytes
+ */
+export function readVarint(bytes, offset = 0) {
+    let value = 0;
+    let shift = 0;
+    for (let i = offset; i < bytes.length && i - offset < 9; i++) {
+        const byte = bytes[i];
+        value += (byte & 0x7f) * 2 ** shift;
+        shift += 7;
+        if ((byte & 0x80) === 0) {
+            return { value, length: i - offset + 1 };
+        }
+    }
+    throw new Error('Truncated or oversized varint');
+}
+
+/**
+ * Encodes an unsigned LEB128 varint.
+ * @param {number} value - Non-negative integer
+ * @returns {number[]} Encoded bytes
+ */
+export function encodeVarint(value) {
+    const out = [];
+    let n = value;
+    while (n >= 0x80) {
+        out.push((n % 0x80) | 0x80);
+        n = Math.floor(n / 0x80);
+    }
+    out.push(n);
+    return out;
+}
@@ -0,0 +1,279 @@
+/**
+ * @module proxy-config
+ * @description Registry of CORS proxy adapters and the persisted list of
+ * proxies the user has enabled. An adapter describes how a proxy is
+ * addressed — a URL template whose {url} placeholder receives the encoded
+ * target — and how it wraps the target's response (its envelope). No proxy
+ * is used until the user adds one: every URL sent through a proxy is
+ * visible to its operator, and the VirusTotal API key only goes to proxies
+ * the user has explicitly allowed to carry it.
+ */
+
+import { classifyIPAddress } from './ip-classifier.js';
+import { isLoopbackHost } from './gateway-config.js';
+
+/** @type {string} localStorage key for the proxy configuration */
+const PROXY_CONFIG_KEY = 'nft-scanner-proxy-config';
+
+/** @type {number} Upper bound on configured proxies (each one is tried in turn) */
+const MAX_PROXIES = 5;
+
+/** @type {string} Placeholder for the URL-encoded target in a proxy template */
+export const TARGET_PLACEHOLDER = '{url}';
+
+/**
+ * @typedef {'raw'|'allorigins-json'} ProxyEnvelope
+ * raw: the body and Content-Type are the target's own.
+ * allorigins-json: JSON { contents, status: { http_code, content_type } }.
+ */
+
+/**
+ * @typedef {Object} ProxyAdapter
+ * @property {string} name - Display name
+ * @property {string} template - Default URL template (contains {url})
+ * @property {ProxyEnvelope} envelope - How the target's response is wrapped
+ * @property {boolean} forwardsHeaders - Whether request headers reach the target (needed for the API key)
+ * @property {boolean} editable - Whether the user supplies the template (self-hosted / custom)
+ * @property {boolean} selfHosted - Run by the user (may listen on a loopback address)
+ */
+
+/** @type {Object<string, ProxyAdapter>} Known proxy adapters, keyed by id */
+export const PROXY_ADAPTERS = {
+    'self-hosted': {
+        name: 'Self-hosted proxy',
+        template: 'http://127.0.0.1:8787/?url={url}',
+        envelope: 'raw',
+        forwardsHeaders: true,
+        editable: true,
+        selfHosted: true,
+    },
+    'allorigins': {
+        name: 'allorigins.win',
+        template: 'https://api.allorigins.win/get?url={url}',
+        envelope: 'allorigins-json',
+        forwardsHeaders: false,
+        editable: false,
+        selfHosted: false,
+    },
+    'corsproxy-org': {
+        name: 'corsproxy.org',
+        template: 'https://corsproxy.org/?{url}',
+        envelope: 'raw',
+        forwardsHeaders: false,
+        editable: false,
+        selfHosted: false,
+    },
+    'corsproxy-io': {
+        name: 'corsproxy.io',
+        template: 'https://corsproxy.io/?{url}',
+        envelope: 'raw',
+        forwardsHeaders: true,
+        editable: false,
+        selfHosted: false,
+    },
+    'custom': {
+        name: 'Custom proxy',
+        template: 'https://proxy.example.com/?url={url}',
+        envelope: 'raw',
+        forwardsHeaders: false,
+        editable: true,
+        selfHosted: false,
+    },
+};
+
+/**
+ * @typedef {Object} ProxyEntry
+ * @property {string} adapter - Adapter id (key of PROXY_ADAPTERS)
+ * @property {string} url - URL template (contains {url})
+ * @property {boolean} apiKey - Whether the VirusTotal API key may be sent through it
+ */
+
+/**
+ * @typedef {ProxyEntry & ProxyAdapter} Proxy
+ * A configured proxy merged with its adapter description.
+ */
+
+/**
+ * @typedef {Object} ProxyConfigResult
+ * @property {boolean} success - Whether the change was applied
+ * @property {string} [error] - Why it was refused (when success === false)
+ * @property {{ proxies: ProxyEntry[] }} config - Configuration after the call
+ */
+
+/** @type {{ proxies: ProxyEntry[] }|null} Parsed config, cached until the next save */
+let cachedConfig = null;
+
+/**
+ * Validates a proxy entry. Fixed-template adapters always use their own
+ * template; editable ones must be HTTPS on a public host, except that a
+ * self-hosted proxy may also listen on this machine over plain HTTP.
+ * @param {{ adapter: string, url?: string, apiKey?: boolean }} input - Entry as entered
+ * @returns {{ valid: boolean, entry?: ProxyEntry, reason?: string }} Normalised entry or reason
+ */
+export function normalizeProxyEntry(input) {
+    const adapter = PROXY_ADAPTERS[input?.adapter];
+    if (!adapter) {
+        return { valid: false, reason: 'Unknown proxy type' };
+    }
+
+    const template = adapter.editable ? String(input.url ?? '').trim() : adapter.template;
+    if (template.split(TARGET_PLACEHOLDER).length !== 2) {
+        return { valid: false, reason: `The proxy URL must contain ${TARGET_PLACEHOLDER} exactly once, where the target URL goes` };
+    }
+    let urlObj;
+    try {
+        urlObj = new URL(template.replace(TARGET_PLACEHOLDER, 'target'));
+    } catch {
+        return { valid: false, reason: 'Enter a full proxy URL, e.g. https://proxy.example.com/?url={url}' };
+    }
+    if (urlObj.username || urlObj.password || urlObj.hash) {
+        return { valid: false, reason: 'Proxy URLs must not contain credentials or a fragment' };
+    }
+
+    const loopback = isLoopbackHost(urlObj.hostname);
+    if (loopback && !adapter.selfHosted) {
+        return { valid: false, reason: 'Proxies on this machine must be added as a self-hosted proxy' };
+    }
+    if (!loopback) {
+        if (urlObj.protocol !== 'https:') {
+            return { valid: false, reason: 'Proxies must use HTTPS unless they run on this machine' };
+        }
+        const host = urlObj.hostname.toLowerCase().replace(/\.$/, '');
+        if (host.endsWith('.localhost') || classifyIPAddress(host).reserved) {
+            return { valid: false, reason: 'Proxies on private addresses are not allowed' };
+        }
+    } else if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') {
+        return { valid: false, reason: 'Proxy must use http:// or https://' };
+    }
+
+    if (input.apiKey && !adapter.forwardsHeaders) {
+        return { valid: false, reason: `${adapter.name} does not forward request headers, so it cannot carry the API key` };
+    }
+
+    return { valid: true, entry: { adapter: input.adapter, url: template, apiKey: Boolean(input.apiKey) } };
+}
+
+/**
+ * Reads the proxy configuration. Missing or corrupt stored values give an
+ * empty list (no proxies).
+ * @returns {{ proxies: ProxyEntry[] }} Current configuration
+ */
+export function getProxyConfig() {
+    if (cachedConfig) {
+        return { proxies: cachedConfig.proxies.map((p) => ({ ...p })) };
+    }
+
+    let stored = null;
+    try {
+        const raw = localStorage.getItem(PROXY_CONFIG_KEY);
+        stored = raw ? JSON.parse(raw) : null;
+    } catch {
+        stored = null;
+    }
+
+    const proxies = [];
+    for (const item of Array.isArray(stored?.proxies) ? stored.proxies : []) {
+        const check = normalizeProxyEntry(item);
+        if (check.valid && !proxies.some((p) => p.url === check.entry.url)) proxies.push(check.entry);
+    }
+
+    cachedConfig = { proxies: proxies.slice(0, MAX_PROXIES) };
+    return { proxies: cachedConfig.proxies.map((p) => ({ ...p })) };
+}
+
+/**
+ * Returns the enabled proxies, in the order they are tried, merged with
+ * their adapter descriptions.
+ * @returns {Proxy[]} Configured proxies
+ */
+export function getProxies() {
+    return getProxyConfig().proxies.map((entry) => ({ ...PROXY_ADAPTERS[entry.adapter], ...entry }));
+}
+
+/**
+ * Returns the proxies allowed to carry the VirusTotal API key.
+ * @returns {Proxy[]} Proxies with the API key opt-in
+ */
+export function getApiKeyProxies() {
+    return getProxies().filter((p) => p.apiKey);
+}
+
+/**
+ * Persists a configuration.
+ * @param {{ proxies: ProxyEntry[] }} config - Configuration to save
+ * @returns {ProxyConfigResult} Outcome
+ */
+function saveProxyConfig(config) {
+    try {
+        localStorage.setItem(PROXY_CONFIG_KEY, JSON.stringify(config));
+    } catch {
+        return { success: false, error: 'Could not save proxy settings (browser storage unavailable)', config: getProxyConfig() };
+    }
+    cachedConfig = { proxies: config.proxies.map((p) => ({ ...p })) };
+    return { success: true, config: getProxyConfig() };
+}
+
+/**
+ * Appends a proxy to the list.
+ * @param {{ adapter: string, url?: string, apiKey?: boolean }} input - Entry as entered
+ * @returns {ProxyConfigResult} Outcome
+ */
+export function addProxy(input) {
+    const config = getProxyConfig();
+    const check = normalizeProxyEntry(input);
+    if (!check.valid) {
+        return { success: false, error: check.reason, config };
+    }
+    if (config.proxies.some((p) => p.url === check.entry.url)) {
+        return { success: false, error: 'That proxy is already in the list', config };
+    }
+    if (config.proxies.length >= MAX_PROXIES) {
+        return { success: false, error: `At most ${MAX_PROXIES} proxies can be configured`, config };
+    }
+    return saveProxyConfig({ proxies: [...config.proxies, check.entry] });
+}
+
+/**
+ * Removes a proxy.
+ * @param {string} url - Template of the proxy to remove
+ * @returns {ProxyConfigResult} Outcome
+ */
+export function removeProxy(url) {
+    const config = getProxyConfig();
+    if (!config.proxies.some((p) => p.url === url)) {
+        return { success: false, error: 'Proxy not found', config };
+    }
+    return saveProxyConfig({ proxies: config.proxies.filter((p) => p.url !== url) });
+}
+
+/**
+ * Moves a proxy up or down the list.
+ * @param {string} url - Template of the proxy to move
+ * @param {number} offset - -1 to move up, 1 to move down
+ * @returns {ProxyConfigResult} Outcome
+ */
+export function moveProxy(url, offset) {
+    const config = getProxyConfig();
+    const from = config.proxies.findIndex((p) => p.url === url);
+    const to = from + offset;
+    if (from === -1 || to < 0 || to >= config.proxies.length) {
+        return { success: false, error: 'Proxy cannot be moved further', config };
+    }
+    const proxies = [...config.proxies];
+    proxies.splice(to, 0, proxies.splice(from, 1)[0]);
+    return saveProxyConfig({ proxies });
+}
+
+/**
+ * Removes every proxy.
+ * @returns {ProxyConfigResult} Outcome
+ */
+export function resetProxyConfig() {
+    try {
+        localStorage.removeItem(PROXY_CONFIG_KEY);
+    } catch {
+        // Nothing persisted to remove
+    }
+    cachedConfig = null;
+    return { success: true, config: getProxyConfig() };
+}
@@ -0,0 +1,120 @@
+/**
+ * @module punycode
+ * @description Punycode (RFC 3492) decoding for IDN hostnames.
+ * Browsers hand us hostnames in ASCII (xn--) form; decoding them is the
+ * only way to see which characters a look-alike domain is really using.
+ */
+
+const BASE = 36;
+const T_MIN = 1;
+const T_MAX = 26;
+const SKEW = 38;
+const DAMP = 700;
+const INITIAL_BIAS = 72;
+const INITIAL_N = 128;
+
+/** @type {string} ACE prefix that marks a punycode label */
+const ACE_PREFIX = 'xn--';
+
+/**
+ * Converts a basic code point to its digit value.
+ * @param {number} cp - Code point
+ * @returns {number} Digit value, or BASE if not a digit
+ */
+function digitValue(cp) {
+    if (cp >= 0x30 && cp <= 0x39) return cp - 22; // 0-9 → 26-35
+    if (cp >= 0x41 && cp <= 0x5a) return cp - 0x41; // A-Z → 0-25
+    if (cp >= 0x61 && cp <= 0x7a) return cp - 0x61; // a-z → 0-25
+    return BASE;
+}
+
+/**
+ * Bias adaptation function from RFC 3492 §6.1.
+ * @param {number} delta
+ * @param {number} numPoints
+ * @param {boolean} firstTime
+ * @returns {number} New bias
+ */
+function adapt(delta, numPoints, firstTime) {
+    let d = firstTime ? Math.floor(delta / DAMP) : delta >> 1;
+    d += Math.floor(d / numPoints);
+    let k = 0;
+    while (d > ((BASE - T_MIN) * T_MAX) >> 1) {
+        d = Math.floor(d / (BASE - T_MIN));
+        k += BASE;
+    }
+    return k + Math.floor(((BASE - T_MIN + 1) * d) / (d + SKEW));
+}
+
+/**
+ * Decodes a punycode string (without the xn-- prefix) to Unicode.
+ * @param {string} input - Punycode-encoded label body
+ * @returns {string} Decoded Unicode string
+ * @throws {Error} If the input is not valid punycode
+ */
+export function decodePunycode(input) {
+    const output = [];
+    const delimiter = input.lastIndexOf('-');
+    const basicEnd = delimiter < 0 ? 0 : delimiter;
+
+    for (let j = 0; j < basicEnd; j++) {
+        const cp = input.charCodeAt(j);
+        if (cp >= 0x80) throw new Error('Invalid punycode: non-basic code point');
+        output.push(cp);
+    }
+
+    let n = INITIAL_N;
+    let bias = INITIAL_BIAS;
+    let i = 0;
+    let index = basicEnd > 0 ? basicEnd + 1 : 0;
+
+    while (index < input.length) {
+        const oldi = i;
+        let w = 1;
+        for (let k = BASE; ; k += BASE) {
+            if (index >= input.length) throw new Error('Invalid punycode: truncated input');
+            const digit = digitValue(input.charCodeAt(index++));
+            if (digit >= BASE) throw new Error('Invalid punycode: bad digit');
+            i += digit * w;
+            if (i > 0x7fffffff) throw new Error('Invalid punycode: overflow');
+            const t = k <= bias ? T_MIN : (k >= bias + T_MAX ? T_MAX : k - bias);
+            if (digit < t) break;
+            w *= BASE - t;
+        }
+        const length = output.length + 1;
+        bias = adapt(i - oldi, length, oldi === 0);
+        n += Math.floor(i / length);
+        i %= length;
+        if (n > 0x10ffff) throw new Error('Invalid punycode: code point out of range');
+        output.splice(i, 0, n);
+        i++;
+    }
+
+    return String.fromCodePoint(...output);
+}
+
+/**
+ * Decodes every xn-- label of a hostname to Unicode.
+ * Labels that fail to decode are returned unchanged and reported.
+ * @param {string} hostname - ASCII hostname
+ * @returns {{ unicode: string, labels: string[], punycodeLabels: number[], invalidLabels: number[] }}
+ *   Decoded hostname, its labels, and indexes of punycode / undecodable labels
+ */
+export function toUnicodeHostname(hostname) {
+    const asciiLabels = String(hostname || '').toLowerCase().split('.');
+    const punycodeLabels = [];
+    const invalidLabels = [];
+
+    const labels = asciiLabels.map((label, idx) => {
+        if (!label.startsWith(ACE_PREFIX)) return label;
+        punycodeLabels.push(idx);
+        try {
+            return decodePunycode(label.slice(ACE_PREFIX.length));
+        } catch {
+            invalidLabels.push(idx);
+            return label;
+        }
+    });
+
+    return { unicode: labels.join('.'), labels, punycodeLabels, invalidLabels };
+}
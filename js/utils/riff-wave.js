@@ -0,0 +1,91 @@
+/**
+ * @module riff-wave
+ * @description Walks the chunks of a RIFF WAVE file for audio-tags.js:
+ * the fmt chunk's codec, channels and sample rate, the duration the data
+ * chunk gives at that byte rate, LIST/INFO text tags and an embedded id3
+ * chunk (read by id3-tags.js).
+ */
+
+import { id3v2Length, parseID3v2 } from './id3-tags.js';
+
+/** @type {number} Longest tag value kept (characters) */
+const MAX_TAG_LENGTH = 4096;
+
+/**
+ * Decodes bytes, dropping NUL padding.
+ * @param {Uint8Array} bytes - Bytes
+ * @param {string} encoding - TextDecoder label
+ * @returns {string} Text, cut to MAX_TAG_LENGTH
+ */
+function decodeText(bytes, encoding = 'utf-8') {
+    return new TextDecoder(encoding).decode(bytes).replace(/\0+$/, '').slice(0, MAX_TAG_LENGTH);
+}
+
+/**
+ * Reads a little-endian 32-bit unsigned integer.
+ * @param {Uint8Array} bytes - Bytes
+ * @param {number} offset - Start
+ * @returns {number} Value
+ */
+function readUint32LE(bytes, offset) {
+    if (offset + 4 > bytes.length) throw new Error(`Truncated field at ${offset}`);
+    return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+}
+
+/**
+ * Reads four bytes as a latin-1 code.
+ * @param {Uint8Array} bytes - Bytes
+ * @param {number} offset - Start
+ * @returns {string} Four-character code
+ */
+function fourcc(bytes, offset) {
+    return String.fromCharCode(...bytes.subarray(offset, offset + 4));
+}
+
+/**
+ * Records a partial-read error without overwriting the first one.
+ * @param {import('./audio-tags.js').AudioTagInfo} info - Result (mutated)
+ * @param {string} message - Error message
+ */
+function noteError(info, message) {
+    info.error ??= message;
+}
+
+/**
+ * Walks the chunks of a RIFF WAVE file: fmt, data, LIST/INFO and id3.
+ * @param {Uint8Array} bytes - File contents
+ * @param {import('./audio-tags.js').AudioTagInfo} info - Result (mutated)
+ */
+export function parseWav(bytes, info) {
+    let byteRate = 0;
+    let pos = 12;
+    while (pos + 8 <= bytes.length) {
+        const id = fourcc(bytes, pos);
+        const size = readUint32LE(bytes, pos + 4);
+        const body = pos + 8;
+        const end = Math.min(body + size, bytes.length);
+        if (body + size > bytes.length && id !== 'data') noteError(info, `RIFF chunk ${id.trim()} runs past the end of the file`);
+
+        if (id === 'fmt ' && end - body >= 16) {
+            const format = bytes[body] | (bytes[body + 1] << 8);
+            info.codec = format === 1 ? 'pcm' : format === 3 ? 'float' : `format 0x${format.toString(16)}`;
+            info.channels = bytes[body + 2] | (bytes[body + 3] << 8);
+            info.sampleRate = readUint32LE(bytes, body + 4);
+            byteRate = readUint32LE(bytes, body + 8);
+        } else if (id === 'data' && byteRate > 0) {
+            info.durationSec = size / byteRate;
+        } else if (id === 'LIST' && fourcc(bytes, body) === 'INFO') {
+            info.tagFormats.push('RIFF INFO');
+            let sub = body + 4;
+            while (sub + 8 <= end) {
+                const key = fourcc(bytes, sub);
+                const length = readUint32LE(bytes, sub + 4);
+                info.tags.push({ key, value: decodeText(bytes.subarray(sub + 8, Math.min(sub + 8 + length, end)), 'latin1') });
+                sub += 8 + length + (length & 1);
+            }
+        } else if ((id === 'id3 ' || id === 'ID3 ') && id3v2Length(bytes, body)) {
+            parseID3v2(bytes, body, info);
+        }
+        pos = body + size + (size & 1);
+    }
+}
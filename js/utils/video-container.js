@@ -0,0 +1,83 @@
+/**
+ * @module video-container
+ * @description Reads the container headers of MP4 (ISO BMFF / QuickTime)
+ * and WebM (Matroska / EBML) files: duration, tracks with their codecs and
+ * dimensions, and the free-text metadata the container carries (iTunes-style
+ * ilst items, QuickTime ©xyz user data, Matroska tags, titles, muxing apps
+ * and attachments). Media data (mdat, Clusters) is skipped, never decoded.
+ *
+ * The box walk is in mp4-boxes.js and the element walk in matroska-ebml.js.
+ * Every read is bounds-checked against the buffer. A box or element that
+ * runs past its parent (a truncated file) is read up to where the data
+ * ends and the error recorded; anything unreadable stops the parse with
+ * whatever was read so far.
+ */
+
+import { parseMP4 } from './mp4-boxes.js';
+import { parseEBML } from './matroska-ebml.js';
+
+/**
+ * @typedef {Object} VideoTrack
+ * @property {'video'|'audio'|'subtitle'|'other'} type - Track type
+ * @property {string} codec - Codec identifier (MP4 sample entry fourcc or Matroska CodecID)
+ * @property {number} [width] - Frame width in pixels (video tracks)
+ * @property {number} [height] - Frame height in pixels (video tracks)
+ * @property {number} [sampleRate] - Sampling rate in Hz (audio tracks)
+ * @property {number} [channels] - Channel count (audio tracks)
+ */
+
+/**
+ * @typedef {Object} VideoTag
+ * @property {string} key - Tag name as stored (e.g. "©nam", "TITLE", "WritingApp")
+ * @property {string} value - Tag text
+ */
+
+/**
+ * @typedef {Object} VideoContainerInfo
+ * @property {'mp4'|'webm'|'matroska'|null} container - Container format, null if unrecognised
+ * @property {string} [brand] - MP4 major brand, or EBML DocType
+ * @property {number|null} durationSec - Duration in seconds, if declared
+ * @property {VideoTrack[]} tracks - Tracks in file order
+ * @property {VideoTag[]} tags - Free-text metadata
+ * @property {Array<{ name: string, mimeType: string, size: number }>} attachments - Matroska attached files
+ * @property {string} [error] - Why parsing stopped early
+ */
+
+/**
+ * Reads four bytes as a latin-1 fourcc.
+ * @param {Uint8Array} bytes - Buffer
+ * @param {number} offset - Start offset
+ * @returns {string} Four-character code
+ */
+function fourcc(bytes, offset) {
+    return String.fromCharCode(...bytes.subarray(offset, offset + 4));
+}
+
+/**
+ * Identifies the container from the first bytes.
+ * @param {Uint8Array} bytes - File contents
+ * @returns {'mp4'|'ebml'|null} Container family
+ */
+export function detectVideoContainer(bytes) {
+    if (bytes.length >= 12 && fourcc(bytes, 4) === 'ftyp') return 'mp4';
+    if (bytes.length >= 4 && bytes[0] === 0x1a && bytes[1] === 0x45 && bytes[2] === 0xdf && bytes[3] === 0xa3) return 'ebml';
+    return null;
+}
+
+/**
+ * Parses the container headers of an MP4 or WebM file.
+ * @param {Uint8Array} bytes - File contents
+ * @returns {VideoContainerInfo} Container details
+ */
+export function parseVideoContainer(bytes) {
+    const family = detectVideoContainer(bytes);
+    const info = { container: null, durationSec: null, tracks: [], tags: [], attachments: [] };
+    try {
+        if (family === 'mp4') parseMP4(bytes, info);
+        else if (family === 'ebml') parseEBML(bytes, info);
+        else info.error = 'Not an MP4 or WebM file';
+    } catch (err) {
+        info.error = err.message;
+    }
+    return info;
+}
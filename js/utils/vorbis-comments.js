@@ -0,0 +1,247 @@
+/**
+ * @module vorbis-comments
+ * @description Reads Vorbis comments for audio-tags.js, from FLAC
+ * metadata blocks and from the comment header of Ogg Vorbis and Ogg Opus
+ * streams, along with the stream details those headers give (sample rate,
+ * channels and, from STREAMINFO or the last Ogg granule position,
+ * duration). FLAC PICTURE blocks, METADATA_BLOCK_PICTURE and COVERART
+ * comments become artwork entries.
+ */
+
+/** @type {number} Longest tag value kept (characters) */
+const MAX_TAG_LENGTH = 4096;
+
+/**
+ * Decodes bytes, dropping NUL padding.
+ * @param {Uint8Array} bytes - Bytes
+ * @param {string} encoding - TextDecoder label
+ * @returns {string} Text, cut to MAX_TAG_LENGTH
+ */
+function decodeText(bytes, encoding = 'utf-8') {
+    return new TextDecoder(encoding).decode(bytes).replace(/\0+$/, '').slice(0, MAX_TAG_LENGTH);
+}
+
+/**
+ * Reads a big-endian unsigned integer.
+ * @param {Uint8Array} bytes - Bytes
+ * @param {number} offset - Start
+ * @param {number} length - Byte count (up to 4)
+ * @returns {number} Value
+ */
+function readUintBE(bytes, offset, length) {
+    let value = 0;
+    for (let i = 0; i < length; i++) value = value * 256 + (bytes[offset + i] ?? 0);
+    return value;
+}
+
+/**
+ * Reads a little-endian 32-bit unsigned integer.
+ * @param {Uint8Array} bytes - Bytes
+ * @param {number} offset - Start
+ * @returns {number} Value
+ */
+function readUint32LE(bytes, offset) {
+    if (offset + 4 > bytes.length) throw new Error(`Truncated field at ${offset}`);
+    return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+}
+
+/**
+ * Reads four bytes as a latin-1 code.
+ * @param {Uint8Array} bytes - Bytes
+ * @param {number} offset - Start
+ * @returns {string} Four-character code
+ */
+function fourcc(bytes, offset) {
+    return String.fromCharCode(...bytes.subarray(offset, offset + 4));
+}
+
+/**
+ * Records a partial-read error without overwriting the first one.
+ * @param {import('./audio-tags.js').AudioTagInfo} info - Result (mutated)
+ * @param {string} message - Error message
+ */
+function noteError(info, message) {
+    info.error ??= message;
+}
+
+/**
+ * Parses a Vorbis comment block (little-endian lengths).
+ * @param {Uint8Array} bytes - Block bytes, starting at the vendor length
+ * @param {import('./audio-tags.js').AudioTagInfo} info - Result (mutated)
+ */
+function parseVorbisComment(bytes, info) {
+    info.tagFormats.push('Vorbis comment');
+    let pos = 0;
+    const vendorLength = readUint32LE(bytes, pos);
+    info.tags.push({ key: 'vendor', value: decodeText(bytes.subarray(pos + 4, pos + 4 + vendorLength)) });
+    pos += 4 + vendorLength;
+    const count = readUint32LE(bytes, pos);
+    pos += 4;
+    for (let i = 0; i < count; i++) {
+        const length = readUint32LE(bytes, pos);
+        if (pos + 4 + length > bytes.length) {
+            noteError(info, 'Vorbis comment runs past its block');
+            return;
+        }
+        const field = new TextDecoder().decode(bytes.subarray(pos + 4, pos + 4 + length));
+        pos += 4 + length;
+        const eq = field.indexOf('=');
+        const key = (eq === -1 ? field : field.slice(0, eq)).toUpperCase();
+        const value = eq === -1 ? '' : field.slice(eq + 1);
+        if (key === 'METADATA_BLOCK_PICTURE' || key === 'COVERART') {
+            const decoded = decodeBase64(value);
+            if (!decoded) continue;
+            if (key === 'METADATA_BLOCK_PICTURE') parseFlacPicture(decoded, info);
+            else info.artwork.push({ mimeType: '', description: 'COVERART', pictureType: 3, size: decoded.length, bytes: decoded });
+        } else {
+            info.tags.push({ key, value: value.slice(0, MAX_TAG_LENGTH) });
+        }
+    }
+}
+
+/**
+ * Decodes base64 text.
+ * @param {string} text - Base64
+ * @returns {Uint8Array|null} Bytes, or null if invalid
+ */
+function decodeBase64(text) {
+    try {
+        return Uint8Array.from(atob(text.replace(/\s+/g, '')), (c) => c.charCodeAt(0));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Parses a FLAC PICTURE block (also the payload of METADATA_BLOCK_PICTURE).
+ * @param {Uint8Array} bytes - Block bytes
+ * @param {import('./audio-tags.js').AudioTagInfo} info - Result (mutated)
+ */
+function parseFlacPicture(bytes, info) {
+    const pictureType = readUintBE(bytes, 0, 4);
+    const mimeLength = readUintBE(bytes, 4, 4);
+    const mimeType = decodeText(bytes.subarray(8, 8 + mimeLength), 'latin1');
+    let pos = 8 + mimeLength;
+    const descLength = readUintBE(bytes, pos, 4);
+    const description = decodeText(bytes.subarray(pos + 4, pos + 4 + descLength));
+    pos += 4 + descLength + 16;
+    const dataLength = readUintBE(bytes, pos, 4);
+    const data = bytes.subarray(pos + 4, pos + 4 + dataLength);
+    if (data.length < dataLength) noteError(info, 'Picture runs past its block');
+    info.artwork.push({ mimeType, description, pictureType, size: data.length, bytes: data });
+}
+
+/**
+ * Walks the metadata blocks of a FLAC stream.
+ * @param {Uint8Array} bytes - File contents
+ * @param {number} offset - Offset of "fLaC"
+ * @param {import('./audio-tags.js').AudioTagInfo} info - Result (mutated)
+ */
+export function parseFlac(bytes, offset, info) {
+    let pos = offset + 4;
+    for (;;) {
+        if (pos + 4 > bytes.length) {
+            noteError(info, 'FLAC metadata runs past the end of the file');
+            return;
+        }
+        const header = bytes[pos];
+        const type = header & 0x7f;
+        const length = readUintBE(bytes, pos + 1, 3);
+        const block = bytes.subarray(pos + 4, pos + 4 + length);
+        if (type === 0 && block.length >= 18) {
+            // STREAMINFO: 20-bit rate, 3-bit channels - 1, 5-bit depth, 36-bit sample count
+            info.sampleRate = (block[10] << 12) | (block[11] << 4) | (block[12] >> 4);
+            info.channels = ((block[12] >> 1) & 0x07) + 1;
+            const samples = (block[13] & 0x0f) * 2 ** 32 + readUintBE(block, 14, 4);
+            if (info.sampleRate > 0 && samples > 0) info.durationSec = samples / info.sampleRate;
+        } else if (type === 4) {
+            parseVorbisComment(block, info);
+        } else if (type === 6) {
+            parseFlacPicture(block, info);
+        }
+        pos += 4 + length;
+        if (header & 0x80) return;
+    }
+}
+
+/**
+ * Reassembles the first packets of the first logical stream of an Ogg file.
+ * @param {Uint8Array} bytes - File contents
+ * @param {number} wanted - Packets to collect
+ * @returns {{ packets: Uint8Array[], lastGranule: number|null, serial: number }} Packets and the stream's last granule position
+ */
+function readOggPackets(bytes, wanted) {
+    const packets = [];
+    let current = [];
+    let serial = null;
+    let lastGranule = null;
+    let pos = 0;
+    while (pos + 27 <= bytes.length && fourcc(bytes, pos) === 'OggS') {
+        const pageSerial = readUint32LE(bytes, pos + 14);
+        const segments = bytes[pos + 26];
+        const table = bytes.subarray(pos + 27, pos + 27 + segments);
+        let dataPos = pos + 27 + segments;
+        serial ??= pageSerial;
+        if (pageSerial === serial) {
+            const low = readUint32LE(bytes, pos + 6);
+            const high = readUint32LE(bytes, pos + 10);
+            // All ones means no packet ends on this page
+            if (low !== 0xffffffff || high !== 0xffffffff) lastGranule = high * 2 ** 32 + low;
+            for (const lacing of table) {
+                if (packets.length < wanted) current.push(bytes.subarray(dataPos, dataPos + lacing));
+                dataPos += lacing;
+                if (lacing < 255 && packets.length < wanted) {
+                    const length = current.reduce((n, c) => n + c.length, 0);
+                    const packet = new Uint8Array(length);
+                    let o = 0;
+                    for (const c of current) {
+                        packet.set(c, o);
+                        o += c.length;
+                    }
+                    packets.push(packet);
+                    current = [];
+                }
+            }
+        } else {
+            dataPos += table.reduce((n, l) => n + l, 0);
+        }
+        pos = dataPos;
+    }
+    return { packets, lastGranule, serial };
+}
+
+/**
+ * Parses the identification and comment headers of Ogg Vorbis / Opus.
+ * @param {Uint8Array} bytes - File contents
+ * @param {import('./audio-tags.js').AudioTagInfo} info - Result (mutated)
+ */
+export function parseOgg(bytes, info) {
+    const { packets, lastGranule } = readOggPackets(bytes, 2);
+    const [ident, comment] = packets;
+    if (!ident) {
+        noteError(info, 'No Ogg packets found');
+        return;
+    }
+    const magic = decodeText(ident.subarray(0, 8), 'latin1');
+    let rate = 0;
+    let preSkip = 0;
+    if (magic.startsWith('\u0001vorbis')) {
+        info.codec = 'vorbis';
+        info.channels = ident[11];
+        rate = readUint32LE(ident, 12);
+        info.sampleRate = rate;
+        if (comment && decodeText(comment.subarray(0, 7), 'latin1') === '\u0003vorbis') parseVorbisComment(comment.subarray(7), info);
+    } else if (magic === 'OpusHead') {
+        info.codec = 'opus';
+        info.channels = ident[9];
+        preSkip = ident[10] | (ident[11] << 8);
+        info.sampleRate = readUint32LE(ident, 12);
+        rate = 48_000; // Opus granule positions always count 48 kHz samples
+        if (comment && decodeText(comment.subarray(0, 8), 'latin1') === 'OpusTags') parseVorbisComment(comment.subarray(8), info);
+    } else {
+        info.codec = magic.replace(/[^\x20-\x7e]/g, '').trim() || 'unknown';
+        return;
+    }
+    if (!comment) noteError(info, 'Ogg comment header missing or truncated');
+    if (rate > 0 && lastGranule !== null && lastGranule > preSkip) info.durationSec = (lastGranule - preSkip) / rate;
+}
@@ -0,0 +1,129 @@
+/**
+ * @module file-type-validator
+ * @description Checks what a downloaded file really is against what it
+ * claims to be. The byte signature (see file-signature.js) is compared
+ * with the Content-Type it was served with, the extension at the end of
+ * its URL and the `type` the metadata gives it. Disagreements become
+ * warnings; executable or script content is refused outright, whatever
+ * it claims to be.
+ */
+
+import { sniffFileType, normaliseMimeType, mimeCategory, typeFromExtension } from '../utils/file-signature.js';
+
+/**
+ * @typedef {Object} FileTypeClaim
+ * @property {'declared'|'extension'|'metadata'} source - Where the claim comes from
+ * @property {string} claimed - Claimed MIME type (or bare category, for metadata)
+ * @property {'match'|'mismatch'|'unchecked'} verdict - How it compares with the bytes
+ */
+
+/**
+ * @typedef {Object} FileTypeCheck
+ * @property {boolean} valid - False when the file must not be handled further
+ * @property {string} [reason] - Why the file was refused
+ * @property {import('../utils/file-signature.js').FileSignature|null} sniffed - What the bytes are
+ * @property {FileTypeClaim[]} claims - Each claim and its verdict
+ * @property {import('./media-inspector.js').MediaWarning[]} warnings - Findings, most severe first
+ */
+
+/** @type {string[]} Categories that are refused whatever they claim to be */
+const BLOCKED_CATEGORIES = ['executable', 'script'];
+
+/** @type {Object<string, string>} Bare metadata type words and the category they name */
+const CATEGORY_WORDS = {
+    image: 'image',
+    video: 'video',
+    audio: 'audio',
+    model: 'model',
+    '3d': 'model',
+};
+
+/** @type {Object<string, number>} Sort order of severities */
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+/**
+ * Compares one claim with the sniffed signature.
+ * @param {import('../utils/file-signature.js').FileSignature} sniffed - What the bytes are
+ * @param {string} claimed - Claimed MIME type or category word
+ * @returns {{ verdict: 'match'|'mismatch'|'unchecked', severity?: 'low'|'medium' }} Verdict, and how much a mismatch matters
+ */
+function compareClaim(sniffed, claimed) {
+    const word = CATEGORY_WORDS[claimed.trim().toLowerCase()];
+    if (word) {
+        return word === sniffed.category ? { verdict: 'match' } : { verdict: 'mismatch', severity: 'medium' };
+    }
+    const type = normaliseMimeType(claimed);
+    const category = mimeCategory(type);
+    if (!category) return { verdict: 'unchecked' };
+    if (type === sniffed.mimeType) return { verdict: 'match' };
+    // Same kind of file in another format is usually a mislabel; markup in disguise is not
+    const scriptable = sniffed.mimeType === 'image/svg+xml' || sniffed.category === 'markup';
+    return { verdict: 'mismatch', severity: category === sniffed.category && !scriptable ? 'low' : 'medium' };
+}
+
+/**
+ * Describes a mismatched claim.
+ * @param {'declared'|'extension'|'metadata'} source - Where the claim comes from
+ * @param {string} claimed - Claimed type
+ * @param {string} extension - URL extension (extension claims only)
+ * @param {import('../utils/file-signature.js').FileSignature} sniffed - What the bytes are
+ * @returns {{ code: string, message: string }} Warning code and message
+ */
+function describeMismatch(source, claimed, extension, sniffed) {
+    const actual = `${sniffed.label} (${sniffed.mimeType})`;
+    if (source === 'declared') {
+        return { code: 'type-mismatch', message: `Served as ${claimed} but the file signature is ${actual}` };
+    }
+    if (source === 'extension') {
+        return { code: 'extension-mismatch', message: `URL ends in .${extension} (${claimed}) but the file signature is ${actual}` };
+    }
+    return { code: 'metadata-type-mismatch', message: `Metadata declares type "${claimed}" but the file signature is ${actual}` };
+}
+
+/**
+ * Checks a file's byte signature against its declared type, URL extension
+ * and metadata type.
+ * @param {Uint8Array} bytes - File contents
+ * @param {Object} [options]
+ * @param {string} [options.declaredType] - Content-Type it was served with (or data: URI type)
+ * @param {string|null} [options.url] - URL it was listed under in the metadata
+ * @param {string|null} [options.metadataType] - `type` field the metadata gives it
+ * @returns {FileTypeCheck} Check result
+ */
+export function validateFileType(bytes, { declaredType = '', url = null, metadataType = null } = {}) {
+    const sniffed = sniffFileType(bytes);
+    const ext = url ? typeFromExtension(url) : null;
+    const sources = [
+        declaredType ? { source: 'declared', claimed: declaredType, extension: '' } : null,
+        ext ? { source: 'extension', claimed: ext.mimeType, extension: ext.extension } : null,
+        typeof metadataType === 'string' && metadataType.trim() ? { source: 'metadata', claimed: metadataType.trim(), extension: '' } : null,
+    ].filter(Boolean);
+
+    const warnings = [];
+    if (!sniffed) {
+        warnings.push({
+            code: 'unknown-signature',
+            severity: 'low',
+            message: `File signature not recognised; its type${declaredType ? ` (served as ${declaredType})` : ''} could not be confirmed`,
+        });
+        return { valid: true, sniffed, claims: sources.map(({ source, claimed }) => ({ source, claimed, verdict: 'unchecked' })), warnings };
+    }
+
+    const claims = sources.map(({ source, claimed, extension }) => {
+        const { verdict, severity } = compareClaim(sniffed, claimed);
+        if (verdict === 'mismatch') {
+            warnings.push({ ...describeMismatch(source, claimed, extension, sniffed), severity });
+        }
+        return { source, claimed, verdict };
+    });
+
+    if (BLOCKED_CATEGORIES.includes(sniffed.category)) {
+        const disguise = claims.find((c) => c.verdict === 'mismatch');
+        const reason = `File signature is ${sniffed.label}${disguise ? `, disguised as ${disguise.claimed}` : ''}. Executable content is not previewed or scanned further.`;
+        warnings.unshift({ code: 'executable-content', severity: 'high', message: reason });
+        return { valid: false, reason, sniffed, claims, warnings };
+    }
+
+    warnings.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+    return { valid: true, sniffed, claims, warnings };
+}
@@ -0,0 +1,212 @@
+/**
+ * @module homograph-detector
+ * @description Detects IDN homograph and look-alike hostnames.
+ * Decodes punycode labels, flags mixed-script and whole-script-confusable
+ * labels, and compares TR39-style skeletons against well-known NFT/crypto
+ * domains so that e.g. "оpensea.io" (Cyrillic "о") is reported.
+ */
+
+import { toUnicodeHostname } from '../utils/punycode.js';
+
+/**
+ * @typedef {Object} HostnameWarning
+ * @property {string} code - Machine-readable warning code
+ * @property {'low'|'medium'|'high'} severity - How likely this is a phishing domain
+ * @property {string} message - Human-readable explanation
+ * @property {string} [label] - The hostname label the warning is about
+ */
+
+/**
+ * @typedef {Object} HostnameAnalysis
+ * @property {string} hostname - ASCII hostname as parsed by the URL API
+ * @property {string} unicodeHostname - Hostname with punycode labels decoded
+ * @property {string} skeleton - Confusable skeleton of the Unicode hostname
+ * @property {HostnameWarning[]} warnings - Structured warnings (empty when clean)
+ */
+
+/** @type {string[]} Domains commonly impersonated by phishing NFT collections */
+const PROTECTED_DOMAINS = [
+    'opensea.io',
+    'rarible.com',
+    'foundation.app',
+    'superrare.com',
+    'magiceden.io',
+    'blur.io',
+    'looksrare.org',
+    'x2y2.io',
+    'zora.co',
+    'manifold.xyz',
+    'niftygateway.com',
+    'enjin.io',
+    'nft.io',
+    'metamask.io',
+    'coinbase.com',
+    'binance.com',
+    'uniswap.org',
+    'etherscan.io',
+    'polygonscan.com',
+    'ipfs.io',
+    'pinata.cloud',
+    'arweave.net',
+    'virustotal.com',
+];
+
+/** @type {string[]} Scripts we recognise when classifying label characters */
+const SCRIPTS = [
+    'Latin', 'Cyrillic', 'Greek', 'Armenian', 'Georgian', 'Cherokee',
+    'Hebrew', 'Arabic', 'Thai', 'Devanagari', 'Han', 'Hiragana',
+    'Katakana', 'Hangul', 'Bopomofo',
+];
+
+/** @type {Array<{ name: string, regex: RegExp }>} Compiled script matchers */
+const SCRIPT_MATCHERS = SCRIPTS.map((name) => ({ name, regex: new RegExp(`\\p{Script=${name}}`, 'u') }));
+
+/**
+ * Script combinations that are legitimate in a single label
+ * (TR39 "Highly Restrictive" profile: Latin with CJK scripts).
+ * @type {Array<Set<string>>}
+ */
+const ALLOWED_SCRIPT_SETS = [
+    new Set(['Latin', 'Han', 'Hiragana', 'Katakana']),
+    new Set(['Latin', 'Han', 'Bopomofo']),
+    new Set(['Latin', 'Han', 'Hangul']),
+];
+
+/**
+ * Curated subset of Unicode confusables.txt, mapping characters to the
+ * ASCII prototype they are mistaken for. Multi-character prototypes
+ * (m → rn, d → cl) follow TR39 so ASCII tricks like "rnetamask" match too.
+ * @type {Object<string, string>}
+ */
+const CONFUSABLES = {
+    // Cyrillic
+    'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'о': 'o', 'р': 'p', 'с': 'c',
+    'у': 'y', 'х': 'x', 'і': 'i', 'ї': 'i', 'ј': 'j', 'ѕ': 's', 'һ': 'h',
+    'ԁ': 'cl', 'ԛ': 'q', 'ԝ': 'w', 'ӏ': 'l', 'к': 'k', 'п': 'n', 'т': 't',
+    'г': 'r', 'ь': 'b', 'ԍ': 'g', 'ү': 'y', 'ѵ': 'v',
+    // Greek
+    'α': 'a', 'ο': 'o', 'ρ': 'p', 'ν': 'v', 'ι': 'i', 'κ': 'k', 'υ': 'u',
+    'χ': 'x', 'ϲ': 'c', 'ϳ': 'j', 'τ': 't', 'η': 'n', 'β': 'b', 'γ': 'y',
+    'ω': 'w', 'μ': 'u',
+    // Armenian
+    'օ': 'o', 'ո': 'n', 'ս': 'u', 'հ': 'h', 'ց': 'g', 'զ': 'q', 'ք': 'f',
+    // Latin look-alikes outside ASCII
+    'ı': 'i', 'ɩ': 'i', 'ɑ': 'a', 'ʟ': 'l', 'ᴏ': 'o', 'ſ': 'f', 'ƚ': 'l',
+    'ɾ': 'r', 'ʋ': 'u', 'ɯ': 'w', 'ꞵ': 'b', 'ƅ': 'b', 'ɢ': 'g', 'ɡ': 'g',
+    // ASCII digits and sequences (TR39 maps these too)
+    '0': 'o', '1': 'l', 'm': 'rn', 'd': 'cl',
+};
+
+/** @type {RegExp} Combining marks, stripped so "ópensea" matches "opensea" */
+const COMBINING_MARKS = /\p{M}/gu;
+
+/**
+ * Computes a TR39-style confusable skeleton: NFD, strip combining marks,
+ * map each character to its prototype, lowercase.
+ * @param {string} text - Text to reduce
+ * @returns {string} Skeleton string
+ */
+export function getSkeleton(text) {
+    const decomposed = String(text || '').toLowerCase().normalize('NFD').replace(COMBINING_MARKS, '');
+    let out = '';
+    for (const ch of decomposed) {
+        out += CONFUSABLES[ch] ?? ch;
+    }
+    return out;
+}
+
+/**
+ * Returns the set of (non-Common) scripts used in a label.
+ * @param {string} label - Unicode hostname label
+ * @returns {Set<string>} Script names
+ */
+function getScripts(label) {
+    const found = new Set();
+    for (const ch of label) {
+        const match = SCRIPT_MATCHERS.find((s) => s.regex.test(ch));
+        if (match) found.add(match.name);
+        else if (/[^\p{Script=Common}\p{Script=Inherited}]/u.test(ch)) found.add('Other');
+    }
+    return found;
+}
+
+/**
+ * Checks whether a set of scripts is allowed to appear in one label.
+ * @param {Set<string>} scripts - Scripts used by a label
+ * @returns {boolean} True for single-script labels or allowed CJK mixes
+ */
+function isAllowedScriptMix(scripts) {
+    if (scripts.size <= 1) return true;
+    return ALLOWED_SCRIPT_SETS.some((allowed) => [...scripts].every((s) => allowed.has(s)));
+}
+
+/**
+ * Analyses a hostname for homograph / confusable-domain indicators.
+ * @param {string} hostname - ASCII hostname (as returned by URL.hostname)
+ * @returns {HostnameAnalysis} Decoded hostname and structured warnings
+ */
+export function analyzeHostname(hostname) {
+    const ascii = String(hostname || '').toLowerCase().replace(/\.$/, '');
+    const { unicode, labels, punycodeLabels, invalidLabels } = toUnicodeHostname(ascii);
+    const warnings = [];
+
+    for (const idx of invalidLabels) {
+        warnings.push({
+            code: 'invalid-punycode',
+            severity: 'high',
+            label: labels[idx],
+            message: `Hostname label "${labels[idx]}" is not valid punycode`,
+        });
+    }
+
+    if (punycodeLabels.length > 0) {
+        warnings.push({
+            code: 'idn',
+            severity: 'low',
+            message: `Internationalized domain: ${ascii} displays as ${unicode}`,
+        });
+    }
+
+    for (const idx of punycodeLabels) {
+        const label = labels[idx];
+        const scripts = getScripts(label);
+
+        if (!isAllowedScriptMix(scripts)) {
+            warnings.push({
+                code: 'mixed-script',
+                severity: 'high',
+                label,
+                message: `Label "${label}" mixes ${[...scripts].join(' + ')} characters`,
+            });
+            continue;
+        }
+
+        // A label written in one non-Latin script whose skeleton is plain
+        // ASCII letters is a whole-script confusable (e.g. Cyrillic "аре").
+        const skeleton = getSkeleton(label);
+        if (!scripts.has('Latin') && scripts.size === 1 && /^[a-z0-9-]+$/.test(skeleton)) {
+            warnings.push({
+                code: 'whole-script-confusable',
+                severity: 'high',
+                label,
+                message: `Label "${label}" is written entirely in ${[...scripts][0]} but looks like "${skeleton}"`,
+            });
+        }
+    }
+
+    const skeleton = getSkeleton(unicode);
+    const impersonated = PROTECTED_DOMAINS.find((domain) => {
+        if (unicode === domain || unicode.endsWith(`.${domain}`)) return false;
+        const target = getSkeleton(domain);
+        return skeleton === target || skeleton.endsWith(`.${target}`);
+    });
+    if (impersonated) {
+        warnings.push({
+            code: 'confusable-domain',
+            severity: 'high',
+            message: `Hostname "${unicode}" is visually confusable with ${impersonated}`,
+        });
+    }
+
+    return { hostname: ascii, unicodeHostname: unicode, skeleton, warnings };
+}
@@ -0,0 +1,230 @@
+/**
+ * @module html-analyzer
+ * @description Static analysis of HTML animation_url pages, where
+ * interactive NFTs keep their code and wallet drainers hide theirs. The
+ * page is parsed with DOMParser (an inert document: nothing runs, nothing
+ * loads) and its inline scripts, event handlers and downloaded same-origin
+ * scripts are searched for dynamic code, wallet-provider access, signing
+ * and approval calls, network and clipboard APIs, crypto miners and
+ * obfuscation. External origins the page would contact are listed, and
+ * the findings are rolled up into a risk summary.
+ *
+ * Subresources are listed by html-subresources.js, code is searched by
+ * html-code-scan.js, and the page the sandboxed preview shows is built by
+ * html-preview.js.
+ */
+
+import { listSubresources, originKey } from './html-subresources.js';
+import { CODE_URL_PATTERN, addOrigin, scanCode, listSources, describeCodeHits } from './html-code-scan.js';
+import { buildPreview } from './html-preview.js';
+
+/**
+ * @typedef {Object} HtmlFinding
+ * @property {string} code - Machine-readable finding code
+ * @property {'low'|'medium'|'high'} severity - How much the finding matters
+ * @property {string} message - Human-readable explanation
+ */
+
+/**
+ * @typedef {Object} HtmlScript
+ * @property {string} source - "inline script N" or the script's URL
+ * @property {'inline'|'same-origin'|'external'} origin - Where the code comes from
+ * @property {boolean} analyzed - Whether its code was searched
+ * @property {number|null} size - Code size in bytes (null when not downloaded)
+ */
+
+/**
+ * @typedef {Object} HtmlAnalysis
+ * @property {HtmlFinding[]} findings - Findings, most severe first
+ * @property {HtmlScript[]} scripts - Every script the page runs
+ * @property {string[]} origins - External origins the page loads from or talks to
+ * @property {string[]} externalUrls - External URLs behind those origins
+ * @property {{ level: 'low'|'medium'|'high', reasons: string[] }} risk - Risk summary
+ * @property {string} title - Page <title> ('' if none)
+ * @property {string} preview - Self-contained page for the sandboxed preview
+ */
+
+/** @type {RegExp} Script types that hold JavaScript (the empty type included) */
+const JS_SCRIPT_TYPE = /^(?:|module|(?:text|application)\/(?:x-)?(?:javascript|ecmascript)|text\/jscript)$/i;
+
+/** @type {Object<string, number>} Sort order of severities */
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+/**
+ * @typedef {Object} HtmlScan
+ * @property {HtmlFinding[]} findings - Findings so far
+ * @property {Map<string, import('./html-code-scan.js').CodeHit>} hits - Code pattern hits by label
+ * @property {Map<string, string>} origins - External origin → first URL seen from it
+ * @property {HtmlScript[]} scripts - Scripts found so far
+ * @property {string|null} pageOrigin - Page origin, not counted as external
+ */
+
+/**
+ * Searches the code written into the page: inline scripts, event
+ * handlers and javascript: URLs.
+ * @param {Document} doc - Parsed page
+ * @param {HtmlScan} scan - Scan state (mutated)
+ */
+function scanInlineCode(doc, scan) {
+    let inlineIndex = 0;
+    doc.querySelectorAll('script:not([src])').forEach((el) => {
+        if (!JS_SCRIPT_TYPE.test((el.getAttribute('type') ?? '').trim())) return;
+        inlineIndex++;
+        const code = el.textContent ?? '';
+        const source = `inline script ${inlineIndex}`;
+        scan.scripts.push({ source, origin: 'inline', analyzed: true, size: new TextEncoder().encode(code).length });
+        scanCode(code, source, scan.hits, scan.origins, scan.pageOrigin);
+    });
+    const handlers = [];
+    doc.querySelectorAll('*').forEach((el) => {
+        for (const attr of el.attributes) {
+            const name = attr.name.toLowerCase();
+            if (name.startsWith('on')) {
+                handlers.push(`${name} on <${el.localName}>`);
+                scanCode(attr.value, `${name} handler`, scan.hits, scan.origins, scan.pageOrigin);
+            } else if (['href', 'src', 'action', 'formaction', 'data'].includes(name) && /^\s*(?:javascript|vbscript):/i.test(attr.value)) {
+                scan.findings.push({ code: 'script-url', severity: 'high', message: `<${el.localName} ${name}> runs a script URL: ${attr.value.trim().slice(0, 80)}` });
+                scanCode(attr.value, `${name} on <${el.localName}>`, scan.hits, scan.origins, scan.pageOrigin);
+            }
+        }
+    });
+    if (handlers.length > 0) {
+        scan.findings.push({
+            code: 'event-handler',
+            severity: 'medium',
+            message: `${handlers.length} inline event handler${handlers.length === 1 ? '' : 's'} (${handlers.slice(0, 3).join(', ')}${handlers.length > 3 ? ', …' : ''})`,
+        });
+    }
+}
+
+/**
+ * Goes through the subresources: same-origin scripts were downloaded and
+ * are searched, everything else is only listed with its origin.
+ * @param {import('./html-subresources.js').HtmlSubresourceRef[]} refs - Subresource references
+ * @param {Map<string, import('../fetchers/html-subresource-fetcher.js').HtmlSubresource>} fetched - Downloads by URL
+ * @param {HtmlScan} scan - Scan state (mutated)
+ */
+function scanSubresources(refs, fetched, scan) {
+    const decoder = new TextDecoder('utf-8');
+    for (const ref of refs) {
+        if (!ref.sameOrigin) addOrigin(ref.url, scan.origins);
+        if (ref.type !== 'script') continue;
+        const res = fetched.get(ref.url);
+        if (!ref.sameOrigin) {
+            scan.scripts.push({ source: ref.url, origin: 'external', analyzed: false, size: null });
+            continue;
+        }
+        const analyzed = res?.status === 'fetched';
+        scan.scripts.push({ source: ref.url, origin: 'same-origin', analyzed, size: analyzed ? res.size : null });
+        if (analyzed) scanCode(decoder.decode(res.bytes), ref.raw, scan.hits, scan.origins, scan.pageOrigin);
+    }
+    const externalScripts = scan.scripts.filter((s) => s.origin === 'external');
+    if (externalScripts.length > 0) {
+        scan.findings.push({
+            code: 'external-script',
+            severity: 'medium',
+            message: `Loads ${externalScripts.length} script${externalScripts.length === 1 ? '' : 's'} from other origins, which were not analyzed: ${listSources(new Set(externalScripts.map((s) => s.source)))}`,
+        });
+    }
+}
+
+/**
+ * Reports same-origin downloads that failed or were cut off by the cap.
+ * @param {import('../fetchers/html-subresource-fetcher.js').HtmlSubresource[]} resources - Same-origin downloads
+ * @param {boolean} truncated - Whether the downloads stopped at a cap
+ * @param {HtmlScan} scan - Scan state (mutated)
+ */
+function reportUnavailable(resources, truncated, scan) {
+    const unavailable = resources.filter((res) => res.status !== 'fetched');
+    if (unavailable.length > 0 || truncated) {
+        scan.findings.push({
+            code: 'subresource-unavailable',
+            severity: 'low',
+            message: `${unavailable.length} same-origin subresource${unavailable.length === 1 ? '' : 's'} could not be downloaded${truncated ? ' (download limit reached)' : ''}; ${unavailable.some((res) => res.type === 'script') ? 'some code was not analyzed' : 'all code was analyzed'}`,
+        });
+    }
+}
+
+/**
+ * Checks page-level constructs: origins in style sheets, external forms,
+ * password fields, meta refresh and nested frames.
+ * @param {Document} doc - Parsed page
+ * @param {HtmlScan} scan - Scan state (mutated)
+ */
+function scanPageConstructs(doc, scan) {
+    doc.querySelectorAll('style').forEach((el) => {
+        for (const url of el.textContent.match(CODE_URL_PATTERN) ?? []) addOrigin(url, scan.origins);
+    });
+    doc.querySelectorAll('form[action]').forEach((el) => {
+        const action = el.getAttribute('action');
+        if (/^\s*(?:https?:)?\/\//i.test(action)) {
+            addOrigin(new URL(action, 'https://invalid/').href, scan.origins);
+            scan.findings.push({ code: 'external-form', severity: 'medium', message: `Form submits to ${action.trim().slice(0, 80)}` });
+        }
+    });
+    if (doc.querySelector('input[type="password" i]')) {
+        scan.findings.push({ code: 'password-field', severity: 'medium', message: 'Page contains a password field (possible phishing or seed-phrase capture)' });
+    }
+    const refresh = doc.querySelector('meta[http-equiv="refresh" i]');
+    if (refresh) {
+        scan.findings.push({ code: 'navigation', severity: 'medium', message: `Meta refresh redirects the page: ${(refresh.getAttribute('content') ?? '').slice(0, 80)}` });
+    }
+    const nested = doc.querySelectorAll('iframe, frame, object, embed').length;
+    if (nested > 0) {
+        scan.findings.push({ code: 'nested-frame', severity: 'low', message: `Embeds ${nested} frame${nested === 1 ? '' : 's'} or plugin object${nested === 1 ? '' : 's'}` });
+    }
+}
+
+/**
+ * Rolls the findings up into a risk level and the reasons for it.
+ * @param {HtmlFinding[]} findings - Findings, most severe first
+ * @returns {HtmlAnalysis['risk']} Risk summary
+ */
+function summarizeRisk(findings) {
+    const worst = findings[0]?.severity;
+    const level = worst === 'high' ? 'high' : worst === 'medium' ? 'medium' : 'low';
+    const reasons = [...new Set(findings.filter((f) => f.severity === level).map((f) => f.message.split(':')[0]))];
+    return { level, reasons: level === 'low' && findings.length === 0 ? ['No scripts or external resources found'] : reasons };
+}
+
+/**
+ * Analyzes an HTML page and the same-origin subresources downloaded for it.
+ * @param {string} html - Page source
+ * @param {Object} [options]
+ * @param {string|null} [options.pageUrl] - URL the page was listed under (null for inline pages)
+ * @param {import('../fetchers/html-subresource-fetcher.js').HtmlSubresource[]} [options.resources] - Same-origin downloads
+ * @param {boolean} [options.truncated] - Whether the downloads stopped at a cap
+ * @returns {HtmlAnalysis} Analysis
+ */
+export function analyzeHtml(html, { pageUrl = null, resources = [], truncated = false } = {}) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const refs = listSubresources(doc, pageUrl);
+    const fetched = new Map(resources.map((res) => [res.url, res]));
+    const scan = { findings: [], hits: new Map(), origins: new Map(), scripts: [], pageOrigin: pageUrl ? originKey(new URL(pageUrl)) : null };
+
+    scanInlineCode(doc, scan);
+    scanSubresources(refs, fetched, scan);
+    reportUnavailable(resources, truncated, scan);
+    scanPageConstructs(doc, scan);
+
+    const { findings, origins } = scan;
+    findings.push(...describeCodeHits(scan.hits));
+    if (origins.size > 0) {
+        findings.push({
+            code: 'external-origin',
+            severity: 'low',
+            message: `Contacts ${origins.size} external origin${origins.size === 1 ? '' : 's'}: ${listSources(new Set(origins.keys()))}`,
+        });
+    }
+    findings.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+
+    return {
+        findings,
+        scripts: scan.scripts,
+        origins: [...origins.keys()],
+        externalUrls: [...origins.values()],
+        risk: summarizeRisk(findings),
+        title: doc.querySelector('title')?.textContent.trim() ?? '',
+        preview: buildPreview(doc, refs, fetched, pageUrl),
+    };
+}
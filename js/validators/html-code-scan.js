@@ -0,0 +1,120 @@
+/**
+ * @module html-code-scan
+ * @description Searches the code of an HTML page — inline scripts, event
+ * handlers, script URLs and downloaded scripts — for dynamic code,
+ * wallet-provider access, signing and approval calls, network and
+ * clipboard APIs, crypto miners and obfuscation, and collects the
+ * external origins written in it. Matches are counted per construct
+ * across the whole page so each becomes one finding.
+ */
+
+import { originKey } from './html-subresources.js';
+
+/**
+ * @typedef {Object} CodePattern
+ * @property {RegExp} pattern - What to look for (global)
+ * @property {string} code - Finding code
+ * @property {'low'|'medium'|'high'} severity - Severity of a match
+ * @property {string} label - What a match means
+ */
+
+/** @type {CodePattern[]} Constructs searched for in the page's code */
+const CODE_PATTERNS = [
+    { pattern: /\beval\s*\(/g, code: 'dynamic-code', severity: 'high', label: 'eval()' },
+    { pattern: /\bnew\s+Function\s*\(|(?<![\w.])Function\s*\(\s*['"`]/g, code: 'dynamic-code', severity: 'high', label: 'Function constructor' },
+    { pattern: /\bset(?:Timeout|Interval)\s*\(\s*['"`]/g, code: 'dynamic-code', severity: 'medium', label: 'string passed to setTimeout/setInterval' },
+    { pattern: /\bdocument\.write(?:ln)?\s*\(/g, code: 'dynamic-code', severity: 'medium', label: 'document.write()' },
+    { pattern: /\bwindow\.ethereum\b|\bethereum\.(?:request|enable|send|sendAsync)\s*\(/g, code: 'wallet-access', severity: 'high', label: 'wallet provider access (window.ethereum)' },
+    { pattern: /\bwindow\.(?:solana|phantom|tronWeb|web3|keplr|cardano)\b/g, code: 'wallet-access', severity: 'high', label: 'wallet provider access (non-Ethereum)' },
+    { pattern: /\beth_(?:requestAccounts|accounts)\b/g, code: 'wallet-access', severity: 'high', label: 'wallet account request' },
+    { pattern: /\b(?:eth_sendTransaction|eth_sign|personal_sign|eth_signTypedData(?:_v\d)?|signTransaction|signAllTransactions|signMessage)\b/g, code: 'wallet-signing', severity: 'high', label: 'transaction or message signing' },
+    { pattern: /\bwallet_(?:switchEthereumChain|addEthereumChain|watchAsset|requestPermissions)\b/g, code: 'wallet-signing', severity: 'high', label: 'wallet permission or network change' },
+    { pattern: /\b(?:setApprovalForAll|increaseAllowance|safeTransferFrom|transferFrom|permit)\s*\(/g, code: 'token-approval', severity: 'high', label: 'token approval or transfer call' },
+    { pattern: /\bapprove\s*\(/g, code: 'token-approval', severity: 'medium', label: 'approve() call' },
+    { pattern: /\b(?:ethers|Web3|web3modal|WalletConnect|solanaWeb3)\b/g, code: 'web3-library', severity: 'medium', label: 'web3 library' },
+    { pattern: /\b(?:CoinHive|CoinImp|cryptonight|Cryptoloot)\b|stratum\+(?:tcp|ssl):\/\//gi, code: 'cryptominer', severity: 'high', label: 'crypto mining' },
+    { pattern: /\bcrypto\.subtle\b/g, code: 'crypto-api', severity: 'low', label: 'Web Crypto (crypto.subtle)' },
+    { pattern: /\bWebAssembly\.(?:instantiate|instantiateStreaming|compile)\b/g, code: 'crypto-api', severity: 'low', label: 'WebAssembly module' },
+    { pattern: /\bfetch\s*\(|\bXMLHttpRequest\b|\bsendBeacon\s*\(|\bnew\s+(?:WebSocket|EventSource|RTCPeerConnection)\b/g, code: 'network-api', severity: 'medium', label: 'network request API' },
+    { pattern: /\bnavigator\.clipboard\b|execCommand\s*\(\s*['"](?:copy|paste)/g, code: 'clipboard', severity: 'medium', label: 'clipboard access' },
+    { pattern: /\b(?:localStorage|sessionStorage|indexedDB|document\.cookie)\b/g, code: 'storage', severity: 'low', label: 'browser storage' },
+    { pattern: /\bwindow\.(?:top|parent|opener)\b|\bpostMessage\s*\(/g, code: 'frame-escape', severity: 'medium', label: 'access to the embedding page' },
+    { pattern: /\b(?:location\.(?:href|replace|assign)|window\.location|document\.location)\s*(?:=[^=]|\()/g, code: 'navigation', severity: 'medium', label: 'script-driven navigation' },
+    { pattern: /(?:\\x[0-9a-f]{2}){24,}|(?:\\u[0-9a-f]{4}){16,}|\b_0x[0-9a-f]{4,}\b/gi, code: 'obfuscated-code', severity: 'medium', label: 'obfuscated code' },
+    { pattern: /\batob\s*\(|String\.fromCharCode\s*\(/g, code: 'obfuscated-code', severity: 'low', label: 'runtime string decoding' },
+];
+
+/** @type {RegExp} Absolute http(s)/ws(s) URLs written in code or CSS */
+export const CODE_URL_PATTERN = /\b(?:https?|wss?):\/\/[^\s'"`)<>\\]+/gi;
+
+/**
+ * @typedef {Object} CodeHit
+ * @property {CodePattern} pattern - Pattern that matched
+ * @property {number} count - Matches across all code
+ * @property {Set<string>} sources - Where the matches were
+ */
+
+/**
+ * Adds the origin of an absolute URL to a set, ignoring anything unparseable.
+ * @param {string} url - URL
+ * @param {Map<string, string>} origins - Origin → first URL seen from it (mutated)
+ */
+export function addOrigin(url, origins) {
+    try {
+        const key = originKey(new URL(url));
+        if (!origins.has(key)) origins.set(key, url);
+    } catch {
+        // not an absolute URL
+    }
+}
+
+/**
+ * Searches code for the constructs in CODE_PATTERNS.
+ * @param {string} code - JavaScript source
+ * @param {string} source - Where the code comes from (for messages)
+ * @param {Map<string, CodeHit>} hits - Hits by label (mutated)
+ * @param {Map<string, string>} origins - External origins found in code (mutated)
+ * @param {string|null} pageOrigin - Page origin, not counted as external
+ */
+export function scanCode(code, source, hits, origins, pageOrigin) {
+    for (const pattern of CODE_PATTERNS) {
+        const count = (code.match(pattern.pattern) ?? []).length;
+        if (count === 0) continue;
+        const hit = hits.get(pattern.label) ?? { pattern, count: 0, sources: new Set() };
+        hit.count += count;
+        hit.sources.add(source);
+        hits.set(pattern.label, hit);
+    }
+    for (const url of code.match(CODE_URL_PATTERN) ?? []) {
+        try {
+            if (originKey(new URL(url)) !== pageOrigin) addOrigin(url, origins);
+        } catch {
+            // not a URL after all
+        }
+    }
+}
+
+/**
+ * Joins source names for a message, shortening long lists.
+ * @param {Set<string>} sources - Source names
+ * @returns {string} "a, b and 3 more"
+ */
+export function listSources(sources) {
+    const names = [...sources];
+    return names.length > 3 ? `${names.slice(0, 3).join(', ')} and ${names.length - 3} more` : names.join(', ');
+}
+
+/**
+ * Turns the pattern hits into findings, one per construct: dynamic code,
+ * wallet-provider and signing calls, token approvals, web3 libraries,
+ * miners, crypto and network APIs, clipboard, storage and obfuscation.
+ * @param {Map<string, CodeHit>} hits - Hits by label
+ * @returns {import('./html-analyzer.js').HtmlFinding[]} Findings
+ */
+export function describeCodeHits(hits) {
+    return [...hits.values()].map(({ pattern, count, sources }) => ({
+        code: pattern.code,
+        severity: pattern.severity,
+        message: `${pattern.label[0].toUpperCase()}${pattern.label.slice(1)}: ${count} use${count === 1 ? '' : 's'} in ${listSources(sources)}`,
+    }));
+}
@@ -0,0 +1,97 @@
+/**
+ * @module html-preview
+ * @description Builds the page the sandboxed HTML preview shows: the
+ * analyzed document with its downloaded same-origin scripts, styles,
+ * images, media and frames inlined, navigation helpers removed and a CSP
+ * that blocks all network access stamped first into its <head>.
+ * html-sandbox.html runs it from an opaque blob origin.
+ */
+
+import { SUBRESOURCE_SELECTORS } from './html-subresources.js';
+
+/** @type {string} CSP of the preview page: inline code runs, nothing reaches the network */
+export const PREVIEW_CSP = [
+    "default-src 'none'",
+    "script-src 'unsafe-inline' 'unsafe-eval' blob: data:",
+    "style-src 'unsafe-inline' blob: data:",
+    'img-src blob: data:',
+    'media-src blob: data:',
+    'font-src blob: data:',
+    'frame-src blob: data:',
+    'worker-src blob: data:',
+    "connect-src 'none'",
+    "form-action 'none'",
+    "base-uri 'none'",
+].join('; ');
+
+/**
+ * Encodes bytes as base64.
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 text
+ */
+function toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Builds the self-contained preview page: downloaded scripts, styles,
+ * images and frames are inlined, navigation helpers are dropped and the
+ * preview CSP goes first in <head>.
+ * @param {Document} doc - Parsed page (mutated)
+ * @param {import('./html-subresources.js').HtmlSubresourceRef[]} refs - Subresource references
+ * @param {Map<string, import('../fetchers/html-subresource-fetcher.js').HtmlSubresource>} fetched - Downloads by URL
+ * @param {string|null} pageUrl - URL of the page
+ * @returns {string} Serialized preview page
+ */
+export function buildPreview(doc, refs, fetched, pageUrl) {
+    const decoder = new TextDecoder('utf-8');
+    const byRaw = new Map(refs.map((ref) => [ref.raw, ref]));
+    const download = (raw) => {
+        const ref = byRaw.get(raw.trim());
+        const res = ref ? fetched.get(ref.url) : null;
+        return res?.status === 'fetched' ? res : null;
+    };
+    const dataUri = (res) => `data:${res.contentType || 'application/octet-stream'};base64,${toBase64(res.bytes)}`;
+
+    doc.querySelectorAll('script[src]').forEach((el) => {
+        const res = download(el.getAttribute('src'));
+        if (!res) return;
+        el.removeAttribute('src');
+        el.removeAttribute('integrity');
+        el.textContent = decoder.decode(res.bytes).replace(/<\/script/gi, '<\\/script');
+    });
+    doc.querySelectorAll('link[href][rel~="stylesheet" i]').forEach((el) => {
+        const res = download(el.getAttribute('href'));
+        if (!res) return;
+        const style = doc.createElement('style');
+        style.textContent = decoder.decode(res.bytes).replace(/<\/style/gi, '<\\/style');
+        el.replaceWith(style);
+    });
+    SUBRESOURCE_SELECTORS.filter(([, , type]) => type === 'image' || type === 'media').forEach(([selector, attr]) => {
+        doc.querySelectorAll(selector).forEach((el) => {
+            const res = download(el.getAttribute(attr));
+            if (res) el.setAttribute(attr, dataUri(res));
+        });
+    });
+    doc.querySelectorAll('iframe[src], frame[src]').forEach((el) => {
+        const res = download(el.getAttribute('src'));
+        if (!res) return;
+        el.removeAttribute('src');
+        el.setAttribute('srcdoc', decoder.decode(res.bytes));
+    });
+    doc.querySelectorAll('meta[http-equiv="refresh" i], base').forEach((el) => el.remove());
+
+    const csp = doc.createElement('meta');
+    csp.setAttribute('http-equiv', 'Content-Security-Policy');
+    csp.setAttribute('content', PREVIEW_CSP);
+    doc.head.prepend(csp);
+    if (pageUrl) {
+        const note = doc.createComment(` Preview of ${pageUrl.replace(/--/g, '- -')} with same-origin subresources inlined `);
+        doc.head.prepend(note);
+    }
+    return `<!DOCTYPE html>\n${doc.documentElement.outerHTML}`;
+}
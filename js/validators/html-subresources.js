@@ -0,0 +1,79 @@
+/**
+ * @module html-subresources
+ * @description Lists the scripts, style sheets, images, frames and media
+ * an HTML page would load, resolved against its <base href>, and marks
+ * which share the page's origin. html-subresource-fetcher.js downloads the
+ * same-origin ones; html-analyzer.js lists the rest as external.
+ */
+
+/**
+ * @typedef {Object} HtmlSubresourceRef
+ * @property {string} url - Absolute URL (resolved against <base> or the page URL)
+ * @property {string} raw - URL as written in the page
+ * @property {'script'|'style'|'image'|'frame'|'media'} type - What the page loads it as
+ * @property {boolean} sameOrigin - Whether it shares the page's scheme and host
+ */
+
+/** @type {Array<[string, string, HtmlSubresourceRef['type']]>} Selector, URL attribute and type of each subresource */
+export const SUBRESOURCE_SELECTORS = [
+    ['script[src]', 'src', 'script'],
+    ['link[href][rel~="stylesheet" i]', 'href', 'style'],
+    ['link[href][rel~="modulepreload" i]', 'href', 'script'],
+    ['link[href][rel~="preload" i][as="script" i]', 'href', 'script'],
+    ['img[src]', 'src', 'image'],
+    ['input[type="image" i][src]', 'src', 'image'],
+    ['iframe[src]', 'src', 'frame'],
+    ['frame[src]', 'src', 'frame'],
+    ['video[src]', 'src', 'media'],
+    ['audio[src]', 'src', 'media'],
+    ['source[src]', 'src', 'media'],
+    ['video[poster]', 'poster', 'image'],
+];
+
+/**
+ * Gives the part of a URL that decides whether two URLs are same-origin.
+ * URL.origin is "null" for ipfs:, ipns: and ar: URLs, so scheme and host
+ * are compared directly.
+ * @param {URL} url - Parsed URL
+ * @returns {string} Scheme and host
+ */
+export function originKey(url) {
+    return `${url.protocol}//${url.host}`;
+}
+
+/**
+ * Lists the subresources an HTML page would load, resolved against its
+ * <base href> (or the page URL).
+ * @param {Document} doc - Parsed page
+ * @param {string|null} pageUrl - URL of the page (null for inline pages)
+ * @returns {HtmlSubresourceRef[]} References, in page order, without duplicates
+ */
+export function listSubresources(doc, pageUrl) {
+    let base = null;
+    try {
+        base = pageUrl ? new URL(doc.querySelector('base[href]')?.getAttribute('href') ?? '', pageUrl) : null;
+    } catch {
+        base = pageUrl ? new URL(pageUrl) : null;
+    }
+    const pageOrigin = pageUrl ? originKey(new URL(pageUrl)) : null;
+    const seen = new Set();
+    const refs = [];
+    const elements = SUBRESOURCE_SELECTORS.flatMap(([selector, attr, type]) =>
+        [...doc.querySelectorAll(selector)].map((el) => ({ el, attr, type })));
+    // querySelectorAll per selector loses document order
+    elements.sort((a, b) => (a.el === b.el ? 0 : a.el.compareDocumentPosition(b.el) & 4 /* FOLLOWING */ ? -1 : 1));
+    for (const { el, attr, type } of elements) {
+        const raw = el.getAttribute(attr).trim();
+        if (!raw || /^(?:data|blob|javascript|about):/i.test(raw)) continue;
+        let url;
+        try {
+            url = base ? new URL(raw, base) : new URL(raw);
+        } catch {
+            continue;
+        }
+        if (seen.has(url.href)) continue;
+        seen.add(url.href);
+        refs.push({ url: url.href, raw, type, sameOrigin: pageOrigin !== null && originKey(url) === pageOrigin });
+    }
+    return refs;
+}
@@ -0,0 +1,422 @@
+/**
+ * @module media-inspector
+ * @description Looks inside downloaded media files before they are shown.
+ * Video files have their container headers parsed (see video-container.js),
+ * audio files their tags (see audio-tags.js) and 3D models their glTF
+ * document (see gltf-model.js); everything a viewer or listener would not
+ * see — embedded metadata text, links in it, attached files, resources a
+ * model fetches when rendered — is reported with a severity, alongside the
+ * duration, codecs, dimensions or polygon and texture budgets. Raster
+ * images have their EXIF, XMP, IPTC and text chunks read (see
+ * image-metadata.js), SVG images are checked for scripts and external
+ * references (see svg-analyzer.js), and HTML pages for what their code
+ * does (see html-analyzer.js).
+ */
+
+import { parseVideoContainer } from '../utils/video-container.js';
+import { parseAudioTags } from '../utils/audio-tags.js';
+import { parseGltfModel, extractGltfImage } from '../utils/gltf-model.js';
+import { parseImageMetadata } from '../utils/image-metadata.js';
+import { sniffFileType } from '../utils/file-signature.js';
+import { analyzeSvg } from './svg-analyzer.js';
+import { analyzeHtml } from './html-analyzer.js';
+import { decodeBody } from '../utils/body-reader.js';
+
+/**
+ * @typedef {Object} MediaWarning
+ * @property {string} code - Machine-readable warning code
+ * @property {'low'|'medium'|'high'} severity - How much the finding matters
+ * @property {string} message - Human-readable explanation
+ */
+
+/**
+ * @typedef {Object} MediaInspection
+ * @property {'video'|'audio'|'model'|'image'|'svg'|'html'} kind - Which inspection ran
+ * @property {import('../utils/video-container.js').VideoContainerInfo} [video] - Container details (video)
+ * @property {import('../utils/audio-tags.js').AudioTagInfo} [audio] - Tags and stream details (audio)
+ * @property {import('../utils/gltf-model.js').GltfModelInfo} [model] - Model summary (model)
+ * @property {import('../utils/image-metadata.js').ImageMetadata} [image] - Embedded metadata (image)
+ * @property {import('./svg-analyzer.js').SvgAnalysis} [svg] - Findings and sanitized copy (svg)
+ * @property {import('./html-analyzer.js').HtmlAnalysis} [html] - Code analysis, risk summary and preview page (html)
+ * @property {string[]} urls - URLs found in embedded metadata
+ * @property {MediaWarning[]} warnings - Findings, most severe first
+ */
+
+/** @type {RegExp} URLs (and script / data URIs, and bare www. hosts) inside free text */
+const EMBEDDED_URL_PATTERN = /\b(?:(?:https?|ipfs|ipns|ar|ftp|javascript|data|vbscript):|www\.)[^\s"'<>]+/gi;
+
+/** @type {string[]} Schemes that execute or embed content rather than link to it */
+const ACTIVE_SCHEMES = ['javascript:', 'data:', 'vbscript:'];
+
+/** @type {Object<string, string>} Video MIME types and the container each one must hold */
+const EXPECTED_CONTAINERS = {
+    'video/mp4': 'mp4',
+    'video/x-m4v': 'mp4',
+    'video/webm': 'webm',
+};
+
+/** @type {Object<string, string>} Audio MIME types and the format each one must hold */
+const EXPECTED_AUDIO_FORMATS = {
+    'audio/mpeg': 'mp3',
+    'audio/mp3': 'mp3',
+    'audio/wav': 'wav',
+    'audio/wave': 'wav',
+    'audio/x-wav': 'wav',
+    'audio/ogg': 'ogg',
+    'audio/flac': 'flac',
+    'audio/x-flac': 'flac',
+    'audio/aac': 'aac',
+    'audio/x-aac': 'aac',
+};
+
+/** @type {Object<string, string>} Model MIME types and the format each one must hold */
+const EXPECTED_MODEL_FORMATS = {
+    'model/gltf-binary': 'glb',
+    'model/gltf+json': 'gltf',
+};
+
+/** @type {{ triangles: number, textureDimension: number, textureBytes: number }} Model budgets a web viewer handles comfortably */
+export const MODEL_BUDGETS = {
+    triangles: 500_000,
+    textureDimension: 4096,
+    textureBytes: 16 * 1024 * 1024,
+};
+
+/** @type {number} Metadata block size above which an image is flagged (64 KB, a full JPEG APP segment) */
+const LARGE_METADATA_BYTES = 64 * 1024;
+
+/** @type {string[]} Metadata fields that identify a person or a device */
+const IDENTIFYING_FIELDS = ['Artist', 'CameraOwnerName', 'BodySerialNumber', 'LensSerialNumber', 'ImageUniqueID', 'XPAuthor', 'By-line', 'Contact'];
+
+/** @type {Object<string, number>} Sort order of severities */
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+/**
+ * Collects the distinct URLs in metadata fields, with the field each was
+ * first seen in.
+ * @param {Array<{ key: string, value: string }>} fields - Named free-text values
+ * @returns {Array<{ key: string, url: string }>} URLs, in first-seen order
+ */
+function findEmbeddedUrls(fields) {
+    const urls = new Map();
+    for (const { key, value } of fields) {
+        for (const match of value.matchAll(EMBEDDED_URL_PATTERN)) {
+            const url = match[0].replace(/[),.;\]]+$/, '');
+            if (!urls.has(url)) urls.set(url, key);
+        }
+    }
+    return [...urls].map(([url, key]) => ({ key, url }));
+}
+
+/**
+ * Builds the warnings for the URLs found in embedded metadata.
+ * @param {Array<{ key: string, url: string }>} found - Embedded URLs and their fields
+ * @returns {MediaWarning[]} One warning per URL
+ */
+function describeEmbeddedUrls(found) {
+    return found.map(({ key, url }) => {
+        const active = ACTIVE_SCHEMES.some((scheme) => url.toLowerCase().startsWith(scheme));
+        return active
+            ? { code: 'embedded-script-uri', severity: 'high', message: `Embedded metadata (${key}) contains an executable URI: ${url.slice(0, 120)}` }
+            : { code: 'embedded-url', severity: 'medium', message: `Embedded metadata (${key}) links to ${url}` };
+    });
+}
+
+/**
+ * Inspects a video file's container.
+ * @param {Uint8Array} bytes - File contents
+ * @param {string} mimeType - Type the file was served as
+ * @returns {MediaInspection} Inspection result
+ */
+function inspectVideo(bytes, mimeType) {
+    const video = parseVideoContainer(bytes);
+    const found = findEmbeddedUrls([...video.tags, ...video.attachments.map((a) => ({ key: 'attachment', value: a.name }))]);
+    const warnings = describeEmbeddedUrls(found);
+
+    if (video.error) {
+        warnings.push({
+            code: 'container-unreadable',
+            severity: video.container ? 'low' : 'medium',
+            message: video.container
+                ? `Container could only be read in part: ${video.error}`
+                : `File is not a readable MP4 or WebM container: ${video.error}`,
+        });
+    }
+    const expected = EXPECTED_CONTAINERS[mimeType];
+    const actual = video.container === 'matroska' ? 'webm' : video.container;
+    if (expected && actual && expected !== actual) {
+        warnings.push({
+            code: 'container-mismatch',
+            severity: 'medium',
+            message: `Served as ${mimeType} but the file is ${video.container === 'mp4' ? 'MP4' : 'Matroska/WebM'}`,
+        });
+    }
+    if (video.container === 'matroska' && mimeType === 'video/webm') {
+        warnings.push({ code: 'matroska-doctype', severity: 'low', message: `WebM file declares DocType "${video.brand}"` });
+    }
+    video.attachments.forEach((a) => {
+        warnings.push({
+            code: 'attached-file',
+            severity: 'medium',
+            message: `File carries an attachment: ${a.name || '(unnamed)'} (${a.mimeType || 'unknown type'}, ${a.size} bytes)`,
+        });
+    });
+    if (video.tracks.length > 0 && !video.tracks.some((t) => t.type === 'video')) {
+        warnings.push({ code: 'no-video-track', severity: 'low', message: 'Container has no video track' });
+    }
+
+    warnings.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+    return { kind: 'video', video, urls: found.map((f) => f.url), warnings };
+}
+
+/**
+ * Inspects an audio file's tags.
+ * @param {Uint8Array} bytes - File contents
+ * @param {string} mimeType - Type the file was served as
+ * @returns {MediaInspection} Inspection result
+ */
+function inspectAudio(bytes, mimeType) {
+    const audio = parseAudioTags(bytes);
+    // An ID3 picture whose type is "-->" is a link to the image, not the image
+    const linkedArtwork = audio.artwork
+        .filter((a) => a.mimeType === '-->')
+        .map((a) => ({ key: 'APIC', value: new TextDecoder('latin1').decode(a.bytes) }));
+    const found = findEmbeddedUrls([
+        ...audio.tags,
+        ...linkedArtwork,
+        ...audio.artwork.map((a) => ({ key: 'picture description', value: a.description })),
+        ...audio.objects.map((o) => ({ key: 'GEOB', value: `${o.name} ${o.description}` })),
+    ]);
+    const warnings = describeEmbeddedUrls(found);
+
+    if (audio.error) {
+        warnings.push({
+            code: 'audio-unreadable',
+            severity: audio.format ? 'low' : 'medium',
+            message: audio.format
+                ? `Tags could only be read in part: ${audio.error}`
+                : `File is not a readable audio file: ${audio.error}`,
+        });
+    }
+    const expected = EXPECTED_AUDIO_FORMATS[mimeType];
+    if (expected && audio.format && expected !== audio.format) {
+        warnings.push({
+            code: 'format-mismatch',
+            severity: 'medium',
+            message: `Served as ${mimeType} but the file is ${audio.format.toUpperCase()}`,
+        });
+    }
+    audio.objects.forEach((o) => {
+        warnings.push({
+            code: 'attached-file',
+            severity: 'medium',
+            message: `File carries an embedded object: ${o.name || '(unnamed)'} (${o.mimeType || 'unknown type'}, ${o.size} bytes)`,
+        });
+    });
+    audio.artwork
+        .filter((a) => a.mimeType !== '-->' && a.mimeType && !/^image\//i.test(a.mimeType) && !['JPG', 'PNG'].includes(a.mimeType))
+        .forEach((a) => {
+            warnings.push({
+                code: 'artwork-type',
+                severity: 'medium',
+                message: `Embedded picture is declared as ${a.mimeType}, not an image (${a.size} bytes)`,
+            });
+        });
+
+    warnings.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+    return { kind: 'audio', audio, urls: found.map((f) => f.url), warnings };
+}
+
+/**
+ * Builds the warning for a `uri` a model loads when it is rendered.
+ * @param {{ path: string, uri: string }} ref - URI and its JSON path
+ * @returns {MediaWarning} Warning
+ */
+function describeModelUri({ path, uri }) {
+    if (ACTIVE_SCHEMES.some((scheme) => uri.trim().toLowerCase().startsWith(scheme))) {
+        return { code: 'embedded-script-uri', severity: 'high', message: `Model ${path} is an executable URI: ${uri.slice(0, 120)}` };
+    }
+    if (/^[a-z][a-z0-9+.-]*:/i.test(uri) || uri.startsWith('//')) {
+        return { code: 'external-uri', severity: 'medium', message: `Model ${path} fetches ${uri} when rendered` };
+    }
+    return { code: 'relative-uri', severity: 'low', message: `Model ${path} loads "${uri}" from next to the model when rendered` };
+}
+
+/**
+ * Inspects a glTF / GLB model's document.
+ * @param {Uint8Array} bytes - File contents
+ * @param {string} mimeType - Type the file was served as
+ * @returns {MediaInspection} Inspection result
+ */
+function inspectModel(bytes, mimeType) {
+    const model = parseGltfModel(bytes);
+    const warnings = model.uris.map(describeModelUri);
+    const assetFields = Object.entries(model.json?.asset ?? {})
+        .filter(([, value]) => typeof value === 'string')
+        .map(([key, value]) => ({ key: `asset.${key}`, value }));
+    const extras = model.json?.extras ? [{ key: 'extras', value: JSON.stringify(model.json.extras) }] : [];
+    const found = findEmbeddedUrls([...assetFields, ...extras]);
+    warnings.push(...describeEmbeddedUrls(found));
+
+    if (model.error) {
+        warnings.push({
+            code: 'model-unreadable',
+            severity: model.json ? 'low' : 'medium',
+            message: model.json ? `Model could only be read in part: ${model.error}` : model.error,
+        });
+    }
+    const expected = EXPECTED_MODEL_FORMATS[mimeType];
+    if (expected && model.format && expected !== model.format) {
+        warnings.push({
+            code: 'format-mismatch',
+            severity: 'medium',
+            message: `Served as ${mimeType} but the file is ${model.format === 'glb' ? 'binary GLB' : 'glTF JSON'}`,
+        });
+    }
+    const { totals } = model;
+    if (totals.triangles > MODEL_BUDGETS.triangles) {
+        warnings.push({
+            code: 'polygon-budget',
+            severity: 'medium',
+            message: `Model has ${totals.triangles.toLocaleString()} triangles (budget ${MODEL_BUDGETS.triangles.toLocaleString()}); it may stall or crash viewers`,
+        });
+    }
+    if (totals.maxTextureDimension > MODEL_BUDGETS.textureDimension) {
+        warnings.push({
+            code: 'texture-budget',
+            severity: 'low',
+            message: `Largest texture is ${totals.maxTextureDimension} px on a side (budget ${MODEL_BUDGETS.textureDimension} px)`,
+        });
+    }
+    if (totals.textureBytes > MODEL_BUDGETS.textureBytes) {
+        warnings.push({
+            code: 'texture-budget',
+            severity: 'low',
+            message: `Textures total ${(totals.textureBytes / 1024 / 1024).toFixed(1)} MB (budget ${MODEL_BUDGETS.textureBytes / 1024 / 1024} MB)`,
+        });
+    }
+
+    warnings.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+    return { kind: 'model', model, urls: [...model.uris.map((u) => u.uri), ...found.map((f) => f.url)], warnings };
+}
+
+/**
+ * Inspects a raster image's embedded metadata.
+ * @param {Uint8Array} bytes - File contents
+ * @returns {MediaInspection} Inspection result
+ */
+function inspectImage(bytes) {
+    const image = parseImageMetadata(bytes);
+    const found = findEmbeddedUrls(image.fields.map((f) => ({ key: `${f.source} ${f.key}`, value: f.value })));
+    const warnings = describeEmbeddedUrls(found);
+
+    if (image.gps) {
+        const { latitude, longitude } = image.gps;
+        warnings.push({
+            code: 'gps-location',
+            severity: 'medium',
+            message: `Image carries a GPS position: ${latitude.toFixed(5)}, ${longitude.toFixed(5)}`,
+        });
+    }
+    image.blocks
+        .filter((b) => b.size > LARGE_METADATA_BYTES)
+        .forEach((b) => {
+            warnings.push({
+                code: 'large-metadata',
+                severity: 'medium',
+                message: `${b.source} block is unusually large (${b.size} bytes) and may hide other data`,
+            });
+        });
+    const identifying = [...new Set(image.fields.filter((f) => IDENTIFYING_FIELDS.includes(f.key)).map((f) => f.key))];
+    if (identifying.length > 0) {
+        warnings.push({
+            code: 'identifying-metadata',
+            severity: 'low',
+            message: `Metadata names a person or device: ${identifying.join(', ')}`,
+        });
+    }
+    if (image.error && image.format) {
+        warnings.push({ code: 'metadata-unreadable', severity: 'low', message: `Metadata could only be read in part: ${image.error}` });
+    }
+
+    warnings.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+    return { kind: 'image', image, urls: found.map((f) => f.url), warnings };
+}
+
+/**
+ * Inspects an SVG image. Every finding of the analyzer becomes a warning;
+ * the sanitized copy it produces is what previews render.
+ * @param {Uint8Array} bytes - File contents
+ * @returns {MediaInspection} Inspection result
+ */
+function inspectSvg(bytes) {
+    const svg = analyzeSvg(new TextDecoder('utf-8').decode(bytes));
+    const warnings = svg.findings.map(({ code, severity, message }) => ({ code, severity, message }));
+    return { kind: 'svg', svg, urls: svg.externalUrls, warnings };
+}
+
+/**
+ * Inspects an HTML page together with the same-origin subresources
+ * downloaded for it.
+ * @param {Uint8Array} bytes - Page contents
+ * @param {string} mimeType - Type the page was served as
+ * @param {string|null} pageUrl - URL the page was listed under
+ * @param {import('../fetchers/html-subresource-fetcher.js').HtmlSubresourceBundle|null} subresources - Downloads for the page
+ * @returns {MediaInspection} Inspection result
+ */
+function inspectHtml(bytes, mimeType, pageUrl, subresources) {
+    const html = analyzeHtml(decodeBody(bytes, mimeType).text, {
+        pageUrl,
+        resources: subresources?.resources ?? [],
+        truncated: subresources?.truncated ?? false,
+    });
+    return { kind: 'html', html, urls: html.externalUrls, warnings: html.findings };
+}
+
+/**
+ * Inspects a downloaded media file according to its kind. SVG images are
+ * recognised by served type or by signature and analyzed as documents;
+ * other images have their metadata read.
+ * @param {Blob} blob - File contents
+ * @param {Object} options
+ * @param {'image'|'video'|'audio'|'model'|'html'} [options.kind] - Media kind from fetchMedia
+ * @param {string} [options.mimeType] - Type the file was served as
+ * @param {string|null} [options.pageUrl] - URL an HTML page was listed under
+ * @param {import('../fetchers/html-subresource-fetcher.js').HtmlSubresourceBundle|null} [options.subresources] - Same-origin downloads for an HTML page
+ * @returns {Promise<MediaInspection|null>} Inspection result
+ */
+export async function inspectMedia(blob, { kind, mimeType = '', pageUrl = null, subresources = null }) {
+    const inspectors = {
+        video: inspectVideo,
+        audio: inspectAudio,
+        model: inspectModel,
+        html: (bytes, type) => inspectHtml(bytes, type, pageUrl, subresources),
+    };
+    if (!blob || (!inspectors[kind] && kind !== 'image')) return null;
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    if (kind === 'image') {
+        const isSvg = mimeType === 'image/svg+xml' || sniffFileType(bytes)?.mimeType === 'image/svg+xml';
+        return isSvg ? inspectSvg(bytes) : inspectImage(bytes);
+    }
+    return inspectors[kind](bytes, mimeType);
+}
+
+/**
+ * Extracts the images stored inside an inspected model so they can be
+ * scanned as files of their own. External images are left out.
+ * @param {MediaInspection|null} inspection - Result of inspectMedia
+ * @returns {Array<{ index: number, name: string, blob: Blob, mimeType: string }>} Embedded images, in model order
+ */
+export function extractModelTextures(inspection) {
+    if (!inspection?.model) return [];
+    return inspection.model.images
+        .filter((image) => image.storage !== 'external')
+        .map((image) => ({ image, extracted: extractGltfImage(inspection.model, image.index) }))
+        .filter(({ extracted }) => extracted.success)
+        .map(({ image, extracted }) => ({
+            index: image.index,
+            name: image.name,
+            blob: new Blob([extracted.bytes], { type: extracted.mimeType }),
+            mimeType: extracted.mimeType,
+        }));
+}
@@ -205,7 +205,7 @@ export function getStandardLabel(standard) {
  * Extracts all URLs from metadata based on the detected standard.
  * @param {Object} data - Parsed metadata object
  * @param {MetadataStandard} standard - Detected metadata standard
- * @returns {Array<{url: string, field: string, type: string}>} Array of URL objects with context
+ * @returns {Array<{url: string, field: string, type: string, mimeType?: string}>} Array of URL objects with context (mimeType: the type the metadata declares for the file, when it gives one)
  */
 export function extractAllUrls(data, standard) {
     const urls = [];
@@ -215,9 +215,9 @@ export function extractAllUrls(data, standard) {
     }
 
     // Helper function to add URL if valid
-    const addUrl = (url, field, type) => {
+    const addUrl = (url, field, type, mimeType) => {
         if (typeof url === 'string' && url.trim()) {
-            urls.push({ url: url.trim(), field, type });
+            urls.push({ url: url.trim(), field, type, ...(typeof mimeType === 'string' && mimeType.trim() ? { mimeType: mimeType.trim() } : {}) });
         }
     };
 
@@ -234,7 +234,7 @@ export function extractAllUrls(data, standard) {
         if (Array.isArray(data.media)) {
             data.media.forEach((media, index) => {
                 if (typeof media === 'object' && media.url) {
-                    addUrl(media.url, `media[${index}].url`, 'media');
+                    addUrl(media.url, `media[${index}].url`, 'media', media.type);
                 }
             });
         }
@@ -248,7 +248,7 @@ export function extractAllUrls(data, standard) {
             if (Array.isArray(data.properties.media)) {
                 data.properties.media.forEach((media, index) => {
                     if (typeof media === 'object' && media.url) {
-                        addUrl(media.url, `properties.media[${index}].url`, 'media');
+                        addUrl(media.url, `properties.media[${index}].url`, 'media', media.type);
                     }
                 });
             }
@@ -259,7 +259,7 @@ export function extractAllUrls(data, standard) {
             data.attributes.forEach((attr, index) => {
                 if (typeof attr === 'object' && attr.value && typeof attr.value === 'string') {
                     // Check if value looks like a URL
-                    if (attr.value.startsWith('http') || attr.value.startsWith('ipfs://')) {
+                    if (attr.value.startsWith('http') || attr.value.startsWith('ipfs://') || attr.value.startsWith('ipns://') || attr.value.startsWith('ar://')) {
                         addUrl(attr.value, `attributes[${index}].value`, 'attribute');
                     }
                 }
@@ -0,0 +1,214 @@
+/**
+ * @module polyglot-detector
+ * @description Looks for data smuggled inside or after a media file. For
+ * PNG, JPEG, GIF and WebP the structure is walked (see image-structure.js)
+ * to the offset where the format says the image ends; anything after it
+ * is appended data, which is measured and sniffed. Every file is also
+ * searched for signatures of a second format that a different reader
+ * would accept — a ZIP directory, a PDF header, markup or a Windows
+ * executable stub — so one file can be served as an image and opened as
+ * something else.
+ *
+ * Appended or dual-format content makes the file suspicious on its own:
+ * antivirus engines judge the format they recognise and often pass it.
+ */
+
+import { walkImageStructure } from '../utils/image-structure.js';
+import { sniffFileType } from '../utils/file-signature.js';
+
+/**
+ * @typedef {Object} EmbeddedSignature
+ * @property {string} label - Format the signature belongs to
+ * @property {number} offset - Where it was found
+ */
+
+/**
+ * @typedef {Object} PolyglotCheck
+ * @property {'png'|'jpeg'|'gif'|'webp'|null} format - Image format walked, null for other files
+ * @property {number|null} imageEnd - Offset where the image ends, null if it was not reached
+ * @property {number} trailingBytes - Bytes after the image end
+ * @property {import('../utils/file-signature.js').FileSignature|null} trailingType - What the trailing bytes are
+ * @property {string|null} trailingMarkup - Markup or script found in trailing bytes no signature matched
+ * @property {boolean} trailingPadding - True when the trailing bytes are only zero / 0xFF / whitespace padding
+ * @property {EmbeddedSignature[]} embedded - Second-format signatures found in the file
+ * @property {string} [structureError] - Why the image walk stopped early
+ * @property {import('./media-inspector.js').MediaWarning[]} warnings - Findings, most severe first
+ */
+
+/** @type {number} Unrecognised trailing bytes up to which a file is only flagged, not marked suspicious */
+const SIGNIFICANT_TRAILING_BYTES = 1024;
+
+/** @type {number} How far from the end a ZIP end-of-central-directory record can sit (22-byte record + 64 KB comment) */
+const ZIP_EOCD_SEARCH = 22 + 0xffff;
+
+/** @type {number} How far into a file PDF readers look for the header */
+const PDF_HEADER_SEARCH = 1024;
+
+/** @type {Array<{ pattern: RegExp, label: string }>} Markup and script a browser or server would run if the file were opened as text */
+const MARKUP_SIGNATURES = [
+    { pattern: /<script[\s>]/i, label: 'HTML <script> element' },
+    { pattern: /<\?php/i, label: 'PHP code' },
+    { pattern: /<html[\s>]/i, label: 'HTML document' },
+    { pattern: /<iframe[\s>]/i, label: 'HTML <iframe> element' },
+    { pattern: /<svg[\s>][\s\S]{0,512}?\bon[a-z]+\s*=/i, label: 'SVG with an event handler' },
+];
+
+/**
+ * Finds the first markup or script signature in some text.
+ * @param {string} text - Text to search
+ * @returns {{ label: string, offset: number }|null} Signature and where it starts, or null
+ */
+function findMarkup(text) {
+    const found = MARKUP_SIGNATURES
+        .map(({ pattern, label }) => ({ label, match: pattern.exec(text) }))
+        .filter(({ match }) => match)
+        .map(({ label, match }) => ({ label, offset: match.index }));
+    return found.length > 0 ? found.reduce((a, b) => (b.offset < a.offset ? b : a)) : null;
+}
+
+/** @type {string} Text in the DOS stub of every Windows executable */
+const DOS_STUB = 'This program cannot be run in DOS mode';
+
+/** @type {Object<string, number>} Sort order of severities */
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+/**
+ * Finds a ZIP end-of-central-directory record whose comment length runs
+ * exactly to the end of the file, which is how unzip and JAR loaders
+ * locate an archive wherever it starts.
+ * @param {Uint8Array} bytes - File contents
+ * @returns {number} Offset of the record, -1 if there is none
+ */
+function findZipDirectory(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const stop = Math.max(0, bytes.length - ZIP_EOCD_SEARCH);
+    for (let pos = bytes.length - 22; pos >= stop; pos--) {
+        if (bytes[pos] === 0x50 && bytes[pos + 1] === 0x4b && bytes[pos + 2] === 0x05 && bytes[pos + 3] === 0x06
+            && pos + 22 + view.getUint16(pos + 20, true) === bytes.length) {
+            return pos;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Searches a file for the signatures of a second format.
+ * @param {Uint8Array} bytes - File contents
+ * @param {import('../utils/file-signature.js').FileSignature|null} sniffed - What the file's leading bytes are
+ * @param {number} limit - Search only before this offset (the image end; appended data is reported on its own)
+ * @returns {EmbeddedSignature[]} Signatures found
+ */
+function findEmbeddedSignatures(bytes, sniffed, limit) {
+    const found = [];
+    const text = new TextDecoder('latin1').decode(bytes.subarray(0, limit));
+
+    if (sniffed?.mimeType !== 'application/zip') {
+        const eocd = findZipDirectory(bytes);
+        if (eocd >= 0 && eocd < limit) found.push({ label: 'ZIP archive directory', offset: eocd });
+    }
+    if (sniffed?.mimeType !== 'application/pdf') {
+        const pdf = text.slice(0, PDF_HEADER_SEARCH).indexOf('%PDF-');
+        if (pdf > 0) found.push({ label: 'PDF header', offset: pdf });
+    }
+    // "GIF89a/*" opens a JavaScript comment: the same bytes parse as a GIF and as a script
+    if (sniffed?.mimeType === 'image/gif' && text.slice(6, 8) === '/*') {
+        found.push({ label: 'JavaScript comment in the GIF header', offset: 6 });
+    }
+    if (sniffed && sniffed.category !== 'markup' && sniffed.mimeType !== 'image/svg+xml') {
+        const markup = findMarkup(text);
+        if (markup) found.push(markup);
+    }
+    const stub = text.indexOf(DOS_STUB);
+    if (stub >= 0 && sniffed?.category !== 'executable') found.push({ label: 'Windows executable (DOS stub)', offset: stub });
+    return found.sort((a, b) => a.offset - b.offset);
+}
+
+/**
+ * Tests whether trailing bytes are only padding.
+ * @param {Uint8Array|number[]} trailing - Bytes after the image end
+ * @returns {boolean} True for zero, 0xFF and whitespace only
+ */
+function isPadding(trailing) {
+    return trailing.every((b) => b === 0x00 || b === 0xff || b === 0x20 || b === 0x0a || b === 0x0d || b === 0x09);
+}
+
+/**
+ * Builds the warning for the data after an image's end.
+ * @param {PolyglotCheck} check - Check result so far
+ * @param {boolean} hasMultiPicture - True when a JPEG declares extra images (MPF), which follow its EOI
+ * @returns {import('./media-inspector.js').MediaWarning|null} Warning, null when nothing is appended
+ */
+function describeTrailingData(check, hasMultiPicture) {
+    const { trailingBytes, trailingType, trailingMarkup, imageEnd } = check;
+    if (trailingBytes === 0) return null;
+    const where = `${trailingBytes} byte${trailingBytes === 1 ? '' : 's'} after the end of the image (offset ${imageEnd})`;
+    if (check.trailingPadding) {
+        return { code: 'trailing-padding', severity: 'low', message: `${where}, all padding` };
+    }
+    if (trailingType) {
+        const sameImages = trailingType.category === 'image' && trailingType.mimeType === `image/${check.format}`;
+        if (sameImages && hasMultiPicture) {
+            return { code: 'trailing-images', severity: 'low', message: `${where}: further ${trailingType.label}s declared by the Multi-Picture Format` };
+        }
+        return {
+            code: 'appended-file',
+            severity: trailingType.category === 'image' ? 'medium' : 'high',
+            message: `${where}: the appended data is a ${trailingType.label} (${trailingType.mimeType})`,
+        };
+    }
+    if (trailingMarkup) {
+        return { code: 'appended-file', severity: 'high', message: `${where}: the appended data contains ${trailingMarkup}` };
+    }
+    return trailingBytes > SIGNIFICANT_TRAILING_BYTES
+        ? { code: 'appended-data', severity: 'high', message: `${where} of unrecognised data — a viewer ignores it, other tools may not` }
+        : { code: 'appended-data', severity: 'medium', message: `${where} of unrecognised data` };
+}
+
+/**
+ * Checks a downloaded file for appended data and second-format signatures.
+ * @param {Uint8Array} bytes - File contents
+ * @returns {PolyglotCheck} Check result
+ */
+export function detectPolyglot(bytes) {
+    const structure = walkImageStructure(bytes);
+    const sniffed = sniffFileType(bytes);
+    const imageEnd = structure.end !== null ? Math.min(structure.end, bytes.length) : null;
+    const trailing = imageEnd !== null ? bytes.subarray(imageEnd) : new Uint8Array(0);
+    const trailingPadding = trailing.length > 0 && isPadding(trailing);
+    // Appended files are often separated from the image by a few padding bytes
+    const trailingStart = trailingPadding ? -1 : trailing.findIndex((b) => !isPadding([b]));
+    const trailingType = trailingStart >= 0 ? sniffFileType(trailing.subarray(trailingStart)) : null;
+    const check = {
+        format: structure.format,
+        imageEnd,
+        trailingBytes: trailing.length,
+        trailingType,
+        trailingMarkup: trailingStart >= 0 && !trailingType ? findMarkup(new TextDecoder('latin1').decode(trailing))?.label ?? null : null,
+        trailingPadding,
+        embedded: findEmbeddedSignatures(bytes, sniffed, imageEnd ?? bytes.length),
+        warnings: [],
+    };
+    if (structure.format && structure.error) check.structureError = structure.error;
+
+    const hasMultiPicture = structure.segments.some((seg) => seg.id === 'APP2'
+        && String.fromCharCode(...bytes.subarray(seg.dataOffset, seg.dataOffset + 4)) === 'MPF\0');
+    const trailingWarning = describeTrailingData(check, hasMultiPicture);
+    if (trailingWarning) check.warnings.push(trailingWarning);
+    check.embedded.forEach(({ label, offset }) => {
+        check.warnings.push({
+            code: 'dual-format',
+            severity: 'high',
+            message: `File also carries a ${label} at offset ${offset}; it can be opened as more than one format`,
+        });
+    });
+    if (check.structureError) {
+        check.warnings.push({
+            code: 'structure-unreadable',
+            severity: 'low',
+            message: `Image structure could not be followed to its end: ${check.structureError}`,
+        });
+    }
+
+    check.warnings.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+    return check;
+}
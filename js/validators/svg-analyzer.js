@@ -0,0 +1,272 @@
+/**
+ * @module svg-analyzer
+ * @description Finds everything in an SVG file that runs code or reaches
+ * outside the file: <script>, on* handlers, <foreignObject> HTML, frames,
+ * forms, javascript: / external href and xlink:href references, animated
+ * hrefs, CSS @import and url() beacons, xml-stylesheet instructions and
+ * entity declarations. The file is parsed with DOMParser, whose documents
+ * are inert (no scripts run, nothing is fetched), and a sanitized copy
+ * with all of those constructs removed is produced for previewing.
+ */
+
+/**
+ * @typedef {Object} SvgFinding
+ * @property {string} code - Machine-readable finding code
+ * @property {'low'|'medium'|'high'} severity - How much the finding matters
+ * @property {string} message - Human-readable explanation
+ * @property {string} element - Element (or construct) it was found on
+ */
+
+/**
+ * @typedef {Object} SvgAnalysis
+ * @property {SvgFinding[]} findings - Active and external constructs, most severe first
+ * @property {string[]} externalUrls - External URLs the SVG references
+ * @property {number} elementCount - Elements in the document
+ * @property {{ width: string, height: string, viewBox: string }} dimensions - Root size attributes ('' if absent)
+ * @property {string|null} sanitized - Serialized sanitized copy, null if the file did not parse
+ * @property {number} removed - Constructs removed from the sanitized copy
+ * @property {string} [error] - Parse error
+ */
+
+import { excerpt, classifyReference, sanitizeCss, analyzeCss } from './svg-references.js';
+
+/** @type {string} SVG namespace */
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/** @type {string} XLink namespace */
+const XLINK_NS = 'http://www.w3.org/1999/xlink';
+
+/** @type {string[]} Elements that embed other documents or plugins */
+const FRAME_ELEMENTS = ['iframe', 'frame', 'embed', 'object', 'applet', 'portal'];
+
+/** @type {string[]} Elements that collect input */
+const FORM_ELEMENTS = ['form', 'input', 'textarea', 'button', 'select'];
+
+/** @type {string[]} Animation elements, which can rewrite attributes (including href) */
+const ANIMATION_ELEMENTS = ['animate', 'set', 'animatemotion', 'animatetransform'];
+
+/** @type {Object<string, number>} Sort order of severities */
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+/**
+ * @typedef {Object} SvgWalk
+ * @property {function(SvgFinding): void} add - Finding collector
+ * @property {Set<string>} externalUrls - External URLs found so far
+ * @property {Set<Node>} toRemove - Nodes left out of the sanitized copy
+ * @property {number} rewritten - Attributes and style sheets rewritten in the sanitized copy
+ */
+
+/**
+ * Records entity declarations. The parser expands them, so they are found
+ * in the source text.
+ * @param {string} text - SVG source
+ * @param {function(SvgFinding): void} add - Finding collector
+ */
+function findEntities(text, add) {
+    const entities = text.match(/<!ENTITY\s+[^>]*>/gi) ?? [];
+    entities.forEach((decl) => {
+        const external = /\b(?:SYSTEM|PUBLIC)\b/i.test(decl);
+        add({
+            code: 'svg-entity',
+            severity: external ? 'high' : 'medium',
+            element: '<!ENTITY>',
+            message: external ? `Declares an external entity: ${excerpt(decl)}` : `Declares an entity (can be used to inflate the document): ${excerpt(decl)}`,
+        });
+    });
+}
+
+/**
+ * Records xml-stylesheet processing instructions, which load CSS from anywhere.
+ * @param {Document} doc - Parsed SVG
+ * @param {SvgWalk} walk - Walk state (mutated)
+ */
+function findStylesheetInstructions(doc, walk) {
+    [...doc.childNodes].filter((n) => n.nodeType === 7 /* PROCESSING_INSTRUCTION_NODE */).forEach((pi) => {
+        if (pi.target === 'xml-stylesheet') {
+            const href = /href\s*=\s*(['"])(.*?)\1/i.exec(pi.data)?.[2] ?? '';
+            if (classifyReference(href) === 'external') walk.externalUrls.add(href);
+            walk.add({ code: 'svg-css-import', severity: 'medium', element: '<?xml-stylesheet?>', message: `Attaches a stylesheet: ${excerpt(href) || '(no href)'}` });
+            walk.toRemove.add(pi);
+        }
+    });
+}
+
+/**
+ * Checks an animation element for rewriting an href or handler, or
+ * animating to a javascript: value.
+ * @param {Element} el - Animation element
+ * @param {string} tag - Element as displayed
+ * @param {SvgWalk} walk - Walk state (mutated)
+ */
+function analyzeAnimation(el, tag, walk) {
+    const target = (el.getAttribute('attributeName') ?? '').toLowerCase();
+    const values = [el.getAttribute('to'), el.getAttribute('values'), el.getAttribute('from'), el.getAttribute('by')].filter(Boolean).join(';');
+    if (target === 'href' || target === 'xlink:href' || target.startsWith('on')) {
+        walk.add({ code: 'svg-animated-href', severity: 'high', element: tag, message: `${tag} rewrites ${target} at runtime${values ? ` to ${excerpt(values)}` : ''}` });
+        walk.toRemove.add(el);
+    } else if (values.split(';').some((v) => classifyReference(v) === 'script')) {
+        walk.add({ code: 'svg-animated-href', severity: 'high', element: tag, message: `${tag} animates to a javascript: value: ${excerpt(values)}` });
+        walk.toRemove.add(el);
+    }
+}
+
+/**
+ * Checks what an element is: scripts, foreign HTML, frames, forms,
+ * animations and style sheets.
+ * @param {Element} el - Element
+ * @param {SvgWalk} walk - Walk state (mutated)
+ * @returns {boolean} True for a <script>, whose attributes need no further checks
+ */
+function analyzeElement(el, walk) {
+    const name = el.localName.toLowerCase();
+    const tag = `<${el.localName}>`;
+    if (name === 'script') {
+        const src = el.getAttribute('href') ?? el.getAttributeNS(XLINK_NS, 'href');
+        walk.add({
+            code: 'svg-script',
+            severity: 'high',
+            element: tag,
+            message: src ? `<script> loads ${excerpt(src)}` : `<script> element: ${excerpt(el.textContent) || '(empty)'}`,
+        });
+        if (src && classifyReference(src) === 'external') walk.externalUrls.add(src);
+        walk.toRemove.add(el);
+        return true;
+    }
+    if (name === 'foreignobject') {
+        walk.add({ code: 'svg-foreign-object', severity: 'medium', element: tag, message: `<foreignObject> embeds HTML content (${el.getElementsByTagName('*').length} elements)` });
+        walk.toRemove.add(el);
+    } else if (FRAME_ELEMENTS.includes(name)) {
+        walk.add({ code: 'svg-embedded-frame', severity: 'high', element: tag, message: `${tag} embeds another document: ${excerpt(el.getAttribute('src') ?? el.getAttribute('data') ?? '')}` });
+        walk.toRemove.add(el);
+    } else if (FORM_ELEMENTS.includes(name)) {
+        walk.add({ code: 'svg-form', severity: 'medium', element: tag, message: `${tag} collects input (possible phishing form)` });
+        walk.toRemove.add(el);
+    } else if (ANIMATION_ELEMENTS.includes(name)) {
+        analyzeAnimation(el, tag, walk);
+    } else if (name === 'style') {
+        const css = el.textContent ?? '';
+        analyzeCss(css, '<style>', walk.add, walk.externalUrls);
+        const clean = sanitizeCss(css);
+        if (clean !== css) {
+            el.textContent = clean;
+            walk.rewritten++;
+        }
+    }
+    return false;
+}
+
+/**
+ * Checks an href / src attribute and drops it from the sanitized copy
+ * unless it points inside the file or at an embedded image.
+ * @param {Element} el - Element the attribute is on
+ * @param {Attr} attr - href or src attribute
+ * @param {SvgWalk} walk - Walk state (mutated)
+ */
+function analyzeReferenceAttribute(el, attr, walk) {
+    const tag = `<${el.localName}>`;
+    const where = `${tag} ${attr.name}`;
+    const kind = classifyReference(attr.value);
+    if (kind === 'script') {
+        walk.add({ code: 'svg-script-href', severity: 'high', element: tag, message: `${where} is a script URI: ${excerpt(attr.value)}` });
+    } else if (kind === 'external') {
+        walk.externalUrls.add(attr.value);
+        walk.add(el.localName.toLowerCase() === 'a'
+            ? { code: 'svg-external-link', severity: 'medium', element: tag, message: `${where} links to ${excerpt(attr.value)}` }
+            : { code: 'svg-external-ref', severity: 'medium', element: tag, message: `${where} loads ${excerpt(attr.value)} when rendered` });
+    } else if (kind === 'data') {
+        walk.add({ code: 'svg-data-uri', severity: 'medium', element: tag, message: `${where} embeds a non-image data: URI: ${excerpt(attr.value)}` });
+    }
+    if (!['internal', 'embedded'].includes(kind)) {
+        el.removeAttributeNode(attr);
+        walk.rewritten++;
+    }
+}
+
+/**
+ * Checks an element's attributes: event handlers, references and CSS.
+ * @param {Element} el - Element
+ * @param {SvgWalk} walk - Walk state (mutated)
+ */
+function analyzeAttributes(el, walk) {
+    const name = el.localName.toLowerCase();
+    const tag = `<${el.localName}>`;
+    for (const attr of [...el.attributes]) {
+        const attrName = attr.name.toLowerCase();
+        const where = `${tag} ${attr.name}`;
+        if (attrName.startsWith('on')) {
+            walk.add({ code: 'svg-event-handler', severity: 'high', element: tag, message: `${where} handler: ${excerpt(attr.value) || '(empty)'}` });
+            el.removeAttributeNode(attr);
+            walk.rewritten++;
+            continue;
+        }
+        const isHref = attr.localName === 'href' && (attr.namespaceURI === null || attr.namespaceURI === XLINK_NS);
+        if (isHref || (attrName === 'src' && !FRAME_ELEMENTS.includes(name))) {
+            analyzeReferenceAttribute(el, attr, walk);
+            continue;
+        }
+        if (attrName === 'style' || /url\(|@import|expression\s*\(/i.test(attr.value)) {
+            analyzeCss(attr.value, where, walk.add, walk.externalUrls);
+            const clean = sanitizeCss(attr.value);
+            if (clean !== attr.value) {
+                el.setAttribute(attr.name, clean);
+                walk.rewritten++;
+            }
+        }
+    }
+}
+
+/**
+ * Removes the flagged nodes and serializes what is left.
+ * @param {Document} doc - Parsed SVG, already rewritten in place
+ * @param {SvgWalk} walk - Walk state
+ * @returns {{ sanitized: string, removed: number }} Sanitized copy and constructs removed
+ */
+function serializeSanitized(doc, walk) {
+    // Remove outermost nodes only; descendants go with them
+    const flagged = [...walk.toRemove];
+    const removals = flagged.filter((node) => !flagged.some((other) => other !== node && other.contains?.(node)));
+    removals.forEach((node) => node.parentNode?.removeChild(node));
+    if (!doc.documentElement.getAttribute('xmlns')) doc.documentElement.setAttribute('xmlns', SVG_NS);
+    return { sanitized: new XMLSerializer().serializeToString(doc), removed: walk.toRemove.size + walk.rewritten };
+}
+
+/**
+ * Analyzes an SVG document and builds its sanitized copy.
+ * @param {string} text - SVG source
+ * @returns {SvgAnalysis} Findings and sanitized copy
+ */
+export function analyzeSvg(text) {
+    const findings = [];
+    const walk = { add: (finding) => findings.push(finding), externalUrls: new Set(), toRemove: new Set(), rewritten: 0 };
+    const result = { findings, externalUrls: [], elementCount: 0, dimensions: { width: '', height: '', viewBox: '' }, sanitized: null, removed: 0 };
+    findEntities(text, walk.add);
+
+    const doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+    const root = doc.documentElement;
+    const parseError = doc.getElementsByTagName('parsererror')[0];
+    if (parseError || root?.localName !== 'svg') {
+        result.error = parseError
+            ? (parseError.textContent.trim().split('\n')[0] || 'SVG could not be parsed')
+            : `Root element is <${root?.localName}>, not <svg>`;
+        walk.add({ code: 'svg-unparseable', severity: 'medium', element: 'document', message: `File is not a well-formed SVG: ${excerpt(result.error)}` });
+        findings.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+        return result;
+    }
+    result.dimensions = {
+        width: root.getAttribute('width') ?? '',
+        height: root.getAttribute('height') ?? '',
+        viewBox: root.getAttribute('viewBox') ?? '',
+    };
+
+    findStylesheetInstructions(doc, walk);
+    const elements = [...doc.getElementsByTagName('*')];
+    result.elementCount = elements.length;
+    for (const el of elements) {
+        if (!analyzeElement(el, walk)) analyzeAttributes(el, walk);
+    }
+
+    Object.assign(result, serializeSanitized(doc, walk));
+    result.externalUrls = [...walk.externalUrls];
+    findings.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+    return result;
+}
@@ -0,0 +1,101 @@
+/**
+ * @module svg-references
+ * @description Classifies the references an SVG makes (href, src, CSS
+ * url() and @import) by what loading them would do, and rewrites CSS so
+ * the sanitized copy made by svg-analyzer.js keeps only references inside
+ * the file and embedded raster images.
+ */
+
+/** @type {RegExp} Embedded raster images, the only data: URIs kept in the sanitized copy */
+const SAFE_DATA_IMAGE = /^data:image\/(?:png|jpe?g|gif|webp)[;,]/i;
+
+/** @type {RegExp} url(...) references in CSS or presentation attributes */
+const CSS_URL_PATTERN = /url\(\s*(['"]?)(.*?)\1\s*\)/gi;
+
+/** @type {RegExp} @import rules in CSS */
+const CSS_IMPORT_PATTERN = /@import\s+(?:url\(\s*)?(['"]?)([^'");\s]*)\1\s*\)?[^;]*;?/gi;
+
+/** @type {number} Characters of an attribute or script quoted in a message */
+const EXCERPT_LENGTH = 80;
+
+/**
+ * Shortens a value for display.
+ * @param {string} value - Text
+ * @returns {string} Single-line excerpt
+ */
+export function excerpt(value) {
+    const text = String(value).replace(/\s+/g, ' ').trim();
+    return text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH)}…` : text;
+}
+
+/**
+ * Classifies a reference (href or CSS url) by what loading it would do.
+ * Whitespace and control characters are dropped first, as browsers do
+ * when reading a scheme ("java\tscript:" is still javascript:).
+ * @param {string} value - Reference
+ * @returns {'internal'|'embedded'|'data'|'script'|'external'} Kind of reference
+ */
+export function classifyReference(value) {
+    const ref = String(value).replace(/[\s\u0000-\u001f]/g, '');
+    if (ref === '' || ref.startsWith('#')) return 'internal';
+    const lower = ref.toLowerCase();
+    if (lower.startsWith('javascript:') || lower.startsWith('vbscript:')) return 'script';
+    if (lower.startsWith('data:')) return SAFE_DATA_IMAGE.test(lower) ? 'embedded' : 'data';
+    return 'external';
+}
+
+/**
+ * Finds the references in a piece of CSS (a <style> element or a
+ * style / presentation attribute).
+ * @param {string} css - CSS text
+ * @returns {Array<{ kind: 'import'|'url'|'expression', value: string }>} References
+ */
+function cssReferences(css) {
+    const refs = [];
+    for (const match of css.matchAll(CSS_IMPORT_PATTERN)) refs.push({ kind: 'import', value: match[2] });
+    // url() inside an @import is part of the import, not a second reference
+    for (const match of css.replace(CSS_IMPORT_PATTERN, '').matchAll(CSS_URL_PATTERN)) refs.push({ kind: 'url', value: match[2] });
+    if (/expression\s*\(|-moz-binding|behavior\s*:/i.test(css)) refs.push({ kind: 'expression', value: css });
+    return refs;
+}
+
+/**
+ * Removes @import rules, script constructs and non-local url() references
+ * from CSS.
+ * @param {string} css - CSS text
+ * @returns {string} Sanitized CSS
+ */
+export function sanitizeCss(css) {
+    return css
+        .replace(CSS_IMPORT_PATTERN, '')
+        .replace(CSS_URL_PATTERN, (whole, quote, value) => (['internal', 'embedded'].includes(classifyReference(value)) ? whole : 'none'))
+        .replace(/expression\s*\(|-moz-binding|behavior\s*:/gi, '');
+}
+
+/**
+ * Records the findings for CSS text.
+ * @param {string} css - CSS text
+ * @param {string} where - Element / attribute the CSS is in
+ * @param {function(import('./svg-analyzer.js').SvgFinding): void} add - Finding collector
+ * @param {Set<string>} externalUrls - External URLs (mutated)
+ */
+export function analyzeCss(css, where, add, externalUrls) {
+    for (const ref of cssReferences(css)) {
+        if (ref.kind === 'expression') {
+            add({ code: 'svg-css-script', severity: 'high', element: where, message: `${where} contains script-capable CSS: ${excerpt(ref.value)}` });
+            continue;
+        }
+        const kind = classifyReference(ref.value);
+        if (ref.kind === 'import') {
+            if (kind === 'external') externalUrls.add(ref.value);
+            add({ code: 'svg-css-import', severity: 'medium', element: where, message: `${where} imports a stylesheet: ${excerpt(ref.value) || '(empty)'}` });
+        } else if (kind === 'script') {
+            add({ code: 'svg-css-script', severity: 'high', element: where, message: `${where} has a javascript: url(): ${excerpt(ref.value)}` });
+        } else if (kind === 'external') {
+            externalUrls.add(ref.value);
+            add({ code: 'svg-css-url', severity: 'medium', element: where, message: `${where} loads ${excerpt(ref.value)} when rendered (tracking beacon)` });
+        } else if (kind === 'data') {
+            add({ code: 'svg-data-uri', severity: 'medium', element: where, message: `${where} embeds a non-image data: URI: ${excerpt(ref.value)}` });
+        }
+    }
+}
@@ -1,12 +1,17 @@
 /**
  * @module url-validator
  * @description Validates URLs for security and format compliance.
- * Enforces HTTPS/IPFS-only, rejects dangerous schemes, and prevents
- * SSRF by blocking private IPs and cloud metadata endpoints.
+ * Enforces HTTPS/IPFS/Arweave-only, rejects dangerous schemes, and prevents
+ * SSRF by blocking private IPs and cloud metadata endpoints. The one
+ * exception is a local IPFS node the user has declared in gateway settings.
  */
 
 import { isIPFSUrl, convertToHTTPGateway } from '../utils/ipfs-utils.js';
-import { logSecurity } from '../utils/error-handler.js';
+import { isArweaveUrl, convertArweaveToHTTPGateway } from '../utils/arweave-utils.js';
+import { classifyIPAddress } from '../utils/ip-classifier.js';
+import { isLocalNodeUrl } from '../utils/gateway-config.js';
+import { analyzeHostname } from './homograph-detector.js';
+import { logInfo, logSecurity } from '../utils/error-handler.js';
 
 /** @type {number} Maximum allowed URL length */
 const MAX_URL_LENGTH = 2048;
@@ -14,19 +19,6 @@ const MAX_URL_LENGTH = 2048;
 /** @type {string[]} Schemes that must be rejected outright */
 const DANGEROUS_SCHEMES = ['data:', 'javascript:', 'file:', 'about:', 'blob:', 'ftp:'];
 
-/** @type {RegExp[]} Patterns for private / reserved IP addresses (SSRF prevention) */
-const PRIVATE_IP_PATTERNS = [
-    /^127\./,
-    /^10\./,
-    /^172\.(1[6-9]|2\d|3[01])\./,
-    /^192\.168\./,
-    /^0\.0\.0\.0/,
-    /^169\.254\./,           // link-local
-    /^\[?::1\]?/,            // IPv6 loopback
-    /^\[?fe80:/i,            // IPv6 link-local
-    /^\[?fc00:/i,            // IPv6 unique-local
-];
-
 /** @type {string[]} Hostnames to block (SSRF / metadata endpoints) */
 const BLOCKED_HOSTNAMES = [
     'localhost',
@@ -38,13 +30,71 @@ const BLOCKED_HOSTNAMES = [
  * @typedef {Object} ValidationResult
  * @property {boolean} valid - Whether the URL passed all checks
  * @property {string} [reason] - Why validation failed (only when valid === false)
- * @property {string} [resolvedUrl] - The HTTPS URL to use for fetching (IPFS converted)
- * @property {string} [protocol] - Detected protocol ('https' or 'ipfs')
+ * @property {string} [resolvedUrl] - The HTTPS URL to use for fetching (IPFS/Arweave converted)
+ * @property {string} [protocol] - Detected protocol ('https', 'ipfs', 'ipns' or 'arweave')
+ * @property {import('../utils/ipfs-utils.js').IPNSName} [ipns] - IPNS name details (ipns URLs only)
+ * @property {import('../utils/ipfs-utils.js').CIDInfo} [cid] - Decoded CID (ipfs URLs only)
+ * @property {import('../utils/ipfs-utils.js').GatewayReroute} [reroutedFrom] - Gateway the URL was moved off (ipfs URLs on other gateways only)
+ * @property {import('../utils/ip-classifier.js').ReservedRange} [reservedRange] - Reserved range that caused rejection
+ * @property {import('./homograph-detector.js').HostnameWarning[]} [warnings] - Non-fatal hostname warnings (valid URLs only)
+ * @property {string} [unicodeHostname] - Hostname with punycode decoded (HTTPS URLs only)
+ */
+
+/**
+ * Checks a hostname against the internal hostnames that are never fetched
+ * (localhost and its subdomains, cloud metadata endpoints). A trailing dot
+ * is the same host.
+ * @param {string} hostname - Hostname from a parsed URL
+ * @returns {{ reason: string }|null} Rejection details, or null if the host is allowed
+ */
+export function checkBlockedHostname(hostname) {
+    const bareHost = hostname.toLowerCase().replace(/\.$/, '');
+    if (BLOCKED_HOSTNAMES.includes(bareHost) || bareHost.endsWith('.localhost')) {
+        return { reason: 'This hostname is not allowed' };
+    }
+    return null;
+}
+
+/**
+ * Checks a hostname against the reserved IP ranges.
+ * @param {string} hostname - Hostname or IP literal from a parsed URL
+ * @returns {{ reason: string, range: import('../utils/ip-classifier.js').ReservedRange, address: string }|null}
+ *   Rejection details, or null if the host is not a reserved address
  */
+export function checkReservedAddress(hostname) {
+    const ip = classifyIPAddress(hostname);
+    if (!ip.reserved) {
+        return null;
+    }
+    return {
+        reason: `URLs pointing to private/local addresses are not allowed (${ip.normalized}${ip.embedded ? ` → ${ip.embedded}` : ''} is in the ${ip.range.name} range ${ip.range.cidr})`,
+        range: ip.range,
+        address: ip.normalized,
+    };
+}
+
+/**
+ * Builds the warnings for an IPNS name. IPNS is a mutable pointer, so the
+ * content that was scanned may not be what the name serves later; DNSLink
+ * names are also domains and get the same look-alike checks as HTTPS hosts.
+ * @param {import('../utils/ipfs-utils.js').IPNSName} ipns - Parsed IPNS name
+ * @returns {import('./homograph-detector.js').HostnameWarning[]} Warnings
+ */
+function getIPNSWarnings(ipns) {
+    const warnings = [{
+        code: 'mutable-pointer',
+        severity: 'medium',
+        message: `ipns://${ipns.name} is a mutable pointer — its owner can change the content it resolves to after this scan`,
+    }];
+    if (ipns.type === 'dnslink') {
+        warnings.push(...analyzeHostname(ipns.name).warnings);
+    }
+    return warnings;
+}
 
 /**
  * Validates a URL for security and format compliance.
- * Rejects dangerous schemes, enforces HTTPS/IPFS, and blocks SSRF targets.
+ * Rejects dangerous schemes, enforces HTTPS/IPFS/Arweave, and blocks SSRF targets.
  * @param {string} url - URL to validate
  * @returns {ValidationResult} Validation result with reason on failure
  */
@@ -70,11 +120,36 @@ export function validateURL(url) {
         }
     }
 
-    // Handle IPFS URLs
+    // Handle IPFS (and IPNS) URLs. Gateway paths on a user-declared local
+    // node are recognised here — the explicit opt-in exception to the
+    // private-address block below; undeclared local URLs still fall through
+    // to it. They are rewritten to a public gateway for scanning, as are
+    // /ipfs/<cid> and <cid>.ipfs.<host> URLs on any other host — only the
+    // CID is kept, so that host is never contacted.
     if (isIPFSUrl(trimmed)) {
+        if (isLocalNodeUrl(trimmed)) {
+            logSecurity('Local IPFS node URL allowed by user setting', { url: trimmed });
+        }
         try {
-            const { url: httpUrl } = convertToHTTPGateway(trimmed);
-            return { valid: true, resolvedUrl: httpUrl, protocol: 'ipfs' };
+            const { url: httpUrl, ipns, cid, reroutedFrom } = convertToHTTPGateway(trimmed);
+            if (ipns) {
+                return { valid: true, resolvedUrl: httpUrl, protocol: 'ipns', ipns, warnings: getIPNSWarnings(ipns) };
+            }
+            if (reroutedFrom) {
+                logInfo('IPFS gateway URL re-routed', { url: trimmed, resolvedUrl: httpUrl, ...reroutedFrom });
+                return { valid: true, resolvedUrl: httpUrl, protocol: 'ipfs', cid, reroutedFrom, warnings: [] };
+            }
+            return { valid: true, resolvedUrl: httpUrl, protocol: 'ipfs', cid, warnings: [] };
+        } catch (err) {
+            return { valid: false, reason: err.message };
+        }
+    }
+
+    // Handle Arweave URLs (ar:// and known gateways)
+    if (isArweaveUrl(trimmed)) {
+        try {
+            const { url: httpUrl } = convertArweaveToHTTPGateway(trimmed);
+            return { valid: true, resolvedUrl: httpUrl, protocol: 'arweave', warnings: [] };
         } catch (err) {
             return { valid: false, reason: err.message };
         }
@@ -93,19 +168,33 @@ export function validateURL(url) {
         return { valid: false, reason: 'Only HTTPS URLs are allowed for security' };
     }
 
-    // SSRF: block private/reserved IPs
+    // SSRF: block internal hostnames
     const hostname = urlObj.hostname;
-    if (BLOCKED_HOSTNAMES.includes(hostname.toLowerCase())) {
+    const blockedHost = checkBlockedHostname(hostname);
+    if (blockedHost) {
         logSecurity('Blocked hostname', { url: trimmed, hostname });
-        return { valid: false, reason: 'This hostname is not allowed' };
+        return { valid: false, reason: blockedHost.reason };
     }
 
-    for (const pattern of PRIVATE_IP_PATTERNS) {
-        if (pattern.test(hostname)) {
-            logSecurity('Private IP blocked', { url: trimmed, hostname });
-            return { valid: false, reason: 'URLs pointing to private/local addresses are not allowed' };
-        }
+    // SSRF: block every IANA special-purpose address, however it is spelled
+    const ipCheck = checkReservedAddress(hostname);
+    if (ipCheck) {
+        logSecurity('Private IP blocked', { url: trimmed, hostname, ...ipCheck });
+        return { valid: false, reason: ipCheck.reason, reservedRange: ipCheck.range };
+    }
+
+    // Homograph / look-alike domains are suspicious but not invalid: surface
+    // them as warnings and let the user decide.
+    const hostAnalysis = analyzeHostname(hostname);
+    if (hostAnalysis.warnings.some((w) => w.severity === 'high')) {
+        logSecurity('Suspicious hostname', { url: trimmed, unicodeHostname: hostAnalysis.unicodeHostname, warnings: hostAnalysis.warnings });
     }
 
-    return { valid: true, resolvedUrl: trimmed, protocol: 'https' };
+    return {
+        valid: true,
+        resolvedUrl: trimmed,
+        protocol: 'https',
+        warnings: hostAnalysis.warnings,
+        unicodeHostname: hostAnalysis.unicodeHostname,
+    };
 }
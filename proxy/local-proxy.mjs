@@ -0,0 +1,266 @@
+/**
+ * @module local-proxy
+ * @description Self-hosted CORS proxy for the scanner, run with Node 22+:
+ *
+ *     node proxy/local-proxy.mjs [--port 8787] [--host 127.0.0.1]
+ *
+ * It speaks the "raw" adapter contract from js/utils/proxy-config.js:
+ * `GET /?url=<encoded target>` answers with the target's own status, body
+ * and Content-Type. Targets go through the scanner's validateURL, so the
+ * same schemes, hosts and reserved address ranges are refused; on top of
+ * that every resolved DNS address and every redirect hop is checked, which
+ * a browser cannot do. The x-apikey header is forwarded to VirusTotal only.
+ *
+ * Environment: PROXY_PORT, PROXY_HOST, PROXY_ALLOWED_ORIGINS (comma-separated
+ * origins allowed to call the proxy; default the scanner served locally on
+ * port 8000). Browser requests from any other origin are refused, so other
+ * sites cannot use the proxy as a relay.
+ */
+
+import http from 'node:http';
+import https from 'node:https';
+import dns from 'node:dns';
+import { validateURL } from '../js/validators/url-validator.js';
+import { classifyIPAddress } from '../js/utils/ip-classifier.js';
+import { logInfo, logSecurity } from '../js/utils/error-handler.js';
+
+/** @type {number} Default listening port */
+const DEFAULT_PORT = 8787;
+
+/** @type {string} Default listening address (this machine only) */
+const DEFAULT_HOST = '127.0.0.1';
+
+/** @type {string[]} Origins allowed when PROXY_ALLOWED_ORIGINS is unset (the scanner served as in the README) */
+const DEFAULT_ALLOWED_ORIGINS = ['http://localhost:8000', 'http://127.0.0.1:8000'];
+
+/** @type {number} Timeout for the whole upstream exchange (ms) */
+const UPSTREAM_TIMEOUT_MS = 15_000;
+
+/** @type {number} Largest body relayed (32 MB — the VirusTotal file limit) */
+const MAX_BODY_BYTES = 32 * 1024 * 1024;
+
+/** @type {number} Redirects followed before giving up */
+const MAX_REDIRECTS = 5;
+
+/** @type {string[]} Hosts that may receive the x-apikey header */
+const API_KEY_HOSTS = ['www.virustotal.com'];
+
+/**
+ * Error carrying the HTTP status the proxy should answer with.
+ */
+class ProxyError extends Error {
+    /**
+     * @param {number} status - Status for the proxy's response
+     * @param {string} message - Reason sent to the client
+     */
+    constructor(status, message) {
+        super(message);
+        this.name = 'ProxyError';
+        this.status = status;
+    }
+}
+
+/**
+ * DNS lookup that refuses reserved addresses, so a public hostname that
+ * resolves to a private one (or is rebound to one) is never connected to.
+ * Signature matches the `lookup` option of net.connect.
+ * @param {string} hostname - Host to resolve
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - Node-style lookup callback
+ */
+function safeLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) {
+            callback(err);
+            return;
+        }
+        const blocked = addresses.find((a) => classifyIPAddress(a.address).reserved);
+        if (blocked) {
+            logSecurity('Proxy target resolved to a reserved address', { hostname, address: blocked.address });
+            callback(new ProxyError(403, `${hostname} resolves to a private/local address (${blocked.address})`));
+            return;
+        }
+        if (options.all) callback(null, addresses);
+        else callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+/**
+ * Checks a target (or redirect location) with the scanner's own rules.
+ * @param {string} url - URL to check
+ * @returns {URL} URL to request (IPFS/Arweave URLs resolved to their gateway)
+ * @throws {ProxyError} If the URL is refused
+ */
+function checkTarget(url) {
+    const validation = validateURL(url);
+    if (!validation.valid) {
+        throw new ProxyError(403, validation.reason);
+    }
+    const target = new URL(validation.resolvedUrl);
+    if (target.protocol !== 'https:') {
+        throw new ProxyError(403, 'Only HTTPS targets are proxied');
+    }
+    return target;
+}
+
+/**
+ * Performs one upstream GET without following redirects.
+ * @param {URL} target - URL to request
+ * @param {Object<string, string>} headers - Request headers
+ * @param {AbortSignal} signal - Abort signal (timeout)
+ * @returns {Promise<http.IncomingMessage>} Upstream response
+ */
+function requestOnce(target, headers, signal) {
+    return new Promise((resolve, reject) => {
+        const req = https.request(target, { method: 'GET', headers, lookup: safeLookup, signal }, resolve);
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+/**
+ * Fetches a target, following and re-checking each redirect hop.
+ * @param {string} rawTarget - Target URL from the client
+ * @param {http.IncomingHttpHeaders} clientHeaders - Client request headers
+ * @param {AbortSignal} signal - Abort signal (timeout)
+ * @returns {Promise<{ response: http.IncomingMessage, finalUrl: string }>} Final upstream response
+ * @throws {ProxyError} If a hop is refused or there are too many redirects
+ */
+async function fetchUpstream(rawTarget, clientHeaders, signal) {
+    let target = checkTarget(rawTarget);
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+        const headers = { 'accept': clientHeaders.accept ?? '*/*', 'user-agent': 'nft-metadata-scanner-proxy' };
+        if (clientHeaders['x-apikey'] && API_KEY_HOSTS.includes(target.hostname)) {
+            headers['x-apikey'] = clientHeaders['x-apikey'];
+        }
+
+        const response = await requestOnce(target, headers, signal);
+        const location = response.headers.location;
+        if (response.statusCode < 300 || response.statusCode >= 400 || !location) {
+            return { response, finalUrl: target.href };
+        }
+        response.resume();
+        target = checkTarget(new URL(location, target).href);
+    }
+    throw new ProxyError(508, `More than ${MAX_REDIRECTS} redirects`);
+}
+
+/**
+ * Sets the CORS headers for a request's origin.
+ * @param {http.IncomingMessage} req - Client request
+ * @param {http.ServerResponse} res - Proxy response
+ * @param {string[]} allowedOrigins - Allowed origins
+ */
+function setCorsHeaders(req, res, allowedOrigins) {
+    const origin = req.headers.origin;
+    if (origin && allowedOrigins.includes(origin)) {
+        res.setHeader('Access-Control-Allow-Origin', origin);
+    }
+    res.setHeader('Vary', 'Origin');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Accept, X-Apikey');
+    res.setHeader('Access-Control-Expose-Headers', 'Content-Type, Content-Length, X-Final-Url');
+}
+
+/**
+ * Sends a plain-text error.
+ * @param {http.ServerResponse} res - Proxy response
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ */
+function sendError(res, status, message) {
+    if (res.headersSent) {
+        res.destroy();
+        return;
+    }
+    res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(message);
+}
+
+/**
+ * Handles one client request.
+ * @param {http.IncomingMessage} req - Client request
+ * @param {http.ServerResponse} res - Proxy response
+ * @param {string[]} allowedOrigins - Allowed origins
+ */
+async function handleRequest(req, res, allowedOrigins) {
+    setCorsHeaders(req, res, allowedOrigins);
+    if (req.headers.origin && !allowedOrigins.includes(req.headers.origin)) {
+        sendError(res, 403, 'Origin not allowed');
+        return;
+    }
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+    if (req.method !== 'GET') {
+        sendError(res, 405, 'Only GET is supported');
+        return;
+    }
+
+    const target = new URL(req.url, 'http://proxy').searchParams.get('url');
+    if (!target) {
+        sendError(res, 400, 'Missing ?url= parameter');
+        return;
+    }
+
+    const signal = AbortSignal.timeout(UPSTREAM_TIMEOUT_MS);
+    try {
+        const { response, finalUrl } = await fetchUpstream(target, req.headers, signal);
+        const declared = Number.parseInt(response.headers['content-length'] ?? '', 10);
+        if (declared > MAX_BODY_BYTES) {
+            response.destroy();
+            throw new ProxyError(413, `Response too large (${declared} bytes)`);
+        }
+
+        res.writeHead(response.statusCode, {
+            'Content-Type': response.headers['content-type'] ?? 'application/octet-stream',
+            'X-Final-Url': finalUrl,
+            'Cache-Control': 'no-store',
+        });
+        let received = 0;
+        for await (const chunk of response) {
+            received += chunk.length;
+            if (received > MAX_BODY_BYTES) {
+                logInfo('Proxy response cut off at size limit', { target, limit: MAX_BODY_BYTES });
+                res.destroy();
+                return;
+            }
+            res.write(chunk);
+        }
+        res.end();
+        logInfo('Proxied', { target, finalUrl, status: response.statusCode, bytes: received });
+    } catch (err) {
+        if (err instanceof ProxyError) {
+            sendError(res, err.status, err.message);
+        } else if (err.name === 'TimeoutError' || err.name === 'AbortError') {
+            sendError(res, 504, 'Upstream timed out');
+        } else if (err.cause instanceof ProxyError) {
+            sendError(res, err.cause.status, err.cause.message);
+        } else {
+            sendError(res, 502, `Upstream request failed: ${err.message}`);
+        }
+    }
+}
+
+/**
+ * Reads a --name value pair from the command line.
+ * @param {string} name - Option name without dashes
+ * @returns {string|undefined} Value, if given
+ */
+function readArg(name) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index === -1 ? undefined : process.argv[index + 1];
+}
+
+const port = Number.parseInt(readArg('port') ?? process.env.PROXY_PORT ?? `${DEFAULT_PORT}`, 10);
+const host = readArg('host') ?? process.env.PROXY_HOST ?? DEFAULT_HOST;
+const allowedOrigins = process.env.PROXY_ALLOWED_ORIGINS
+    ? process.env.PROXY_ALLOWED_ORIGINS.split(',').map((o) => o.trim()).filter(Boolean)
+    : DEFAULT_ALLOWED_ORIGINS;
+
+http.createServer((req, res) => { handleRequest(req, res, allowedOrigins); })
+    .listen(port, host, () => {
+        logInfo('Local CORS proxy listening', { url: `http://${host}:${port}/?url={url}`, allowedOrigins });
+    });